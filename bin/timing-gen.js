@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+// Timing Gen 3 - Command Line Renderer
+// Version 3.4.1
+// Renders .td3 files (and older formats or diagram text) to SVG or PNG without a browser,
+// and converts between .td3 and diagram text (.tdl):
+//
+//   timing-gen render diagram.td3 -o diagram.svg
+//   timing-gen render diagram.td3 -o diagram.png --scale 2 --background transparent
+//   timing-gen convert diagram.td3 -o diagram.tdl
+//
+// The editor's own scripts are loaded into a Node.js context in which Paper.js runs
+// on jsdom and node-canvas (paper-jsdom-canvas), so the SVG is the one File > Export SVG
+// writes and the PNG is rasterized from it like File > Export PNG.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Editor scripts used for rendering, in load order (see index.html)
+const SCRIPTS = [
+    'timing_gen_rows.js',
+    'timing_gen_model.js',
+    'timing_gen_data.js',
+    'timing_gen_rendering.js',
+    'timing_gen_measure.js',
+    'timing_gen_arrow.js',
+    'timing_gen_dsl.js',
+    'timing_gen_migration.js',
+    'timing_gen_schema.js',
+    'timing_gen_headless.js'
+];
+
+const USAGE = `Usage: timing-gen render <input> [options]
+       timing-gen convert <input> [options]
+
+render:  Render a Timing Gen 3 file (.td3, diagram text .tdl, older .json/.tdg, timing_gen2) to SVG or PNG.
+convert: Convert a Timing Gen 3 file to .td3 JSON or diagram text.
+
+Options:
+  -o, --output <file>      Output file, "-" for stdout (default: input name with the format's extension)
+  -f, --format <format>    render: svg or png, convert: td3 or tdl
+                           (default: from the output file extension, else svg for render and
+                           the other format of the input for convert)
+  --scale <n>              PNG scale factor, 2 = 192 DPI (default: 2)
+  --background <white|transparent>
+                           PNG background (default: white)
+  --crop <view|content>    PNG area: whole canvas or drawn content only (default: view)
+  --repair                 Apply the file check repairs first
+  --force                  Continue even if the file check reports errors
+  -h, --help               Show this help`;
+
+// Output formats of each command
+const FORMATS = {
+    render: ['svg', 'png'],
+    convert: ['td3', 'tdl']
+};
+
+/**
+ * Load one of the optional dependencies needed for rendering
+ * @param {string} name - Package name
+ * @returns {*} The package's exports
+ */
+function requireOptional(name) {
+    try {
+        return require(name);
+    } catch (err) {
+        if (err.code !== 'MODULE_NOT_FOUND') {
+            throw err;
+        }
+        throw new Error(`${name} is not installed; run npm install (it needs node-canvas, see README)`);
+    }
+}
+
+/**
+ * Load the editor scripts into a fresh context with a page-less Paper.js
+ * @param {boolean} rendering - Load Paper.js (not needed to convert files)
+ * @returns {Object} The scripts' classes (TimingGenMigration, TimingGenSchema, TimingGenHeadlessApp, ...)
+ */
+function loadEditor(rendering) {
+    const paper = rendering ? requireOptional('paper-jsdom-canvas') : undefined;
+    
+    const context = vm.createContext({ paper: paper, console: console });
+    const jsDir = path.join(__dirname, '..', 'js');
+    SCRIPTS.forEach(script => {
+        const file = path.join(jsDir, script);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+    
+    // Class declarations are script-scoped, not properties of the context object
+    return vm.runInContext(
+        '({ TimingGenModel, TimingGenDSL, TimingGenMigration, TimingGenSchema, TimingGenHeadlessApp })', context);
+}
+
+/**
+ * Parse the command line
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} Options {command, input, output, format, scale, background, crop, repair, force, help}
+ */
+function parseArgs(args) {
+    const options = {
+        command: null, input: null, output: null, format: null,
+        scale: 2, background: 'white', crop: 'view', repair: false, force: false, help: false
+    };
+    
+    const valueOf = (index, name) => {
+        if (index >= args.length) {
+            throw new Error(`${name} needs a value`);
+        }
+        return args[index];
+    };
+    
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '-o' || arg === '--output') {
+            options.output = valueOf(++i, arg);
+        } else if (arg === '-f' || arg === '--format') {
+            options.format = valueOf(++i, arg).toLowerCase();
+        } else if (arg === '--scale') {
+            options.scale = parseFloat(valueOf(++i, arg));
+        } else if (arg === '--background') {
+            options.background = valueOf(++i, arg);
+        } else if (arg === '--crop') {
+            options.crop = valueOf(++i, arg);
+        } else if (arg === '--repair') {
+            options.repair = true;
+        } else if (arg === '--force') {
+            options.force = true;
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new Error(`unknown option ${arg}`);
+        } else if (options.command === null) {
+            options.command = arg;
+        } else if (options.input === null) {
+            options.input = arg;
+        } else {
+            throw new Error(`unexpected argument ${arg}`);
+        }
+    }
+    
+    if (options.help) {
+        return options;
+    }
+    if (!FORMATS[options.command]) {
+        throw new Error(options.command === null ? 'no command given' : `unknown command ${options.command}`);
+    }
+    if (options.input === null) {
+        throw new Error('no input file given');
+    }
+    const formats = FORMATS[options.command];
+    if (options.format === null) {
+        const extension = options.output && path.extname(options.output).slice(1).toLowerCase();
+        if (formats.includes(extension)) {
+            options.format = extension;
+        } else if (options.command === 'convert') {
+            options.format = /\.tdl$/i.test(options.input) ? 'td3' : 'tdl';
+        } else {
+            options.format = 'svg';
+        }
+    }
+    if (!formats.includes(options.format)) {
+        throw new Error(`unknown format ${options.format} (use ${formats.join(' or ')})`);
+    }
+    if (!(options.scale > 0)) {
+        throw new Error('--scale must be a positive number');
+    }
+    if (options.background !== 'white' && options.background !== 'transparent') {
+        throw new Error('--background must be white or transparent');
+    }
+    if (options.crop !== 'view' && options.crop !== 'content') {
+        throw new Error('--crop must be view or content');
+    }
+    if (options.output === null) {
+        options.output = options.input === '-' ? '-' :
+            options.input.replace(/\.[^./\\]+$/, '') + '.' + options.format;
+    }
+    if (options.output !== '-' && path.resolve(options.output) === path.resolve(options.input)) {
+        throw new Error('the output file is the input file; choose another with -o');
+    }
+    return options;
+}
+
+/**
+ * Read, upgrade and check a document; problems are reported on stderr
+ * @param {Object} editor - Classes returned by loadEditor
+ * @param {Object} options - Parsed command line
+ * @returns {Object} Document data in the current format
+ */
+function readDocument(editor, options) {
+    const text = fs.readFileSync(options.input === '-' ? 0 : options.input, 'utf8');
+    const migration = editor.TimingGenMigration.migrate(text, {
+        cycleWidth: editor.TimingGenModel.DEFAULT_CONFIG.cycleWidth
+    });
+    migration.steps.forEach(step => console.error(`${options.input}: converted ${step.from} to ${step.to}`));
+    
+    let data = migration.data;
+    let report = editor.TimingGenSchema.validate(data);
+    if (options.repair && (report.errors.length > 0 || report.warnings.length > 0)) {
+        const repaired = editor.TimingGenSchema.repair(data);
+        repaired.actions.forEach(action => console.error(`${options.input}: repair: ${action.description}`));
+        data = repaired.data;
+        report = editor.TimingGenSchema.validate(data);
+    }
+    
+    report.warnings.forEach(issue => console.error(`${options.input}: warning: ${issue.path}: ${issue.message}`));
+    report.errors.forEach(issue => console.error(`${options.input}: error: ${issue.path}: ${issue.message}`));
+    if (report.errors.length > 0 && !options.force) {
+        throw new Error(`${options.input} has ${report.errors.length} error(s); use --repair or --force to continue anyway`);
+    }
+    return data;
+}
+
+/**
+ * Rasterize an SVG the way File > Export PNG does
+ * @param {string} svg - SVG from TimingGenHeadlessApp.exportImageSVG
+ * @param {Object} options - Parsed command line (scale, background)
+ * @returns {Promise<Buffer>} PNG data
+ */
+async function rasterize(svg, options) {
+    const { createCanvas, loadImage } = requireOptional('canvas');
+    const image = await loadImage(Buffer.from(svg));
+    
+    const canvas = createCanvas(Math.ceil(image.width * options.scale), Math.ceil(image.height * options.scale));
+    const ctx = canvas.getContext('2d');
+    if (options.background === 'white') {
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    ctx.scale(options.scale, options.scale);
+    ctx.drawImage(image, 0, 0);
+    return canvas.toBuffer('image/png');
+}
+
+/**
+ * Run the command line
+ * @param {Array<string>} args - Arguments after the script name
+ */
+async function main(args) {
+    let options;
+    try {
+        options = parseArgs(args);
+    } catch (err) {
+        err.showUsage = true;
+        throw err;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+    
+    const editor = loadEditor(options.command === 'render');
+    const data = readDocument(editor, options);
+    
+    let output;
+    if (options.command === 'convert') {
+        output = options.format === 'tdl' ? editor.TimingGenDSL.toText(data) : JSON.stringify(data, null, 2);
+    } else {
+        const app = new editor.TimingGenHeadlessApp(data);
+        output = options.format === 'png' ?
+            await rasterize(app.exportImageSVG(options.crop === 'content'), options) :
+            app.exportSVG();
+    }
+    
+    if (options.output === '-') {
+        process.stdout.write(output);
+    } else {
+        fs.writeFileSync(options.output, output);
+    }
+}
+
+main(process.argv.slice(2)).catch(err => {
+    console.error(`timing-gen: ${err.message}`);
+    if (err.showUsage) {
+        console.error('Run "timing-gen --help" for usage.');
+    }
+    process.exitCode = 1;
+});
@@ -83,6 +83,19 @@ class TimingGenACTable {
         }
     }
     
+    /**
+     * Get the time between the two ends of a measure in base clock cycles;
+     * each end lands on its signal's clock domain (see TimingGenModel.getEventTime)
+     * @param {TimingGenApp} app - Main application instance
+     * @param {Object} measure - Measure data object
+     * @returns {number} Time difference in base clock cycles
+     */
+    static getMeasureCycles(app, measure) {
+        const time1 = TimingGenModel.getEventTime(app, app.getSignalByName(measure.signal1Name), measure.cycle1);
+        const time2 = TimingGenModel.getEventTime(app, app.getSignalByName(measure.signal2Name), measure.cycle2);
+        return Math.abs(time2 - time1);
+    }
+    
     /**
      * Create an AC table row from a measure
      * @param {TimingGenApp} app - Main application instance
@@ -105,7 +118,7 @@ class TimingGenACTable {
         const signal2Delays = app.getEffectiveDelayInTime(signal2, measure.cycle2);
         
         // Calculate cycle difference
-        const cycleDiff = Math.abs(measure.cycle2 - measure.cycle1);
+        const cycleDiff = TimingGenACTable.getMeasureCycles(app, measure);
         const timeValue = cyclePeriod * cycleDiff;
         
         // Calculate both min-to-min and max-to-max paths
@@ -171,7 +184,7 @@ class TimingGenACTable {
                     const signal1Delays = app.getEffectiveDelayInTime(signal1, measure.cycle1);
                     const signal2Delays = app.getEffectiveDelayInTime(signal2, measure.cycle2);
                     
-                    const cycleDiff = Math.abs(measure.cycle2 - measure.cycle1);
+                    const cycleDiff = TimingGenACTable.getMeasureCycles(app, measure);
                     const timeValue = cyclePeriod * cycleDiff;
                     
                     // Calculate both min-to-min and max-to-max paths
@@ -567,7 +580,7 @@ class TimingGenACTable {
                     const signal2Delays = app.getEffectiveDelayInTime(signal2, measure.cycle2);
                     
                     // Recalculate min/max based on measure cycles
-                    const cycleDiff = Math.abs(measure.cycle2 - measure.cycle1);
+                    const cycleDiff = TimingGenACTable.getMeasureCycles(app, measure);
                     const timeValue = cyclePeriod * cycleDiff;
                     
                     // Calculate both min-to-min and max-to-max paths
@@ -638,4 +651,512 @@ class TimingGenACTable {
             flashCount++;
         }, 200);
     }
+    
+    /**
+     * Export the currently selected AC table (wrapper for menu action)
+     * @param {TimingGenApp} app - Main application instance
+     * @param {string} format - 'csv', 'markdown' or 'html'
+     */
+    static exportCurrentACTable(app, format) {
+        if (app.currentEditingACTable) {
+            TimingGenACTable.exportACTable(app, app.currentEditingACTable, format);
+            app.hideAllMenus();
+        }
+    }
+    
+    /**
+     * Export an AC table as CSV, Markdown or standalone HTML
+     * @param {TimingGenApp} app - Main application instance
+     * @param {string} tableName - Name of the table to export
+     * @param {string} format - 'csv', 'markdown' or 'html'
+     */
+    static exportACTable(app, tableName, format) {
+        const tableData = app.acTablesData.get(tableName);
+        if (!tableData) return;
+        
+        const formats = {
+            csv: { build: TimingGenACTable.buildACTableCSV, extension: 'csv', mime: 'text/csv' },
+            markdown: { build: TimingGenACTable.buildACTableMarkdown, extension: 'md', mime: 'text/markdown' },
+            html: { build: TimingGenACTable.buildACTableHTML, extension: 'html', mime: 'text/html' }
+        };
+        const target = formats[format];
+        if (!target) return;
+        
+        const content = target.build(tableData);
+        const tableBaseName = (tableData.title || tableName).trim().replace(/[^A-Za-z0-9_-]+/g, '_') || tableName;
+        const baseName = `${TimingGenData.getExportBaseName(app)}_${tableBaseName}`;
+        
+        const blob = new Blob([content], { type: target.mime });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${baseName}.${target.extension}`;
+        a.click();
+        
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Open the file picker to import a CSV parameter sheet into the selected AC table
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static showImportACTableCSVDialog(app) {
+        if (app.currentEditingACTable) {
+            app.acTableImportTarget = app.currentEditingACTable;
+            app.hideAllMenus();
+            document.getElementById('ac-table-csv-file-input').click();
+        }
+    }
+    
+    /**
+     * Read a CSV file chosen by the user and import it into the target AC table
+     * @param {TimingGenApp} app - Main application instance
+     * @param {Event} ev - File input change event
+     */
+    static importACTableCSV(app, ev) {
+        const file = ev.target.files[0];
+        const tableName = app.acTableImportTarget;
+        if (!file || !tableName) return;
+        
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            try {
+                const sheet = TimingGenACTable.parseACTableCSV(event.target.result);
+                const result = TimingGenACTable.applyACTableCSV(app, tableName, sheet);
+                
+                let message = `Updated ${result.matched} row(s) matched by symbol, added ${result.added} new row(s).`;
+                if (result.skipped.length > 0) {
+                    message += `\n\nSkipped:\n${result.skipped.join('\n')}`;
+                }
+                alert(message);
+            } catch (err) {
+                alert('Error reading CSV file: ' + err.message);
+                console.error('AC table CSV import error:', err);
+            }
+        };
+        
+        reader.readAsText(file);
+        ev.target.value = ''; // Reset file input
+        app.acTableImportTarget = null;
+    }
+    
+    /**
+     * Split CSV text into records (RFC 4180 quoting, comma or semicolon separated)
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} Records of trimmed fields
+     */
+    static parseCSV(text) {
+        text = text.replace(/^\uFEFF/, '');
+        
+        // Spreadsheets in some locales save with semicolons
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const separator = (firstLine.split(';').length > firstLine.split(',').length) ? ';' : ',';
+        
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (inQuotes) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    inQuotes = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"') {
+                inQuotes = true;
+            } else if (ch === separator) {
+                record.push(field.trim());
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                record.push(field.trim());
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        if (field !== '' || record.length > 0) {
+            record.push(field.trim());
+            records.push(record);
+        }
+        
+        return records;
+    }
+    
+    /**
+     * Parse a CSV parameter sheet into parameter rows and notes
+     * The header row is located by column names; a later "Note,Text" header starts
+     * the notes section, and an empty record right after a row marks a double row.
+     * @param {string} text - CSV text
+     * @returns {Object} {rows: Array<Object>, notes: Array<{number, text}>}
+     */
+    static parseACTableCSV(text) {
+        const records = TimingGenACTable.parseCSV(text);
+        const isEmpty = (record) => record.every(value => value === '');
+        
+        const columnFor = (header) => {
+            const key = header.toLowerCase().replace(/[^a-z]/g, '');
+            if (key.startsWith('param') || key === 'description' || key === 'name') return 'parameter';
+            if (key.startsWith('sym')) return 'symbol';
+            if (key.startsWith('min')) return 'min';
+            if (key.startsWith('max')) return 'max';
+            if (key.startsWith('unit')) return 'unit';
+            if (key.startsWith('note')) return 'note';
+            return null;
+        };
+        
+        // Header: first record that names a Symbol column
+        const headerIndex = records.findIndex(record => record.some(value => columnFor(value) === 'symbol'));
+        if (headerIndex < 0) {
+            throw new Error('No header row with a "Symbol" column found');
+        }
+        const columns = records[headerIndex].map(columnFor);
+        
+        const rows = [];
+        const notes = [];
+        let inNotes = false;
+        let previousEmpty = false;
+        
+        for (let i = headerIndex + 1; i < records.length; i++) {
+            const record = records[i];
+            
+            if (isEmpty(record)) {
+                // Continuation record of a double row (as written by CSV export)
+                if (!inNotes && !previousEmpty && rows.length > 0 && record.length > 1) {
+                    rows[rows.length - 1].rowSpan = 2;
+                }
+                previousEmpty = true;
+                continue;
+            }
+            previousEmpty = false;
+            
+            if (record[0].toLowerCase() === 'note' && (record[1] || '').toLowerCase() === 'text') {
+                inNotes = true;
+                continue;
+            }
+            
+            if (inNotes) {
+                if (/^\d+$/.test(record[0])) {
+                    notes.push({ number: record[0], text: record[1] || '' });
+                }
+                continue;
+            }
+            
+            const row = { rowSpan: 1 };
+            columns.forEach((column, colIndex) => {
+                if (column && record[colIndex] !== undefined) {
+                    row[column] = record[colIndex];
+                }
+            });
+            rows.push(row);
+        }
+        
+        return { rows: rows, notes: notes };
+    }
+    
+    /**
+     * Apply a parsed parameter sheet to an AC table
+     * Rows are matched by symbol (exact, then case-insensitive); imported values are
+     * flagged as manually edited so recalculation keeps them. Unmatched rows are
+     * added as free-standing parameter rows.
+     * @param {TimingGenApp} app - Main application instance
+     * @param {string} tableName - Name of the AC table
+     * @param {Object} sheet - Result of parseACTableCSV
+     * @returns {Object} {matched, added, skipped}
+     */
+    static applyACTableCSV(app, tableName, sheet) {
+        const tableData = app.acTablesData.get(tableName);
+        if (!tableData) {
+            throw new Error(`AC table ${tableName} not found`);
+        }
+        
+        app.undoRedoManager.captureState();
+        
+        const result = { matched: 0, added: 0, skipped: [] };
+        const fields = ['parameter', 'min', 'max', 'unit', 'note'];
+        
+        const symbolOf = (row) => {
+            if (row.symbol) return row.symbol;
+            const measure = row.measureName ? app.measuresData.get(row.measureName) : null;
+            return measure && measure.text ? measure.text : '';
+        };
+        const findRow = (symbol) => {
+            return tableData.rows.find(row => symbolOf(row) === symbol) ||
+                tableData.rows.find(row => symbolOf(row).toLowerCase() === symbol.toLowerCase());
+        };
+        
+        sheet.rows.forEach((imported, index) => {
+            const symbol = (imported.symbol || '').trim();
+            
+            if (imported.note) {
+                const numbers = imported.note.split(',').map(n => n.trim()).filter(n => n);
+                if (!numbers.every(n => /^\d+$/.test(n))) {
+                    result.skipped.push(`Row ${index + 1} (${symbol || imported.parameter || 'no symbol'}): note "${imported.note}" is not a list of integers`);
+                    delete imported.note;
+                } else {
+                    imported.note = numbers.join(',');
+                }
+            }
+            
+            let row = symbol ? findRow(symbol) : null;
+            if (row) {
+                result.matched++;
+            } else if (symbol || imported.parameter) {
+                row = {
+                    measureName: null, // Free-standing parameter row
+                    parameter: '',
+                    symbol: symbol,
+                    min: '',
+                    max: '',
+                    unit: '',
+                    note: '',
+                    rowSpan: 1,
+                    manuallyEdited: {
+                        parameter: false,
+                        symbol: true,
+                        min: false,
+                        max: false,
+                        unit: false,
+                        note: false
+                    },
+                    fontFamily: tableData.cellFont || 'Arial',
+                    fontSize: tableData.cellSize || 12,
+                    color: tableData.cellColor || '#000000'
+                };
+                tableData.rows.push(row);
+                result.added++;
+            } else {
+                result.skipped.push(`Row ${index + 1}: no symbol or parameter`);
+                return;
+            }
+            
+            if (!row.manuallyEdited) {
+                row.manuallyEdited = {};
+            }
+            fields.forEach(field => {
+                if (imported[field] !== undefined && imported[field] !== '') {
+                    row[field] = imported[field];
+                    row.manuallyEdited[field] = true;
+                }
+            });
+            if (imported.rowSpan === 2) {
+                row.rowSpan = 2;
+            }
+            
+            // Register note numbers, as when editing the Note cell
+            if (row.note) {
+                row.note.split(',').forEach(num => {
+                    if (!tableData.notes.find(n => n.number === num)) {
+                        tableData.notes.push({ number: num, text: '' });
+                    }
+                });
+            }
+        });
+        
+        sheet.notes.forEach(imported => {
+            const noteData = tableData.notes.find(n => n.number === imported.number);
+            if (noteData) {
+                noteData.text = imported.text;
+            } else {
+                tableData.notes.push({ number: imported.number, text: imported.text });
+            }
+        });
+        tableData.notes.sort((a, b) => parseInt(a.number) - parseInt(b.number));
+        
+        app.render();
+        return result;
+    }
+    
+    /**
+     * Get the notes referenced by an AC table's rows, in number order
+     * @param {Object} tableData - AC table data object
+     * @returns {Array<Object>} Array of {number, text}
+     */
+    static getReferencedNotes(tableData) {
+        // Same selection as the drawn table: only note numbers used in the Note column
+        const numbers = new Set();
+        tableData.rows.forEach(row => {
+            if (row.note) {
+                row.note.split(',').map(n => n.trim()).filter(n => n).forEach(n => numbers.add(n));
+            }
+        });
+        
+        return Array.from(numbers)
+            .sort((a, b) => parseInt(a) - parseInt(b))
+            .map(number => {
+                const noteData = (tableData.notes || []).find(n => n.number === number);
+                return { number: number, text: noteData ? noteData.text : '' };
+            });
+    }
+    
+    /**
+     * Get the cell values of an AC table row in column order
+     * @param {Object} row - AC table row
+     * @returns {Array<string>} Parameter, Symbol, Min., Max., Unit, Note
+     */
+    static getACRowCells(row) {
+        return [row.parameter, row.symbol, row.min, row.max, row.unit, row.note]
+            .map(value => (value === undefined || value === null) ? '' : String(value));
+    }
+    
+    /**
+     * Build CSV for an AC table
+     * Double rows (rowSpan 2) get an empty continuation record; referenced notes
+     * follow after a blank line under a "Note,Text" header.
+     * @param {Object} tableData - AC table data object
+     * @returns {string} CSV text
+     */
+    static buildACTableCSV(tableData) {
+        const quote = (value) => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        const line = (cells) => cells.map(quote).join(',');
+        
+        const lines = [line(TimingGenACTable.AC_TABLE_HEADERS)];
+        tableData.rows.forEach(row => {
+            lines.push(line(TimingGenACTable.getACRowCells(row)));
+            if ((row.rowSpan || 1) === 2) {
+                lines.push(line(['', '', '', '', '', '']));
+            }
+        });
+        
+        const notes = TimingGenACTable.getReferencedNotes(tableData);
+        if (notes.length > 0) {
+            lines.push('');
+            lines.push(line(['Note', 'Text']));
+            notes.forEach(note => lines.push(line([note.number, note.text])));
+        }
+        
+        return lines.join('\r\n') + '\r\n';
+    }
+    
+    /**
+     * Build a Markdown table for an AC table
+     * Markdown has no row spans, so double rows get an empty continuation row.
+     * @param {Object} tableData - AC table data object
+     * @returns {string} Markdown text
+     */
+    static buildACTableMarkdown(tableData) {
+        const escape = (value) => value.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+        const line = (cells) => `| ${cells.map(escape).join(' | ')} |`;
+        
+        const lines = [];
+        if (tableData.title) {
+            lines.push(`## ${tableData.title}`, '');
+        }
+        lines.push(line(TimingGenACTable.AC_TABLE_HEADERS));
+        lines.push('|---|---|--:|--:|---|---|');
+        tableData.rows.forEach(row => {
+            lines.push(line(TimingGenACTable.getACRowCells(row)));
+            if ((row.rowSpan || 1) === 2) {
+                lines.push('|  |  |  |  |  |  |');
+            }
+        });
+        
+        const notes = TimingGenACTable.getReferencedNotes(tableData);
+        if (notes.length > 0) {
+            lines.push('');
+            notes.forEach(note => lines.push(`- Note ${note.number}: ${note.text.replace(/\r?\n/g, ' ')}`));
+        }
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    /**
+     * Build a standalone HTML document for an AC table
+     * @param {Object} tableData - AC table data object
+     * @returns {string} HTML text
+     */
+    static buildACTableHTML(tableData) {
+        const escape = (value) => String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const font = (family, size, color) =>
+            `font-family: ${escape(family || 'Arial')}, sans-serif; font-size: ${size || 12}px; color: ${escape(color || '#000000')};`;
+        
+        const widths = tableData.columnWidths || [400, 100, 100, 100, 100, 100];
+        const html = [
+            '<!DOCTYPE html>',
+            '<html>',
+            '<head>',
+            '<meta charset="utf-8">',
+            `<title>${escape(tableData.title || 'AC Table')}</title>`,
+            '<style>',
+            'table { border-collapse: collapse; }',
+            'th, td { border: 1px solid #000000; padding: 4px 8px; text-align: left; }',
+            'td.num { text-align: right; }',
+            '.notes { margin-top: 8px; }',
+            '.notes td { border: none; padding: 2px 8px; vertical-align: top; }',
+            '</style>',
+            '</head>',
+            '<body>',
+            '<table>',
+            `<caption style="${font(tableData.titleFont, tableData.titleSize, tableData.titleColor)} font-weight: bold;">${escape(tableData.title || '')}</caption>`,
+            '<colgroup>',
+            ...widths.map(width => `<col style="width: ${width}px;">`),
+            '</colgroup>',
+            '<thead>',
+            `<tr style="${font(tableData.headerFont, tableData.headerSize, tableData.headerColor)}">` +
+                TimingGenACTable.AC_TABLE_HEADERS.map(header => `<th>${escape(header)}</th>`).join('') + '</tr>',
+            '</thead>',
+            '<tbody>'
+        ];
+        
+        tableData.rows.forEach(row => {
+            const style = font(row.fontFamily || tableData.cellFont, row.fontSize || tableData.cellSize, row.color || tableData.cellColor);
+            const cells = TimingGenACTable.getACRowCells(row);
+            const isDoubleRow = (row.rowSpan || 1) === 2;
+            
+            html.push(`<tr style="${style}">` + cells.map((value, colIndex) => {
+                const rowSpan = isDoubleRow && colIndex === 0 ? ' rowspan="2"' : '';
+                const cls = colIndex === 2 || colIndex === 3 ? ' class="num"' : '';
+                return `<td${rowSpan}${cls}>${escape(value)}</td>`;
+            }).join('') + '</tr>');
+            
+            if (isDoubleRow) {
+                html.push(`<tr style="${style}"><td></td><td></td><td></td><td></td><td></td></tr>`);
+            }
+        });
+        html.push('</tbody>', '</table>');
+        
+        const notes = TimingGenACTable.getReferencedNotes(tableData);
+        if (notes.length > 0) {
+            html.push('<table class="notes">');
+            html.push('<tr><td><b>Note</b></td><td></td></tr>');
+            notes.forEach(note => {
+                const noteData = (tableData.notes || []).find(n => n.number === note.number) || {};
+                html.push(`<tr style="${font(noteData.fontFamily, noteData.fontSize || 11, '#000000')}">` +
+                    `<td>${escape(note.number)}</td><td>${escape(note.text)}</td></tr>`);
+            });
+            html.push('</table>');
+        }
+        
+        html.push('</body>', '</html>', '');
+        return html.join('\n');
+    }
 }
+
+// Column headers, in the same order as the drawn table
+TimingGenACTable.AC_TABLE_HEADERS = ['Parameter', 'Symbol', 'Min.', 'Max.', 'Unit', 'Note'];
+
+// Table edits recorded as undo steps
+UndoRedoManager.registerActions(TimingGenACTable, {
+    addACTable: 'Add AC table',
+    deleteACTable: (app, tableName) => `Delete AC table ${tableName}`,
+    moveACTableToPosition: (app, tableName, position) => `Move AC table ${tableName} to ${position}`,
+    updateACCell: 'Edit AC table cell',
+    updateACCellFont: 'Change AC table cell font',
+    updateACRowSpan: 'Change AC table row span',
+    deleteACTableRow: 'Delete AC table row',
+    updateACTableValues: (app, tableName) => `Update AC table ${tableName}`,
+    applyACTableCSV: (app, tableName) => `Import CSV into ${tableName}`
+});
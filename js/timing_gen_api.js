@@ -0,0 +1,547 @@
+// Timing Gen 3 - Scripting API Module
+// Version 3.4.1
+// Handles building diagrams from scripts without dialogs, available as app.api
+// (window.timingGenApp.api in the browser console). Every call that changes the
+// document is one undo command; wrap several calls in api.batch() to make them one.
+//
+// Example:
+//   const api = window.timingGenApp.api;
+//   api.addSignal({ name: 'clk', type: 'clock' });
+//   api.addSignal({ name: 'data', type: 'bus' });
+//   api.setValue('data', 2, '0xA5');
+//   api.addMeasure({ signal1Name: 'clk', cycle1: 2, signal2Name: 'data', cycle2: 2, text: 'tCO' });
+//   const svg = api.exportSVG();
+//
+// Invalid arguments throw an Error and leave the document unchanged.
+
+class TimingGenAPI {
+    /**
+     * Build the app.api object: the methods in METHODS bound to the application
+     * @param {TimingGenApp} app - Main application instance
+     * @returns {Object} API object, e.g. api.addSignal({name, type})
+     */
+    static create(app) {
+        const api = {};
+        TimingGenAPI.METHODS.forEach(method => {
+            // Look the method up on each call so the undo wrapper is used
+            api[method] = (...args) => TimingGenAPI[method](app, ...args);
+        });
+        return api;
+    }
+    
+    /**
+     * Run several API calls as one undo command. If the callback throws, the calls it
+     * already made are undone (no command is recorded) and the error is passed on.
+     * @param {TimingGenApp} app - Main application instance
+     * @param {string} label - Command label shown in the history panel
+     * @param {Function} callback - Function making the calls
+     * @returns {*} Return value of the callback
+     */
+    static batch(app, label, callback) {
+        try {
+            return callback();
+        } catch (err) {
+            if (app.undoRedoManager) {
+                app.undoRedoManager.revertAction();
+            }
+            throw err;
+        }
+    }
+    
+    /**
+     * Add a signal before the AC tables (at the end if there are none)
+     * @param {TimingGenApp} app - Main application instance
+     * @param {Object} spec - {name, type: 'clock'|'bit'|'bus'|'diff'|'analog' (default 'bit'), base_clock, values: {cycle: value}}.
+     *     Clocks also take period and phase (in base clock cycles, or in the clock period unit with
+     *     periodUnit: 'time'), duty (percent high), polarity ('high' or 'low' at the start of each cycle)
+     *     and jitter (in the clock period unit); their values stop or gate cycles (see setValue).
+     *     Cycles of bit and bus values count edges of their base_clock; they may be fractional
+     *     (2.5 for a change on the mid-cycle edge in cycle 2: the falling edge, or the rising edge
+     *     of a clock with low polarity; quarter steps lie half way between edges), and
+     *     transitionStep (1, 0.5 or 0.25) sets where clicks in the editor place changes.
+     *     Analog signals take scaleMin and scaleMax (the voltage range of the row) and thresholds
+     *     ([{value, label, color}], drawn as dashed lines).
+     * @returns {string} Name of the new signal
+     */
+    static addSignal(app, spec) {
+        const name = spec && typeof spec.name === 'string' ? spec.name.trim() : '';
+        const type = (spec && spec.type) || 'bit';
+        if (!name) {
+            throw new Error('addSignal: a signal name is required');
+        }
+        if (app.signalsData.has(name)) {
+            throw new Error(`addSignal: signal "${name}" already exists`);
+        }
+        if (!TimingGenAPI.SIGNAL_TYPES.includes(type)) {
+            throw new Error(`addSignal: unknown signal type "${type}" (use ${TimingGenAPI.SIGNAL_TYPES.join(', ')})`);
+        }
+        
+        const signal = {
+            name: name,
+            type: type,
+            values: {}
+        };
+        
+        if (type === 'clock') {
+            TimingGenModel.setClockTiming(signal, TimingGenAPI.checkClockTiming(spec));
+            if (spec.jitter !== undefined && !(typeof spec.jitter === 'number' && spec.jitter >= 0)) {
+                throw new Error(`addSignal: jitter must be a number of 0 or more (found ${spec.jitter})`);
+            }
+            if (spec.jitter > 0) {
+                signal.jitter = spec.jitter;
+            }
+        } else {
+            const timingField = TimingGenModel.CLOCK_TIMING_FIELDS.find(field => spec[field] !== undefined);
+            if (timingField) {
+                throw new Error(`addSignal: ${timingField} is only used by clocks; ${type} signals follow their base_clock`);
+            }
+            if (spec.jitter !== undefined) {
+                throw new Error('addSignal: jitter is only used by clocks');
+            }
+            if (spec.transitionStep !== undefined && !TimingGenModel.TRANSITION_STEPS.includes(spec.transitionStep)) {
+                throw new Error(`addSignal: transitionStep must be ${TimingGenModel.TRANSITION_STEPS.join(', ')} (found ${spec.transitionStep})`);
+            }
+            if (spec.transitionStep !== undefined && spec.transitionStep !== 1) {
+                signal.transitionStep = spec.transitionStep;
+            }
+        }
+        
+        if (type === 'analog') {
+            Object.assign(signal, TimingGenAPI.checkAnalogOptions(spec));
+        } else {
+            const analogField = TimingGenAPI.ANALOG_FIELDS.find(field => spec[field] !== undefined);
+            if (analogField) {
+                throw new Error(`addSignal: ${analogField} is only used by analog signals`);
+            }
+        }
+        
+        if (type === 'bit' || type === 'bus' || type === 'diff' || type === 'analog') {
+            if (spec.base_clock !== undefined) {
+                signal.base_clock = spec.base_clock;
+            } else {
+                // Same default as the Add Signal dialog: the first clock, or 'clk'
+                const clockSignal = app.getSignals().find(sg => sg.type === 'clock');
+                signal.base_clock = clockSignal ? clockSignal.name : 'clk';
+            }
+            signal.values[0] = type === 'bus' ? 'X' : 0;
+        }
+        
+        // Check all values before anything is added
+        const values = Object.entries(spec.values || {}).map(([cycle, value]) =>
+            [TimingGenAPI.checkCycle(app, 'addSignal', Number(cycle), signal), TimingGenAPI.normalizeValue(signal, value, 'addSignal')]);
+        values.forEach(([cycle, value]) => TimingGenAPI.storeValue(signal, cycle, value));
+        
+        app.signalsData.set(name, signal);
+        
+        // Keep AC tables at the bottom
+        const acTableIndex = app.rows.findIndex(row => row.type === 'ac-table');
+        app.rows.splice(acTableIndex >= 0 ? acTableIndex : app.rows.length, 0, { type: 'signal', name: name });
+        
+        app.render();
+        return name;
+    }
+    
+    /**
+     * Set the value of a signal from a cycle on
+     * @param {TimingGenApp} app - Main application instance
+     * @param {string} name - Signal name
+     * @param {number} cycle - Cycle number
+     * @param {number|string|null} value - Bit and diff: 0, 1, 'X' or 'Z' (idle for diff); bus: any text, 'X' or 'Z';
+     *     clock: 'C' (running), 0 or 1 (stopped low or high) or 'G' (gated off); analog: the voltage of a point
+     *     (the waveform ramps linearly between points); null removes the change at this cycle
+     */
+    static setValue(app, name, cycle, value) {
+        const signal = TimingGenAPI.getSignal(app, 'setValue', name);
+        TimingGenAPI.checkCycle(app, 'setValue', cycle, signal);
+        TimingGenAPI.storeValue(signal, cycle, TimingGenAPI.normalizeValue(signal, value, 'setValue'));
+        app.render();
+    }
+    
+    /**
+     * Set several values of a signal
+     * @param {TimingGenApp} app - Main application instance
+     * @param {string} name - Signal name
+     * @param {Object} values - {cycle: value}, values as for setValue
+     */
+    static setValues(app, name, values) {
+        const signal = TimingGenAPI.getSignal(app, 'setValues', name);
+        const checked = Object.entries(values || {}).map(([cycle, value]) =>
+            [TimingGenAPI.checkCycle(app, 'setValues', Number(cycle), signal), TimingGenAPI.normalizeValue(signal, value, 'setValues')]);
+        checked.forEach(([cycle, value]) => TimingGenAPI.storeValue(signal, cycle, value));
+        app.render();
+    }
+    
+    /**
+     * Get the value a signal has in a cycle (the last value set at or before it)
+     * @param {TimingGenApp} app - Main application instance
+     * @param {string} name - Signal name
+     * @param {number} cycle - Cycle number
+     * @returns {number|string} Bit or diff value (0, 1, 'X', 'Z'), bus value, clock state ('C', 0, 1, 'G')
+     *     or analog voltage (interpolated between points)
+     */
+    static getValue(app, name, cycle) {
+        const signal = TimingGenAPI.getSignal(app, 'getValue', name);
+        if (signal.type === 'clock') {
+            return TimingGenModel.getClockStateAtCycle(signal, cycle);
+        }
+        if (signal.type === 'analog') {
+            return TimingGenModel.getAnalogValueAtCycle(signal, cycle);
+        }
+        return signal.type === 'bit' || signal.type === 'diff' ?
+            TimingGenModel.getBitValueAtCycle(signal, cycle) :
+            TimingGenModel.getBusValueAtCycle(signal, cycle);
+    }
+    
+    /**
+     * Add a measure between two signal transitions, in a new row
+     * @param {TimingGenApp} app - Main application instance
+     * @param {Object} spec - {signal1Name, cycle1, signal2Name, cycle2, text, row}.
+     *     For clocks, cycle -(n + 1) is the falling edge in cycle n.
+     *     text defaults to t1, t2, ...; row is the row index to insert at (default: below the lower signal).
+     * @returns {string} Name of the new measure
+     */
+    static addMeasure(app, spec) {
+        spec = spec || {};
+        const signal1 = TimingGenAPI.getSignal(app, 'addMeasure', spec.signal1Name);
+        const signal2 = TimingGenAPI.getSignal(app, 'addMeasure', spec.signal2Name);
+        TimingGenAPI.checkCycle(app, 'addMeasure', spec.cycle1, signal1, true);
+        TimingGenAPI.checkCycle(app, 'addMeasure', spec.cycle2, signal2, true);
+        
+        let row = spec.row;
+        if (row === undefined) {
+            const signalRows = [spec.signal1Name, spec.signal2Name].map(signalName =>
+                app.rows.findIndex(r => r.type === 'signal' && r.name === signalName));
+            row = Math.max(...signalRows) + 1;
+        } else if (!Number.isInteger(row) || row < 0 || row > app.rows.length) {
+            throw new Error(`addMeasure: row must be an integer from 0 to ${app.rows.length}`);
+        }
+        
+        // Keep AC tables at the bottom
+        const acTableIndex = app.rows.findIndex(r => r.type === 'ac-table');
+        if (acTableIndex >= 0 && row > acTableIndex) {
+            row = acTableIndex;
+        }
+        
+        const measureName = `M${app.measureCounter}`;
+        app.measureCounter++;
+        let text = spec.text;
+        if (text === undefined || text === null || text === '') {
+            app.measureTextCounter++;
+            text = `t${app.measureTextCounter}`;
+        }
+        
+        const measure = {
+            name: measureName,
+            signal1Name: spec.signal1Name,
+            signal1Row: null,
+            cycle1: spec.cycle1,
+            signal2Name: spec.signal2Name,
+            signal2Row: null,
+            cycle2: spec.cycle2,
+            measureRow: row,
+            text: String(text),
+            textX: null,
+            textFont: 'Arial',
+            textSize: 12,
+            textColor: '#FF0000'
+        };
+        
+        app.measuresData.set(measureName, measure);
+        app.addACTableRowForMeasure(measureName, measure);
+        app.rows.splice(row, 0, { type: 'measure', name: measureName });
+        
+        app.recalculateArrowPositions();
+        app.render();
+        return measureName;
+    }
+    
+    /**
+     * Add an arrow from a point on one signal to a point on another
+     * @param {TimingGenApp} app - Main application instance
+     * @param {Object} spec - {signal1Name, cycle1, poi1Type, signal2Name, cycle2, poi2Type,
+     *     text, color, width, textFont, textSize, textColor}. Point types: see TimingGenArrow.POI_TYPES (default 'auto').
+     * @returns {string} Name of the new arrow
+     */
+    static addArrow(app, spec) {
+        spec = spec || {};
+        const signal1 = TimingGenAPI.getSignal(app, 'addArrow', spec.signal1Name);
+        const signal2 = TimingGenAPI.getSignal(app, 'addArrow', spec.signal2Name);
+        TimingGenAPI.checkCycle(app, 'addArrow', spec.cycle1, signal1);
+        TimingGenAPI.checkCycle(app, 'addArrow', spec.cycle2, signal2);
+        [spec.poi1Type, spec.poi2Type].forEach(poiType => {
+            if (poiType !== undefined && !TimingGenArrow.POI_TYPES.includes(poiType)) {
+                throw new Error(`addArrow: unknown point type "${poiType}" (use ${TimingGenArrow.POI_TYPES.join(', ')})`);
+            }
+        });
+        
+        const arrowName = `A${app.arrowCounter}`;
+        app.arrowCounter++;
+        
+        // Defaults of the Add Arrow tool
+        const arrow = {
+            name: arrowName,
+            signal1Name: spec.signal1Name,
+            cycle1: spec.cycle1,
+            poi1Type: spec.poi1Type || 'auto',
+            signal2Name: spec.signal2Name,
+            cycle2: spec.cycle2,
+            poi2Type: spec.poi2Type || 'auto',
+            startX: null,
+            startY: null,
+            endX: null,
+            endY: null,
+            ctrl1X: null,
+            ctrl1Y: null,
+            ctrl2X: null,
+            ctrl2Y: null,
+            width: spec.width !== undefined ? spec.width : 2,
+            color: spec.color || '#0000FF',
+            text: spec.text !== undefined ? String(spec.text) : 'result',
+            textFont: spec.textFont || 'Arial',
+            textSize: spec.textSize || 12,
+            textColor: spec.textColor || '#0000FF'
+        };
+        app.arrowsData.set(arrowName, arrow);
+        
+        // Computes the end and control points from the signals
+        app.recalculateArrowPositions();
+        app.render();
+        return arrowName;
+    }
+    
+    /**
+     * Change the number of cycles
+     * @param {TimingGenApp} app - Main application instance
+     * @param {number} cycles - New number of cycles (1 or more)
+     */
+    static setCycles(app, cycles) {
+        if (!Number.isInteger(cycles) || cycles < 1) {
+            throw new Error('setCycles: cycles must be a positive integer');
+        }
+        
+        app.config.cycles = cycles;
+        const cyclesInput = document.getElementById('cycles-input');
+        if (cyclesInput) {
+            cyclesInput.value = cycles;
+        }
+        app.initializeCanvas();
+        app.recalculateArrowPositions();
+        app.render();
+    }
+    
+    /**
+     * Get the document in the saved file format (a copy)
+     * @param {TimingGenApp} app - Main application instance
+     * @returns {Object} Document data as written by Save
+     */
+    static getData(app) {
+        return JSON.parse(JSON.stringify(TimingGenData.buildSaveData(app)));
+    }
+    
+    /**
+     * Render the diagram as SVG, the same as File > Export SVG but returned instead of downloaded
+     * @param {TimingGenApp} app - Main application instance
+     * @returns {string} SVG document
+     */
+    static exportSVG(app) {
+        return TimingGenData.renderSVG(app);
+    }
+    
+    // ========================================
+    // Argument Checks
+    // ========================================
+    
+    /**
+     * Get a signal by name or throw
+     * @param {TimingGenApp} app - Main application instance
+     * @param {string} method - API method name for the error message
+     * @param {string} name - Signal name
+     * @returns {Object} Signal object
+     */
+    static getSignal(app, method, name) {
+        const signal = app.signalsData.get(name);
+        if (!signal) {
+            throw new Error(`${method}: signal "${name}" does not exist`);
+        }
+        return signal;
+    }
+    
+    /**
+     * Check that a cycle of a signal's clock domain is inside the diagram
+     * @param {TimingGenApp} app - Main application instance
+     * @param {string} method - API method name for the error message
+     * @param {number} cycle - Cycle number (bit/bus signals also take half and quarter cycles, analog signals any fraction)
+     * @param {Object} signal - Signal the cycle belongs to (its base clock's cycles for bit/bus signals)
+     * @param {boolean} [allowFallingEdge] - Also accept -(n + 1) for a clock's falling edge in cycle n
+     * @returns {number} The cycle
+     */
+    static checkCycle(app, method, cycle, signal, allowFallingEdge) {
+        const cycles = app.getSignalCycleCount(signal);
+        const min = allowFallingEdge ? -cycles : 0;
+        if (Number.isFinite(cycle) && !TimingGenModel.isValueCycle(signal, cycle)) {
+            throw new Error(signal.type === 'clock' ?
+                `${method}: cycles of clock ${signal.name} are whole numbers (found ${cycle})` :
+                `${method}: cycles of ${signal.name} are whole, half or quarter cycles (found ${cycle})`);
+        }
+        if (!Number.isFinite(cycle) || cycle < min || cycle >= cycles) {
+            throw new Error(`${method}: cycle ${cycle} of ${signal.name} is outside the diagram (0 to ${cycles - 1})`);
+        }
+        return cycle;
+    }
+    
+    /**
+     * Check the scale and thresholds of an analog addSignal spec
+     * @param {Object} spec - Signal spec
+     * @returns {Object} The analog fields that are set
+     */
+    static checkAnalogOptions(spec) {
+        const options = {};
+        ['scaleMin', 'scaleMax'].forEach(field => {
+            if (spec[field] !== undefined) {
+                if (!Number.isFinite(spec[field])) {
+                    throw new Error(`addSignal: ${field} must be a number (found ${spec[field]})`);
+                }
+                options[field] = spec[field];
+            }
+        });
+        if (options.scaleMin !== undefined && options.scaleMax !== undefined && options.scaleMax <= options.scaleMin) {
+            throw new Error(`addSignal: scaleMax (${options.scaleMax}) must be above scaleMin (${options.scaleMin})`);
+        }
+        if (spec.thresholds !== undefined) {
+            if (!Array.isArray(spec.thresholds)) {
+                throw new Error('addSignal: thresholds must be a list of {value, label, color}');
+            }
+            options.thresholds = spec.thresholds.map(threshold => {
+                if (!threshold || !Number.isFinite(threshold.value)) {
+                    throw new Error(`addSignal: threshold values must be numbers (found ${threshold ? threshold.value : threshold})`);
+                }
+                const entry = { value: threshold.value };
+                if (threshold.label !== undefined) {
+                    entry.label = String(threshold.label);
+                }
+                if (threshold.color !== undefined) {
+                    entry.color = String(threshold.color);
+                }
+                return entry;
+            });
+        }
+        return options;
+    }
+    
+    /**
+     * Check the clock timing fields of an addSignal spec
+     * @param {Object} spec - Signal spec
+     * @returns {Object} The timing fields that are set
+     */
+    static checkClockTiming(spec) {
+        const timing = {};
+        TimingGenModel.CLOCK_TIMING_FIELDS.forEach(field => {
+            if (spec[field] !== undefined) {
+                timing[field] = spec[field];
+            }
+        });
+        if (timing.period !== undefined && !(typeof timing.period === 'number' && timing.period > 0)) {
+            throw new Error(`addSignal: period must be a positive number (found ${timing.period})`);
+        }
+        if (timing.periodUnit !== undefined && !['cycles', 'time'].includes(timing.periodUnit)) {
+            throw new Error(`addSignal: periodUnit must be 'cycles' or 'time' (found ${timing.periodUnit})`);
+        }
+        if (timing.duty !== undefined && !(typeof timing.duty === 'number' && timing.duty > 0 && timing.duty < 100)) {
+            throw new Error(`addSignal: duty must be a percentage between 0 and 100 (found ${timing.duty})`);
+        }
+        if (timing.phase !== undefined && !Number.isFinite(timing.phase)) {
+            throw new Error(`addSignal: phase must be a number (found ${timing.phase})`);
+        }
+        if (timing.polarity !== undefined && !['high', 'low'].includes(timing.polarity)) {
+            throw new Error(`addSignal: polarity must be 'high' or 'low' (found ${timing.polarity})`);
+        }
+        return timing;
+    }
+    
+    /**
+     * Convert a value to the form stored for a signal type
+     * @param {Object} signal - Signal object
+     * @param {number|string|null} value - Value given to the API
+     * @param {string} method - API method name for the error message
+     * @returns {number|string|null} Stored value (null removes the change)
+     */
+    static normalizeValue(signal, value, method) {
+        if (value === null) {
+            return null;
+        }
+        
+        const text = String(value).trim();
+        if (signal.type === 'clock') {
+            const state = TimingGenModel.CLOCK_STATES.find(st => String(st) === text.toUpperCase());
+            if (state === undefined) {
+                throw new Error(`${method}: clock "${signal.name}" takes 'C' (running), 0, 1 (stopped) or 'G' (gated), not "${value}"`);
+            }
+            return state;
+        }
+        if (signal.type === 'analog') {
+            const number = typeof value === 'number' ? value : (text ? Number(text) : NaN);
+            if (!Number.isFinite(number)) {
+                throw new Error(`${method}: analog signal "${signal.name}" takes a number, not "${value}"`);
+            }
+            return number;
+        }
+        if (text.toUpperCase() === 'X' || text.toUpperCase() === 'Z') {
+            return text.toUpperCase();
+        }
+        if (signal.type === 'bit' || signal.type === 'diff') {
+            if (text !== '0' && text !== '1') {
+                throw new Error(`${method}: ${signal.type} signal "${signal.name}" takes 0, 1, 'X' or 'Z', not "${value}"`);
+            }
+            return parseInt(text);
+        }
+        if (!text) {
+            throw new Error(`${method}: empty value for bus signal "${signal.name}"`);
+        }
+        return text;
+    }
+    
+    /**
+     * Store a normalized value in a signal
+     * @param {Object} signal - Signal object
+     * @param {number} cycle - Cycle number
+     * @param {number|string|null} value - Value from normalizeValue
+     */
+    static storeValue(signal, cycle, value) {
+        if (value !== null) {
+            signal.values[cycle] = value;
+            return;
+        }
+        
+        // Same as Remove Change: the value and the cycle's options go
+        delete signal.values[cycle];
+        if (signal.cycleOptions && signal.cycleOptions[cycle]) {
+            delete signal.cycleOptions[cycle];
+            if (Object.keys(signal.cycleOptions).length === 0) {
+                delete signal.cycleOptions;
+            }
+        }
+    }
+}
+
+// Methods available on app.api
+TimingGenAPI.METHODS = [
+    'batch', 'addSignal', 'setValue', 'setValues', 'getValue', 'addMeasure', 'addArrow',
+    'setCycles', 'getData', 'exportSVG'
+];
+
+TimingGenAPI.SIGNAL_TYPES = ['clock', 'bit', 'bus', 'diff', 'analog'];
+
+// Fields of addSignal specs that only analog signals use
+TimingGenAPI.ANALOG_FIELDS = ['scaleMin', 'scaleMax', 'thresholds'];
+
+UndoRedoManager.registerActions(TimingGenAPI, {
+    batch: (app, label) => label,
+    addSignal: (app, spec) => `Add signal ${spec && spec.name}`,
+    setValue: (app, name, cycle, value) => (value === null ?
+        `Remove change ${name}[${cycle}]` :
+        `Set ${app.signalsData.has(name) && app.signalsData.get(name).type === 'bus' ? 'bus ' : ''}${name}[${cycle}]=${value}`),
+    setValues: (app, name) => `Set values of ${name}`,
+    addMeasure: (app) => `Add measure M${app.measureCounter}`,
+    addArrow: (app) => `Add arrow A${app.arrowCounter}`,
+    setCycles: (app, cycles) => `Set cycles to ${cycles}`
+});
@@ -127,7 +127,7 @@ class TimingGenArrow {
      */
     static finalizeArrow(app) {
         // Capture state before action
-        app.undoRedoManager.captureState();
+        app.undoRedoManager.captureState(`Add arrow ${app.currentArrow.name}`);
         
         // Calculate control points for bezier curve
         const dx = app.currentArrow.endX - app.currentArrow.startX;
@@ -177,7 +177,7 @@ class TimingGenArrow {
     static deleteArrow(app) {
         if (app.currentEditingArrowName) {
             // Capture state before action
-            app.undoRedoManager.captureState();
+            app.undoRedoManager.captureState(`Delete arrow ${app.currentEditingArrowName}`);
             
             app.arrowsData.delete(app.currentEditingArrowName);
             app.currentEditingArrowName = null;
@@ -231,7 +231,7 @@ class TimingGenArrow {
         }
         
         // Capture state before action
-        app.undoRedoManager.captureState();
+        app.undoRedoManager.captureState(`Change arrow ${arrow.name} options`);
         
         // Get values from dialog
         arrow.width = parseInt(document.getElementById('arrow-width-input').value) || 2;
@@ -313,7 +313,7 @@ class TimingGenArrow {
         }
         
         // Capture state before action
-        app.undoRedoManager.captureState();
+        app.undoRedoManager.captureState(`Edit arrow ${arrow.name} text`);
         
         arrow.text = document.getElementById('edit-arrow-text-input').value;
         TimingGenArrow.hideEditArrowTextDialog(app);
@@ -362,7 +362,7 @@ class TimingGenArrow {
         }
         
         // Capture state before action
-        app.undoRedoManager.captureState();
+        app.undoRedoManager.captureState(`Change arrow ${arrow.name} text options`);
         
         arrow.textFont = document.getElementById('arrow-text-font-select').value;
         arrow.textSize = parseInt(document.getElementById('arrow-text-size-input').value, 10) || 12;
@@ -403,7 +403,7 @@ class TimingGenArrow {
      */
     static startDraggingArrowPoint(app, arrowName, pointIndex, event) {
         // Capture state before action
-        app.undoRedoManager.captureState();
+        app.undoRedoManager.captureState(`Move arrow ${arrowName} point ${pointIndex}`);
         
         app.isDraggingArrowPoint = true;
         app.draggingArrowPointIndex = pointIndex;
@@ -547,7 +547,7 @@ class TimingGenArrow {
      * @param {TimingGenApp} app - Main application instance
      * @param {string} signalName - Name of the signal
      * @param {number} cycle - Cycle number
-     * @param {string} poiType - Type of POI ('auto', 'low', 'mid', 'high', 'slew-start', 'slew-center', 'slew-end', 'rising', 'falling')
+     * @param {string} poiType - Type of POI ('auto', 'low', 'mid', 'high', 'slew-start', 'slew-center', 'slew-end', 'rising', 'falling', 'crossing')
      * @returns {Object|null} Point object with x, y, signalName, cycle, poiType or null
      */
     static getPointOfInterest(app, signalName, cycle, poiType = 'auto') {
@@ -562,6 +562,8 @@ class TimingGenArrow {
         // - 'slew-end': End of slew slope
         // - 'rising': Middle of rising transition (clock)
         // - 'falling': Middle of falling transition (clock)
+        // - 'crossing': Where the traces of a differential signal cross (diff)
+        // Analog signals have one point per cycle: on the waveform (e.g. at a threshold crossing)
         
         const signal = app.getSignalByName(signalName);
         if (!signal) return null;
@@ -578,22 +580,27 @@ class TimingGenArrow {
         
         if (signal.type === 'clock') {
             // Clock signal POIs
+            // Edge positions follow the clock's period, duty cycle, phase and polarity
             if (poiType === 'rising' || (poiType === 'auto' && cycle > 0)) {
-                // Middle of rising transition (at cycle boundary)
-                x = app.config.nameColumnWidth + cycle * app.config.cycleWidth;
+                // Middle of rising transition
+                x = app.getEventX(signal, cycle);
                 y = baseY + rowHeight * 0.5;
             } else if (poiType === 'falling') {
-                // Middle of falling transition (at mid-cycle)
-                x = app.config.nameColumnWidth + cycle * app.config.cycleWidth + app.config.cycleWidth * 0.5;
+                // Middle of falling transition
+                x = app.getEventX(signal, -(cycle + 1));
                 y = baseY + rowHeight * 0.5;
             } else {
-                // Default: cycle boundary, middle
-                x = app.config.nameColumnWidth + cycle * app.config.cycleWidth;
+                // Default: rising edge, middle
+                x = app.getEventX(signal, cycle);
                 y = baseY + rowHeight * 0.5;
             }
-        } else if (signal.type === 'bit' || signal.type === 'bus') {
-            // Bit/Bus signal POIs
-            const stateCycle = cycle === 0 ? 0 : cycle - 1;
+        } else if (signal.type === 'analog') {
+            x = app.getCycleX(signal, cycle);
+            y = TimingGenModel.getAnalogY(signal, TimingGenModel.getAnalogValueAtCycle(signal, cycle), baseY, rowHeight);
+        } else if (signal.type === 'bit' || signal.type === 'bus' || signal.type === 'diff') {
+            // Bit/Bus/Diff signal POIs
+            // Value before the change (the previous half cycle for changes between clock edges)
+            const stateCycle = cycle === 0 ? 0 : TimingGenModel.getPreviousValueCycle(signal, cycle);
             const currentValue = app.getBitValueAtCycle(signal, cycle);
             const prevValue = app.getBitValueAtCycle(signal, stateCycle);
             const hasTransition = cycle > 0 && currentValue !== prevValue && currentValue !== 'X' && prevValue !== 'X';
@@ -601,18 +608,24 @@ class TimingGenArrow {
             // Calculate slew positions using signal-specific delay and slew values
             const delayInfo = app.getEffectiveDelay(signal, cycle);
             const slewPixels = app.getEffectiveSlew(signal, cycle);
-            const slewStartX = app.config.nameColumnWidth + cycle * app.config.cycleWidth + delayInfo.min;
+            const cycleX = app.getCycleX(signal, cycle);
+            const slewStartX = cycleX + delayInfo.min;
             const slewEndX = slewStartX + slewPixels;
             const slewCenterX = slewStartX + slewPixels / 2;
+            // Differential traces cross half way through the slew
+            const isCrossing = TimingGenModel.isDiffCrossing(signal, cycle);
             
-            if (poiType === 'low' || (poiType === 'auto' && prevValue === 0)) {
-                x = app.config.nameColumnWidth + cycle * app.config.cycleWidth;
+            if ((poiType === 'crossing' || poiType === 'auto') && isCrossing) {
+                x = slewCenterX;
+                y = baseY + rowHeight * 0.5;
+            } else if (poiType === 'low' || (poiType === 'auto' && prevValue === 0)) {
+                x = cycleX;
                 y = baseY + rowHeight * 0.8;
             } else if (poiType === 'high' || (poiType === 'auto' && prevValue === 1)) {
-                x = app.config.nameColumnWidth + cycle * app.config.cycleWidth;
+                x = cycleX;
                 y = baseY + rowHeight * 0.2;
             } else if (poiType === 'mid' || poiType === 'auto') {
-                x = app.config.nameColumnWidth + cycle * app.config.cycleWidth;
+                x = cycleX;
                 y = baseY + rowHeight * 0.5;
             } else if (poiType === 'slew-start' && hasTransition) {
                 x = slewStartX;
@@ -639,7 +652,7 @@ class TimingGenArrow {
                 }
             } else {
                 // Fallback to cycle boundary, middle
-                x = app.config.nameColumnWidth + cycle * app.config.cycleWidth;
+                x = cycleX;
                 y = baseY + rowHeight * 0.5;
             }
         } else {
@@ -669,17 +682,21 @@ class TimingGenArrow {
             // Clock signals: rising and falling transitions
             pois.push(TimingGenArrow.getPointOfInterest(app, signalName, cycle, 'rising'));
             pois.push(TimingGenArrow.getPointOfInterest(app, signalName, cycle, 'falling'));
-        } else if (signal.type === 'bit' || signal.type === 'bus') {
-            // Bit/Bus signals: low, mid, high positions
+        } else if (signal.type === 'analog') {
+            // Analog signals: the point on the waveform
+            pois.push(TimingGenArrow.getPointOfInterest(app, signalName, cycle, 'auto'));
+        } else if (signal.type === 'bit' || signal.type === 'bus' || signal.type === 'diff') {
+            // Bit/Bus/Diff signals: low, mid, high positions
             pois.push(TimingGenArrow.getPointOfInterest(app, signalName, cycle, 'low'));
             pois.push(TimingGenArrow.getPointOfInterest(app, signalName, cycle, 'mid'));
             pois.push(TimingGenArrow.getPointOfInterest(app, signalName, cycle, 'high'));
             
             // Add slew positions if there's a transition
-            const stateCycle = cycle === 0 ? 0 : cycle - 1;
+            // Value before the change (the previous half cycle for changes between clock edges)
+            const stateCycle = cycle === 0 ? 0 : TimingGenModel.getPreviousValueCycle(signal, cycle);
             let hasTransition = false;
             
-            if (signal.type === 'bit') {
+            if (signal.type === 'bit' || signal.type === 'diff') {
                 const currentValue = app.getBitValueAtCycle(signal, cycle);
                 const prevValue = app.getBitValueAtCycle(signal, stateCycle);
                 hasTransition = cycle > 0 && currentValue !== prevValue && currentValue !== 'X' && prevValue !== 'X';
@@ -694,6 +711,11 @@ class TimingGenArrow {
                 pois.push(TimingGenArrow.getPointOfInterest(app, signalName, cycle, 'slew-center'));
                 pois.push(TimingGenArrow.getPointOfInterest(app, signalName, cycle, 'slew-end'));
             }
+            
+            // Crossover point of a differential pair
+            if (TimingGenModel.isDiffCrossing(signal, cycle)) {
+                pois.push(TimingGenArrow.getPointOfInterest(app, signalName, cycle, 'crossing'));
+            }
         }
         
         return pois.filter(poi => poi !== null);
@@ -718,7 +740,7 @@ class TimingGenArrow {
         
         const signalRow = app.rowManager.signalIndexToRowIndex(signalIndex);
         const y = app.rowManager.getRowYPosition(signalRow) + app.config.rowHeight / 2;
-        const x = app.config.nameColumnWidth + cycle * app.config.cycleWidth;
+        const x = signal.type === 'clock' ? app.getEventX(signal, cycle) : app.getCycleX(signal, cycle);
         
         return { x, y, signalName, cycle };
     }
@@ -783,3 +805,6 @@ class TimingGenArrow {
         return false;
     }
 }
+
+// Arrow end point types (see getPointOfInterest)
+TimingGenArrow.POI_TYPES = ['auto', 'low', 'mid', 'high', 'slew-start', 'slew-center', 'slew-end', 'rising', 'falling', 'crossing'];
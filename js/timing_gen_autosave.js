@@ -0,0 +1,281 @@
+// Timing Gen 3 - Autosave Module
+// Version 3.4.1
+// Handles periodic autosave of the document to localStorage and crash recovery
+
+class TimingGenAutosave {
+    /**
+     * Start autosaving and offer to restore an unsaved session from a previous visit
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static start(app) {
+        if (!TimingGenAutosave.isAvailable()) {
+            return;
+        }
+        
+        app.autosaveSession = Date.now();
+        app.lastAutosaveJSON = null;
+        
+        TimingGenAutosave.offerRestore(app);
+        
+        setInterval(() => TimingGenAutosave.autosave(app), TimingGenAutosave.INTERVAL);
+        window.addEventListener('beforeunload', () => TimingGenAutosave.autosave(app));
+    }
+    
+    /**
+     * Start a new autosave session when the document is replaced (New, Load, import),
+     * so the snapshots of the previous document are kept
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static resetSession(app) {
+        if (!app.autosaveSession) {
+            return;
+        }
+        
+        TimingGenAutosave.autosave(app);
+        app.autosaveSession = Date.now();
+        app.lastAutosaveJSON = null;
+    }
+    
+    /**
+     * Check whether localStorage can be used (it may be disabled or blocked)
+     * @returns {boolean} True if snapshots can be stored
+     */
+    static isAvailable() {
+        try {
+            const key = TimingGenAutosave.KEY_PREFIX + 'test';
+            window.localStorage.setItem(key, '1');
+            window.localStorage.removeItem(key);
+            return true;
+        } catch (err) {
+            return false;
+        }
+    }
+    
+    /**
+     * Store the current document as a snapshot if it changed since the last autosave.
+     * The current session keeps updating one snapshot per document name; a new one is
+     * started every SNAPSHOT_INTERVAL so older versions stay available.
+     * @param {TimingGenApp} app - Main application instance
+     * @returns {Object|null} Index entry of the written snapshot, or null if nothing was written
+     */
+    static autosave(app) {
+        if (!app.autosaveSession || app.rows.length === 0) {
+            return null;
+        }
+        
+        const json = JSON.stringify(TimingGenData.buildSaveData(app));
+        const name = app.documentTitle || TimingGenData.DEFAULT_TITLE;
+        const now = Date.now();
+        const index = TimingGenAutosave.readIndex();
+        
+        let entry = index.find(e => e.session === app.autosaveSession && e.name === name);
+        if (json === app.lastAutosaveJSON && entry) {
+            return entry;
+        }
+        
+        if (!entry || now - entry.created > TimingGenAutosave.SNAPSHOT_INTERVAL) {
+            entry = {
+                key: `${TimingGenAutosave.KEY_PREFIX}${name}@${now}`,
+                name: name,
+                session: app.autosaveSession,
+                created: now
+            };
+        } else {
+            index.splice(index.indexOf(entry), 1);
+        }
+        entry.time = now;
+        entry.rows = app.rows.length;
+        entry.saved = false;
+        index.unshift(entry);
+        
+        // Drop the oldest snapshots beyond the limit, and more if storage is full
+        while (index.length > 0) {
+            index.splice(TimingGenAutosave.MAX_SNAPSHOTS).forEach(old => window.localStorage.removeItem(old.key));
+            try {
+                window.localStorage.setItem(entry.key, json);
+                TimingGenAutosave.writeIndex(index);
+                app.lastAutosaveJSON = json;
+                return entry;
+            } catch (err) {
+                if (index.length === 1) {
+                    // Not even this snapshot fits; keep the index in line with what was removed
+                    console.warn('Autosave failed:', err);
+                    window.localStorage.removeItem(entry.key);
+                    try {
+                        TimingGenAutosave.writeIndex([]);
+                    } catch (writeErr) {
+                        window.localStorage.removeItem(TimingGenAutosave.INDEX_KEY);
+                    }
+                    return null;
+                }
+                const old = index.pop();
+                window.localStorage.removeItem(old.key);
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Mark the current document as saved, so it is not offered for recovery
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static markSaved(app) {
+        const entry = TimingGenAutosave.autosave(app);
+        if (!entry) return;
+        
+        const index = TimingGenAutosave.readIndex();
+        const stored = index.find(e => e.key === entry.key);
+        if (stored) {
+            stored.saved = true;
+            TimingGenAutosave.writeIndex(index);
+        }
+    }
+    
+    /**
+     * Show the restore dialog if the most recent snapshot of an earlier session was not saved
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static offerRestore(app) {
+        const latest = TimingGenAutosave.readIndex().find(e => e.session !== app.autosaveSession);
+        if (latest && !latest.saved) {
+            TimingGenAutosave.showRestoreDialog(app);
+        }
+    }
+    
+    /**
+     * Show the dialog listing the stored snapshots, newest first
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static showRestoreDialog(app) {
+        app.hideAllMenus();
+        
+        const index = TimingGenAutosave.readIndex();
+        if (index.length === 0) {
+            alert('There are no autosaved snapshots.');
+            return;
+        }
+        
+        const select = document.getElementById('autosave-snapshot-select');
+        select.innerHTML = '';
+        index.forEach((entry, i) => {
+            const option = document.createElement('option');
+            option.value = entry.key;
+            option.textContent = `${entry.name} - ${new Date(entry.time).toLocaleString()} ` +
+                                 `(${entry.rows} rows${entry.saved ? ', saved' : ''})`;
+            option.selected = i === 0;
+            select.appendChild(option);
+        });
+        
+        document.getElementById('autosave-restore-dialog').style.display = 'flex';
+        select.focus();
+    }
+    
+    /**
+     * Hide the restore dialog
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static hideRestoreDialog(app) {
+        document.getElementById('autosave-restore-dialog').style.display = 'none';
+    }
+    
+    /**
+     * Open the snapshot selected in the restore dialog, in a new tab if the current
+     * document has rows. Snapshots go through the same file check as loaded files.
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static restoreSelected(app) {
+        const key = document.getElementById('autosave-snapshot-select').value;
+        const entry = TimingGenAutosave.readIndex().find(e => e.key === key);
+        const text = entry ? window.localStorage.getItem(key) : null;
+        if (!text) {
+            alert('This snapshot is no longer available.');
+            return;
+        }
+        
+        try {
+            const migration = TimingGenMigration.migrate(text, { cycleWidth: app.config.cycleWidth });
+            TimingGenAutosave.hideRestoreDialog(app);
+            TimingGenSchema.checkBeforeLoad(app, migration.data, entry.name, (data) => {
+                TimingGenAutosave.openSnapshot(app, data, entry);
+            });
+        } catch (err) {
+            alert('Error restoring snapshot: ' + err.message);
+            console.error('Restore error:', err);
+        }
+    }
+    
+    /**
+     * Open checked snapshot data as an unsaved document
+     * @param {TimingGenApp} app - Main application instance
+     * @param {Object} data - Document data in the current format
+     * @param {Object} entry - Index entry of the snapshot
+     */
+    static openSnapshot(app, data, entry) {
+        try {
+            if (app.tabs && app.rows.length > 0) {
+                // Keep the open document; restore into a new tab
+                TimingGenTabs.newTab(app);
+            }
+            TimingGenData.clearDocument(app);
+            TimingGenData.applyLoadedData(app, data);
+            app.documentTitle = entry.name;
+            app.lastAutosaveJSON = null;
+            
+            // The recovered work has not been saved to a file
+            app.undoRedoManager.clearHistory();
+            app.undoRedoManager.cleanPosition = -1;
+            
+            app.initializeCanvas();
+            app.render();
+            app.updateDocumentTitle();
+        } catch (err) {
+            alert('Error restoring snapshot: ' + err.message);
+            console.error('Restore error:', err);
+        }
+    }
+    
+    /**
+     * Delete all stored snapshots
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static discardSnapshots(app) {
+        if (!confirm('Delete all autosaved snapshots?')) {
+            return;
+        }
+        
+        TimingGenAutosave.readIndex().forEach(entry => window.localStorage.removeItem(entry.key));
+        window.localStorage.removeItem(TimingGenAutosave.INDEX_KEY);
+        app.lastAutosaveJSON = null;
+        TimingGenAutosave.hideRestoreDialog(app);
+    }
+    
+    /**
+     * Read the snapshot index, newest first
+     * @returns {Array} Array of {key, name, session, created, time, rows, saved}
+     */
+    static readIndex() {
+        try {
+            const index = JSON.parse(window.localStorage.getItem(TimingGenAutosave.INDEX_KEY));
+            return Array.isArray(index) ? index : [];
+        } catch (err) {
+            return [];
+        }
+    }
+    
+    /**
+     * Write the snapshot index
+     * @param {Array} index - Index entries, newest first
+     */
+    static writeIndex(index) {
+        window.localStorage.setItem(TimingGenAutosave.INDEX_KEY, JSON.stringify(index));
+    }
+}
+
+// localStorage keys: one index plus one entry per snapshot ("<prefix><document name>@<time>")
+TimingGenAutosave.INDEX_KEY = 'timingGen3.autosave.index';
+TimingGenAutosave.KEY_PREFIX = 'timingGen3.autosave.';
+
+// Autosave every 30 seconds; start a new snapshot every 5 minutes; keep the 10 newest
+TimingGenAutosave.INTERVAL = 30 * 1000;
+TimingGenAutosave.SNAPSHOT_INTERVAL = 5 * 60 * 1000;
+TimingGenAutosave.MAX_SNAPSHOTS = 10;
@@ -0,0 +1,163 @@
+// Timing Gen 3 - Script Console Module
+// Version 3.4.1
+// Handles the script console: a collapsible panel that runs JavaScript snippets
+// against the open document. A script sees these variables:
+//   app     - the TimingGenApp (app.rows, app.signalsData, app.measuresData, helper methods)
+//   api     - the scripting API (app.api, see timing_gen_api.js)
+//   signals - the signals in row order (the objects stored in app.signalsData)
+//   print   - print(...values) writes to the console output
+//
+// Example, set every X cycle of all buses to Z:
+//   signals.filter(s => s.type === 'bus').forEach(s => {
+//       Object.keys(s.values).forEach(c => { if (s.values[c] === 'X') s.values[c] = 'Z'; });
+//   });
+//
+// A script run is one undo command. If the script throws, its changes are undone.
+
+class TimingGenConsole {
+    /**
+     * Show or hide the console panel
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static toggleConsole(app) {
+        const panel = document.getElementById('console-panel');
+        if (!panel) return;
+        
+        panel.style.display = panel.style.display === 'none' ? 'flex' : 'none';
+        if (panel.style.display !== 'none') {
+            document.getElementById('console-input').focus();
+        }
+    }
+    
+    /**
+     * Collapse the console panel to its header, or expand it again
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static toggleCollapsed(app) {
+        const panel = document.getElementById('console-panel');
+        const button = document.getElementById('console-collapse-btn');
+        const collapsed = panel.classList.toggle('collapsed');
+        button.innerHTML = collapsed ? '&#9652;' : '&#9662;';
+        button.title = collapsed ? 'Expand' : 'Collapse';
+    }
+    
+    /**
+     * Run the script in the console input and show its result in the output
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static run(app) {
+        const input = document.getElementById('console-input');
+        const code = input.value;
+        if (!code.trim()) {
+            return;
+        }
+        
+        TimingGenConsole.appendOutput(code, 'console-script');
+        try {
+            const result = TimingGenConsole.runScript(app, code,
+                (...values) => TimingGenConsole.appendOutput(values.map(TimingGenConsole.formatValue).join(' '), 'console-print'));
+            if (result !== undefined) {
+                TimingGenConsole.appendOutput(TimingGenConsole.formatValue(result), 'console-result');
+            }
+        } catch (err) {
+            TimingGenConsole.appendOutput(err instanceof Error ? `${err.name}: ${err.message}` : `Error: ${err}`, 'console-error');
+        } finally {
+            TimingGenConsole.refreshView(app);
+        }
+    }
+    
+    /**
+     * Run a script against the document.
+     * A single expression (e.g. "app.rows.length") returns its value; otherwise use return.
+     * @param {TimingGenApp} app - Main application instance
+     * @param {string} code - JavaScript source
+     * @param {Function} print - Called with the values the script prints
+     * @returns {*} Value of the expression or of the script's return statement
+     */
+    static runScript(app, code, print) {
+        const params = ['app', 'api', 'signals', 'print'];
+        let script;
+        try {
+            script = new Function(...params, `'use strict';\nreturn (\n${code}\n);`);
+        } catch (err) {
+            // Not a single expression: run it as statements
+            script = new Function(...params, `'use strict';\n${code}`);
+        }
+        
+        try {
+            return script(app, app.api, app.getSignals(), print);
+        } catch (err) {
+            if (app.undoRedoManager) {
+                app.undoRedoManager.revertAction();
+            }
+            throw err;
+        }
+    }
+    
+    /**
+     * Redraw after a script, which may have changed anything (cycles, rows, positions)
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static refreshView(app) {
+        document.getElementById('cycles-input').value = app.config.cycles;
+        app.initializeCanvas();
+        app.recalculateArrowPositions();
+        app.render();
+    }
+    
+    /**
+     * Add an entry to the console output
+     * @param {string} text - Entry text
+     * @param {string} className - console-script, console-print, console-result or console-error
+     */
+    static appendOutput(text, className) {
+        const output = document.getElementById('console-output');
+        const entry = document.createElement('div');
+        entry.className = `console-entry ${className}`;
+        entry.textContent = text;
+        output.appendChild(entry);
+        output.scrollTop = output.scrollHeight;
+    }
+    
+    /**
+     * Clear the console output
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static clearOutput(app) {
+        document.getElementById('console-output').innerHTML = '';
+    }
+    
+    /**
+     * Format a value for the console output (Maps and Sets as their entries)
+     * @param {*} value - Value printed or returned by a script
+     * @returns {string} Text shown in the output
+     */
+    static formatValue(value) {
+        if (typeof value === 'string') {
+            return value;
+        }
+        if (typeof value === 'function' || typeof value === 'symbol' || value === undefined) {
+            return String(value);
+        }
+        try {
+            return JSON.stringify(value, (key, item) => {
+                if (item instanceof Map) return Object.fromEntries(item);
+                if (item instanceof Set) return Array.from(item);
+                return item;
+            }, 2);
+        } catch (err) {
+            return String(value);
+        }
+    }
+}
+
+// Longest script text shown in an undo command label
+TimingGenConsole.MAX_LABEL_LENGTH = 40;
+
+UndoRedoManager.registerActions(TimingGenConsole, {
+    runScript: (app, code) => {
+        const firstLine = code.trim().split('\n')[0].trim();
+        return `Run script: ${firstLine.length > TimingGenConsole.MAX_LABEL_LENGTH ?
+            firstLine.slice(0, TimingGenConsole.MAX_LABEL_LENGTH) + '...' : firstLine}`;
+    }
+});
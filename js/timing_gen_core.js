@@ -25,54 +25,15 @@ class TimingGenApp {
         // Setup Paper.js
         paper.setup(this.canvas);
         
-        // Configuration
-        this.config = {
-            cycles: 20,
-            nameColumnWidth: 150,
-            cycleWidth: 60,
-            rowHeight: 80, // deprecated - kept for backward compatibility
-            signalRowHeight: 80, // height for signal rows
-            measureRowHeight: 80, // height for measure/group rows
-            headerHeight: 50,
-            slew: 4, // pixels for slew transition (default: 4)
-            clockPeriod: 10, // default clock period value
-            clockPeriodUnit: 'ns', // default time unit
-            delayMin: 0, // minimum delay value in clock period units
-            delayMax: 0, // maximum delay value in clock period units
-            delayColor: '#0000FF', // color for delay uncertainty region (default: blue)
-            gridColor: '#e0e0e0',
-            signalColor: '#000000',
-            backgroundColor: '#ffffff'
-        };
+        // Configuration, rows, data maps, tears and name counters (see TimingGenModel.createDocument)
+        Object.assign(this, TimingGenModel.createDocument());
         
-        // Data model v3.4.0 - Extended with AC Table tool and Group row type
-        // rows: defines order only - Array of {type: 'signal'|'measure'|'text'|'counter'|'ac-table'|'group', name: string}
-        // signalsData: Map<name, signalObject> - actual signal data
-        // measuresData: Map<name, measureObject> - actual measure data
-        // textData: Map<name, textObject> - actual text data
-        // counterData: Map<name, counterObject> - actual counter data
-        // arrowsData: Map<name, arrowObject> - actual arrow data
-        // acTablesData: Map<name, acTableObject> - actual AC table data
-        // groupsData: Map<name, groupObject> - actual group data (contains array of measure names)
-        // tears: Set<number> - cycles that have tear marks
-        this.rows = [];
-        this.signalsData = new Map();  // Key: signal name, Value: signal object
-        this.measuresData = new Map(); // Key: measure name (auto-generated), Value: measure object
-        this.textData = new Map();     // Key: text name (auto-generated), Value: text object
-        this.counterData = new Map();  // Key: counter name (auto-generated), Value: counter object
-        this.arrowsData = new Map();   // Key: arrow name (auto-generated), Value: arrow object
-        this.acTablesData = new Map(); // Key: table name (auto-generated), Value: AC table object
-        this.groupsData = new Map();   // Key: group name (auto-generated), Value: {name, measures: [measureNames]}
-        this.tears = new Set();        // Set of cycle numbers that have tear marks
-        
-        // Counter for auto-generating unique measure names
-        this.measureCounter = 0;
-        this.measureTextCounter = 0; // Counter for measure text (t1, t2, t3...)
-        this.textCounter = 0;
-        this.counterCounter = 0;
-        this.arrowCounter = 0;
-        this.acTableCounter = 0;
-        this.groupCounter = 0; // Counter for group names (G0, G1, G2...)
+        // Document title and the file it was loaded from / saved to
+        this.documentTitle = TimingGenData.DEFAULT_TITLE; // Saved in the file; names exports and autosave snapshots
+        this.fileName = null;   // File name used by Save (null until loaded or saved)
+        this.fileHandle = null; // File System Access handle for saving in place, if supported
+        this.documentId = 0;    // Changes whenever the document is replaced; unique across tabs
+        this.nextDocumentId = 1;
         
         // Row manager for unified row system
         this.rowManager = new RowManager(this);
@@ -80,6 +41,9 @@ class TimingGenApp {
         // Undo/Redo manager
         this.undoRedoManager = new UndoRedoManager(this);
         
+        // Scripting API (see TimingGenAPI), e.g. app.api.addSignal({name: 'clk', type: 'clock'})
+        this.api = TimingGenAPI.create(this);
+        
         this.currentEditingSignal = null;
         this.currentEditingCycle = null;
         this.currentRightClickCycle = null; // Track cycle for context menu actions (e.g., delete tear)
@@ -114,6 +78,7 @@ class TimingGenApp {
         
         // AC Table state
         this.currentEditingACTable = null; // Name of AC table being edited
+        this.acTableImportTarget = null; // Name of AC table receiving a CSV import
         this.currentEditingACCell = null; // {tableName, cellType, rowIndex, colName}
         this.currentEditingNote = null; // {tableName, noteNum} for editing note text
         this.isDraggingACColumnDivider = false; // For resizing columns
@@ -144,12 +109,19 @@ class TimingGenApp {
         
         this.initializeCanvas();
         this.setupEventListeners();
+        
+        // Document tabs (the document above is the first tab)
+        TimingGenTabs.init(this);
+        
         this.render();
+        this.updateDocumentTitle();
+        
+        // Periodic autosave and recovery of unsaved work
+        TimingGenAutosave.start(this);
     }
     
     initializeCanvas() {
-        const width = this.config.nameColumnWidth + this.config.cycles * this.config.cycleWidth + 100;
-        const height = this.config.headerHeight + 10 * this.config.signalRowHeight + 100;
+        const { width, height } = TimingGenModel.getCanvasSize(this.config);
         this.canvas.width = width;
         this.canvas.height = height;
         paper.view.viewSize = new paper.Size(width, height);
@@ -164,13 +136,48 @@ class TimingGenApp {
         document.getElementById('new-btn').addEventListener('click', () => this.handleNewDocument());
         document.getElementById('undo-btn').addEventListener('click', () => this.undoRedoManager.undo());
         document.getElementById('redo-btn').addEventListener('click', () => this.undoRedoManager.redo());
+        document.getElementById('history-btn').addEventListener('click', () => this.undoRedoManager.toggleHistoryPanel());
+        document.getElementById('history-close-btn').addEventListener('click', () => this.undoRedoManager.toggleHistoryPanel());
+        document.getElementById('dsl-btn').addEventListener('click', () => TimingGenDSL.toggleEditor(this));
+        document.getElementById('dsl-close-btn').addEventListener('click', () => TimingGenDSL.toggleEditor(this));
+        document.getElementById('dsl-input').addEventListener('input', () => TimingGenDSL.scheduleApply(this));
+        document.getElementById('dsl-input').addEventListener('blur', () => TimingGenDSL.finishEditing(this));
+        document.getElementById('console-btn').addEventListener('click', () => TimingGenConsole.toggleConsole(this));
+        document.getElementById('console-close-btn').addEventListener('click', () => TimingGenConsole.toggleConsole(this));
+        document.getElementById('console-collapse-btn').addEventListener('click', () => TimingGenConsole.toggleCollapsed(this));
+        document.getElementById('console-run-btn').addEventListener('click', () => TimingGenConsole.run(this));
+        document.getElementById('console-clear-btn').addEventListener('click', () => TimingGenConsole.clearOutput(this));
+        document.getElementById('console-input').addEventListener('keydown', (ev) => {
+            // Ctrl+Enter runs the script; Enter alone starts a new line
+            if ((ev.ctrlKey || ev.metaKey) && ev.key === 'Enter') {
+                ev.preventDefault();
+                TimingGenConsole.run(this);
+            }
+        });
         document.getElementById('redraw-btn').addEventListener('click', () => this.redrawAll());
         document.getElementById('add-signal-btn').addEventListener('click', () => TimingGenUI.showAddSignalDialog(this));
         document.getElementById('global-option-btn').addEventListener('click', () => TimingGenUI.showGlobalOptionDialog(this));
         document.getElementById('save-btn').addEventListener('click', () => TimingGenData.saveToJSON(this));
-        document.getElementById('load-btn').addEventListener('click', () => document.getElementById('file-input').click());
+        document.getElementById('save-menu-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            const submenu = document.getElementById('save-submenu');
+            submenu.style.display = submenu.style.display === 'none' ? 'block' : 'none';
+        });
+        document.getElementById('save-as-menu').addEventListener('click', () => {
+            document.getElementById('save-submenu').style.display = 'none';
+            TimingGenData.saveAsJSON(this);
+        });
+        document.getElementById('rename-document-menu').addEventListener('click', () => {
+            document.getElementById('save-submenu').style.display = 'none';
+            this.renameDocument();
+        });
+        document.getElementById('document-title').addEventListener('click', () => this.renameDocument());
+        document.getElementById('load-btn').addEventListener('click', () => TimingGenData.showOpenDialog(this));
         document.getElementById('export-svg-btn').addEventListener('click', () => TimingGenData.exportToSVG(this));
         document.getElementById('file-input').addEventListener('change', (ev) => TimingGenData.loadFromJSON(this, ev));
+        document.getElementById('wavejson-file-input').addEventListener('change', (ev) => TimingGenWaveDrom.importFromWaveJSON(this, ev));
+        document.getElementById('vcd-file-input').addEventListener('change', (ev) => TimingGenVCD.importFromVCD(this, ev));
+        document.getElementById('ac-table-csv-file-input').addEventListener('change', (ev) => TimingGenACTable.importACTableCSV(this, ev));
         document.getElementById('cycles-input').addEventListener('change', (ev) => this.updateCycles(ev.target.value));
         
         // Add menu and submenu
@@ -180,6 +187,8 @@ class TimingGenApp {
             submenu.style.display = submenu.style.display === 'none' ? 'block' : 'none';
             // Close other submenus
             document.getElementById('help-submenu').style.display = 'none';
+            document.getElementById('import-submenu').style.display = 'none';
+            document.getElementById('export-submenu').style.display = 'none';
         });
         document.getElementById('add-measure-menu').addEventListener('click', () => {
             document.getElementById('add-submenu').style.display = 'none';
@@ -210,6 +219,75 @@ class TimingGenApp {
             this.showAddTearDialog();
         });
         
+        // Import menu and submenu
+        document.getElementById('import-menu-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            const submenu = document.getElementById('import-submenu');
+            submenu.style.display = submenu.style.display === 'none' ? 'block' : 'none';
+            // Close other submenus
+            document.getElementById('add-submenu').style.display = 'none';
+            document.getElementById('help-submenu').style.display = 'none';
+            document.getElementById('export-submenu').style.display = 'none';
+        });
+        document.getElementById('import-wavejson-menu').addEventListener('click', () => {
+            document.getElementById('import-submenu').style.display = 'none';
+            TimingGenWaveDrom.showImportDialog(this);
+        });
+        document.getElementById('import-vcd-menu').addEventListener('click', () => {
+            document.getElementById('import-submenu').style.display = 'none';
+            TimingGenVCD.showImportDialog(this);
+        });
+        document.getElementById('import-autosave-menu').addEventListener('click', () => {
+            document.getElementById('import-submenu').style.display = 'none';
+            TimingGenAutosave.showRestoreDialog(this);
+        });
+        
+        // File check dialog (shown when a loaded file has schema errors or warnings)
+        document.getElementById('validation-repair-btn').addEventListener('click', () => TimingGenSchema.acceptPendingLoad(this, true));
+        document.getElementById('validation-keep-btn').addEventListener('click', () => TimingGenSchema.acceptPendingLoad(this, false));
+        document.getElementById('validation-cancel-btn').addEventListener('click', () => TimingGenSchema.hideReportDialog(this));
+        
+        // Autosave restore dialog
+        document.getElementById('autosave-restore-btn').addEventListener('click', () => TimingGenAutosave.restoreSelected(this));
+        document.getElementById('autosave-discard-btn').addEventListener('click', () => TimingGenAutosave.discardSnapshots(this));
+        document.getElementById('autosave-cancel-btn').addEventListener('click', () => TimingGenAutosave.hideRestoreDialog(this));
+        document.getElementById('autosave-snapshot-select').addEventListener('dblclick', () => TimingGenAutosave.restoreSelected(this));
+        
+        // Export menu and submenu
+        document.getElementById('export-menu-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            const submenu = document.getElementById('export-submenu');
+            submenu.style.display = submenu.style.display === 'none' ? 'block' : 'none';
+            // Close other submenus
+            document.getElementById('add-submenu').style.display = 'none';
+            document.getElementById('help-submenu').style.display = 'none';
+            document.getElementById('import-submenu').style.display = 'none';
+        });
+        document.getElementById('export-png-menu').addEventListener('click', () => {
+            document.getElementById('export-submenu').style.display = 'none';
+            TimingGenData.showPNGExportDialog(this);
+        });
+        document.getElementById('export-pdf-menu').addEventListener('click', () => {
+            document.getElementById('export-submenu').style.display = 'none';
+            TimingGenPDF.showExportDialog(this);
+        });
+        document.getElementById('export-wavejson-menu').addEventListener('click', () => {
+            document.getElementById('export-submenu').style.display = 'none';
+            TimingGenWaveDrom.exportToWaveJSON(this);
+        });
+        document.getElementById('export-vcd-menu').addEventListener('click', () => {
+            document.getElementById('export-submenu').style.display = 'none';
+            TimingGenVCD.exportToVCD(this);
+        });
+        document.getElementById('export-tikz-menu').addEventListener('click', () => {
+            document.getElementById('export-submenu').style.display = 'none';
+            TimingGenTikZ.exportToTikZ(this);
+        });
+        document.getElementById('export-dsl-menu').addEventListener('click', () => {
+            document.getElementById('export-submenu').style.display = 'none';
+            TimingGenDSL.exportToText(this);
+        });
+        
         // Help menu and submenu
         document.getElementById('help-menu-btn').addEventListener('click', (e) => {
             e.stopPropagation();
@@ -217,6 +295,8 @@ class TimingGenApp {
             submenu.style.display = submenu.style.display === 'none' ? 'block' : 'none';
             // Close other submenus
             document.getElementById('add-submenu').style.display = 'none';
+            document.getElementById('import-submenu').style.display = 'none';
+            document.getElementById('export-submenu').style.display = 'none';
         });
         document.getElementById('about-menu').addEventListener('click', () => {
             document.getElementById('help-submenu').style.display = 'none';
@@ -229,13 +309,28 @@ class TimingGenApp {
             const addBtn = document.getElementById('add-menu-btn');
             const helpSubmenu = document.getElementById('help-submenu');
             const helpBtn = document.getElementById('help-menu-btn');
+            const importSubmenu = document.getElementById('import-submenu');
+            const importBtn = document.getElementById('import-menu-btn');
+            const exportSubmenu = document.getElementById('export-submenu');
+            const exportBtn = document.getElementById('export-menu-btn');
+            const saveSubmenu = document.getElementById('save-submenu');
+            const saveMenuBtn = document.getElementById('save-menu-btn');
             
             if (!addBtn.contains(e.target) && !addSubmenu.contains(e.target)) {
                 addSubmenu.style.display = 'none';
             }
+            if (!importBtn.contains(e.target) && !importSubmenu.contains(e.target)) {
+                importSubmenu.style.display = 'none';
+            }
+            if (!exportBtn.contains(e.target) && !exportSubmenu.contains(e.target)) {
+                exportSubmenu.style.display = 'none';
+            }
             if (!helpBtn.contains(e.target) && !helpSubmenu.contains(e.target)) {
                 helpSubmenu.style.display = 'none';
             }
+            if (!saveMenuBtn.contains(e.target) && !saveSubmenu.contains(e.target)) {
+                saveSubmenu.style.display = 'none';
+            }
         });
         
         // About dialog
@@ -273,6 +368,18 @@ class TimingGenApp {
         document.getElementById('ac-table-dialog-ok-btn').addEventListener('click', () => this.addACTable());
         document.getElementById('ac-table-dialog-cancel-btn').addEventListener('click', () => this.hideAddACTableDialog());
         
+        // PNG export dialog
+        document.getElementById('png-export-ok-btn').addEventListener('click', () => TimingGenData.exportToPNG(this));
+        document.getElementById('png-export-cancel-btn').addEventListener('click', () => TimingGenData.hidePNGExportDialog(this));
+        
+        // PDF export dialog
+        document.getElementById('pdf-export-ok-btn').addEventListener('click', () => TimingGenPDF.exportToPDF(this));
+        document.getElementById('pdf-export-cancel-btn').addEventListener('click', () => TimingGenPDF.hideExportDialog(this));
+        
+        // VCD import dialog
+        document.getElementById('vcd-import-ok-btn').addEventListener('click', () => TimingGenVCD.applyVCDImport(this));
+        document.getElementById('vcd-import-cancel-btn').addEventListener('click', () => TimingGenVCD.hideSignalPickerDialog(this));
+        
         // Tear dialog
         document.getElementById('tear-dialog-ok-btn').addEventListener('click', () => this.addTear());
         document.getElementById('tear-dialog-cancel-btn').addEventListener('click', () => this.hideAddTearDialog());
@@ -303,6 +410,10 @@ class TimingGenApp {
         document.getElementById('move-ac-table-top-menu').addEventListener('click', () => this.moveACTableTo('top'));
         document.getElementById('move-ac-table-bottom-menu').addEventListener('click', () => this.moveACTableTo('bottom'));
         document.getElementById('update-ac-table-menu').addEventListener('click', () => this.updateCurrentACTable());
+        document.getElementById('import-ac-table-csv-menu').addEventListener('click', () => TimingGenACTable.showImportACTableCSVDialog(this));
+        document.getElementById('export-ac-table-csv-menu').addEventListener('click', () => this.exportCurrentACTable('csv'));
+        document.getElementById('export-ac-table-markdown-menu').addEventListener('click', () => this.exportCurrentACTable('markdown'));
+        document.getElementById('export-ac-table-html-menu').addEventListener('click', () => this.exportCurrentACTable('html'));
         document.getElementById('delete-ac-table-menu').addEventListener('click', () => this.deleteCurrentACTable());
         document.getElementById('cancel-ac-table-menu').addEventListener('click', () => this.hideAllMenus());
         
@@ -373,6 +484,8 @@ class TimingGenApp {
         // Edit signal dialog
         document.getElementById('edit-dialog-ok-btn').addEventListener('click', () => this.updateSignal());
         document.getElementById('edit-dialog-cancel-btn').addEventListener('click', () => TimingGenUI.hideEditSignalDialog());
+        document.getElementById('edit-signal-type-select').addEventListener('change', () => TimingGenUI.updateEditSignalSections(this));
+        document.getElementById('edit-clock-period-unit-select').addEventListener('change', () => TimingGenUI.updateEditSignalSections(this));
         
         // Bus value dialog
         document.getElementById('bus-dialog-ok-btn').addEventListener('click', () => this.setBusValue());
@@ -402,8 +515,22 @@ class TimingGenApp {
         document.getElementById('edit-signal-menu').addEventListener('click', () => TimingGenUI.showEditSignalDialog(this));
         document.getElementById('signal-options-menu').addEventListener('click', () => TimingGenUI.showSignalOptionsDialog(this));
         document.getElementById('delete-signal-menu').addEventListener('click', () => this.deleteSignal());
+        document.getElementById('copy-signal-menu').addEventListener('click', () => TimingGenTabs.copyCurrentSignals(this));
+        document.getElementById('paste-signal-menu').addEventListener('click', () => TimingGenTabs.pasteSignals(this, this.currentEditingSignal));
         document.getElementById('cancel-signal-menu').addEventListener('click', () => this.hideAllMenus());
         
+        // Document tab context menu handlers
+        document.getElementById('tab-paste-signals-menu').addEventListener('click', () => TimingGenTabs.pasteSignals(this, null));
+        document.getElementById('tab-rename-menu').addEventListener('click', () => {
+            this.hideAllMenus();
+            this.renameDocument();
+        });
+        document.getElementById('tab-close-menu').addEventListener('click', () => {
+            this.hideAllMenus();
+            TimingGenTabs.closeTab(this, this.activeTab);
+        });
+        document.getElementById('cancel-tab-menu').addEventListener('click', () => this.hideAllMenus());
+        
         // Bus cycle context menu handlers
         document.getElementById('set-bus-value-menu').addEventListener('click', () => {
             this.hideAllMenus();
@@ -444,6 +571,13 @@ class TimingGenApp {
         });
         document.getElementById('cancel-bit-cycle-menu').addEventListener('click', () => this.hideAllMenus());
         
+        // Clock cycle context menu - states are set by TimingGenUI.showClockCycleContextMenu
+        document.getElementById('remove-clock-change-menu').addEventListener('click', () => {
+            this.setClockState(this.currentEditingSignal, this.currentEditingCycle, null);
+            this.hideAllMenus();
+        });
+        document.getElementById('cancel-clock-cycle-menu').addEventListener('click', () => this.hideAllMenus());
+        
         // Cycle context menu handlers (for cycle header)
         document.getElementById('insert-cycles-global-menu').addEventListener('click', () => {
             this.hideAllMenus();
@@ -488,6 +622,27 @@ class TimingGenApp {
         
         // Keyboard shortcuts
         document.addEventListener('keydown', (ev) => {
+            // Ctrl+S saves, Ctrl+Shift+S saves under a new name
+            if ((ev.ctrlKey || ev.metaKey) && ev.key.toLowerCase() === 's') {
+                ev.preventDefault();
+                if (ev.shiftKey) {
+                    TimingGenData.saveAsJSON(this);
+                } else {
+                    TimingGenData.saveToJSON(this);
+                }
+                return;
+            }
+            // Ctrl+C / Ctrl+V copy and paste the selected signals (also between tabs)
+            if ((ev.ctrlKey || ev.metaKey) && !ev.shiftKey && ['c', 'v'].includes(ev.key.toLowerCase()) &&
+                !ev.target.closest('input, textarea, select, .dialog')) {
+                if (ev.key.toLowerCase() === 'c' && this.selectedSignals.size > 0) {
+                    TimingGenTabs.copySignals(this, this.selectedSignals);
+                } else if (ev.key.toLowerCase() === 'v' && this.signalClipboard.length > 0) {
+                    const selected = [...this.selectedSignals];
+                    TimingGenTabs.pasteSignals(this, selected.length > 0 ? Math.max(...selected) : null);
+                }
+                return;
+            }
             if (ev.key === 'Escape') {
                 TimingGenUI.hideAllDialogs(this);
                 this.hideAllMenus();
@@ -518,10 +673,7 @@ class TimingGenApp {
      * @returns {Array} Array of signal objects
      */
     getSignals() {
-        return this.rows
-            .filter(row => row.type === 'signal')
-            .map(row => this.signalsData.get(row.name))
-            .filter(signal => signal !== undefined);
+        return TimingGenModel.getSignals(this);
     }
     
     /**
@@ -529,10 +681,7 @@ class TimingGenApp {
      * @returns {Array} Array of measure objects  
      */
     getMeasures() {
-        return this.rows
-            .filter(row => row.type === 'measure')
-            .map(row => this.measuresData.get(row.name))
-            .filter(measure => measure !== undefined);
+        return TimingGenModel.getMeasures(this);
     }
     
     /**
@@ -587,6 +736,7 @@ class TimingGenApp {
         document.getElementById('signal-context-menu').style.display = 'none';
         document.getElementById('signal-name-context-menu').style.display = 'none';
         document.getElementById('bit-cycle-context-menu').style.display = 'none';
+        document.getElementById('clock-cycle-context-menu').style.display = 'none';
         document.getElementById('bus-cycle-context-menu').style.display = 'none';
         document.getElementById('bus-value-context-menu').style.display = 'none';
         document.getElementById('cycle-context-menu').style.display = 'none';
@@ -601,6 +751,7 @@ class TimingGenApp {
         document.getElementById('ac-cell-context-menu').style.display = 'none';
         document.getElementById('ac-param-context-menu').style.display = 'none';
         document.getElementById('ac-table-context-menu').style.display = 'none';
+        document.getElementById('tab-context-menu').style.display = 'none';
         
         // Clear editing state to prevent stale references
         // Note: Don't clear everything as some dialogs might still need the state
@@ -877,6 +1028,10 @@ class TimingGenApp {
         TimingGenACTable.updateCurrentACTable(this);
     }
     
+    exportCurrentACTable(format) {
+        TimingGenACTable.exportCurrentACTable(this, format);
+    }
+    
     updateACTableValues(tableName) {
         TimingGenACTable.updateACTableValues(this, tableName);
     }
@@ -900,55 +1055,10 @@ class TimingGenApp {
             return;
         }
         
-        // Capture state before action
-        this.undoRedoManager.captureState();
-        
-        const signal = {
-            name: name,
-            type: type,
-            values: {}
-        };
-        
-        // Add base_clock for bit and bus signals
-        if (type === 'bit' || type === 'bus') {
-            // Find the first clock signal, or use 'clk' as default
-            const signals = this.getSignals();
-            const clockSignal = signals.find(sg => sg.type === 'clock');
-            signal.base_clock = clockSignal ? clockSignal.name : 'clk';
-        }
-        
-        // Initialize default values
-        if (type === 'clock') {
-            // Clock signal - no need for values array
-        } else if (type === 'bit') {
-            // Bit signal starts at 0 (low)
-            signal.values[0] = 0;
-        } else if (type === 'bus') {
-            // Bus signal starts with 'X' (unknown)
-            signal.values[0] = 'X';
-        }
-        
-        // Add to data store
-        this.signalsData.set(name, signal);
-        
-        // Add to rows array - insert before AC tables to keep them at the bottom
-        const acTableIndex = this.rows.findIndex(r => r.type === 'ac-table');
-        if (acTableIndex >= 0) {
-            // Insert before the first AC table
-            this.rows.splice(acTableIndex, 0, {
-                type: 'signal',
-                name: name
-            });
-        } else {
-            // No AC table, add at end
-            this.rows.push({
-                type: 'signal',
-                name: name
-            });
-        }
+        // Added before the AC tables, with the first clock as base clock
+        TimingGenAPI.addSignal(this, { name: name, type: type });
         
         TimingGenUI.hideAddSignalDialog();
-        this.render();
     }
     
     updateSignal() {
@@ -961,8 +1071,42 @@ class TimingGenApp {
                 return;
             }
             
+            // Clock timing, in base clock cycles or in the clock period unit
+            let clockTiming = null;
+            if (type === 'clock') {
+                clockTiming = {
+                    period: parseFloat(document.getElementById('edit-clock-period-input').value),
+                    periodUnit: document.getElementById('edit-clock-period-unit-select').value,
+                    duty: parseFloat(document.getElementById('edit-clock-duty-input').value),
+                    phase: parseFloat(document.getElementById('edit-clock-phase-input').value) || 0,
+                    polarity: document.getElementById('edit-clock-polarity-select').value
+                };
+                if (isNaN(clockTiming.period) || clockTiming.period <= 0) {
+                    alert('Please enter a valid clock period');
+                    return;
+                }
+                if (isNaN(clockTiming.duty) || clockTiming.duty <= 0 || clockTiming.duty >= 100) {
+                    alert('Please enter a duty cycle between 0 and 100%');
+                    return;
+                }
+            }
+            const jitter = parseFloat(document.getElementById('edit-clock-jitter-input').value) || 0;
+            if (type === 'clock' && jitter < 0) {
+                alert('Please enter a jitter of 0 or more');
+                return;
+            }
+            
+            // Analog scale (blank fits the points) and threshold lines
+            let analogOptions = null;
+            if (type === 'analog') {
+                analogOptions = this.readAnalogOptions();
+                if (!analogOptions) {
+                    return;
+                }
+            }
+            
             // Capture state before action
-            this.undoRedoManager.captureState();
+            this.undoRedoManager.captureState(`Edit signal ${this.getSignalByIndex(this.currentEditingSignal).name}`);
             
             const signal = this.getSignalByIndex(this.currentEditingSignal);
             const oldType = signal.type;
@@ -972,20 +1116,55 @@ class TimingGenApp {
             // If type changed, reset values and update base_clock
             if (oldType !== type) {
                 signal.values = {};
-                if (type === 'bit') {
+                if (type === 'bit' || type === 'diff' || type === 'analog') {
                     signal.values[0] = 0;
-                    // Add base_clock for bit signals
-                    const clockSignal = this.getSignals().find(sg => sg.type === 'clock');
-                    signal.base_clock = clockSignal ? clockSignal.name : 'clk';
                 } else if (type === 'bus') {
                     signal.values[0] = 'X';
-                    // Add base_clock for bus signals
-                    const clockSignal = this.getSignals().find(sg => sg.type === 'clock');
-                    signal.base_clock = clockSignal ? clockSignal.name : 'clk';
                 } else if (type === 'clock') {
                     // Remove base_clock for clock signals
                     delete signal.base_clock;
                 }
+                if (oldType === 'clock') {
+                    TimingGenModel.CLOCK_TIMING_FIELDS.forEach(field => delete signal[field]);
+                    delete signal.jitter;
+                }
+                if (type === 'clock') {
+                    delete signal.transitionStep;
+                }
+                if (oldType === 'analog') {
+                    TimingGenAPI.ANALOG_FIELDS.forEach(field => delete signal[field]);
+                }
+            }
+            
+            if (analogOptions) {
+                TimingGenAPI.ANALOG_FIELDS.forEach(field => {
+                    if (analogOptions[field] !== undefined) {
+                        signal[field] = analogOptions[field];
+                    } else {
+                        delete signal[field];
+                    }
+                });
+            }
+            
+            if (type === 'clock') {
+                TimingGenModel.setClockTiming(signal, clockTiming);
+                if (jitter > 0) {
+                    signal.jitter = jitter;
+                } else {
+                    delete signal.jitter;
+                }
+            } else {
+                // Base clock, which decides where transitions land
+                const clockSignal = this.getSignals().find(sg => sg.type === 'clock');
+                signal.base_clock = document.getElementById('edit-signal-base-clock-select').value ||
+                    (clockSignal ? clockSignal.name : 'clk');
+                // Where clicks place changes; values already set between edges are kept
+                const transitionStep = parseFloat(document.getElementById('edit-signal-transition-step-select').value);
+                if (transitionStep !== 1 && TimingGenModel.TRANSITION_STEPS.includes(transitionStep)) {
+                    signal.transitionStep = transitionStep;
+                } else {
+                    delete signal.transitionStep;
+                }
             }
             
             TimingGenUI.hideEditSignalDialog();
@@ -993,13 +1172,57 @@ class TimingGenApp {
         }
     }
     
+    // Read the analog section of the Edit Signal dialog; null (after an alert) if it is invalid
+    readAnalogOptions() {
+        const options = {};
+        const scaleMin = document.getElementById('edit-analog-scale-min-input').value.trim();
+        const scaleMax = document.getElementById('edit-analog-scale-max-input').value.trim();
+        if (scaleMin !== '') {
+            options.scaleMin = parseFloat(scaleMin);
+        }
+        if (scaleMax !== '') {
+            options.scaleMax = parseFloat(scaleMax);
+        }
+        if (options.scaleMin !== undefined && options.scaleMax !== undefined && options.scaleMax <= options.scaleMin) {
+            alert('Please enter a scale max above the scale min');
+            return null;
+        }
+        
+        // Colors are not edited here; a threshold keeps the color it had at the same value
+        const signal = this.getSignalByIndex(this.currentEditingSignal);
+        const oldThresholds = TimingGenModel.getAnalogThresholds(signal);
+        const thresholds = [];
+        const lines = document.getElementById('edit-analog-thresholds-input').value.split('\n');
+        for (const line of lines.map(text => text.trim()).filter(text => text)) {
+            const match = line.match(/^(\S+)\s*(.*)$/);
+            const value = Number(match[1]);
+            if (!Number.isFinite(value)) {
+                alert(`Please start each threshold line with a voltage (found "${match[1]}")`);
+                return null;
+            }
+            const threshold = { value: value };
+            if (match[2]) {
+                threshold.label = match[2];
+            }
+            const oldThreshold = oldThresholds.find(old => old.value === value);
+            if (oldThreshold && oldThreshold.color) {
+                threshold.color = oldThreshold.color;
+            }
+            thresholds.push(threshold);
+        }
+        if (thresholds.length > 0) {
+            options.thresholds = thresholds;
+        }
+        return options;
+    }
+    
     deleteSignal() {
         this.hideAllMenus();
         if (this.currentEditingSignal !== null) {
             const signal = this.getSignalByIndex(this.currentEditingSignal);
             if (signal && confirm(`Delete signal "${signal.name}"?`)) {
                 // Capture state before action
-                this.undoRedoManager.captureState();
+                this.undoRedoManager.captureState(`Delete signal ${signal.name}`);
                 
                 // Delete from Maps
                 this.signalsData.delete(signal.name);
@@ -1021,15 +1244,12 @@ class TimingGenApp {
             const radix = document.getElementById('bus-radix-select').value;
             const value = document.getElementById('bus-value-input').value.trim();
             
-            // Capture state before action
-            this.undoRedoManager.captureState();
-            
             const signal = this.getSignalByIndex(this.currentEditingSignal);
             
             if (radix === 'X' || radix === 'Z') {
-                signal.values[this.currentEditingCycle] = radix;
+                TimingGenAPI.setValue(this, signal.name, this.currentEditingCycle, radix);
             } else if (value) {
-                signal.values[this.currentEditingCycle] = value;
+                TimingGenAPI.setValue(this, signal.name, this.currentEditingCycle, value);
             }
             
             TimingGenUI.hideBusValueDialog(this);
@@ -1039,7 +1259,7 @@ class TimingGenApp {
     
     updateCycles(newCycles) {
         // Capture state before action
-        this.undoRedoManager.captureState();
+        this.undoRedoManager.captureState(`Set cycles to ${newCycles}`);
         
         this.config.cycles = parseInt(newCycles);
         this.initializeCanvas();
@@ -1327,6 +1547,9 @@ class TimingGenApp {
                 if (transition) {
                     const measure = this.measuresData.get(this.currentEditingMeasureName);
                     if (measure) {
+                        // Capture state before action
+                        this.undoRedoManager.captureState(`Move measure ${measure.name} point 1`);
+                        
                         const signal = this.getSignalByIndex(transition.signalIndex);
                         measure.signal1Name = signal.name;
                         measure.cycle1 = transition.cycle;
@@ -1353,6 +1576,9 @@ class TimingGenApp {
                 if (transition) {
                     const measure = this.measuresData.get(this.currentEditingMeasureName);
                     if (measure) {
+                        // Capture state before action
+                        this.undoRedoManager.captureState(`Move measure ${measure.name} point 2`);
+                        
                         const signal = this.getSignalByIndex(transition.signalIndex);
                         measure.signal2Name = signal.name;
                         measure.cycle2 = transition.cycle;
@@ -1387,6 +1613,9 @@ class TimingGenApp {
             if (row) {
                 const measure = this.measuresData.get(this.currentEditingMeasureName);
                 if (measure) {
+                    // Capture state before action
+                    this.undoRedoManager.captureState(`Move measure ${measure.name}`);
+                    
                     const measureName = measure.name;
                     
                     // Check if measure is currently in a group
@@ -1576,7 +1805,7 @@ class TimingGenApp {
                 const textData = this.textData.get(clickedRow.name);
                 if (textData && textData.text) {
                     // Capture state before action
-                    this.undoRedoManager.captureState();
+                    this.undoRedoManager.captureState(`Move text ${clickedRow.name}`);
                     
                     this.textDragState = {
                         textName: clickedRow.name,
@@ -1597,16 +1826,18 @@ class TimingGenApp {
         }
         
         // Check signal interaction - clear selection if clicking waveform
-        const cycle = Math.floor((xPos - this.config.nameColumnWidth) / this.config.cycleWidth);
         const signalIndex = this.getSignalIndexAtY(yPos);
+        const signal = signalIndex !== -1 ? this.getSignalByIndex(signalIndex) : null;
+        // Cycle of the signal's base clock
+        const cycle = signal ? this.getSignalCycleAtX(signal, xPos) : -1;
         
-        if (signalIndex !== -1 && cycle >= 0 && cycle < this.config.cycles) {
-            const signal = this.getSignalByIndex(signalIndex);
-            
-            if (signal.type === 'bit') {
+        if (signal && cycle >= 0) {
+            if (signal.type === 'bit' || signal.type === 'diff') {
                 this.toggleBitSignal(signalIndex, cycle);
             } else if (signal.type === 'bus') {
                 TimingGenUI.showBusValueDialog(this, signalIndex, cycle);
+            } else if (signal.type === 'analog') {
+                this.editAnalogPoint(signalIndex, cycle);
             }
         }
     }
@@ -1659,6 +1890,8 @@ class TimingGenApp {
                     const signalIndex = this.getSignalIndexAtY(paperY);
                     if (signalIndex !== -1) {
                         this.currentEditingSignal = signalIndex;
+                        document.getElementById('paste-signal-menu').style.display =
+                            this.signalClipboard.length > 0 ? 'block' : 'none';
                         TimingGenUI.showContextMenu('signal-context-menu', ev.clientX, ev.clientY);
                     }
                 } else if (row.type === 'text') {
@@ -1880,15 +2113,21 @@ class TimingGenApp {
                 }
             } else if (row.type === 'signal') {
                 const signalIndex = this.getSignalIndexAtY(paperY);
+                const signal = signalIndex !== -1 ? this.getSignalByIndex(signalIndex) : null;
+                // Cycle of the signal's base clock rather than the grid column
+                const cycle = signal ? this.getSignalCycleAtX(signal, paperX) : -1;
                 
-                if (signalIndex !== -1 && cycle >= 0 && cycle < this.config.cycles) {
-                    const signal = this.getSignalByIndex(signalIndex);
-                    
+                if (signal && cycle >= 0) {
                     // Show appropriate cycle context menu based on signal type
-                    if (signal.type === 'bit') {
+                    // (differential pairs take bit values, Z being idle)
+                    if (signal.type === 'bit' || signal.type === 'diff') {
                         this.currentEditingSignal = signalIndex;
                         this.currentEditingCycle = cycle;
                         TimingGenUI.showBitCycleContextMenu(this, ev.clientX, ev.clientY);
+                    } else if (signal.type === 'clock') {
+                        this.currentEditingSignal = signalIndex;
+                        this.currentEditingCycle = cycle;
+                        TimingGenUI.showClockCycleContextMenu(this, ev.clientX, ev.clientY);
                     } else if (signal.type === 'bus') {
                         this.currentEditingSignal = signalIndex;
                         this.currentEditingCycle = cycle;
@@ -2015,6 +2254,8 @@ class TimingGenApp {
     }
     
     handleCanvasMouseUp(event) {
+        const wasDragging = this.isDraggingArrowPoint || this.textDragState || this.isDraggingMeasureText;
+        
         // End arrow point dragging
         if (this.isDraggingArrowPoint) {
             this.isDraggingArrowPoint = false;
@@ -2035,11 +2276,16 @@ class TimingGenApp {
             this.draggingMeasure = null;
             this.canvas.style.cursor = 'default';
         }
+        
+        // Record the whole drag as one history entry (nothing if it did not move)
+        if (wasDragging) {
+            this.undoRedoManager.commitPending();
+        }
     }
     
     toggleBitSignal(signalIndex, cycle) {
         // Capture state before action
-        this.undoRedoManager.captureState();
+        this.undoRedoManager.captureState(`Toggle ${this.getSignalByIndex(signalIndex).name}[${cycle}]`);
         
         const signal = this.getSignalByIndex(signalIndex);
         const currentValue = this.getBitValueAtCycle(signal, cycle);
@@ -2048,25 +2294,45 @@ class TimingGenApp {
         this.render();
     }
     
+    // Set the voltage of an analog signal at a cycle; an empty answer removes the point
+    editAnalogPoint(signalIndex, cycle) {
+        const signal = this.getSignalByIndex(signalIndex);
+        const current = signal.values[cycle] !== undefined ? signal.values[cycle] :
+            Math.round(TimingGenModel.getAnalogValueAtCycle(signal, cycle) * 1000) / 1000;
+        const text = prompt(`Voltage of ${signal.name} at cycle ${cycle} (empty removes the point):`, current);
+        if (text === null) {
+            return;
+        }
+        if (text.trim() === '') {
+            if (signal.values[cycle] !== undefined) {
+                TimingGenAPI.setValue(this, signal.name, cycle, null);
+            }
+            return;
+        }
+        try {
+            TimingGenAPI.setValue(this, signal.name, cycle, text);
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+    
     setBitValue(signalIndex, cycle, value) {
         if (signalIndex !== null && cycle !== null) {
-            // Capture state before action
-            this.undoRedoManager.captureState();
-            
-            const signal = this.getSignalByIndex(signalIndex);
-            if (value === 'X' || value === 'Z') {
-                signal.values[cycle] = value;
-            } else {
-                signal.values[cycle] = parseInt(value);
-            }
-            this.render();
+            TimingGenAPI.setValue(this, this.getSignalByIndex(signalIndex).name, cycle, value);
+        }
+    }
+    
+    // Run, stop (0/1) or gate ('G') a clock from a cycle on; null removes the change
+    setClockState(signalIndex, cycle, state) {
+        if (signalIndex !== null && cycle !== null) {
+            TimingGenAPI.setValue(this, this.getSignalByIndex(signalIndex).name, cycle, state);
         }
     }
     
     removeBitChange() {
         if (this.currentEditingSignal !== null && this.currentEditingCycle !== null) {
             // Capture state before action
-            this.undoRedoManager.captureState();
+            this.undoRedoManager.captureState(`Remove change ${this.getSignalByIndex(this.currentEditingSignal).name}[${this.currentEditingCycle}]`);
             
             const signal = this.getSignalByIndex(this.currentEditingSignal);
             delete signal.values[this.currentEditingCycle];
@@ -2085,7 +2351,7 @@ class TimingGenApp {
     removeBusChange() {
         if (this.currentEditingSignal !== null && this.currentEditingCycle !== null) {
             // Capture state before action
-            this.undoRedoManager.captureState();
+            this.undoRedoManager.captureState(`Remove change ${this.getSignalByIndex(this.currentEditingSignal).name}[${this.currentEditingCycle}]`);
             
             const signal = this.getSignalByIndex(this.currentEditingSignal);
             delete signal.values[this.currentEditingCycle];
@@ -2102,164 +2368,57 @@ class TimingGenApp {
     }
     
     getBitValueAtCycle(signal, cycle) {
-        // Find the last defined value before or at this cycle
-        let value = 0; // default
-        for (let cy = 0; cy <= cycle; cy++) {
-            if (signal.values[cy] !== undefined) {
-                value = signal.values[cy];
-                // Convert null to 0
-                if (value === null) {
-                    value = 0;
-                }
-            }
-        }
-        return value;
+        return TimingGenModel.getBitValueAtCycle(signal, cycle);
     }
     
     getBusValueAtCycle(signal, cycle) {
-        // Find the last defined value before or at this cycle
-        let value = 'X'; // default
-        for (let cy = 0; cy <= cycle; cy++) {
-            if (signal.values[cy] !== undefined) {
-                value = signal.values[cy];
-                // Convert null to 'X' for bus signals
-                if (value === null) {
-                    value = 'X';
-                }
-            }
-        }
-        return value;
+        return TimingGenModel.getBusValueAtCycle(signal, cycle);
     }
     
     // Get effective slew value with priority: cycle > signal > global
     getEffectiveSlew(signal, cycle) {
-        // Safety check: if signal is undefined or null, return global default
-        if (!signal) {
-            return this.config.slew || 0;
-        }
-        
-        // Check cycle-level override
-        if (signal.cycleOptions && signal.cycleOptions[cycle] && signal.cycleOptions[cycle].slew !== undefined) {
-            return signal.cycleOptions[cycle].slew;
-        }
-        // Check signal-level override
-        if (signal.slew !== undefined) {
-            return signal.slew;
-        }
-        // Use global default
-        return this.config.slew || 0;
+        return TimingGenModel.getEffectiveSlew(this.config, signal, cycle);
     }
     
-    // Get effective delay value with cascading priority: cycle > signal > global
-    // Each attribute (delayMin, delayMax, delayColor) is resolved independently
+    // Get effective delay with cascading priority: cycle > signal > global
     // Returns object with {min, max, color} delay in pixels
     getEffectiveDelay(signal, cycle) {
-        // Start with defaults from code (0 for delays, config color for color)
-        let delayMinInTime = 0;
-        let delayMaxInTime = 0;
-        let delayColor = this.config.delayColor || '#0000FF'; // Ensure we always have a color
-        
-        // Apply global level settings
-        if (this.config.delayMin !== undefined) {
-            delayMinInTime = this.config.delayMin;
-        }
-        if (this.config.delayMax !== undefined) {
-            delayMaxInTime = this.config.delayMax;
-        }
-        if (this.config.delayColor !== undefined) {
-            delayColor = this.config.delayColor;
-        }
-        
-        // Safety check: if signal is undefined or null, return global defaults
-        if (!signal) {
-            const delayMinInPixels = (delayMinInTime * this.config.cycleWidth) / this.config.cycleTime;
-            const delayMaxInPixels = (delayMaxInTime * this.config.cycleWidth) / this.config.cycleTime;
-            return { min: delayMinInPixels, max: delayMaxInPixels, color: delayColor };
-        }
-        
-        // Apply signal level overrides
-        if (signal.delayMin !== undefined) {
-            delayMinInTime = signal.delayMin;
-        }
-        if (signal.delayMax !== undefined) {
-            delayMaxInTime = signal.delayMax;
-        }
-        if (signal.delayColor !== undefined) {
-            delayColor = signal.delayColor;
-        }
-        
-        // Apply cycle level overrides
-        if (signal.cycleOptions && signal.cycleOptions[cycle]) {
-            const cycleOpts = signal.cycleOptions[cycle];
-            
-            if (cycleOpts.delayMin !== undefined) {
-                delayMinInTime = cycleOpts.delayMin;
-            }
-            if (cycleOpts.delayMax !== undefined) {
-                delayMaxInTime = cycleOpts.delayMax;
-            }
-            if (cycleOpts.delayColor !== undefined) {
-                delayColor = cycleOpts.delayColor;
-            }
-        }
-        
-        // Convert delay time to fraction of clock period, then to pixels
-        // delay is in same unit as clock period (e.g., both in ns)
-        // delayFraction = delayInTime / clockPeriod
-        // delayPixels = delayFraction * cycleWidth
-        if (this.config.clockPeriod > 0) {
-            const delayMinFraction = delayMinInTime / this.config.clockPeriod;
-            const delayMaxFraction = delayMaxInTime / this.config.clockPeriod;
-            return {
-                min: delayMinFraction * this.config.cycleWidth,
-                max: delayMaxFraction * this.config.cycleWidth,
-                color: delayColor
-            };
-        }
-        return { min: 0, max: 0, color: delayColor };
+        return TimingGenModel.getEffectiveDelay(this.config, signal, cycle);
     }
     
-    // Get effective delay value in time units (not pixels) with cascading priority: cycle > signal > global
-    // Returns object with {min, max} delay in time units (same as clockPeriod units)
+    // Get effective delay in time units (same as clockPeriod units): {min, max}
     getEffectiveDelayInTime(signal, cycle) {
-        // Start with defaults from code (0 for delays)
-        let delayMinInTime = 0;
-        let delayMaxInTime = 0;
-        
-        // Apply global level settings
-        if (this.config.delayMin !== undefined) {
-            delayMinInTime = this.config.delayMin;
-        }
-        if (this.config.delayMax !== undefined) {
-            delayMaxInTime = this.config.delayMax;
-        }
-        
-        // Safety check: if signal is undefined or null, return global defaults
-        if (!signal) {
-            return { min: delayMinInTime, max: delayMaxInTime };
-        }
-        
-        // Apply signal level overrides
-        if (signal.delayMin !== undefined) {
-            delayMinInTime = signal.delayMin;
-        }
-        if (signal.delayMax !== undefined) {
-            delayMaxInTime = signal.delayMax;
-        }
-        
-        // Apply cycle level overrides
-        if (signal.cycleOptions && signal.cycleOptions[cycle]) {
-            const cycleOpts = signal.cycleOptions[cycle];
-            
-            if (cycleOpts.delayMin !== undefined) {
-                delayMinInTime = cycleOpts.delayMin;
-            }
-            if (cycleOpts.delayMax !== undefined) {
-                delayMaxInTime = cycleOpts.delayMax;
-            }
+        return TimingGenModel.getEffectiveDelayInTime(this.config, signal, cycle);
+    }
+    
+    // Get the timing of a signal's clock domain (its own for clocks, its base clock's otherwise)
+    getSignalTiming(signal) {
+        return TimingGenModel.getSignalTiming(this, signal);
+    }
+    
+    // Get the x position where a cycle of a signal's clock domain starts
+    getCycleX(signal, cycle) {
+        return TimingGenModel.getTimeX(this.config, TimingGenModel.getCycleTime(this.getSignalTiming(signal), cycle));
+    }
+    
+    // Get the x position of a measure/arrow end point (clock edge, negative cycle for falling edges)
+    getEventX(signal, cycle) {
+        return TimingGenModel.getTimeX(this.config, TimingGenModel.getEventTime(this, signal, cycle));
+    }
+    
+    // Get the number of cycles of a signal's clock domain in the diagram
+    getSignalCycleCount(signal) {
+        return TimingGenModel.getCycleCount(this.config, this.getSignalTiming(signal));
+    }
+    
+    // Get the cycle of a signal's clock domain at an x position (-1 outside the waveform area),
+    // snapped to the signal's transition step (e.g. 2.5 in the second half of cycle 2)
+    getSignalCycleAtX(signal, xPos) {
+        const time = (xPos - this.config.nameColumnWidth) / this.config.cycleWidth;
+        if (time < 0 || time >= this.config.cycles) {
+            return -1;
         }
-        
-        return { min: delayMinInTime, max: delayMaxInTime };
+        return TimingGenModel.getCycleAtTime(this.getSignalTiming(signal), time, TimingGenModel.getTransitionStep(signal));
     }
     
     getSignalIndexAtY(yPos) {
@@ -2428,6 +2587,9 @@ class TimingGenApp {
             return; // Invalid drop location or same position
         }
         
+        // Capture state before action
+        this.undoRedoManager.captureState(`Move group ${this.rows[this.draggedGroupRow].name}`);
+        
         // Calculate position within row
         const targetYPos = this.rowManager.getRowYPosition(targetRow.index);
         const targetYMid = targetYPos + this.config.rowHeight / 2;
@@ -2493,7 +2655,7 @@ class TimingGenApp {
         }
         
         // Capture state before action
-        this.undoRedoManager.captureState();
+        this.undoRedoManager.captureState(`Move row ${this.rows[this.draggedMeasureRow].name}`);
         
         // Extract the measure row being moved
         const measureRow = this.rows[this.draggedMeasureRow];
@@ -2687,7 +2849,7 @@ class TimingGenApp {
             }
             
             // Capture state before action
-            this.undoRedoManager.captureState();
+            this.undoRedoManager.captureState(selectedIndices.length === 1 ? `Move signal ${this.getSignalByIndex(selectedIndices[0]).name}` : `Move ${selectedIndices.length} signals`);
             
             // Extract selected signals data
             const selectedSignalsData = selectedIndices.map(idx => this.getSignalByIndex(idx));
@@ -3120,6 +3282,9 @@ class TimingGenApp {
     // ===========================
     
     addGroup() {
+        // Capture state before action
+        this.undoRedoManager.captureState(`Add group G${this.groupCounter}`);
+        
         // Create a new empty group
         const groupName = `G${this.groupCounter}`;
         this.groupCounter++;
@@ -3263,40 +3428,38 @@ class TimingGenApp {
     }
     
     handleNewDocument() {
-        // Check if there's any data
-        const hasData = this.rows.length > 0;
-        
-        if (hasData) {
-            // Ask user if they want to save
-            if (confirm('Do you want to save the current diagram before creating a new one?')) {
-                TimingGenData.saveToJSON(this);
-            }
+        // The current document stays open in its own tab
+        TimingGenTabs.newTab(this);
+    }
+    
+    /**
+     * Show the document title in the menu bar and browser tab, with * when there are unsaved changes
+     */
+    updateDocumentTitle() {
+        const dirty = this.undoRedoManager.isDirty();
+        const titleElement = document.getElementById('document-title');
+        if (titleElement) {
+            titleElement.textContent = this.documentTitle + (dirty ? ' *' : '');
+            titleElement.title = (this.fileName ? `File: ${this.fileName}` : 'Not saved yet') + ' - click to rename';
+        }
+        document.title = `${dirty ? '* ' : ''}${this.documentTitle} - Timing Gen 3`;
+        TimingGenTabs.renderTabBar(this);
+    }
+    
+    /**
+     * Ask for a new document title
+     */
+    renameDocument() {
+        const title = prompt('Document title:', this.documentTitle);
+        if (title === null || !title.trim() || title.trim() === this.documentTitle) {
+            return;
         }
         
-        // Clear all data
-        this.rows = [];
-        this.signalsData.clear();
-        this.measuresData.clear();
-        this.textData.clear();
-        this.counterData.clear();
-        this.arrowsData.clear();
-        
-        // Reset counters (keep measureCounter for unique internal names)
-        // Only reset display counters
-        this.measureTextCounter = 0;
-        this.textCounter = 0;
-        this.counterCounter = 0;
-        this.arrowCounter = 0;
-        
-        // Reset selections
-        this.selectedSignals.clear();
-        this.selectedMeasureRows.clear();
-        
-        // Clear undo/redo history
-        this.undoRedoManager.clearHistory();
+        // Capture state before action
+        this.undoRedoManager.captureState(`Rename document to ${title.trim()}`);
         
-        // Render empty canvas
-        this.render();
+        this.documentTitle = title.trim();
+        this.undoRedoManager.commitPending();
     }
     
     deleteTextRow() {
@@ -3312,7 +3475,7 @@ class TimingGenApp {
             }
             
             // Capture state before action
-            this.undoRedoManager.captureState();
+            this.undoRedoManager.captureState('Delete measure row');
             
             const row = this.rows[this.currentEditingMeasureRow];
             if (row && row.type === 'measure') {
@@ -3334,6 +3497,11 @@ class TimingGenApp {
     
     render() {
         TimingGenRendering.render(this);
+        TimingGenDSL.refreshEditor(this);
+        // Changes after captureState() are recorded later; show them as unsaved right away
+        if (this.undoRedoManager.pendingCapture) {
+            this.updateDocumentTitle();
+        }
     }
 }
 
@@ -90,10 +90,10 @@ class TimingGenCycle {
         const newValues = {};
         const newCycleOptions = {};
         
-        // Copy values, shifting those after startCycle
+        // Copy values, shifting those after startCycle (changes within startCycle, e.g. 2.5, stay)
         for (const [cycleStr, value] of Object.entries(signal.values)) {
-            const cycle = parseInt(cycleStr, 10);
-            if (cycle <= startCycle) {
+            const cycle = Number(cycleStr);
+            if (cycle < startCycle + 1) {
                 newValues[cycle] = value;
             } else {
                 // Shift right by numCycles
@@ -104,8 +104,8 @@ class TimingGenCycle {
         // Copy cycleOptions, shifting those after startCycle
         if (signal.cycleOptions) {
             for (const [cycleStr, options] of Object.entries(signal.cycleOptions)) {
-                const cycle = parseInt(cycleStr, 10);
-                if (cycle <= startCycle) {
+                const cycle = Number(cycleStr);
+                if (cycle < startCycle + 1) {
                     newCycleOptions[cycle] = options;
                 } else {
                     // Shift right by numCycles
@@ -130,9 +130,9 @@ class TimingGenCycle {
         const newValues = {};
         const newCycleOptions = {};
         
-        // Copy values, skipping deleted cycles and shifting remaining ones
+        // Copy values, skipping deleted cycles and shifting remaining ones (fractional cycles included)
         for (const [cycleStr, value] of Object.entries(signal.values)) {
-            const cycle = parseInt(cycleStr, 10);
+            const cycle = Number(cycleStr);
             if (cycle < startCycle) {
                 // Keep as-is
                 newValues[cycle] = value;
@@ -146,7 +146,7 @@ class TimingGenCycle {
         // Copy cycleOptions, skipping deleted cycles and shifting remaining ones
         if (signal.cycleOptions) {
             for (const [cycleStr, options] of Object.entries(signal.cycleOptions)) {
-                const cycle = parseInt(cycleStr, 10);
+                const cycle = Number(cycleStr);
                 if (cycle < startCycle) {
                     // Keep as-is
                     newCycleOptions[cycle] = options;
@@ -366,3 +366,11 @@ class TimingGenCycle {
         return true;
     }
 }
+
+// Cycle insertion/deletion recorded as undo steps
+UndoRedoManager.registerActions(TimingGenCycle, {
+    insertCyclesGlobal: (app, cycle, count) => `Insert ${count} cycles after ${cycle}`,
+    deleteCyclesGlobal: (app, cycle, count) => `Delete ${count} cycles at ${cycle}`,
+    insertCyclesSignal: (app, signalIndex, cycle, count) => `Insert ${count} cycles in ${app.getSignalByIndex(signalIndex).name}`,
+    deleteCyclesSignal: (app, signalIndex, cycle, count) => `Delete ${count} cycles in ${app.getSignalByIndex(signalIndex).name}`
+});
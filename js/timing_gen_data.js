@@ -1,10 +1,15 @@
 // Timing Gen 3 - Data Management Module
-// Version 3.4.0
+// Version 3.4.1
 // Handles save/load functionality and data import/export
 
 class TimingGenData {
-    static saveToJSON(app) {
-        // Save in unified row-based format (v3.4.0)
+    /**
+     * Build the saved document (v3.4.1 format) from the application state
+     * @param {TimingGenApp} app - Main application instance
+     * @returns {Object} Document data as written by saveToJSON
+     */
+    static buildSaveData(app) {
+        // Save in unified row-based format (v3.4.1: group rows carry their measures' data)
         // Embed actual data from Maps into rows for serialization
         const rowsWithData = app.rows.map(row => {
             if (row.type === 'signal') {
@@ -44,10 +49,19 @@ class TimingGenData {
                 };
             } else if (row.type === 'group') {
                 const groupData = app.groupsData.get(row.name);
+                // Grouped measures have no row of their own; save their data with the group
+                const measuresData = {};
+                if (groupData && groupData.measures) {
+                    groupData.measures.forEach(measureName => {
+                        if (app.measuresData.has(measureName)) {
+                            measuresData[measureName] = app.measuresData.get(measureName);
+                        }
+                    });
+                }
                 return {
                     type: 'group',
                     name: row.name,
-                    data: groupData
+                    data: groupData ? { ...groupData, measuresData: measuresData } : groupData
                 };
             }
             return row;
@@ -62,8 +76,9 @@ class TimingGenData {
         // Convert tears Set to array
         const tears = Array.from(app.tears || new Set());
         
-        const data = {
-            version: '3.4.0',
+        return {
+            version: '3.4.1',
+            title: app.documentTitle,
             config: {
                 cycles: app.config.cycles,
                 clockPeriod: app.config.clockPeriod,
@@ -79,17 +94,184 @@ class TimingGenData {
             arrows: arrows,
             tears: tears
         };
+    }
+    
+    /**
+     * Save the document to the file it was loaded from or last saved to.
+     * Falls back to Save As when the document has no file yet.
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static saveToJSON(app) {
+        if (!app.fileHandle && !app.fileName) {
+            TimingGenData.saveAsJSON(app);
+            return;
+        }
         
-        const jsonStr = JSON.stringify(data, null, 2);
+        const savePoint = app.undoRedoManager.getSavePoint();
+        const jsonStr = TimingGenData.serializeDocument(app, app.fileName);
+        
+        if (app.fileHandle) {
+            // Write in place (File System Access API)
+            TimingGenData.writeToHandle(app, app.fileHandle, jsonStr, savePoint);
+        } else {
+            TimingGenData.downloadDocument(app, app.fileName, jsonStr);
+        }
+    }
+    
+    /**
+     * Save the document under a new file name
+     * Uses the browser's save dialog when available, otherwise asks for a name and downloads
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static saveAsJSON(app) {
+        const suggestedName = app.fileName || `${TimingGenData.getExportBaseName(app)}.td3`;
+        
+        if (window.showSaveFilePicker) {
+            window.showSaveFilePicker({
+                suggestedName: suggestedName,
+                types: [
+                    { description: 'Timing Gen 3 diagram', accept: { 'application/json': ['.td3', '.json'] } },
+                    { description: 'Timing Gen 3 diagram text', accept: { 'text/plain': ['.tdl'] } }
+                ]
+            }).then(handle => {
+                const savePoint = app.undoRedoManager.getSavePoint();
+                TimingGenData.writeToHandle(app, handle, TimingGenData.serializeDocument(app, handle.name), savePoint);
+            }).catch(err => {
+                if (err.name !== 'AbortError') {
+                    alert('Error saving file: ' + err.message);
+                }
+            });
+            return;
+        }
+        
+        let fileName = prompt('Save as:', suggestedName);
+        if (fileName === null) return;
+        fileName = fileName.trim();
+        if (!fileName) return;
+        if (!/\.[A-Za-z0-9]+$/.test(fileName)) {
+            fileName += '.td3';
+        }
+        
+        TimingGenData.downloadDocument(app, fileName, TimingGenData.serializeDocument(app, fileName));
+    }
+    
+    /**
+     * Write the document in the format chosen by the file extension
+     * @param {TimingGenApp} app - Main application instance
+     * @param {string} fileName - Target file name; .tdl gets diagram text, anything else JSON
+     * @returns {string} File contents
+     */
+    static serializeDocument(app, fileName) {
+        const data = TimingGenData.buildSaveData(app);
+        return /\.tdl$/i.test(fileName || '') ? TimingGenDSL.toText(data) : JSON.stringify(data, null, 2);
+    }
+    
+    /**
+     * Write the saved document to a file handle and remember it for the next Save.
+     * Edits made while the file is being written stay unsaved.
+     * @param {TimingGenApp} app - Main application instance
+     * @param {FileSystemFileHandle} handle - Target file
+     * @param {string} jsonStr - Document JSON or diagram text
+     * @param {Object} savePoint - History point of jsonStr, from undoRedoManager.getSavePoint()
+     */
+    static writeToHandle(app, handle, jsonStr, savePoint) {
+        const documentId = app.documentId;
+        handle.createWritable().then(writable => {
+            return writable.write(jsonStr).then(() => writable.close());
+        }).then(() => {
+            // The document may have been replaced (e.g. by New) while writing
+            if (app.documentId !== documentId) return;
+            app.fileHandle = handle;
+            TimingGenData.setFileName(app, handle.name);
+            TimingGenData.markSaved(app, savePoint);
+        }).catch(err => {
+            alert('Error saving file: ' + err.message);
+            console.error('Save error:', err);
+        });
+    }
+    
+    /**
+     * Download the saved document (browsers without the File System Access API)
+     * @param {TimingGenApp} app - Main application instance
+     * @param {string} fileName - Download file name
+     * @param {string} jsonStr - Document JSON or diagram text
+     */
+    static downloadDocument(app, fileName, jsonStr) {
         const blob = new Blob([jsonStr], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         
         const anchor = document.createElement('a');
         anchor.href = url;
-        anchor.download = 'timing_diagram.td3';
+        anchor.download = fileName;
         anchor.click();
         
         URL.revokeObjectURL(url);
+        
+        app.fileHandle = null;
+        TimingGenData.setFileName(app, fileName);
+        TimingGenData.markSaved(app);
+    }
+    
+    /**
+     * Remember the file name; an untitled document takes its title from it
+     * @param {TimingGenApp} app - Main application instance
+     * @param {string} fileName - File name including extension
+     */
+    static setFileName(app, fileName) {
+        app.fileName = fileName;
+        if (!app.documentTitle || app.documentTitle === TimingGenData.DEFAULT_TITLE) {
+            app.documentTitle = fileName.replace(/\.[^.]+$/, '') || TimingGenData.DEFAULT_TITLE;
+        }
+    }
+    
+    /**
+     * Mark the current state as saved (clears the dirty indicator)
+     * @param {TimingGenApp} app - Main application instance
+     * @param {Object} [savePoint] - History point that was written (default: the current state)
+     */
+    static markSaved(app, savePoint) {
+        app.undoRedoManager.markClean(savePoint);
+        // The recovery snapshot holds the current state, which is only on disk if nothing changed since
+        if (!app.undoRedoManager.isDirty()) {
+            TimingGenAutosave.markSaved(app);
+        }
+        app.updateDocumentTitle();
+    }
+    
+    /**
+     * Base name for exported files, derived from the document title
+     * @param {TimingGenApp} app - Main application instance
+     * @returns {string} File name without extension
+     */
+    static getExportBaseName(app) {
+        const title = (app.documentTitle || '').trim().replace(/[\\/:*?"<>|\s]+/g, '_');
+        return title || TimingGenData.DEFAULT_TITLE;
+    }
+    
+    /**
+     * Open a diagram file
+     * Uses the browser's open dialog when available, so Save can write the file in place
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static showOpenDialog(app) {
+        if (!window.showOpenFilePicker) {
+            document.getElementById('file-input').click();
+            return;
+        }
+        
+        let handle = null;
+        window.showOpenFilePicker({
+            types: [{ description: 'Timing diagrams', accept: { 'application/json': ['.td3', '.json', '.tdg', '.tg2'], 'text/plain': ['.tdl'] } }]
+        }).then(handles => {
+            handle = handles[0];
+            return handle.getFile();
+        }).then(file => {
+            return file.text().then(text => TimingGenData.loadFromText(app, text, file.name, handle));
+        }).catch(err => {
+            if (err.name !== 'AbortError') {
+                alert('Error loading file: ' + err.message);
+            }
+        });
     }
     
     static loadFromJSON(app, ev) {
@@ -98,255 +280,351 @@ class TimingGenData {
         
         const reader = new FileReader();
         reader.onload = (event) => {
-            try {
-                const data = JSON.parse(event.target.result);
-                
-                // Load configuration
-                if (data.config) {
-                    if (data.config.cycles) {
-                        app.config.cycles = data.config.cycles;
-                        document.getElementById('cycles-input').value = app.config.cycles;
-                    }
-                    // Load global options if available
-                    if (data.config.clockPeriod !== undefined) {
-                        app.config.clockPeriod = data.config.clockPeriod;
-                    }
-                    if (data.config.clockPeriodUnit !== undefined) {
-                        app.config.clockPeriodUnit = data.config.clockPeriodUnit;
-                    }
-                    if (data.config.signalRowHeight !== undefined) {
-                        app.config.signalRowHeight = data.config.signalRowHeight;
-                        app.config.rowHeight = data.config.signalRowHeight; // Update deprecated field
-                    } else if (data.config.rowHeight !== undefined) {
-                        // Backward compatibility: if old rowHeight exists but new fields don't
-                        app.config.signalRowHeight = data.config.rowHeight;
-                        app.config.rowHeight = data.config.rowHeight;
-                    }
-                    if (data.config.measureRowHeight !== undefined) {
-                        app.config.measureRowHeight = data.config.measureRowHeight;
-                    } else if (data.config.rowHeight !== undefined) {
-                        // Backward compatibility
-                        app.config.measureRowHeight = data.config.rowHeight;
-                    }
-                    if (data.config.slew !== undefined) {
-                        app.config.slew = data.config.slew;
-                    }
-                    if (data.config.delayMin !== undefined) {
-                        app.config.delayMin = data.config.delayMin;
-                    }
-                    if (data.config.delayMax !== undefined) {
-                        app.config.delayMax = data.config.delayMax;
-                    }
-                    if (data.config.delayColor !== undefined) {
-                        app.config.delayColor = data.config.delayColor;
-                    }
-                }
-                
-                // Load unified row data (v3.2.0+ format)
-                if (data.rows) {
-                    // Clear existing data
-                    app.rows = [];
-                    app.signalsData.clear();
-                    app.measuresData.clear();
-                    app.textData.clear();
-                    app.counterData.clear();
-                    app.groupsData.clear();
-                    app.measureCounter = 0;
-                    app.measureTextCounter = 0;
-                    app.textCounter = 0;
-                    app.counterCounter = 0;
-                    app.groupCounter = 0;
-                    
-                    // Populate Maps and rows array from saved data
-                    data.rows.forEach(row => {
-                        if (row.type === 'signal' && row.data) {
-                            // Store signal data in Map
-                            app.signalsData.set(row.name, row.data);
-                            // Add to rows array (ordering only)
-                            app.rows.push({
-                                type: 'signal',
-                                name: row.name
-                            });
-                        } else if (row.type === 'measure' && row.data) {
-                            // Store measure data in Map
-                            app.measuresData.set(row.name, row.data);
-                            // Add to rows array (ordering only)
-                            app.rows.push({
-                                type: 'measure',
-                                name: row.name
-                            });
-                            // Update measure counter for future measures
-                            const measureNum = parseInt(row.name.replace('M', ''));
-                            if (!isNaN(measureNum) && measureNum >= app.measureCounter) {
-                                app.measureCounter = measureNum + 1;
-                            }
-                            // Update measure text counter based on text field
-                            if (row.data.text) {
-                                const match = row.data.text.match(/^t(\d+)$/);
-                                if (match) {
-                                    const textNum = parseInt(match[1]);
-                                    if (textNum > app.measureTextCounter) {
-                                        app.measureTextCounter = textNum;
-                                    }
-                                }
-                            }
-                        } else if (row.type === 'text' && row.data) {
-                            // Store text data in Map with default properties
-                            const textData = {
-                                text: row.data.text || '',
-                                fontFamily: row.data.fontFamily || 'Arial',
-                                fontSize: row.data.fontSize || 14,
-                                color: row.data.color || '#000000',
-                                xOffset: row.data.xOffset !== undefined ? row.data.xOffset : 10
-                            };
-                            app.textData.set(row.name, textData);
-                            // Add to rows array (ordering only)
-                            app.rows.push({
-                                type: 'text',
-                                name: row.name
-                            });
-                            // Update text counter for future text rows
-                            const textNum = parseInt(row.name.replace('T', ''));
-                            if (!isNaN(textNum) && textNum >= app.textCounter) {
-                                app.textCounter = textNum + 1;
-                            }
-                        } else if (row.type === 'counter' && row.data) {
-                            // Store counter data in Map
-                            app.counterData.set(row.name, row.data);
-                            // Add to rows array (ordering only)
-                            app.rows.push({
-                                type: 'counter',
-                                name: row.name
-                            });
-                            // Update counter counter for future counter rows
-                            const counterNum = parseInt(row.name.replace('C', ''));
-                            if (!isNaN(counterNum) && counterNum >= app.counterCounter) {
-                                app.counterCounter = counterNum + 1;
-                            }
-                        } else if (row.type === 'ac-table' && row.data) {
-                            // Store AC table data in Map
-                            app.acTablesData.set(row.name, row.data);
-                            // Add to rows array (ordering only)
-                            app.rows.push({
-                                type: 'ac-table',
-                                name: row.name
-                            });
-                            // Update AC table counter for future tables
-                            const tableNum = parseInt(row.name.replace('ACT', ''));
-                            if (!isNaN(tableNum) && tableNum >= app.acTableCounter) {
-                                app.acTableCounter = tableNum + 1;
-                            }
-                        } else if (row.type === 'group' && row.data) {
-                            // Store group data in Map
-                            app.groupsData.set(row.name, row.data);
-                            // Add to rows array (ordering only)
-                            app.rows.push({
-                                type: 'group',
-                                name: row.name
-                            });
-                            // Update group counter for future groups
-                            const groupNum = parseInt(row.name.replace('G', ''));
-                            if (!isNaN(groupNum) && groupNum >= app.groupCounter) {
-                                app.groupCounter = groupNum + 1;
-                            }
-                        }
-                    });
-                }
-                
-                // Load arrows (v3.3.3+)
-                if (data.arrows) {
-                    app.arrowsData.clear();
-                    data.arrows.forEach(arrow => {
-                        app.arrowsData.set(arrow.name, arrow);
-                        // Update arrow counter for future arrows
-                        const arrowNum = parseInt(arrow.name.replace('A', ''));
-                        if (!isNaN(arrowNum) && arrowNum >= app.arrowCounter) {
-                            app.arrowCounter = arrowNum + 1;
-                        }
-                    });
-                    // Recalculate arrow positions based on current signal positions
-                    app.recalculateArrowPositions();
-                } else {
-                    alert('Old file format not supported. This version requires v3.2.x format.');
-                    return;
-                }
-                
-                // Load tears (v3.4.0+)
-                if (data.tears) {
-                    app.tears = new Set(data.tears);
-                } else {
-                    app.tears = new Set();
-                }
-                
-                // Clear undo/redo history when loading new document
-                app.undoRedoManager.clearHistory();
-                
-                app.initializeCanvas();
-                app.render();
-            } catch (err) {
-                alert('Error loading file: ' + err.message);
-                console.error('Load error:', err);
-            }
+            TimingGenData.loadFromText(app, event.target.result, file.name, null);
         };
         
         reader.readAsText(file);
         ev.target.value = ''; // Reset file input
     }
     
-    static exportToSVG(app) {
-        // Store current selection state and header height
-        const savedSelection = new Set(app.selectedSignals);
-        const savedMeasureSelection = new Set(app.selectedMeasureRows);
-        const savedHideHeader = app.hideHeader;
-        const savedHeaderHeight = app.config.headerHeight;
-        const savedExportingSVG = app.exportingSVG || false;
-        
+    /**
+     * Load a diagram from file contents
+     * @param {TimingGenApp} app - Main application instance
+     * @param {string} text - File contents
+     * @param {string} fileName - Name of the loaded file
+     * @param {FileSystemFileHandle|null} fileHandle - Handle for saving in place, if available
+     */
+    static loadFromText(app, text, fileName, fileHandle) {
         try {
-            // Clear selections to turn off signal highlight
-            app.selectedSignals.clear();
-            app.selectedMeasureRows.clear();
+            // Upgrade older formats (v3.0.x-v3.3.x, timing_gen2) to the current one
+            const migration = TimingGenMigration.migrate(text, { cycleWidth: app.config.cycleWidth });
             
-            // Set flag to hide header (cycle reference counter)
-            app.hideHeader = true;
-            
-            // Set flag to indicate we're exporting SVG (used to hide measure/group labels)
-            app.exportingSVG = true;
+            // Check against the file schema; problems are reported before anything is replaced
+            TimingGenSchema.checkBeforeLoad(app, migration.data, fileName, (data) => {
+                TimingGenData.openLoadedDocument(app, data, migration.steps, fileName, fileHandle);
+            });
+        } catch (err) {
+            alert('Error loading file: ' + err.message);
+            console.error('Load error:', err);
+        }
+    }
+    
+    /**
+     * Replace the document with a loaded and checked file
+     * @param {TimingGenApp} app - Main application instance
+     * @param {Object} data - Document data in the current format
+     * @param {Array} migrationSteps - Upgrade steps applied to the file (see TimingGenMigration.migrate)
+     * @param {string} fileName - Name of the loaded file
+     * @param {FileSystemFileHandle|null} fileHandle - Handle for saving in place, if available
+     */
+    static openLoadedDocument(app, data, migrationSteps, fileName, fileHandle) {
+        try {
+            TimingGenAutosave.resetSession(app);
+            TimingGenData.applyLoadedData(app, data);
+            app.documentId = app.nextDocumentId++;
             
-            // Remove header space by setting headerHeight to 0 for SVG export
-            app.config.headerHeight = 0;
+            const baseName = fileName.replace(/\.[^.]+$/, '');
+            app.documentTitle = data.title || baseName || TimingGenData.DEFAULT_TITLE;
+            if (migrationSteps.length > 0) {
+                // Never overwrite a legacy file with the new format; Save writes a new .td3
+                app.fileName = `${baseName}.td3`;
+                app.fileHandle = null;
+            } else {
+                app.fileName = fileName;
+                app.fileHandle = fileHandle;
+            }
             
-            // Recalculate arrow positions with new header height
-            app.recalculateArrowPositions();
+            // Clear undo/redo history when loading new document
+            app.undoRedoManager.clearHistory();
             
-            // Re-render with hidden header, no highlights, and no header space
+            app.initializeCanvas();
             app.render();
+            app.updateDocumentTitle();
             
+            if (migrationSteps.length > 0) {
+                alert(TimingGenMigration.formatSummary(migrationSteps));
+            }
+        } catch (err) {
+            alert('Error loading file: ' + err.message);
+            console.error('Load error:', err);
+        }
+    }
+    
+    /**
+     * Replace the document with loaded data in the current format
+     * (run TimingGenMigration.migrate first for older files)
+     * @param {TimingGenApp} app - Main application instance
+     * @param {Object} data - Document data as written by saveToJSON
+     */
+    static applyLoadedData(app, data) {
+        TimingGenModel.loadDocument(app, data);
+        document.getElementById('cycles-input').value = app.config.cycles;
+        
+        // Recalculate arrow positions based on current signal positions
+        app.recalculateArrowPositions();
+    }
+    
+    /**
+     * Clear all document data and name counters before importing a document
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static clearDocument(app) {
+        // Keep the snapshot of the document being replaced
+        TimingGenAutosave.resetSession(app);
+        
+        app.documentId = app.nextDocumentId++;
+        app.documentTitle = TimingGenData.DEFAULT_TITLE;
+        app.fileName = null;
+        app.fileHandle = null;
+        app.rows = [];
+        app.signalsData.clear();
+        app.measuresData.clear();
+        app.textData.clear();
+        app.counterData.clear();
+        app.arrowsData.clear();
+        app.acTablesData.clear();
+        app.groupsData.clear();
+        app.tears = new Set();
+        app.measureCounter = 0;
+        app.measureTextCounter = 0;
+        app.textCounter = 0;
+        app.counterCounter = 0;
+        app.arrowCounter = 0;
+        app.acTableCounter = 0;
+        app.groupCounter = 0;
+        app.selectedSignals.clear();
+        app.selectedMeasureRows.clear();
+    }
+
+    /**
+     * Switch to export-mode rendering: no header, no selections, no header space
+     * @param {TimingGenApp} app - Main application instance
+     * @returns {Object} Saved view state to pass to exitExportMode
+     */
+    static enterExportMode(app) {
+        // Store current selection state and header height
+        const saved = {
+            selection: new Set(app.selectedSignals),
+            measureSelection: new Set(app.selectedMeasureRows),
+            hideHeader: app.hideHeader,
+            headerHeight: app.config.headerHeight,
+            exportingSVG: app.exportingSVG || false
+        };
+        
+        // Clear selections to turn off signal highlight
+        app.selectedSignals.clear();
+        app.selectedMeasureRows.clear();
+        
+        // Set flag to hide header (cycle reference counter)
+        app.hideHeader = true;
+        
+        // Set flag to indicate we're exporting SVG (used to hide measure/group labels)
+        app.exportingSVG = true;
+        
+        // Remove header space by setting headerHeight to 0 for SVG export
+        app.config.headerHeight = 0;
+        
+        // Recalculate arrow positions with new header height
+        app.recalculateArrowPositions();
+        
+        // Re-render with hidden header, no highlights, and no header space
+        app.render();
+        
+        return saved;
+    }
+    
+    /**
+     * Restore the view state saved by enterExportMode
+     * @param {TimingGenApp} app - Main application instance
+     * @param {Object} saved - State returned by enterExportMode
+     */
+    static exitExportMode(app, saved) {
+        // Restore selections, header state, and header height
+        app.selectedSignals = saved.selection;
+        app.selectedMeasureRows = saved.measureSelection;
+        app.hideHeader = saved.hideHeader;
+        app.exportingSVG = saved.exportingSVG;
+        app.config.headerHeight = saved.headerHeight;
+        
+        // Recalculate arrow positions with restored header height
+        app.recalculateArrowPositions();
+        
+        // Re-render to restore state
+        app.render();
+    }
+    
+    /**
+     * Render the diagram in export mode and return it as SVG (no download)
+     * @param {TimingGenApp} app - Main application instance
+     * @returns {string} SVG document
+     */
+    static renderSVG(app) {
+        const saved = TimingGenData.enterExportMode(app);
+        
+        try {
             // Export using Paper.js
-            const svg = paper.project.exportSVG({ asString: true });
-            
-            const blob = new Blob([svg], { type: 'image/svg+xml' });
+            return paper.project.exportSVG({ asString: true });
+        } finally {
+            TimingGenData.exitExportMode(app, saved);
+        }
+    }
+    
+    static exportToSVG(app) {
+        const svg = TimingGenData.renderSVG(app);
+        
+        const blob = new Blob([svg], { type: 'image/svg+xml' });
+        const url = URL.createObjectURL(blob);
+        
+        const anchor = document.createElement('a');
+        anchor.href = url;
+        anchor.download = `${TimingGenData.getExportBaseName(app)}.svg`;
+        anchor.click();
+        
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Show PNG export options dialog
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static showPNGExportDialog(app) {
+        document.getElementById('png-export-dialog').style.display = 'flex';
+    }
+    
+    /**
+     * Hide PNG export options dialog
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static hidePNGExportDialog(app) {
+        document.getElementById('png-export-dialog').style.display = 'none';
+    }
+    
+    /**
+     * Export the diagram as a PNG image using the options from the PNG export dialog
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static exportToPNG(app) {
+        const options = {
+            scale: parseFloat(document.getElementById('png-scale-select').value),
+            background: document.getElementById('png-background-select').value,
+            crop: document.getElementById('png-crop-select').value === 'content'
+        };
+        
+        TimingGenData.hidePNGExportDialog(app);
+        
+        TimingGenData.renderPNG(app, options).then(blob => {
             const url = URL.createObjectURL(blob);
             
             const anchor = document.createElement('a');
             anchor.href = url;
-            anchor.download = 'timing_diagram.svg';
+            anchor.download = `${TimingGenData.getExportBaseName(app)}.png`;
             anchor.click();
             
             URL.revokeObjectURL(url);
+        }).catch(err => {
+            alert('Error exporting PNG: ' + err.message);
+            console.error('PNG export error:', err);
+        });
+    }
+    
+    /**
+     * Rasterize the diagram as a PNG image, rendered the same way as the SVG export
+     * @param {TimingGenApp} app - Main application instance
+     * @param {Object} options - {scale: 1 = 96 DPI, background: 'white' or 'transparent', crop: true for the drawn content only}
+     * @returns {Promise<Blob>} PNG image with its resolution recorded in a pHYs chunk
+     */
+    static renderPNG(app, options) {
+        // Render in export mode and capture it as SVG, then rasterize the SVG
+        const saved = TimingGenData.enterExportMode(app);
+        let svg;
+        try {
+            // Drop the background rectangle so the image can be transparent
+            // and so content bounds are not the whole view
+            app.backgroundLayer.removeChildren();
+            svg = paper.project.exportSVG({ asString: true, bounds: options.crop ? 'content' : 'view' });
         } finally {
-            // Restore selections, header state, and header height
-            app.selectedSignals = savedSelection;
-            app.selectedMeasureRows = savedMeasureSelection;
-            app.hideHeader = savedHideHeader;
-            app.exportingSVG = savedExportingSVG;
-            app.config.headerHeight = savedHeaderHeight;
-            
-            // Recalculate arrow positions with restored header height
-            app.recalculateArrowPositions();
-            
-            // Re-render to restore state
-            app.render();
+            TimingGenData.exitExportMode(app, saved);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const svgUrl = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.ceil(image.width * options.scale);
+                canvas.height = Math.ceil(image.height * options.scale);
+                
+                const ctx = canvas.getContext('2d');
+                if (options.background === 'white') {
+                    ctx.fillStyle = '#ffffff';
+                    ctx.fillRect(0, 0, canvas.width, canvas.height);
+                }
+                ctx.scale(options.scale, options.scale);
+                ctx.drawImage(image, 0, 0);
+                URL.revokeObjectURL(svgUrl);
+                
+                canvas.toBlob((blob) => {
+                    if (!blob) {
+                        reject(new Error('the image could not be encoded'));
+                        return;
+                    }
+                    blob.arrayBuffer().then(buffer => {
+                        const png = TimingGenData.setPNGResolution(new Uint8Array(buffer), 96 * options.scale);
+                        resolve(new Blob([png], { type: 'image/png' }));
+                    }).catch(reject);
+                }, 'image/png');
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(svgUrl);
+                reject(new Error('the diagram could not be rasterized'));
+            };
+            image.src = svgUrl;
+        });
+    }
+    
+    /**
+     * Record the print resolution of a PNG image in a pHYs chunk right after the header
+     * @param {Uint8Array} png - PNG file bytes as written by the browser (no pHYs chunk)
+     * @param {number} dpi - Dots per inch
+     * @returns {Uint8Array} PNG file bytes with the pHYs chunk
+     */
+    static setPNGResolution(png, dpi) {
+        // Signature (8 bytes) and IHDR chunk (length, type, 13 data bytes, CRC)
+        const headerEnd = 8 + 4 + 4 + 13 + 4;
+        const pixelsPerMeter = Math.round(dpi / 0.0254);
+        
+        const chunk = new Uint8Array(4 + 4 + 9 + 4);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, 9);
+        chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+        view.setUint32(8, pixelsPerMeter);
+        view.setUint32(12, pixelsPerMeter);
+        chunk[16] = 1; // Unit: meter
+        view.setUint32(17, TimingGenData.crc32(chunk.subarray(4, 17)));
+        
+        const result = new Uint8Array(png.length + chunk.length);
+        result.set(png.subarray(0, headerEnd), 0);
+        result.set(chunk, headerEnd);
+        result.set(png.subarray(headerEnd), headerEnd + chunk.length);
+        return result;
+    }
+    
+    /**
+     * CRC-32 as used by PNG chunks
+     * @param {Uint8Array} bytes - Chunk type and data
+     * @returns {number} Unsigned CRC value
+     */
+    static crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let idx = 0; idx < bytes.length; idx++) {
+            crc ^= bytes[idx];
+            for (let bit = 0; bit < 8; bit++) {
+                crc = (crc >>> 1) ^ (crc & 1 ? 0xEDB88320 : 0);
+            }
         }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
     }
 }
 
+// Title of a new document, also used for its file names until it is saved
+TimingGenData.DEFAULT_TITLE = 'untitled';
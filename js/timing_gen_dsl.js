@@ -0,0 +1,988 @@
+// Timing Gen 3 - Diagram Text Module
+// Version 3.4.1
+// Handles the diagram text format (.tdl), a compact line-based description of the
+// row model meant for version control, and the text editor pane that re-renders
+// the diagram while typing. Example:
+//
+//   title Read cycle
+//   cycles 12
+//   clk: clock
+//   cs#: bit 0 @3:1 @6:0
+//   data: bus X @3:0xAB @8:Z
+//   measure t1: cs#@3 -> data@3
+//   arrow "valid": cs#@3 -> data@3:mid
+//   tear 10
+//
+// Each line is one row, in row order, except the document lines (title, cycles,
+// config, arrow, tear). Lines starting with # are comments. Properties without
+// a syntax of their own are written as key=value with the field name of the
+// .td3 format (e.g. slew=6, textColor=#00AA00, cycleOptions={"3":{"slew":8}}).
+// Names and values with spaces or special characters are written as JSON strings.
+
+class TimingGenDSL {
+    // ========================================
+    // Document -> Text
+    // ========================================
+    
+    /**
+     * Write a document as diagram text
+     * @param {Object} data - Document in the saved format (TimingGenData.buildSaveData)
+     * @returns {string} Diagram text
+     */
+    static toText(data) {
+        const lines = [];
+        const config = data.config || {};
+        
+        if (data.title) {
+            lines.push(`title ${TimingGenDSL.formatTitle(data.title)}`);
+        }
+        lines.push(`cycles ${config.cycles}`);
+        const configOptions = TimingGenDSL.CONFIG_KEYS
+            .filter(key => config[key] !== undefined &&
+                JSON.stringify(config[key]) !== JSON.stringify(TimingGenModel.DEFAULT_CONFIG[key]))
+            .map(key => `${key}=${TimingGenDSL.formatOptionValue(config[key])}`);
+        if (configOptions.length > 0) {
+            lines.push(`config ${configOptions.join(' ')}`);
+        }
+        lines.push('');
+        
+        const rows = data.rows || [];
+        const defaultClock = TimingGenDSL.getDefaultClock(rows);
+        let measureIndex = 0;
+        const measureLine = (measure, name) => {
+            const head = `measure ${TimingGenDSL.formatName(measure.text || '')}: ` +
+                `${TimingGenDSL.formatEndpoint(measure.signal1Name, measure.cycle1)} -> ` +
+                `${TimingGenDSL.formatEndpoint(measure.signal2Name, measure.cycle2)}`;
+            const options = name === `M${measureIndex}` ? [] : [`name=${TimingGenDSL.formatOptionValue(name)}`];
+            measureIndex++;
+            return TimingGenDSL.joinLine(head, options.concat(
+                TimingGenDSL.formatOptions(measure, TimingGenDSL.MEASURE_FIELDS, TimingGenDSL.MEASURE_DEFAULTS)));
+        };
+        
+        rows.forEach(row => {
+            const item = row.data || {};
+            if (row.type === 'signal') {
+                lines.push(TimingGenDSL.signalLine(row.name, item, defaultClock));
+            } else if (row.type === 'measure') {
+                lines.push(measureLine(item, row.name));
+            } else if (row.type === 'group') {
+                const head = item.name !== undefined ? `group ${TimingGenDSL.formatName(item.name)}` : 'group';
+                lines.push(TimingGenDSL.joinLine(head,
+                    TimingGenDSL.formatOptions(item, TimingGenDSL.GROUP_FIELDS, {})));
+                (item.measures || []).forEach(name => {
+                    const measure = (item.measuresData || {})[name];
+                    if (measure) {
+                        lines.push(`    ${measureLine(measure, name)}`);
+                    }
+                });
+            } else if (row.type === 'text') {
+                lines.push(TimingGenDSL.joinLine(`text ${TimingGenDSL.formatName(item.text || '')}`,
+                    TimingGenDSL.formatOptions(item, TimingGenDSL.TEXT_FIELDS, TimingGenDSL.TEXT_DEFAULTS)));
+            } else if (row.type === 'counter') {
+                const values = (item.values || []).map(entry =>
+                    `@${entry.cycle}:${TimingGenDSL.formatValue(entry.value)}`);
+                lines.push(TimingGenDSL.joinLine(['counter'].concat(values).join(' '),
+                    TimingGenDSL.formatOptions(item, TimingGenDSL.COUNTER_FIELDS, {})));
+            } else if (row.type === 'ac-table') {
+                lines.push(TimingGenDSL.joinLine(`ac-table ${TimingGenDSL.formatName(item.title || '')}`,
+                    TimingGenDSL.formatOptions(item, TimingGenDSL.AC_TABLE_FIELDS, {})));
+            }
+        });
+        
+        const arrows = data.arrows || [];
+        if (arrows.length > 0) {
+            lines.push('');
+        }
+        arrows.forEach(arrow => {
+            const head = `arrow ${TimingGenDSL.formatName(arrow.text || '')}: ` +
+                `${TimingGenDSL.formatEndpoint(arrow.signal1Name, arrow.cycle1, arrow.poi1Type)} -> ` +
+                `${TimingGenDSL.formatEndpoint(arrow.signal2Name, arrow.cycle2, arrow.poi2Type)}`;
+            lines.push(TimingGenDSL.joinLine(head,
+                TimingGenDSL.formatOptions(arrow, TimingGenDSL.ARROW_FIELDS, TimingGenDSL.ARROW_DEFAULTS)));
+        });
+        
+        const tears = (data.tears || []).slice().sort((a, b) => a - b);
+        if (tears.length > 0) {
+            lines.push('', `tear ${tears.join(' ')}`);
+        }
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    /**
+     * Write a signal line: name, type, the value at cycle 0 and the changes
+     * @param {string} name - Signal name
+     * @param {Object} signal - Signal object
+     * @param {string} defaultClock - Base clock assumed when a line has no base_clock option
+     * @returns {string} Signal line, e.g. "cs#: bit 0 @3:1 @6:0"
+     */
+    static signalLine(name, signal, defaultClock) {
+        const parts = [`${TimingGenDSL.formatName(name)}:`, signal.type];
+        const values = signal.values || {};
+        Object.keys(values).map(Number).sort((a, b) => a - b).forEach(cycle => {
+            const value = TimingGenDSL.formatValue(values[cycle]);
+            if (cycle === 0 && !/^@|^[A-Za-z_]\w*=/.test(value)) {
+                parts.push(value);
+            } else {
+                parts.push(`@${cycle}:${value}`);
+            }
+        });
+        
+        const options = TimingGenDSL.formatOptions(signal, TimingGenDSL.SIGNAL_FIELDS.concat('base_clock'), {});
+        if (signal.type !== 'clock' && signal.base_clock !== undefined && signal.base_clock !== defaultClock) {
+            options.unshift(`base_clock=${TimingGenDSL.formatOptionValue(signal.base_clock)}`);
+        }
+        return TimingGenDSL.joinLine(parts.join(' '), options);
+    }
+    
+    /**
+     * Write the properties of an object that have no syntax of their own as key=value
+     * @param {Object} item - Signal, measure, arrow, ... object
+     * @param {Array<string>} fields - Fields written by the line itself or derived when reading
+     * @param {Object} defaults - Values assumed for missing options (not written)
+     * @returns {Array<string>} Options, e.g. ["textSize=14"]
+     */
+    static formatOptions(item, fields, defaults) {
+        return Object.keys(item)
+            .filter(key => !fields.includes(key) && item[key] !== undefined)
+            .filter(key => !(key in defaults) || JSON.stringify(item[key]) !== JSON.stringify(defaults[key]))
+            .map(key => `${key}=${TimingGenDSL.formatOptionValue(item[key])}`);
+    }
+    
+    static joinLine(head, options) {
+        return options.length > 0 ? `${head} ${options.join(' ')}` : head;
+    }
+    
+    /**
+     * Write a signal reference with a cycle and optional arrow point type
+     * @param {string} name - Signal name
+     * @param {number} cycle - Cycle; -(n + 1) is the falling clock edge in cycle n, written @n.5
+     *     (bit and bus signals keep fractional cycles as they are)
+     * @param {string} [poiType] - Arrow point type ('auto' is not written)
+     * @returns {string} Endpoint, e.g. "clk@3.5" or "data@3:mid"
+     */
+    static formatEndpoint(name, cycle, poiType) {
+        const at = cycle < 0 ? `${-cycle - 1}.5` : `${cycle}`;
+        const poi = poiType && poiType !== 'auto' ? `:${poiType}` : '';
+        return `${TimingGenDSL.formatName(name)}@${at}${poi}`;
+    }
+    
+    static formatTitle(title) {
+        return /^[^"\s][^\n\r]*$/.test(title) && title === title.trim() ? title : JSON.stringify(title);
+    }
+    
+    /**
+     * Write a name or label, as a JSON string if it contains characters used by the syntax
+     * @param {string} name - Name or label
+     * @returns {string} Word
+     */
+    static formatName(name) {
+        return /^[^\s"@#{\[][^\s"@]*$/.test(name) && !name.endsWith(':') && name !== '->' && !TimingGenDSL.isOption(name) ?
+            name : JSON.stringify(name);
+    }
+    
+    /**
+     * Write a signal or counter value
+     * @param {number|string|null} value - Value
+     * @returns {string} Word, e.g. 0xAB, "A B" or null
+     */
+    static formatValue(value) {
+        if (value === null) {
+            return 'null';
+        }
+        const text = String(value);
+        return /^[^\s"{\[][^\s"]*$/.test(text) && !/=[{\[]/.test(text) && text !== 'null' ? text : JSON.stringify(text);
+    }
+    
+    static formatOptionValue(value) {
+        if (typeof value === 'string') {
+            return /^[^\s"=@{}\[\]]+$/.test(value) && TimingGenDSL.parseOptionValue(value) === value ?
+                value : JSON.stringify(value);
+        }
+        return JSON.stringify(value);
+    }
+    
+    /**
+     * Base clock of signals without a base_clock option: the first clock, or 'clk'
+     * @param {Array<Object>} rows - Rows with data
+     * @returns {string} Clock name
+     */
+    static getDefaultClock(rows) {
+        const clockRow = rows.find(row => row.type === 'signal' && row.data && row.data.type === 'clock');
+        return clockRow ? clockRow.name : 'clk';
+    }
+    
+    // ========================================
+    // Text -> Document
+    // ========================================
+    
+    /**
+     * Check whether file contents are diagram text rather than JSON or timing_gen2
+     * @param {string} text - File contents
+     * @returns {boolean} True if the first line that is not a comment is a diagram text line
+     */
+    static isDiagramText(text) {
+        const first = text.split('\n').map(line => line.trim()).find(line => line && !line.startsWith('#'));
+        return first !== undefined && (
+            new RegExp(`^(${TimingGenDSL.KEYWORDS.join('|')})(\\s|$)`).test(first) ||
+            /^("([^"\\]|\\.)*"|[^\s"{\[][^\s:]*):\s*(clock|bit|bus)\b/.test(first));
+    }
+    
+    /**
+     * Read diagram text
+     * @param {string} text - Diagram text
+     * @returns {Object} {data, errors}: document in the saved format and the list of {line, message}
+     */
+    static parse(text) {
+        const errors = [];
+        const state = {
+            title: null,
+            config: { cycles: TimingGenModel.DEFAULT_CONFIG.cycles },
+            rows: [],
+            arrows: [],
+            tears: new Set(),
+            measures: [],       // {measure, explicitName, line, group}
+            references: [],     // {name, line}
+            group: null         // Group row receiving indented measure lines
+        };
+        TimingGenDSL.CONFIG_KEYS.forEach(key => {
+            state.config[key] = TimingGenModel.DEFAULT_CONFIG[key];
+        });
+        
+        text.split('\n').forEach((rawLine, index) => {
+            const trimmed = rawLine.trim();
+            if (!trimmed || trimmed.startsWith('#')) {
+                return;
+            }
+            try {
+                TimingGenDSL.parseLine(state, trimmed, /^\s/.test(rawLine), index + 1);
+            } catch (err) {
+                errors.push({ line: index + 1, message: err.message });
+            }
+        });
+        
+        TimingGenDSL.resolve(state, errors);
+        
+        const data = {
+            version: '3.4.1',
+            title: state.title !== null ? state.title : TimingGenData.DEFAULT_TITLE,
+            config: state.config,
+            rows: state.rows.map(({ type, name, data }) => ({ type, name, data })),
+            arrows: state.arrows.map(entry => entry.arrow),
+            tears: Array.from(state.tears).sort((a, b) => a - b)
+        };
+        errors.sort((a, b) => a.line - b.line);
+        return { data: data, errors: errors };
+    }
+    
+    /**
+     * Read one line into the parse state
+     * @param {Object} state - Parse state from parse()
+     * @param {string} line - Line without surrounding whitespace
+     * @param {boolean} indented - The line starts with whitespace (a group member)
+     * @param {number} lineNumber - Line number for references checked later
+     */
+    static parseLine(state, line, indented, lineNumber) {
+        const keywordMatch = line.match(/^([a-z-]+)(?=\s|$)/);
+        const keyword = keywordMatch && TimingGenDSL.KEYWORDS.includes(keywordMatch[1]) ? keywordMatch[1] : null;
+        const rest = keyword ? line.slice(keyword.length).trim() : line;
+        
+        if (!(keyword === 'measure' && indented)) {
+            state.group = null;
+        }
+        
+        if (keyword === 'title') {
+            state.title = rest.startsWith('"') ? TimingGenDSL.parseString(rest) : rest;
+        } else if (keyword === 'cycles') {
+            const cycles = Number(rest);
+            if (!Number.isInteger(cycles) || cycles < 1) {
+                throw new Error(`cycles must be a positive integer (found "${rest}")`);
+            }
+            state.config.cycles = cycles;
+        } else if (keyword === 'config') {
+            const options = TimingGenDSL.parseOptions(TimingGenDSL.tokenize(rest), []);
+            Object.keys(options).forEach(key => {
+                if (!TimingGenDSL.CONFIG_KEYS.includes(key)) {
+                    throw new Error(`unknown config option "${key}" (use ${TimingGenDSL.CONFIG_KEYS.join(', ')})`);
+                }
+            });
+            Object.assign(state.config, options);
+        } else if (keyword === 'tear') {
+            rest.split(/\s+/).forEach(word => {
+                state.tears.add(TimingGenDSL.parseCycle(word, 'tear cycle'));
+            });
+        } else if (keyword === 'measure') {
+            const tokens = TimingGenDSL.tokenize(rest);
+            const label = TimingGenDSL.takeLabel(tokens, 'measure');
+            const [from, to] = TimingGenDSL.takeEndpoints(tokens, state, lineNumber, true);
+            const options = TimingGenDSL.parseOptions(tokens, TimingGenDSL.MEASURE_FIELDS.filter(key => key !== 'name'));
+            const explicitName = options.name;
+            delete options.name;
+            
+            const measure = Object.assign({
+                name: null,
+                signal1Name: from.name,
+                signal1Row: null,
+                cycle1: from.cycle,
+                signal2Name: to.name,
+                signal2Row: null,
+                cycle2: to.cycle,
+                measureRow: null,
+                text: label
+            }, TimingGenDSL.copy(TimingGenDSL.MEASURE_DEFAULTS), options);
+            
+            const entry = { measure: measure, explicitName: explicitName, line: lineNumber, group: null };
+            if (indented && state.group) {
+                entry.group = state.group;
+            } else {
+                state.rows.push({ type: 'measure', name: null, data: measure, line: lineNumber, measureEntry: entry });
+            }
+            state.measures.push(entry);
+        } else if (keyword === 'arrow') {
+            const tokens = TimingGenDSL.tokenize(rest);
+            const label = TimingGenDSL.takeLabel(tokens, 'arrow');
+            const [from, to] = TimingGenDSL.takeEndpoints(tokens, state, lineNumber, false);
+            const options = TimingGenDSL.parseOptions(tokens, TimingGenDSL.ARROW_FIELDS);
+            
+            const arrow = Object.assign({
+                name: `A${state.arrows.length}`,
+                signal1Name: from.name,
+                cycle1: from.cycle,
+                poi1Type: from.poiType,
+                signal2Name: to.name,
+                cycle2: to.cycle,
+                poi2Type: to.poiType,
+                startX: null,
+                startY: null,
+                endX: null,
+                endY: null,
+                ctrl1X: null,
+                ctrl1Y: null,
+                ctrl2X: null,
+                ctrl2Y: null
+            }, TimingGenDSL.copy(TimingGenDSL.ARROW_DEFAULTS), { text: label }, options);
+            state.arrows.push({ arrow: arrow, line: lineNumber });
+        } else if (keyword === 'group') {
+            const tokens = TimingGenDSL.tokenize(rest);
+            const group = {};
+            if (tokens.length > 0 && !TimingGenDSL.isOption(tokens[0])) {
+                group.name = TimingGenDSL.parseWord(tokens.shift());
+            }
+            group.measures = [];
+            Object.assign(group, TimingGenDSL.parseOptions(tokens, TimingGenDSL.GROUP_FIELDS));
+            const row = { type: 'group', name: null, data: group, line: lineNumber };
+            state.rows.push(row);
+            state.group = row;
+        } else if (keyword === 'text') {
+            const tokens = TimingGenDSL.tokenize(rest);
+            const textValue = tokens.length > 0 && !TimingGenDSL.isOption(tokens[0]) ? TimingGenDSL.parseWord(tokens.shift()) : '';
+            const item = Object.assign({ text: textValue }, TimingGenDSL.copy(TimingGenDSL.TEXT_DEFAULTS),
+                TimingGenDSL.parseOptions(tokens, TimingGenDSL.TEXT_FIELDS));
+            state.rows.push({ type: 'text', name: null, data: item, line: lineNumber });
+        } else if (keyword === 'counter') {
+            const tokens = TimingGenDSL.tokenize(rest);
+            const values = [];
+            while (tokens.length > 0 && tokens[0].startsWith('@')) {
+                const change = TimingGenDSL.parseChange(tokens.shift());
+                values.push({ cycle: change.cycle, value: change.value });
+            }
+            const item = Object.assign({ values: values }, TimingGenDSL.parseOptions(tokens, TimingGenDSL.COUNTER_FIELDS));
+            state.rows.push({ type: 'counter', name: null, data: item, line: lineNumber });
+        } else if (keyword === 'ac-table') {
+            const tokens = TimingGenDSL.tokenize(rest);
+            const title = tokens.length > 0 && !TimingGenDSL.isOption(tokens[0]) ? TimingGenDSL.parseWord(tokens.shift()) : '';
+            const item = Object.assign({ title: title, rows: [] }, TimingGenDSL.parseOptions(tokens, TimingGenDSL.AC_TABLE_FIELDS));
+            state.rows.push({ type: 'ac-table', name: null, data: item, line: lineNumber });
+        } else {
+            TimingGenDSL.parseSignalLine(state, line, lineNumber);
+        }
+    }
+    
+    /**
+     * Read a signal line "name: type [value at 0] [@cycle:value ...] [key=value ...]"
+     * @param {Object} state - Parse state from parse()
+     * @param {string} line - Line without surrounding whitespace
+     * @param {number} lineNumber - Line number
+     */
+    static parseSignalLine(state, line, lineNumber) {
+        const tokens = TimingGenDSL.tokenize(line);
+        const name = TimingGenDSL.takeLabel(tokens, 'signal');
+        const type = tokens.shift();
+        if (!TimingGenDSL.SIGNAL_TYPES.includes(type)) {
+            throw new Error(type === undefined ?
+                `expected "name: type" or one of ${TimingGenDSL.KEYWORDS.join(', ')}` :
+                `unknown signal type "${type}" (use ${TimingGenDSL.SIGNAL_TYPES.join(', ')})`);
+        }
+        if (!name) {
+            throw new Error('a signal name is required');
+        }
+        if (state.rows.some(row => row.type === 'signal' && row.name === name)) {
+            throw new Error(`signal "${name}" is defined twice`);
+        }
+        
+        const signal = { name: name, type: type, values: {} };
+        const setValue = (cycle, word) => {
+            signal.values[cycle] = TimingGenDSL.parseSignalValue(type, word);
+        };
+        
+        if (tokens.length > 0 && !tokens[0].startsWith('@') && !TimingGenDSL.isOption(tokens[0])) {
+            setValue(0, tokens.shift());
+        }
+        while (tokens.length > 0 && tokens[0].startsWith('@')) {
+            const token = tokens.shift();
+            const separator = token.indexOf(':');
+            if (separator < 0) {
+                throw new Error(`expected @cycle:value (found "${token}")`);
+            }
+            // Bit, bus and analog values may change between clock edges, e.g. @2.5 on the mid-cycle edge
+            const cycle = TimingGenDSL.parseCycle(token.slice(1, separator), 'value cycle', type !== 'clock');
+            if (!TimingGenModel.isValueCycle(signal, cycle)) {
+                throw new Error(`value cycle must be a whole, half or quarter cycle (found "${token.slice(1, separator)}")`);
+            }
+            setValue(cycle, token.slice(separator + 1));
+        }
+        
+        Object.assign(signal, TimingGenDSL.parseOptions(tokens, TimingGenDSL.SIGNAL_FIELDS));
+        state.rows.push({ type: 'signal', name: name, data: signal, line: lineNumber });
+    }
+    
+    /**
+     * Name the rows, place the measures and check references once all lines are read
+     * @param {Object} state - Parse state from parse()
+     * @param {Array} errors - Receives {line, message}
+     */
+    static resolve(state, errors) {
+        // Bit and bus signals without a base_clock option use the first clock
+        const defaultClock = TimingGenDSL.getDefaultClock(state.rows);
+        state.rows.forEach(row => {
+            if (row.type === 'signal' && row.data.type !== 'clock' && row.data.base_clock === undefined) {
+                row.data.base_clock = defaultClock;
+            }
+        });
+        
+        // Row names: measures M<n> in text order unless named, the others by type and position
+        const counters = { text: 0, counter: 0, 'ac-table': 0, group: 0 };
+        const prefixes = { text: 'T', counter: 'C', 'ac-table': 'ACT', group: 'G' };
+        state.rows.forEach(row => {
+            if (prefixes[row.type]) {
+                row.name = `${prefixes[row.type]}${counters[row.type]++}`;
+            }
+        });
+        
+        const measureNames = new Set();
+        state.measures.forEach((entry, index) => {
+            const name = entry.explicitName !== undefined ? String(entry.explicitName) : `M${index}`;
+            if (measureNames.has(name)) {
+                errors.push({ line: entry.line, message: `measure name "${name}" is used twice` });
+            }
+            measureNames.add(name);
+            entry.measure.name = name;
+            if (entry.group) {
+                entry.group.data.measures.push(name);
+                entry.group.data.measuresData = entry.group.data.measuresData || {};
+                entry.group.data.measuresData[name] = entry.measure;
+            }
+        });
+        
+        state.rows.forEach((row, rowIndex) => {
+            if (row.type === 'measure') {
+                row.name = row.data.name;
+                row.data.measureRow = rowIndex;
+            } else if (row.type === 'group' && row.data.measuresData) {
+                Object.values(row.data.measuresData).forEach(measure => {
+                    measure.measureRow = rowIndex;
+                });
+            }
+        });
+        
+        // Measures and arrows must refer to signals of this document
+        const signalNames = new Set(state.rows.filter(row => row.type === 'signal').map(row => row.name));
+        state.references.forEach(reference => {
+            if (!signalNames.has(reference.name)) {
+                errors.push({ line: reference.line, message: `unknown signal "${reference.name}"` });
+            }
+        });
+        
+        // Fractional cycles are falling edges (@n.5, stored as -(n + 1)) on clocks,
+        // positions between clock edges on bit and bus signals
+        const signalTypes = new Map(state.rows.filter(row => row.type === 'signal').map(row => [row.name, row.data.type]));
+        state.measures.map(entry => ({ item: entry.measure, line: entry.line, isMeasure: true }))
+            .concat(state.arrows.map(entry => ({ item: entry.arrow, line: entry.line, isMeasure: false })))
+            .forEach(({ item, line, isMeasure }) => {
+                ['1', '2'].forEach(end => {
+                    const name = item[`signal${end}Name`];
+                    const cycle = item[`cycle${end}`];
+                    if (Number.isInteger(cycle) || signalTypes.get(name) !== 'clock') {
+                        return;
+                    }
+                    const whole = Math.floor(cycle);
+                    if (isMeasure && cycle - whole === 0.5) {
+                        item[`cycle${end}`] = -(whole + 1);
+                    } else {
+                        errors.push({ line: line, message: isMeasure ?
+                            `clock edges are written @n (rising) or @n.5 (falling) (found ${name}@${cycle})` :
+                            `arrows use point types instead of half cycles, e.g. ${name}@${whole}:falling` });
+                    }
+                });
+            });
+    }
+    
+    /**
+     * Take the leading "label:" of a line (a signal name, measure or arrow text)
+     * @param {Array<string>} tokens - Tokens of the line (the label is removed)
+     * @param {string} what - Line kind for the error message
+     * @returns {string} Label
+     */
+    static takeLabel(tokens, what) {
+        // "data[7:0]: bus" ends at the last colon, "clk:clock" at the first
+        const token = tokens.shift() || '';
+        const colon = token.endsWith(':') && !token.endsWith('":') && !token.startsWith('"') ?
+            token.length - 1 : TimingGenDSL.indexOutsideString(token, ':');
+        if (colon < 0) {
+            throw new Error(what === 'signal' ?
+                `expected "name: type" or one of ${TimingGenDSL.KEYWORDS.join(', ')}` :
+                `expected "${what} label: signal@cycle -> signal@cycle"`);
+        }
+        if (colon < token.length - 1) {
+            tokens.unshift(token.slice(colon + 1));
+        }
+        return TimingGenDSL.parseWord(token.slice(0, colon));
+    }
+    
+    /**
+     * Take "signal@cycle -> signal@cycle" from the tokens of a measure or arrow line
+     * @param {Array<string>} tokens - Tokens after the label (the endpoints are removed)
+     * @param {Object} state - Parse state; the signal names are checked in resolve()
+     * @param {number} lineNumber - Line number
+     * @param {boolean} isMeasure - Measures take falling clock edges (@n.5), arrows point types (:mid)
+     * @returns {Array<Object>} Two {name, cycle, poiType}
+     */
+    static takeEndpoints(tokens, state, lineNumber, isMeasure) {
+        if (tokens.length < 3 || tokens[1] !== '->') {
+            throw new Error('expected "signal@cycle -> signal@cycle"');
+        }
+        const endpoints = [tokens.shift(), tokens.shift(), tokens.shift()]
+            .filter((token, index) => index !== 1)
+            .map(token => TimingGenDSL.parseEndpoint(token, isMeasure));
+        endpoints.forEach(endpoint => state.references.push({ name: endpoint.name, line: lineNumber }));
+        return endpoints;
+    }
+    
+    /**
+     * Read "signal@cycle", "clk@3.5" (measures) or "data@3:mid" (arrows).
+     * Fractional cycles are checked against the signal type in resolve()
+     * @param {string} token - Endpoint token
+     * @param {boolean} isMeasure - Measure endpoint
+     * @returns {Object} {name, cycle, poiType}
+     */
+    static parseEndpoint(token, isMeasure) {
+        const at = TimingGenDSL.lastIndexOutsideString(token, '@');
+        if (at <= 0) {
+            throw new Error(`expected signal@cycle (found "${token}")`);
+        }
+        const name = TimingGenDSL.parseWord(token.slice(0, at));
+        const match = token.slice(at + 1).match(/^(\d+(?:\.\d+)?)(?::([a-z-]+))?$/);
+        if (!match) {
+            throw new Error(`expected signal@cycle (found "${token}")`);
+        }
+        
+        if (match[2] && isMeasure) {
+            throw new Error(`measures have no point types (found "${match[2]}")`);
+        }
+        if (match[2] && !TimingGenArrow.POI_TYPES.includes(match[2])) {
+            throw new Error(`unknown point type "${match[2]}" (use ${TimingGenArrow.POI_TYPES.join(', ')})`);
+        }
+        return {
+            name: name,
+            cycle: Number(match[1]),
+            poiType: match[2] || 'auto'
+        };
+    }
+    
+    /**
+     * Read "@cycle:value" of a counter
+     * @param {string} token - Change token
+     * @returns {Object} {cycle, value}
+     */
+    static parseChange(token) {
+        const separator = token.indexOf(':');
+        if (separator < 0) {
+            throw new Error(`expected @cycle:value (found "${token}")`);
+        }
+        const word = token.slice(separator + 1);
+        return {
+            cycle: TimingGenDSL.parseCycle(token.slice(1, separator), 'value cycle'),
+            value: word === 'null' ? null : TimingGenDSL.parseWord(word)
+        };
+    }
+    
+    /**
+     * Read a signal value: 0, 1, X or Z for bits and differential pairs, any word for buses, C, 0, 1 or G for clocks,
+     * a number (voltage) for analog signals
+     * @param {string} type - Signal type
+     * @param {string} word - Value word
+     * @returns {number|string|null} Stored value
+     */
+    static parseSignalValue(type, word) {
+        if (word === 'null') {
+            return null;
+        }
+        const value = TimingGenDSL.parseWord(word);
+        if (type === 'clock') {
+            const state = TimingGenModel.CLOCK_STATES.find(st => String(st) === value.toUpperCase());
+            if (state === undefined) {
+                throw new Error(`clock values are C (running), 0, 1 (stopped) or G (gated) (found "${value}")`);
+            }
+            return state;
+        }
+        if (type === 'bus') {
+            return value;
+        }
+        if (type === 'analog') {
+            if (value.trim() === '' || !Number.isFinite(Number(value))) {
+                throw new Error(`analog values are numbers (found "${value}")`);
+            }
+            return Number(value);
+        }
+        if (value === '0' || value === '1') {
+            return Number(value);
+        }
+        if (value.toUpperCase() === 'X' || value.toUpperCase() === 'Z') {
+            return value.toUpperCase();
+        }
+        throw new Error(`${type} values are 0, 1, X or Z (found "${value}")`);
+    }
+    
+    static parseCycle(word, what, allowFraction) {
+        if (!(allowFraction ? /^\d+(\.\d+)?$/ : /^\d+$/).test(word)) {
+            throw new Error(`${what} must be a cycle number (found "${word}")`);
+        }
+        return Number(word);
+    }
+    
+    /**
+     * Read key=value options
+     * @param {Array<string>} tokens - Remaining tokens of the line
+     * @param {Array<string>} reserved - Fields set by the line itself, not allowed as options
+     * @returns {Object} Options by key
+     */
+    static parseOptions(tokens, reserved) {
+        const options = {};
+        tokens.forEach(token => {
+            if (!TimingGenDSL.isOption(token)) {
+                throw new Error(`expected key=value (found "${token}")`);
+            }
+            const separator = token.indexOf('=');
+            const key = token.slice(0, separator);
+            if (reserved.includes(key)) {
+                throw new Error(`"${key}" is set by the line itself, not as an option`);
+            }
+            options[key] = TimingGenDSL.parseOptionValue(token.slice(separator + 1));
+        });
+        return options;
+    }
+    
+    static isOption(token) {
+        return /^[A-Za-z_]\w*=/.test(token);
+    }
+    
+    /**
+     * Read an option value: JSON strings, objects, arrays, numbers and literals, else the word itself
+     * @param {string} word - Value word
+     * @returns {*} Value
+     */
+    static parseOptionValue(word) {
+        if (/^["{\[]/.test(word)) {
+            try {
+                return JSON.parse(word);
+            } catch (err) {
+                throw new Error(`invalid JSON value ${word}`);
+            }
+        }
+        if (word === 'true' || word === 'false' || word === 'null') {
+            return JSON.parse(word);
+        }
+        if (/^-?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(word)) {
+            return Number(word);
+        }
+        return word;
+    }
+    
+    /**
+     * Read a name or value word; JSON strings are decoded
+     * @param {string} word - Word
+     * @returns {string} Text
+     */
+    static parseWord(word) {
+        return word.startsWith('"') ? TimingGenDSL.parseString(word) : word;
+    }
+    
+    static parseString(word) {
+        try {
+            const value = JSON.parse(word);
+            if (typeof value === 'string') {
+                return value;
+            }
+        } catch (err) {
+            // Reported below
+        }
+        throw new Error(`invalid string ${word}`);
+    }
+    
+    /**
+     * Split a line at whitespace, keeping JSON strings, objects and arrays in one token
+     * @param {string} line - Line text
+     * @returns {Array<string>} Tokens
+     */
+    static tokenize(line) {
+        const tokens = [];
+        let pos = 0;
+        while (pos < line.length) {
+            while (pos < line.length && /\s/.test(line[pos])) {
+                pos++;
+            }
+            if (pos >= line.length) {
+                break;
+            }
+            
+            const start = pos;
+            let depth = 0;
+            while (pos < line.length && (depth > 0 || !/\s/.test(line[pos]))) {
+                const char = line[pos];
+                if (char === '"') {
+                    pos = TimingGenDSL.skipString(line, pos);
+                    continue;
+                }
+                // Brackets open a JSON value only at the start of a token or an option value
+                if ((char === '{' || char === '[') && (depth > 0 || pos === start || line[pos - 1] === '=')) {
+                    depth++;
+                } else if ((char === '}' || char === ']') && depth > 0) {
+                    depth--;
+                }
+                pos++;
+            }
+            tokens.push(line.slice(start, pos));
+        }
+        return tokens;
+    }
+    
+    /**
+     * Find the end of the JSON string starting at a quote
+     * @param {string} text - Text
+     * @param {number} start - Index of the opening quote
+     * @returns {number} Index after the closing quote
+     */
+    static skipString(text, start) {
+        for (let pos = start + 1; pos < text.length; pos++) {
+            if (text[pos] === '\\') {
+                pos++;
+            } else if (text[pos] === '"') {
+                return pos + 1;
+            }
+        }
+        throw new Error('unterminated string');
+    }
+    
+    static indexOutsideString(text, char) {
+        for (let pos = 0; pos < text.length; pos++) {
+            if (text[pos] === '"') {
+                pos = TimingGenDSL.skipString(text, pos) - 1;
+            } else if (text[pos] === char) {
+                return pos;
+            }
+        }
+        return -1;
+    }
+    
+    static lastIndexOutsideString(text, char) {
+        let found = -1;
+        for (let pos = 0; pos < text.length; pos++) {
+            if (text[pos] === '"') {
+                pos = TimingGenDSL.skipString(text, pos) - 1;
+            } else if (text[pos] === char) {
+                found = pos;
+            }
+        }
+        return found;
+    }
+    
+    static copy(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+    
+    // ========================================
+    // Editor Pane
+    // ========================================
+    
+    /**
+     * Show or hide the diagram text pane
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static toggleEditor(app) {
+        const panel = document.getElementById('dsl-panel');
+        if (!panel) return;
+        
+        panel.style.display = panel.style.display === 'none' ? 'flex' : 'none';
+        if (panel.style.display !== 'none') {
+            app.dslSyncedText = null;
+            TimingGenDSL.refreshEditor(app);
+        }
+    }
+    
+    /**
+     * Show the current document in the pane unless the user is typing in it.
+     * Called after every render; text the user typed is kept while it still matches the document.
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static refreshEditor(app) {
+        const panel = document.getElementById('dsl-panel');
+        const input = document.getElementById('dsl-input');
+        if (!panel || !input || panel.style.display === 'none' || document.activeElement === input) {
+            return;
+        }
+        
+        const text = TimingGenDSL.toText(TimingGenData.buildSaveData(app));
+        if (text !== app.dslSyncedText) {
+            input.value = text;
+            app.dslSyncedText = text;
+            TimingGenDSL.showErrors(app, []);
+        }
+    }
+    
+    /**
+     * Re-render shortly after the user stops typing
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static scheduleApply(app) {
+        clearTimeout(app.dslApplyTimer);
+        app.dslApplyTimer = setTimeout(() => TimingGenDSL.applyEditorText(app), TimingGenDSL.APPLY_DELAY);
+    }
+    
+    /**
+     * Replace the document with the pane's text if it has no errors.
+     * All changes made while the pane has the focus are one undo command.
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static applyEditorText(app) {
+        clearTimeout(app.dslApplyTimer);
+        app.dslApplyTimer = null;
+        
+        const result = TimingGenDSL.parse(document.getElementById('dsl-input').value);
+        TimingGenDSL.showErrors(app, result.errors);
+        if (result.errors.length > 0) {
+            return;
+        }
+        
+        const manager = app.undoRedoManager;
+        if (!manager.pendingCapture || manager.pendingLabel !== TimingGenDSL.EDIT_LABEL) {
+            manager.captureState(TimingGenDSL.EDIT_LABEL);
+        }
+        
+        TimingGenModel.loadDocument(app, result.data);
+        app.documentTitle = result.data.title;
+        document.getElementById('cycles-input').value = app.config.cycles;
+        app.selectedSignals.clear();
+        app.selectedMeasureRows.clear();
+        app.selectedGroupRows.clear();
+        
+        app.initializeCanvas();
+        app.recalculateArrowPositions();
+        app.render();
+        app.updateDocumentTitle();
+        app.dslSyncedText = TimingGenDSL.toText(TimingGenData.buildSaveData(app));
+    }
+    
+    /**
+     * Finish an editing session when the pane loses the focus
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static finishEditing(app) {
+        if (app.dslApplyTimer) {
+            TimingGenDSL.applyEditorText(app);
+        }
+        const manager = app.undoRedoManager;
+        if (manager.pendingCapture && manager.pendingLabel === TimingGenDSL.EDIT_LABEL) {
+            manager.commitPending();
+        }
+    }
+    
+    /**
+     * List the errors of the pane's text; clicking one selects its line
+     * @param {TimingGenApp} app - Main application instance
+     * @param {Array<Object>} errors - {line, message} from parse()
+     */
+    static showErrors(app, errors) {
+        const list = document.getElementById('dsl-errors');
+        list.innerHTML = '';
+        list.style.display = errors.length > 0 ? 'block' : 'none';
+        
+        errors.forEach(error => {
+            const item = document.createElement('div');
+            item.className = 'dsl-error';
+            item.textContent = `Line ${error.line}: ${error.message}`;
+            item.addEventListener('click', () => TimingGenDSL.selectLine(error.line));
+            list.appendChild(item);
+        });
+    }
+    
+    /**
+     * Select a line of the diagram text editor, e.g. the line of a clicked error
+     * @param {number} lineNumber - Line number (1-based)
+     */
+    static selectLine(lineNumber) {
+        const input = document.getElementById('dsl-input');
+        const lines = input.value.split('\n');
+        const start = lines.slice(0, lineNumber - 1).reduce((sum, line) => sum + line.length + 1, 0);
+        input.focus();
+        input.setSelectionRange(start, start + (lines[lineNumber - 1] || '').length);
+    }
+    
+    /**
+     * Download the diagram as a diagram text file
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static exportToText(app) {
+        const text = TimingGenDSL.toText(TimingGenData.buildSaveData(app));
+        
+        const blob = new Blob([text], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        
+        const anchor = document.createElement('a');
+        anchor.href = url;
+        anchor.download = `${TimingGenData.getExportBaseName(app)}.tdl`;
+        anchor.click();
+        
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Line keywords; any other line is a signal ("name: type ...")
+TimingGenDSL.KEYWORDS = ['title', 'cycles', 'config', 'measure', 'arrow', 'group', 'text', 'counter', 'ac-table', 'tear'];
+
+TimingGenDSL.SIGNAL_TYPES = ['clock', 'bit', 'bus', 'diff', 'analog'];
+
+// Saved config fields written on the config line when they differ from the defaults
+TimingGenDSL.CONFIG_KEYS = ['clockPeriod', 'clockPeriodUnit', 'signalRowHeight', 'measureRowHeight',
+    'slew', 'delayMin', 'delayMax', 'delayColor'];
+
+// Fields written by each line's own syntax or derived when reading (never key=value options)
+TimingGenDSL.SIGNAL_FIELDS = ['name', 'type', 'values'];
+TimingGenDSL.MEASURE_FIELDS = ['name', 'signal1Name', 'signal1Row', 'cycle1', 'signal2Name', 'signal2Row', 'cycle2',
+    'measureRow', 'text'];
+TimingGenDSL.ARROW_FIELDS = ['name', 'signal1Name', 'cycle1', 'poi1Type', 'signal2Name', 'cycle2', 'poi2Type', 'text',
+    'startX', 'startY', 'endX', 'endY', 'ctrl1X', 'ctrl1Y', 'ctrl2X', 'ctrl2Y'];
+TimingGenDSL.GROUP_FIELDS = ['name', 'measures', 'measuresData'];
+TimingGenDSL.TEXT_FIELDS = ['text'];
+TimingGenDSL.COUNTER_FIELDS = ['values'];
+TimingGenDSL.AC_TABLE_FIELDS = ['title'];
+
+// Values of new measures, arrows and text rows, assumed when an option is missing
+TimingGenDSL.MEASURE_DEFAULTS = { textX: null, textFont: 'Arial', textSize: 12, textColor: '#FF0000' };
+TimingGenDSL.ARROW_DEFAULTS = { width: 2, color: '#0000FF', textFont: 'Arial', textSize: 12, textColor: '#0000FF' };
+TimingGenDSL.TEXT_DEFAULTS = { fontFamily: 'Arial', fontSize: 14, color: '#000000', xOffset: 10 };
+
+// Undo command label of the changes made in the text pane
+TimingGenDSL.EDIT_LABEL = 'Edit diagram text';
+
+// Milliseconds without typing before the diagram is re-rendered
+TimingGenDSL.APPLY_DELAY = 300;
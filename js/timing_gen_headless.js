@@ -0,0 +1,131 @@
+// Timing Gen 3 - Headless Rendering Module
+// Version 3.4.1
+// Renders a document without the editor page (no DOM, dialogs or mouse handling).
+// Provides the part of the TimingGenApp interface used by the rendering, measure and
+// arrow modules, so their drawing code produces the same output as the editor.
+// Needs a Paper.js that runs outside a page, e.g. paper-jsdom-canvas (see bin/timing-gen.js).
+
+class TimingGenHeadlessApp {
+    /**
+     * Create a headless document and its Paper.js project
+     * @param {Object} data - Document data in the current format (run TimingGenMigration.migrate first)
+     */
+    constructor(data) {
+        Object.assign(this, TimingGenModel.createDocument());
+        TimingGenModel.loadDocument(this, data);
+        this.documentTitle = data.title || TimingGenData.DEFAULT_TITLE;
+        
+        // Row manager for unified row system
+        this.rowManager = new RowManager(this);
+        
+        // View state read while drawing; nothing is ever selected or edited here
+        this.selectedSignals = new Set();
+        this.selectedMeasureRows = new Set();
+        this.selectedGroupRows = new Set();
+        this.hideHeader = false;
+        this.exportingSVG = false;
+        this.arrowEditMode = false;
+        this.currentEditingArrowName = null;
+        
+        // Same view size and layers as the editor canvas (TimingGenApp.initializeCanvas)
+        const { width, height } = TimingGenModel.getCanvasSize(this.config);
+        paper.setup(new paper.Size(width, height));
+        this.backgroundLayer = new paper.Layer();
+        this.gridLayer = new paper.Layer();
+        this.signalLayer = new paper.Layer();
+        this.measureLayer = new paper.Layer();
+        
+        this.recalculateArrowPositions();
+    }
+    
+    /**
+     * Render the diagram as File > Export SVG does
+     * @returns {string} SVG document
+     */
+    exportSVG() {
+        return TimingGenData.renderSVG(this);
+    }
+    
+    /**
+     * Render the SVG that File > Export PNG rasterizes: export mode without the background rectangle
+     * @param {boolean} crop - Crop to the drawn content instead of the whole view
+     * @returns {string} SVG document
+     */
+    exportImageSVG(crop) {
+        const saved = TimingGenData.enterExportMode(this);
+        try {
+            this.backgroundLayer.removeChildren();
+            return paper.project.exportSVG({ asString: true, bounds: crop ? 'content' : 'view' });
+        } finally {
+            TimingGenData.exitExportMode(this, saved);
+        }
+    }
+    
+    render() {
+        TimingGenRendering.render(this);
+    }
+    
+    recalculateArrowPositions() {
+        TimingGenArrow.recalculateArrowPositions(this);
+    }
+    
+    getSignals() {
+        return TimingGenModel.getSignals(this);
+    }
+    
+    getMeasures() {
+        return TimingGenModel.getMeasures(this);
+    }
+    
+    getSignalByName(name) {
+        return this.signalsData.get(name);
+    }
+    
+    getSignalIndex(name) {
+        return this.getSignals().findIndex(s => s.name === name);
+    }
+    
+    getSignalByIndex(index) {
+        return this.getSignals()[index];
+    }
+    
+    getBitValueAtCycle(signal, cycle) {
+        return TimingGenModel.getBitValueAtCycle(signal, cycle);
+    }
+    
+    getBusValueAtCycle(signal, cycle) {
+        return TimingGenModel.getBusValueAtCycle(signal, cycle);
+    }
+    
+    getEffectiveSlew(signal, cycle) {
+        return TimingGenModel.getEffectiveSlew(this.config, signal, cycle);
+    }
+    
+    getEffectiveDelay(signal, cycle) {
+        return TimingGenModel.getEffectiveDelay(this.config, signal, cycle);
+    }
+    
+    getEffectiveDelayInTime(signal, cycle) {
+        return TimingGenModel.getEffectiveDelayInTime(this.config, signal, cycle);
+    }
+    
+    getSignalTiming(signal) {
+        return TimingGenModel.getSignalTiming(this, signal);
+    }
+    
+    getCycleX(signal, cycle) {
+        return TimingGenModel.getTimeX(this.config, TimingGenModel.getCycleTime(this.getSignalTiming(signal), cycle));
+    }
+    
+    getEventX(signal, cycle) {
+        return TimingGenModel.getTimeX(this.config, TimingGenModel.getEventTime(this, signal, cycle));
+    }
+    
+    getSignalCycleCount(signal) {
+        return TimingGenModel.getCycleCount(this.config, this.getSignalTiming(signal));
+    }
+    
+    getMeasureCoordinates(measure) {
+        return TimingGenMeasure.getMeasureCoordinates(this, measure);
+    }
+}
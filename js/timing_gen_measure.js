@@ -36,17 +36,24 @@ class TimingGenMeasure {
     }
     
     /**
-     * Get cycle number at X position
+     * Get the nearest cycle boundary at X position
      * @param {TimingGenApp} app - Main application instance
      * @param {number} xPos - X position in canvas coordinates
+     * @param {Object} [signal] - Count cycles of this signal's clock domain (base clock if omitted),
+     *     in steps of its transition step
      * @returns {number|null} Cycle number or null if outside bounds
      */
-    static getCycleAtX(app, xPos) {
+    static getCycleAtX(app, xPos, signal) {
         const relativeX = xPos - app.config.nameColumnWidth;
         if (relativeX < 0) return null;
         
-        const cycle = Math.round(relativeX / app.config.cycleWidth);
-        if (cycle < 0 || cycle > app.config.cycles) {
+        const timing = signal ? app.getSignalTiming(signal) : TimingGenModel.getClockTiming(app.config);
+        const step = TimingGenModel.getTransitionStep(signal);
+        const time = relativeX / app.config.cycleWidth;
+        const before = TimingGenModel.getCycleAtTime(timing, time, step);
+        const after = before + step;
+        const cycle = time - TimingGenModel.getCycleTime(timing, before) < TimingGenModel.getCycleTime(timing, after) - time ? before : after;
+        if (cycle < 0 || cycle > TimingGenModel.getCycleCount(app.config, timing)) {
             return null;
         }
         return cycle;
@@ -86,12 +93,30 @@ class TimingGenMeasure {
         
         const signal1RowHeight = app.rowManager.getRowHeight(signal1Row);
         const signal2RowHeight = app.rowManager.getRowHeight(signal2Row);
-        const y1 = app.rowManager.getRowYPosition(signal1Row) + signal1RowHeight / 2;
-        const y2 = app.rowManager.getRowYPosition(signal2Row) + signal2RowHeight / 2;
+        const y1 = TimingGenMeasure.getMeasurePointY(app, signal1, measure.cycle1,
+            app.rowManager.getRowYPosition(signal1Row), signal1RowHeight);
+        const y2 = TimingGenMeasure.getMeasurePointY(app, signal2, measure.cycle2,
+            app.rowManager.getRowYPosition(signal2Row), signal2RowHeight);
         
         return { x1, y1, x2, y2, signal1Index, signal2Index };
     }
     
+    /**
+     * Get the y position of a measure end point: the row middle, or the waveform of an analog signal
+     * @param {TimingGenApp} app - Main application instance
+     * @param {Object} signal - Signal object
+     * @param {number} cycle - Cycle number
+     * @param {number} rowY - Row top
+     * @param {number} rowHeight - Row height
+     * @returns {number} Y coordinate
+     */
+    static getMeasurePointY(app, signal, cycle, rowY, rowHeight) {
+        if (signal.type === 'analog') {
+            return TimingGenModel.getAnalogY(signal, TimingGenModel.getAnalogValueAtCycle(signal, cycle), rowY, rowHeight);
+        }
+        return rowY + rowHeight / 2;
+    }
+    
     /**
      * Get X coordinate for the midpoint of a transition
      * @param {TimingGenApp} app - Main application instance
@@ -114,30 +139,30 @@ class TimingGenMeasure {
             return app.config.nameColumnWidth + absCycle * app.config.cycleWidth;
         }
         
-        if (signal.type === 'clock' && cycle < 0) {
-            const absCycle = Math.abs(cycle + 1);
-            return app.config.nameColumnWidth + absCycle * app.config.cycleWidth + app.config.cycleWidth / 2;
-        }
+        // Clock edges and cycle starts follow the signal's clock domain
+        const baseX = app.getEventX(signal, cycle);
         
-        const baseX = app.config.nameColumnWidth + cycle * app.config.cycleWidth;
-        
-        if (signal.type === 'clock') {
+        // Analog points and threshold crossings have no slew
+        if (signal.type === 'clock' || signal.type === 'analog') {
             return baseX;
         }
         
         const delayInfo = app.getEffectiveDelay(signal, cycle);
         const slew = app.getEffectiveSlew(signal, cycle);
         
-        if (cycle > 0 && signal.type === 'bit') {
+        // Value before the change (the previous half cycle for changes between clock edges)
+        const prevCycle = TimingGenModel.getPreviousValueCycle(signal, cycle);
+        // Differential pairs snap to the crossing, half way through the slew like bit transitions
+        if (cycle > 0 && (signal.type === 'bit' || signal.type === 'diff')) {
             const currentValue = app.getBitValueAtCycle(signal, cycle);
-            const prevValue = app.getBitValueAtCycle(signal, cycle - 1);
+            const prevValue = app.getBitValueAtCycle(signal, prevCycle);
             
             if (currentValue !== prevValue && currentValue !== 'X' && prevValue !== 'X') {
                 return baseX + delayInfo.min + slew / 2;
             }
         } else if (cycle > 0 && signal.type === 'bus') {
             const currentValue = app.getBusValueAtCycle(signal, cycle);
-            const prevValue = app.getBusValueAtCycle(signal, cycle - 1);
+            const prevValue = app.getBusValueAtCycle(signal, prevCycle);
             
             if (currentValue !== prevValue && currentValue !== 'X' && prevValue !== 'X') {
                 return baseX + delayInfo.min + slew / 2;
@@ -177,18 +202,19 @@ class TimingGenMeasure {
             return { signalIndex: 0, cycle: cycle !== null ? cycle : 0 };
         }
         
-        const clickedCycle = TimingGenMeasure.getCycleAtX(app, xPos);
+        const clickedCycle = TimingGenMeasure.getCycleAtX(app, xPos, signal);
         if (clickedCycle === null) {
             return { signalIndex, cycle: 0 };
         }
+        const cycles = app.getSignalCycleCount(signal);
         
-        if (signal.type === 'bit') {
+        if (signal.type === 'bit' || signal.type === 'diff') {
             let nearestCycle = clickedCycle;
             let minDistance = Infinity;
             
-            for (let cycle = Math.max(1, clickedCycle - 2); cycle <= Math.min(app.config.cycles - 1, clickedCycle + 2); cycle++) {
+            for (const cycle of TimingGenMeasure.getNearbyValueCycles(signal, cycles, clickedCycle)) {
                 const currentValue = app.getBitValueAtCycle(signal, cycle);
-                const prevValue = app.getBitValueAtCycle(signal, cycle - 1);
+                const prevValue = app.getBitValueAtCycle(signal, TimingGenModel.getPreviousValueCycle(signal, cycle));
                 
                 if (currentValue !== prevValue && currentValue !== 'X' && prevValue !== 'X') {
                     const transitionX = TimingGenMeasure.getTransitionMidpointX(app, signalIndex, cycle);
@@ -209,8 +235,8 @@ class TimingGenMeasure {
             let nearestEdge = 'rising';
             let minDistance = Infinity;
             
-            for (let cycle = Math.max(0, clickedCycle - 1); cycle <= Math.min(app.config.cycles, clickedCycle + 1); cycle++) {
-                const risingEdgeX = app.config.nameColumnWidth + cycle * app.config.cycleWidth;
+            for (let cycle = Math.max(0, clickedCycle - 1); cycle <= Math.min(cycles, clickedCycle + 1); cycle++) {
+                const risingEdgeX = app.getEventX(signal, cycle);
                 const risingDistance = Math.abs(risingEdgeX - xPos);
                 
                 if (risingDistance < minDistance) {
@@ -219,8 +245,8 @@ class TimingGenMeasure {
                     nearestEdge = 'rising';
                 }
                 
-                if (cycle < app.config.cycles) {
-                    const fallingEdgeX = app.config.nameColumnWidth + cycle * app.config.cycleWidth + app.config.cycleWidth / 2;
+                if (cycle < cycles) {
+                    const fallingEdgeX = app.getEventX(signal, -(cycle + 1));
                     const fallingDistance = Math.abs(fallingEdgeX - xPos);
                     
                     if (fallingDistance < minDistance) {
@@ -238,13 +264,17 @@ class TimingGenMeasure {
             return { signalIndex, cycle: nearestCycle };
         }
         
+        if (signal.type === 'analog') {
+            return { signalIndex, cycle: TimingGenMeasure.getNearestAnalogCycle(app, signal, xPos, clickedCycle) };
+        }
+        
         if (signal.type === 'bus') {
             let nearestCycle = clickedCycle;
             let minDistance = Infinity;
             
-            for (let cycle = Math.max(1, clickedCycle - 2); cycle <= Math.min(app.config.cycles - 1, clickedCycle + 2); cycle++) {
+            for (const cycle of TimingGenMeasure.getNearbyValueCycles(signal, cycles, clickedCycle)) {
                 const currentValue = app.getBusValueAtCycle(signal, cycle);
-                const prevValue = app.getBusValueAtCycle(signal, cycle - 1);
+                const prevValue = app.getBusValueAtCycle(signal, TimingGenModel.getPreviousValueCycle(signal, cycle));
                 
                 if (currentValue !== prevValue && currentValue !== 'X' && prevValue !== 'X') {
                     const transitionX = TimingGenMeasure.getTransitionMidpointX(app, signalIndex, cycle);
@@ -263,6 +293,41 @@ class TimingGenMeasure {
         return { signalIndex, cycle: clickedCycle };
     }
     
+    /**
+     * List the cycles where a bit or bus value may change within two cycles of a click
+     * @param {Object} signal - Bit or bus signal
+     * @param {number} cycles - Number of cycles of the signal's clock domain
+     * @param {number} clickedCycle - Cycle nearest to the click
+     * @returns {Array<number>} Candidate cycles (after cycle 0, including fractional changes)
+     */
+    static getNearbyValueCycles(signal, cycles, clickedCycle) {
+        return TimingGenModel.getValueCycles(signal, cycles)
+            .filter(cycle => cycle > 0 && cycle >= clickedCycle - 2 && cycle <= clickedCycle + 2);
+    }
+    
+    /**
+     * Find the threshold crossing of an analog signal nearest to a click, within two cycles
+     * @param {TimingGenApp} app - Main application instance
+     * @param {Object} signal - Analog signal
+     * @param {number} xPos - X position
+     * @param {number} clickedCycle - Cycle nearest to the click
+     * @returns {number} Cycle of the crossing (fractional inside a ramp), or clickedCycle if it is closer
+     */
+    static getNearestAnalogCycle(app, signal, xPos, clickedCycle) {
+        let nearestCycle = clickedCycle;
+        let minDistance = Math.abs(app.getCycleX(signal, clickedCycle) - xPos);
+        TimingGenModel.getAnalogCrossings(signal, app.getSignalCycleCount(signal))
+            .filter(crossing => Math.abs(crossing.cycle - clickedCycle) <= 2)
+            .forEach(crossing => {
+                const distance = Math.abs(app.getCycleX(signal, crossing.cycle) - xPos);
+                if (distance < minDistance) {
+                    minDistance = distance;
+                    nearestCycle = crossing.cycle;
+                }
+            });
+        return nearestCycle;
+    }
+    
     /**
      * Find the nearest point of interest (cycle boundary)
      * @param {TimingGenApp} app - Main application instance
@@ -290,11 +355,13 @@ class TimingGenMeasure {
             return { signalIndex: 0, cycle: cycle !== null ? cycle : 0 };
         }
         
-        const relativeX = xPos - app.config.nameColumnWidth;
-        const nearestCycle = Math.round(relativeX / app.config.cycleWidth);
-        const cycle = Math.max(0, Math.min(app.config.cycles, nearestCycle));
+        const cycle = TimingGenMeasure.getCycleAtX(app, Math.max(xPos, app.config.nameColumnWidth), signal);
+        if (cycle !== null && signal.type === 'analog') {
+            // Threshold crossings are points of interest too
+            return { signalIndex, cycle: TimingGenMeasure.getNearestAnalogCycle(app, signal, xPos, cycle) };
+        }
         
-        return { signalIndex, cycle };
+        return { signalIndex, cycle: cycle !== null ? cycle : app.getSignalCycleCount(signal) };
     }
     
     /**
@@ -348,7 +415,9 @@ class TimingGenMeasure {
             const snapPoint = TimingGenMeasure.findNearestTransition(app, xPos, yPos);
             if (snapPoint) {
                 const snapX = TimingGenMeasure.getTransitionMidpointX(app, snapPoint.signalIndex, snapPoint.cycle);
-                const snapY = app.rowManager.getRowYPosition(app.rowManager.signalIndexToRowIndex(snapPoint.signalIndex)) + app.config.rowHeight / 2;
+                const snapRow = app.rowManager.signalIndexToRowIndex(snapPoint.signalIndex);
+                const snapY = TimingGenMeasure.getMeasurePointY(app, app.getSignalByIndex(snapPoint.signalIndex), snapPoint.cycle,
+                    app.rowManager.getRowYPosition(snapRow), app.config.rowHeight);
                 
                 const snapIndicator = new paper.Path.Circle({
                     center: [snapX, snapY],
@@ -366,7 +435,9 @@ class TimingGenMeasure {
             const snapPoint = TimingGenMeasure.findNearestTransition(app, xPos, yPos);
             if (snapPoint) {
                 const snapX = TimingGenMeasure.getTransitionMidpointX(app, snapPoint.signalIndex, snapPoint.cycle);
-                const snapY = app.rowManager.getRowYPosition(app.rowManager.signalIndexToRowIndex(snapPoint.signalIndex)) + app.config.rowHeight / 2;
+                const snapRow = app.rowManager.signalIndexToRowIndex(snapPoint.signalIndex);
+                const snapY = TimingGenMeasure.getMeasurePointY(app, app.getSignalByIndex(snapPoint.signalIndex), snapPoint.cycle,
+                    app.rowManager.getRowYPosition(snapRow), app.config.rowHeight);
                 
                 console.log('[handleMeasureMouseMove] Snap point found at:', snapX, snapY);
                 
@@ -823,7 +894,7 @@ class TimingGenMeasure {
      * @param {TimingGenApp} app - Main application instance
      */
     static finalizeMeasureWithBlankRow(app) {
-        app.undoRedoManager.captureState();
+        app.undoRedoManager.captureState(`Add measure ${app.currentMeasure.name}`);
         
         const measureRowIndex = app.currentMeasure.measureRow;
         
@@ -878,7 +949,7 @@ class TimingGenMeasure {
             return;
         }
         
-        app.undoRedoManager.captureState();
+        app.undoRedoManager.captureState(`Add measure ${app.currentMeasure.name}`);
         
         app.currentMeasure.text = text;
         
@@ -960,7 +1031,7 @@ class TimingGenMeasure {
     static deleteMeasure(app) {
         const measures = app.getMeasures();
         if (app.currentEditingMeasure !== null && app.currentEditingMeasure >= 0 && app.currentEditingMeasure < measures.length) {
-            app.undoRedoManager.captureState();
+            app.undoRedoManager.captureState(`Delete measure ${measures[app.currentEditingMeasure].name}`);
             
             const measureToDelete = measures[app.currentEditingMeasure];
             const measureName = measureToDelete.name;
@@ -1006,7 +1077,7 @@ class TimingGenMeasure {
             return;
         }
         
-        app.undoRedoManager.captureState();
+        app.undoRedoManager.captureState(`Move measure ${measure.name} text`);
         
         const startX = event.point.x;
         
@@ -0,0 +1,851 @@
+// Timing Gen 3 - Migration Module
+// Version 3.4.1
+// Handles upgrading legacy documents (v3.0.x to v3.4.0 and timing_gen2 input files) to the current format
+// (diagram text files are read by TimingGenDSL)
+
+class TimingGenMigration {
+    /**
+     * Parse file contents and upgrade them step by step to the current format.
+     * Diagram text (.tdl) is parsed directly and needs no steps.
+     * @param {string} text - File contents
+     * @param {Object} options - {cycleWidth} used to place timing_gen2 text
+     * @returns {Object} {data, steps: Array<{from, to, notes}>}
+     */
+    static migrate(text, options = {}) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            if (TimingGenDSL.isDiagramText(text)) {
+                // Diagram text is read straight into the current format
+                const result = TimingGenDSL.parse(text);
+                if (result.errors.length > 0) {
+                    throw new Error(result.errors.slice(0, TimingGenMigration.MAX_REPORTED_ERRORS)
+                        .map(error => `line ${error.line}: ${error.message}`).join('\n'));
+                }
+                return { data: result.data, steps: [] };
+            }
+            if (!TimingGenMigration.isTimingGen2(text)) {
+                throw err;
+            }
+            data = TimingGenMigration.parseTimingGen2(text);
+        }
+
+        const steps = [];
+        let family = TimingGenMigration.detectVersion(data);
+        let step = TimingGenMigration.STEPS.find(s => s.from === family);
+
+        while (step) {
+            const notes = [];
+            const fromLabel = family === '2' ? 'timing_gen2' : `v${data.version || family + '.x'}`;
+            data = step.migrate(data, notes, options);
+            data.version = step.to;
+            steps.push({ from: fromLabel, to: `v${step.to}`, notes: notes });
+
+            family = TimingGenMigration.detectVersion(data);
+            step = TimingGenMigration.STEPS.find(s => s.from === family);
+        }
+
+        return { data: data, steps: steps };
+    }
+
+    /**
+     * Determine the format family of a parsed document. The structure decides,
+     * since early files were saved with inconsistent version strings.
+     * @param {Object} data - Parsed document
+     * @returns {string} '2', '3.0', '3.1', '3.2', '3.3', '3.4.0' or '3.4'
+     */
+    static detectVersion(data) {
+        if (data.format === 'timing_gen2') return '2';
+        if (Array.isArray(data.signals) && !Array.isArray(data.rows)) return '3.0';
+        if (!Array.isArray(data.rows)) return '3.4';
+        if (data.rows.some(row => row.name === undefined)) return '3.1';
+        if (!Array.isArray(data.arrows)) return '3.2';
+        if (!Array.isArray(data.tears)) return '3.3';
+        if (data.rows.some(row => row.type === 'group' && row.data && row.data.measuresData === undefined)) return '3.4.0';
+        return '3.4';
+    }
+
+    /**
+     * Build a readable summary of the applied migration steps
+     * @param {Array<Object>} steps - Steps returned by migrate
+     * @returns {string} Summary text
+     */
+    static formatSummary(steps) {
+        const lines = [`This file was converted from ${steps[0].from} to the current format.`];
+        steps.forEach(step => {
+            lines.push('', `${step.from} → ${step.to}`);
+            step.notes.forEach(note => lines.push(`- ${note}`));
+        });
+        lines.push('', 'Save the file to keep the converted version.');
+        return lines.join('\n');
+    }
+
+    // ========================================
+    // v3.0.x -> v3.1.0
+    // ========================================
+
+    /**
+     * Move the top-level signals array into rows, placing each measure after
+     * the signal gap it was drawn in
+     * @param {Object} data - v3.0.x document
+     * @param {Array<string>} notes - Collects conversion notes
+     * @returns {Object} v3.1.0 document
+     */
+    static from30(data, notes) {
+        const config = Object.assign({}, data.config);
+
+        // v3.0.1 had a single delay (with its own unit) instead of min/max
+        if (config.delay !== undefined && config.delayMin === undefined && config.delayMax === undefined) {
+            const delay = TimingGenMigration.convertTime(config.delay, config.delayUnit, config.clockPeriodUnit);
+            config.delayMin = delay;
+            config.delayMax = delay;
+            notes.push(`Global delay ${config.delay}${config.delayUnit || ''} converted to delay min/max`);
+        }
+        delete config.delay;
+        delete config.delayUnit;
+
+        const signals = data.signals || [];
+        const measures = Array.isArray(data.measures) ? data.measures : [];
+        const rows = [];
+        const signalRowIndex = [];
+
+        // Measures before the first signal used gap -1
+        const measuresAtGap = (gap) => measures.filter(m => m.measureRow === gap);
+        const pushMeasures = (gap) => {
+            const list = measuresAtGap(gap);
+            if (list.length > 0) {
+                rows.push({ type: 'measure', data: list });
+            }
+        };
+
+        pushMeasures(-1);
+        signals.forEach((signal, index) => {
+            signalRowIndex[index] = rows.length;
+            rows.push({ type: 'signal', data: signal });
+            pushMeasures(index);
+        });
+
+        // v3.1 measures refer to rows instead of signals
+        measures.forEach(measure => {
+            if (measure.signal1Row !== undefined) measure.signal1Row = signalRowIndex[measure.signal1Row];
+            if (measure.signal2Row !== undefined) measure.signal2Row = signalRowIndex[measure.signal2Row];
+        });
+
+        const unplaced = measures.filter(m => typeof m.measureRow !== 'number' || m.measureRow < -1 || m.measureRow >= signals.length);
+        if (unplaced.length > 0) {
+            rows.push({ type: 'measure', data: unplaced });
+            notes.push(`${unplaced.length} measure(s) without a valid row placed at the bottom`);
+        }
+
+        notes.push(`${signals.length} signal(s) moved into rows`);
+        if (measures.length > 0) {
+            notes.push(`${measures.length} measure(s) moved into rows`);
+        }
+
+        return { version: data.version, config: config, rows: rows };
+    }
+
+    // ========================================
+    // v3.1.x -> v3.2.0
+    // ========================================
+
+    /**
+     * Give every row a name and store one measure per row, with signals
+     * referenced by name
+     * @param {Object} data - v3.1.x document
+     * @param {Array<string>} notes - Collects conversion notes
+     * @returns {Object} v3.2.0 document
+     */
+    static from31(data, notes) {
+        const rows = [];
+        const counters = { measure: 0, text: 0, counter: 0, acTable: 0 };
+        let split = 0;
+
+        const signalNameAtRow = (rowIndex) => {
+            const row = data.rows[rowIndex];
+            return row && row.type === 'signal' && row.data ? row.data.name : undefined;
+        };
+
+        data.rows.forEach(row => {
+            if (row.name !== undefined) {
+                rows.push(row);
+                return;
+            }
+
+            if (row.type === 'signal' && row.data) {
+                rows.push({ type: 'signal', name: row.data.name, data: row.data });
+            } else if (row.type === 'measure' && row.data) {
+                const list = Array.isArray(row.data) ? row.data : [row.data];
+                if (list.length > 1) split++;
+
+                list.forEach(measure => {
+                    const name = `M${counters.measure++}`;
+                    const signal1Name = measure.signal1Name || signalNameAtRow(measure.signal1Row);
+                    const signal2Name = measure.signal2Name || signalNameAtRow(measure.signal2Row);
+                    if (!signal1Name || !signal2Name) {
+                        notes.push(`Measure "${measure.text || name}" dropped: its signals could not be found`);
+                        return;
+                    }
+                    rows.push({
+                        type: 'measure',
+                        name: name,
+                        data: {
+                            name: name,
+                            signal1Name: signal1Name,
+                            cycle1: measure.cycle1,
+                            signal2Name: signal2Name,
+                            cycle2: measure.cycle2,
+                            text: measure.text || '',
+                            textX: measure.textX !== undefined ? measure.textX : null,
+                            textFont: measure.textFont || 'Arial',
+                            textSize: measure.textSize || 12,
+                            textColor: measure.textColor || '#FF0000'
+                        }
+                    });
+                });
+            } else if (row.type === 'text' && row.data) {
+                rows.push({ type: 'text', name: `T${counters.text++}`, data: row.data });
+            } else if (row.type === 'counter' && row.data) {
+                rows.push({ type: 'counter', name: `C${counters.counter++}`, data: row.data });
+            } else if (row.type === 'ac-table' && row.data) {
+                rows.push({ type: 'ac-table', name: `ACT${counters.acTable++}`, data: row.data });
+            } else {
+                notes.push(`Row of type "${row.type}" dropped`);
+            }
+        });
+
+        if (split > 0) {
+            notes.push(`${split} row(s) holding several measures split into one row per measure`);
+        }
+        notes.push(`${rows.length} row(s) named; measures now refer to signals by name`);
+
+        return Object.assign({}, data, { rows: rows });
+    }
+
+    // ========================================
+    // v3.2.x -> v3.3.3, v3.3.x -> v3.4.1
+    // ========================================
+
+    /**
+     * Add the arrows list introduced in v3.3.3
+     * @param {Object} data - v3.2.x document
+     * @param {Array<string>} notes - Collects conversion notes
+     * @returns {Object} v3.3.3 document
+     */
+    static from32(data, notes) {
+        notes.push('Added an empty arrow list');
+        return Object.assign({}, data, { arrows: [] });
+    }
+
+    /**
+     * Add the tears list introduced in v3.4.0; groups are converted as in v3.4.0 files (see from340)
+     * @param {Object} data - v3.3.x document
+     * @param {Array<string>} notes - Collects conversion notes
+     * @returns {Object} v3.4.1 document
+     */
+    static from33(data, notes) {
+        notes.push('Added an empty tear list');
+        return TimingGenMigration.from340(Object.assign({}, data, { tears: [] }), notes);
+    }
+
+    // ========================================
+    // v3.4.0 -> v3.4.1
+    // ========================================
+
+    /**
+     * Keep only group rows that carry their measures' data (measuresData, added in v3.4.1).
+     * v3.4.0 saved just the names of grouped measures, so those measures cannot be restored.
+     * @param {Object} data - v3.4.0 document
+     * @param {Array<string>} notes - Collects conversion notes
+     * @returns {Object} v3.4.1 document
+     */
+    static from340(data, notes) {
+        const rows = [];
+        data.rows.forEach(row => {
+            if (row.type !== 'group' || !row.data || row.data.measuresData !== undefined) {
+                rows.push(row);
+                return;
+            }
+            const count = Array.isArray(row.data.measures) ? row.data.measures.length : 0;
+            if (count === 0) {
+                rows.push(Object.assign({}, row, { data: Object.assign({}, row.data, { measuresData: {} }) }));
+                return;
+            }
+            notes.push(`Group ${row.name} removed: the file did not keep the data of its ${count} measure(s)`);
+        });
+        return Object.assign({}, data, { rows: rows });
+    }
+
+    // ========================================
+    // timing_gen2 -> v3.4.1
+    // ========================================
+
+    /**
+     * Check whether text looks like a timing_gen2 (Perl) input file
+     * @param {string} text - File contents
+     * @returns {boolean} True if the file assigns @Waves
+     */
+    static isTimingGen2(text) {
+        return /@Waves\s*=/.test(text);
+    }
+
+    /**
+     * Read the %Conf and @Waves assignments of a timing_gen2 input file.
+     * Only Perl data literals are understood (lists, hashes, strings, numbers,
+     * barewords, ranges and qw); other statements are skipped.
+     * @param {string} text - File contents
+     * @returns {Object} {format: 'timing_gen2', conf, waves, skipped}
+     */
+    static parseTimingGen2(text) {
+        const tokens = TimingGenMigration.tokenizePerl(text);
+        let pos = 0;
+        const peek = () => tokens[pos];
+        const next = () => tokens[pos++];
+        const expect = (value) => {
+            const token = next();
+            if (!token || token.value !== value) {
+                throw new Error(`Expected "${value}" near line ${token ? token.line : 'end of file'}`);
+            }
+        };
+
+        const parseList = (close) => {
+            const items = [];
+            while (peek() && peek().value !== close) {
+                if (peek().value === ',' || peek().value === '=>') {
+                    next();
+                    continue;
+                }
+                let value = parseValue();
+                if (peek() && peek().value === '..') {
+                    next();
+                    const end = parseValue();
+                    for (let n = Number(value); n <= Number(end); n++) items.push(n);
+                    continue;
+                }
+                if (value && value.flatten) {
+                    items.push(...value.items);
+                } else {
+                    items.push(value);
+                }
+            }
+            expect(close);
+            return items;
+        };
+
+        const toHash = (items) => {
+            const hash = {};
+            for (let i = 0; i + 1 < items.length; i += 2) {
+                hash[String(items[i])] = items[i + 1];
+            }
+            return hash;
+        };
+
+        const parseValue = () => {
+            const token = next();
+            if (!token) throw new Error('Unexpected end of file');
+
+            if (token.type === 'string' || token.type === 'number') return token.value;
+            if (token.type === 'qw') return { flatten: true, items: token.value };
+            if (token.value === '[') return parseList(']');
+            if (token.value === '{') return toHash(parseList('}'));
+            if (token.value === '(') return { flatten: true, items: parseList(')') };
+            if (token.value === '-' && peek() && peek().type === 'number') return -next().value;
+            if (token.type === 'word' && token.value === 'undef') return null;
+            if (token.type === 'word' || token.type === 'variable') return token.value;
+
+            throw new Error(`Unexpected "${token.value}" near line ${token.line}`);
+        };
+
+        const result = { format: 'timing_gen2', conf: {}, waves: [], skipped: [] };
+
+        while (pos < tokens.length) {
+            const token = next();
+            if (token.value === ';') continue;
+            if (token.type === 'word' && /^(my|our|local)$/.test(token.value)) continue;
+
+            if (token.type === 'variable' && peek() && peek().value === '=') {
+                next();
+                const value = parseValue();
+                const items = value && value.flatten ? value.items : [value];
+                if (token.value === '%Conf') {
+                    result.conf = toHash(items);
+                } else if (token.value === '@Waves') {
+                    result.waves = items.filter(item => item && typeof item === 'object' && !Array.isArray(item));
+                } else {
+                    result.skipped.push(token.value);
+                }
+            } else {
+                // Skip any other statement (use, require, 1; ...)
+                while (pos < tokens.length && tokens[pos].value !== ';') pos++;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Split Perl source into tokens
+     * @param {string} text - Perl source
+     * @returns {Array<Object>} Tokens {type, value, line}
+     */
+    static tokenizePerl(text) {
+        const tokens = [];
+        let line = 1;
+        let i = 0;
+
+        while (i < text.length) {
+            const ch = text[i];
+
+            if (ch === '\n') {
+                line++;
+                i++;
+            } else if (/\s/.test(ch)) {
+                i++;
+            } else if (ch === '#') {
+                while (i < text.length && text[i] !== '\n') i++;
+            } else if (ch === '\'' || ch === '"') {
+                let value = '';
+                i++;
+                while (i < text.length && text[i] !== ch) {
+                    if (text[i] === '\\' && i + 1 < text.length) {
+                        const esc = text[i + 1];
+                        if (ch === '"' && esc === 'n') value += '\n';
+                        else if (ch === '"' && esc === 't') value += '\t';
+                        else if (ch === '\'' && esc !== '\'' && esc !== '\\') value += '\\' + esc;
+                        else value += esc;
+                        i += 2;
+                    } else {
+                        if (text[i] === '\n') line++;
+                        value += text[i++];
+                    }
+                }
+                i++;
+                tokens.push({ type: 'string', value: value, line: line });
+            } else if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(text[i + 1] || '') && text[i - 1] !== '.')) {
+                const match = text.slice(i).match(/^(0x[0-9a-fA-F]+|\d*\.?\d+(?:[eE][-+]?\d+)?)/);
+                tokens.push({ type: 'number', value: Number(match[1]), line: line });
+                i += match[1].length;
+            } else if (/[%@$]/.test(ch) && /[A-Za-z_]/.test(text[i + 1] || '')) {
+                const match = text.slice(i).match(/^[%@$][A-Za-z_]\w*/);
+                tokens.push({ type: 'variable', value: match[0], line: line });
+                i += match[0].length;
+            } else if (/[A-Za-z_]/.test(ch)) {
+                const match = text.slice(i).match(/^[A-Za-z_][\w:]*/);
+                if (match[0] === 'qw' && /^\s*[([{/]/.test(text.slice(i + 2))) {
+                    let j = i + 2;
+                    while (/\s/.test(text[j])) j++;
+                    const close = { '(': ')', '[': ']', '{': '}', '/': '/' }[text[j]];
+                    const end = text.indexOf(close, j + 1);
+                    const words = text.slice(j + 1, end).split(/\s+/).filter(w => w);
+                    tokens.push({ type: 'qw', value: words, line: line });
+                    i = end + 1;
+                } else {
+                    tokens.push({ type: 'word', value: match[0], line: line });
+                    i += match[0].length;
+                }
+            } else if (text.startsWith('=>', i) || text.startsWith('..', i)) {
+                tokens.push({ type: 'op', value: text.substr(i, 2), line: line });
+                i += 2;
+            } else {
+                tokens.push({ type: 'op', value: ch, line: line });
+                i++;
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Convert timing_gen2 waves to a v3.4.1 document
+     * Delays in timing_gen2 are fractions of a cycle; they become time values
+     * using a 10 ns clock period.
+     * @param {Object} data - Result of parseTimingGen2
+     * @param {Array<string>} notes - Collects conversion notes
+     * @param {Object} options - {cycleWidth}
+     * @returns {Object} v3.4.1 document
+     */
+    static fromTimingGen2(data, notes, options) {
+        const conf = data.conf || {};
+        const cycles = parseInt(conf.cycles) || 10;
+        const clockPeriod = 10;
+        const cycleWidth = options.cycleWidth || 60;
+        const dropped = new Set();
+        const toTime = (delay) => Math.round(Number(delay) * clockPeriod * 1000) / 1000;
+
+        const config = { cycles: cycles, clockPeriod: clockPeriod, clockPeriodUnit: 'ns' };
+        if (conf.delay !== undefined) {
+            config.delayMin = toTime(conf.delay);
+            config.delayMax = toTime(conf.delay);
+        }
+        ['slew', 'slew_offset', 'meta', 'spike', 'clock_slew'].forEach(key => {
+            if (conf[key] !== undefined) dropped.add(`global ${key}`);
+        });
+        (data.skipped || []).forEach(name => dropped.add(`${name} assignment`));
+
+        // Name unnamed waves the way timing_gen2 does, and collect cycle IDs
+        let defIndex = 0;
+        const names = new Map();
+        const pointIds = new Map();
+        data.waves.forEach(wave => {
+            const name = wave.name !== undefined && wave.name !== '' ? String(wave.name) : `def${String(defIndex++).padStart(3, '0')}`;
+            names.set(wave, name);
+            (Array.isArray(wave.change) ? wave.change : []).forEach(change => {
+                if (Array.isArray(change) && change[2] && change[2].id !== undefined) {
+                    pointIds.set(String(change[2].id), [name, change[0]]);
+                }
+            });
+        });
+
+        const resolvePoint = (point) => {
+            if (!Array.isArray(point)) return null;
+            if (pointIds.has(String(point[0]))) {
+                const [name, cycle] = pointIds.get(String(point[0]));
+                return { name: name, cycle: cycle };
+            }
+            if (point.length < 2) return null;
+            return { name: String(point[0]), cycle: point[1] };
+        };
+
+        const rows = [];
+        const signalNames = new Set();
+        const blankRows = new Map(); // blank wave name -> text row
+        const tears = new Set();
+        const counterWaves = [];
+        const arrows = [];
+        let clockName = null;
+        let fractional = 0;
+        let measureCount = 0;
+        let textCount = 0;
+
+        const wholeCycle = (cycle) => {
+            const value = Number(cycle);
+            if (value !== Math.floor(value)) fractional++;
+            return Math.floor(value);
+        };
+
+        data.waves.forEach(wave => {
+            const type = String(wave.type || '').toLowerCase();
+            const name = names.get(wave);
+            const sconf = Object.assign({}, conf.waves && conf.waves[name], wave.conf);
+
+            if (sconf.hide) {
+                notes.push(`Hidden ${type} "${name}" skipped`);
+                return;
+            }
+
+            if (type === 'clock') {
+                if (!clockName) {
+                    clockName = name;
+                } else if (sconf.frequency !== undefined && sconf.frequency !== conf.frequency) {
+                    dropped.add(`clock frequency of "${name}"`);
+                }
+                if (sconf.duty !== undefined && Number(sconf.duty) !== 0.5) dropped.add(`clock duty of "${name}"`);
+                if (sconf.clock_delay) dropped.add(`clock delay of "${name}"`);
+                if (sconf.init !== undefined && !Number(sconf.init)) dropped.add(`clock initial state of "${name}"`);
+
+                rows.push({ type: 'signal', name: name, data: { name: name, type: 'clock', values: {} } });
+                signalNames.add(name);
+            } else if (type === 'bit' || type === 'bus') {
+                if (sconf.virtual) {
+                    notes.push(`Virtual signal "${name}" skipped (equations are not supported)`);
+                    return;
+                }
+
+                const signal = { name: name, type: type, base_clock: clockName || 'clk', values: {} };
+                const ownDelay = (wave.conf && wave.conf.delay !== undefined) ||
+                                 (conf.waves && conf.waves[name] && conf.waves[name].delay !== undefined);
+                if (ownDelay) {
+                    signal.delayMin = toTime(sconf.delay);
+                    signal.delayMax = toTime(sconf.delay);
+                }
+
+                TimingGenMigration.expandChanges(wave, sconf, cycles).forEach(change => {
+                    const cycle = wholeCycle(change[0]);
+                    if (cycle < 0 || cycle >= cycles) return;
+
+                    signal.values[cycle] = type === 'bit'
+                        ? TimingGenMigration.toBitValue(change[1])
+                        : TimingGenMigration.toBusValue(change[1]);
+
+                    const cconf = change[2] || {};
+                    if (cconf.delay !== undefined) {
+                        signal.cycleOptions = signal.cycleOptions || {};
+                        signal.cycleOptions[cycle] = { delayMin: toTime(cconf.delay), delayMax: toTime(cconf.delay) };
+                    }
+                    Object.keys(cconf).forEach(key => {
+                        if (key !== 'delay' && key !== 'id') dropped.add(`per-cycle ${key}`);
+                    });
+                });
+
+                ['slew', 'meta', 'spike', 'fill_color', 'value_format'].forEach(key => {
+                    if (wave.conf && wave.conf[key] !== undefined) dropped.add(`signal ${key}`);
+                });
+
+                rows.push({ type: 'signal', name: name, data: signal });
+                signalNames.add(name);
+            } else if (type === 'counter') {
+                const rowName = `C${counterWaves.length}`;
+                const row = { type: 'counter', name: rowName, data: { values: [] } };
+                counterWaves.push({ wave: wave, sconf: sconf, row: row });
+                rows.push(row);
+                ['cycle_delay', 'even_only', 'odd_only'].forEach(key => {
+                    if (sconf[key]) dropped.add(`counter ${key}`);
+                });
+            } else if (type === 'measure') {
+                Object.entries(wave.list || {}).forEach(([label, spec]) => {
+                    const p1 = resolvePoint(Array.isArray(spec) ? spec[0] : null);
+                    const p2 = resolvePoint(Array.isArray(spec) ? spec[1] : null);
+                    // timing_gen2 keeps hash keys unique with trailing spaces
+                    const text = label.trim();
+                    if (!p1 || !p2) {
+                        notes.push(`Measure "${text}" skipped (needs two points)`);
+                        return;
+                    }
+
+                    const measureName = `M${measureCount++}`;
+                    rows.push({
+                        type: 'measure',
+                        name: measureName,
+                        data: {
+                            name: measureName,
+                            signal1Name: p1.name,
+                            cycle1: wholeCycle(p1.cycle),
+                            signal2Name: p2.name,
+                            cycle2: wholeCycle(p2.cycle),
+                            text: text,
+                            textX: null,
+                            textFont: 'Arial',
+                            textSize: 12,
+                            textColor: '#FF0000'
+                        }
+                    });
+                });
+            } else if (type === 'arrow') {
+                const points = Array.isArray(wave.point) ? wave.point : [];
+                const p1 = resolvePoint(points[0]);
+                const p2 = resolvePoint(points[1]);
+                if (!p1 || !p2) {
+                    notes.push(`Arrow "${name}" skipped (needs two points)`);
+                    return;
+                }
+
+                const arrowName = `A${arrows.length}`;
+                arrows.push({
+                    name: arrowName,
+                    signal1Name: p1.name,
+                    cycle1: wholeCycle(p1.cycle),
+                    poi1Type: 'auto',
+                    signal2Name: p2.name,
+                    cycle2: wholeCycle(p2.cycle),
+                    poi2Type: 'auto',
+                    startX: null,
+                    startY: null,
+                    endX: null,
+                    endY: null,
+                    ctrl1X: null,
+                    ctrl1Y: null,
+                    ctrl2X: null,
+                    ctrl2Y: null,
+                    width: 2,
+                    color: '#0000FF',
+                    text: wave.text !== undefined ? String(wave.text) : '',
+                    textFont: 'Arial',
+                    textSize: 12,
+                    textColor: '#0000FF'
+                });
+            } else if (type === 'blank') {
+                const rowName = `T${textCount++}`;
+                const row = { type: 'text', name: rowName, data: { text: '', fontFamily: 'Arial', fontSize: 14, color: '#000000', xOffset: 10 } };
+                blankRows.set(name, row);
+                rows.push(row);
+            } else if (type === 'text' || type === 'title') {
+                const point = Array.isArray(wave.point) ? resolvePoint(wave.point) : null;
+                const cycle = point ? Number(point.cycle) || 0 : 0;
+                const textData = {
+                    text: wave.text !== undefined ? String(wave.text) : '',
+                    fontFamily: 'Arial',
+                    fontSize: parseInt(sconf.font_size) || 14,
+                    color: '#000000',
+                    xOffset: Math.round(10 + (cycle + (Number(sconf.text_x) || 0)) * cycleWidth)
+                };
+
+                // Text anchored to a blank row fills that row; other text gets its own row
+                const blank = point ? blankRows.get(point.name) : null;
+                if (blank && !blank.data.text) {
+                    blank.data = textData;
+                } else {
+                    if (point && signalNames.has(point.name)) {
+                        notes.push(`Text "${textData.text}" placed on its own row below "${point.name}"`);
+                    }
+                    rows.push({ type: 'text', name: `T${textCount++}`, data: textData });
+                }
+            } else if (type === 'tear') {
+                (Array.isArray(wave.point) ? wave.point : [wave.point]).forEach(cycle => {
+                    if (cycle !== undefined && cycle !== null && !isNaN(Number(cycle))) {
+                        tears.add(wholeCycle(cycle));
+                    }
+                });
+            } else if (type === 'bar') {
+                dropped.add('cycle bars (grid lines are always drawn)');
+            } else {
+                dropped.add(`${type || 'untyped'} waves`);
+            }
+        });
+
+        // Counters restart after tears, so they are built once all tears are known
+        counterWaves.forEach(({ wave, sconf, row }) => {
+            row.data.values = TimingGenMigration.buildCounterValues(wave, sconf, cycles, tears);
+        });
+
+        // Measures and arrows must point at converted signals
+        const measureRows = rows.filter(row => row.type === 'measure');
+        measureRows.forEach(row => {
+            if (!signalNames.has(row.data.signal1Name) || !signalNames.has(row.data.signal2Name)) {
+                notes.push(`Measure "${row.data.text}" skipped (signal not found)`);
+                rows.splice(rows.indexOf(row), 1);
+            }
+        });
+        const validArrows = arrows.filter(arrow => signalNames.has(arrow.signal1Name) && signalNames.has(arrow.signal2Name));
+        if (validArrows.length < arrows.length) {
+            notes.push(`${arrows.length - validArrows.length} arrow(s) skipped (signal not found)`);
+        }
+
+        const count = (type) => rows.filter(row => row.type === type).length;
+        notes.unshift(`${signalNames.size} signal(s), ${count('measure')} measure(s), ${validArrows.length} arrow(s), ` +
+                      `${count('text')} text row(s), ${count('counter')} counter(s) and ${tears.size} tear(s) converted`);
+        if (conf.delay !== undefined || rows.some(row => row.data && row.data.cycleOptions)) {
+            notes.push(`Delays (fractions of a cycle) converted using a ${clockPeriod} ns clock period`);
+        }
+        if (fractional > 0) {
+            notes.push(`${fractional} change(s) at fractional cycles moved to the start of their cycle`);
+        }
+        if (dropped.size > 0) {
+            notes.push(`Not supported and dropped: ${Array.from(dropped).join(', ')}`);
+        }
+
+        return {
+            version: '3.4.1',
+            config: config,
+            rows: rows,
+            arrows: validArrows,
+            tears: Array.from(tears).sort((a, b) => a - b)
+        };
+    }
+
+    /**
+     * Get the change list of a bit/bus wave, expanding auto-return signals
+     * (return_value/assert_value) into explicit per-cycle changes
+     * @param {Object} wave - timing_gen2 wave
+     * @param {Object} sconf - Effective wave configuration
+     * @param {number} cycles - Number of cycles
+     * @returns {Array<Array>} [cycle, value, conf] entries
+     */
+    static expandChanges(wave, sconf, cycles) {
+        const changes = (Array.isArray(wave.change) ? wave.change : []).filter(change => Array.isArray(change));
+        if (sconf.return_value === undefined || sconf.return_value === null) {
+            return changes;
+        }
+
+        const expanded = [];
+        for (let cycle = 0; cycle < cycles; cycle++) {
+            const change = changes.find(c => Number(c[0]) === cycle);
+            if (change) {
+                const value = change[1] !== undefined && change[1] !== null ? change[1] : sconf.assert_value;
+                expanded.push([cycle, value, change[2]]);
+            } else {
+                expanded.push([cycle, sconf.return_value]);
+            }
+        }
+        return expanded;
+    }
+
+    /**
+     * Build counter row entries following timing_gen2 rules: values increment
+     * every cycle and restart with the next listed value after each tear
+     * @param {Object} wave - timing_gen2 counter wave
+     * @param {Object} sconf - Effective wave configuration
+     * @param {number} cycles - Number of cycles
+     * @param {Set<number>} tears - Tear cycles
+     * @returns {Array<Object>} Counter values [{cycle, value}]
+     */
+    static buildCounterValues(wave, sconf, cycles, tears) {
+        const list = Array.isArray(wave.value) ? wave.value : [];
+        const increment = (value) => value.replace(/(-?\d+)$/, (match) => String(parseInt(match) + 1));
+
+        let index = 0;
+        let value = String(list[0] !== undefined && list[0] !== '' ? list[0] : (sconf.counter_init || 0));
+        const values = [{ cycle: 0, value: value }];
+        let restart = false;
+
+        for (let cycle = 0; cycle < cycles; cycle++) {
+            if (tears.has(cycle)) {
+                if (list[index + 1] !== undefined) {
+                    index++;
+                    value = String(list[index]);
+                }
+                restart = true;
+                continue;
+            }
+            if (restart) {
+                values.push({ cycle: cycle, value: value });
+                restart = false;
+            }
+            value = increment(value);
+        }
+
+        return values;
+    }
+
+    /**
+     * Convert a timing_gen2 bit state
+     * @param {*} value - 0, 1, z, x, u, h, l, '-' or 'dontcare'
+     * @returns {number|string} 0, 1, 'Z' or 'X'
+     */
+    static toBitValue(value) {
+        const text = String(value).trim().toLowerCase();
+        if (text === '1' || text === 'h') return 1;
+        if (text === '0' || text === 'l') return 0;
+        if (text === 'z') return 'Z';
+        return 'X';
+    }
+
+    /**
+     * Convert a timing_gen2 bus value
+     * @param {*} value - Value text, z, x, u, '-' or 'dontcare'
+     * @returns {string} Bus value, 'Z' or 'X'
+     */
+    static toBusValue(value) {
+        const text = String(value === undefined || value === null ? 'x' : value).trim();
+        const lower = text.toLowerCase();
+        if (lower === 'z') return 'Z';
+        if (lower === 'x' || lower === 'u' || lower === '-' || lower === 'dontcare' || text === '') return 'X';
+        return text;
+    }
+
+    /**
+     * Convert a time value between units
+     * @param {number} value - Time value
+     * @param {string} fromUnit - Unit of value (defaults to toUnit)
+     * @param {string} toUnit - Target unit
+     * @returns {number} Converted value
+     */
+    static convertTime(value, fromUnit, toUnit) {
+        const scale = { s: 1, ms: 1e-3, us: 1e-6, ns: 1e-9, ps: 1e-12, fs: 1e-15 };
+        if (!fromUnit || !toUnit || !scale[fromUnit] || !scale[toUnit]) return Number(value);
+        return Number((Number(value) * scale[fromUnit] / scale[toUnit]).toPrecision(12));
+    }
+}
+
+// Upgrade steps, applied in order until the document reaches the current format
+TimingGenMigration.STEPS = [
+    { from: '2', to: '3.4.1', migrate: TimingGenMigration.fromTimingGen2 },
+    { from: '3.0', to: '3.1.0', migrate: TimingGenMigration.from30 },
+    { from: '3.1', to: '3.2.0', migrate: TimingGenMigration.from31 },
+    { from: '3.2', to: '3.3.3', migrate: TimingGenMigration.from32 },
+    { from: '3.3', to: '3.4.1', migrate: TimingGenMigration.from33 },
+    { from: '3.4.0', to: '3.4.1', migrate: TimingGenMigration.from340 }
+];
+
+// Diagram text errors listed when a file cannot be read
+TimingGenMigration.MAX_REPORTED_ERRORS = 10;
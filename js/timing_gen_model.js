@@ -0,0 +1,1114 @@
+// Timing Gen 3 - Document Model Module
+// Version 3.4.1
+// Handles the document data model and its timing/geometry queries.
+// Nothing here touches the DOM or Paper.js, so the same code runs in the editor
+// and in Node.js (see bin/timing-gen.js). Functions take the document object,
+// which is the app itself in the editor.
+
+class TimingGenModel {
+    /**
+     * Create a configuration with the default values
+     * @returns {Object} Configuration object (see DEFAULT_CONFIG)
+     */
+    static createConfig() {
+        return { ...TimingGenModel.DEFAULT_CONFIG };
+    }
+    
+    /**
+     * Create the fields of an empty document
+     * @param {Object} [config] - Configuration to use (a default one if omitted)
+     * @returns {Object} Document fields: config, rows, data maps, tears and name counters
+     */
+    static createDocument(config) {
+        // Data model v3.4.0 - Extended with AC Table tool and Group row type
+        // rows: defines order only - Array of {type: 'signal'|'measure'|'text'|'counter'|'ac-table'|'group', name: string}
+        // signalsData: Map<name, signalObject> - actual signal data
+        // measuresData: Map<name, measureObject> - actual measure data
+        // textData: Map<name, textObject> - actual text data
+        // counterData: Map<name, counterObject> - actual counter data
+        // arrowsData: Map<name, arrowObject> - actual arrow data
+        // acTablesData: Map<name, acTableObject> - actual AC table data
+        // groupsData: Map<name, groupObject> - actual group data (contains array of measure names)
+        // tears: Set<number> - cycles that have tear marks
+        return {
+            config: config || TimingGenModel.createConfig(),
+            rows: [],
+            signalsData: new Map(),  // Key: signal name, Value: signal object
+            measuresData: new Map(), // Key: measure name (auto-generated), Value: measure object
+            textData: new Map(),     // Key: text name (auto-generated), Value: text object
+            counterData: new Map(),  // Key: counter name (auto-generated), Value: counter object
+            arrowsData: new Map(),   // Key: arrow name (auto-generated), Value: arrow object
+            acTablesData: new Map(), // Key: table name (auto-generated), Value: AC table object
+            groupsData: new Map(),   // Key: group name (auto-generated), Value: {name, measures: [measureNames]}
+            tears: new Set(),        // Set of cycle numbers that have tear marks
+            
+            // Counters for auto-generating unique names
+            measureCounter: 0,
+            measureTextCounter: 0, // Counter for measure text (t1, t2, t3...)
+            textCounter: 0,
+            counterCounter: 0,
+            arrowCounter: 0,
+            acTableCounter: 0,
+            groupCounter: 0 // Counter for group names (G0, G1, G2...)
+        };
+    }
+    
+    /**
+     * Fill a document from loaded data in the current format
+     * (run TimingGenMigration.migrate first for older files).
+     * Arrow positions are not recalculated here; that needs the row geometry of a view.
+     * @param {Object} doc - Document (the app, or fields from createDocument)
+     * @param {Object} data - Document data as written by saveToJSON
+     */
+    static loadDocument(doc, data) {
+        // Load configuration
+        if (data.config) {
+            if (data.config.cycles) {
+                doc.config.cycles = data.config.cycles;
+            }
+            // Load global options if available
+            if (data.config.clockPeriod !== undefined) {
+                doc.config.clockPeriod = data.config.clockPeriod;
+            }
+            if (data.config.clockPeriodUnit !== undefined) {
+                doc.config.clockPeriodUnit = data.config.clockPeriodUnit;
+            }
+            if (data.config.signalRowHeight !== undefined) {
+                doc.config.signalRowHeight = data.config.signalRowHeight;
+                doc.config.rowHeight = data.config.signalRowHeight; // Update deprecated field
+            } else if (data.config.rowHeight !== undefined) {
+                // Backward compatibility: if old rowHeight exists but new fields don't
+                doc.config.signalRowHeight = data.config.rowHeight;
+                doc.config.rowHeight = data.config.rowHeight;
+            }
+            if (data.config.measureRowHeight !== undefined) {
+                doc.config.measureRowHeight = data.config.measureRowHeight;
+            } else if (data.config.rowHeight !== undefined) {
+                // Backward compatibility
+                doc.config.measureRowHeight = data.config.rowHeight;
+            }
+            if (data.config.slew !== undefined) {
+                doc.config.slew = data.config.slew;
+            }
+            if (data.config.delayMin !== undefined) {
+                doc.config.delayMin = data.config.delayMin;
+            }
+            if (data.config.delayMax !== undefined) {
+                doc.config.delayMax = data.config.delayMax;
+            }
+            if (data.config.delayColor !== undefined) {
+                doc.config.delayColor = data.config.delayColor;
+            }
+        }
+        
+        // Load unified row data (v3.2.0+ format)
+        if (data.rows) {
+            // Clear existing data
+            doc.rows = [];
+            doc.signalsData.clear();
+            doc.measuresData.clear();
+            doc.textData.clear();
+            doc.counterData.clear();
+            doc.acTablesData.clear();
+            doc.groupsData.clear();
+            doc.measureCounter = 0;
+            doc.measureTextCounter = 0;
+            doc.textCounter = 0;
+            doc.counterCounter = 0;
+            doc.acTableCounter = 0;
+            doc.groupCounter = 0;
+            
+            // Populate Maps and rows array from saved data
+            data.rows.forEach(row => {
+                if (row.type === 'signal' && row.data) {
+                    // Store signal data in Map
+                    doc.signalsData.set(row.name, row.data);
+                    // Add to rows array (ordering only)
+                    doc.rows.push({
+                        type: 'signal',
+                        name: row.name
+                    });
+                } else if (row.type === 'measure' && row.data) {
+                    // Store measure data in Map
+                    doc.measuresData.set(row.name, row.data);
+                    // Add to rows array (ordering only)
+                    doc.rows.push({
+                        type: 'measure',
+                        name: row.name
+                    });
+                    // Update measure counter for future measures
+                    const measureNum = parseInt(row.name.replace('M', ''));
+                    if (!isNaN(measureNum) && measureNum >= doc.measureCounter) {
+                        doc.measureCounter = measureNum + 1;
+                    }
+                    // Update measure text counter based on text field
+                    if (row.data.text) {
+                        const match = row.data.text.match(/^t(\d+)$/);
+                        if (match) {
+                            const textNum = parseInt(match[1]);
+                            if (textNum > doc.measureTextCounter) {
+                                doc.measureTextCounter = textNum;
+                            }
+                        }
+                    }
+                } else if (row.type === 'text' && row.data) {
+                    // Store text data in Map with default properties
+                    const textData = {
+                        text: row.data.text || '',
+                        fontFamily: row.data.fontFamily || 'Arial',
+                        fontSize: row.data.fontSize || 14,
+                        color: row.data.color || '#000000',
+                        xOffset: row.data.xOffset !== undefined ? row.data.xOffset : 10
+                    };
+                    doc.textData.set(row.name, textData);
+                    // Add to rows array (ordering only)
+                    doc.rows.push({
+                        type: 'text',
+                        name: row.name
+                    });
+                    // Update text counter for future text rows
+                    const textNum = parseInt(row.name.replace('T', ''));
+                    if (!isNaN(textNum) && textNum >= doc.textCounter) {
+                        doc.textCounter = textNum + 1;
+                    }
+                } else if (row.type === 'counter' && row.data) {
+                    // Store counter data in Map
+                    doc.counterData.set(row.name, row.data);
+                    // Add to rows array (ordering only)
+                    doc.rows.push({
+                        type: 'counter',
+                        name: row.name
+                    });
+                    // Update counter counter for future counter rows
+                    const counterNum = parseInt(row.name.replace('C', ''));
+                    if (!isNaN(counterNum) && counterNum >= doc.counterCounter) {
+                        doc.counterCounter = counterNum + 1;
+                    }
+                } else if (row.type === 'ac-table' && row.data) {
+                    // Store AC table data in Map
+                    doc.acTablesData.set(row.name, row.data);
+                    // Add to rows array (ordering only)
+                    doc.rows.push({
+                        type: 'ac-table',
+                        name: row.name
+                    });
+                    // Update AC table counter for future tables
+                    const tableNum = parseInt(row.name.replace('ACT', ''));
+                    if (!isNaN(tableNum) && tableNum >= doc.acTableCounter) {
+                        doc.acTableCounter = tableNum + 1;
+                    }
+                } else if (row.type === 'group' && row.data) {
+                    // Store group data in Map, and the data of its measures in measuresData
+                    const { measuresData, ...groupData } = row.data;
+                    doc.groupsData.set(row.name, groupData);
+                    Object.entries(measuresData || {}).forEach(([measureName, measure]) => {
+                        doc.measuresData.set(measureName, measure);
+                        const measureNum = parseInt(measureName.replace('M', ''));
+                        if (!isNaN(measureNum) && measureNum >= doc.measureCounter) {
+                            doc.measureCounter = measureNum + 1;
+                        }
+                    });
+                    // Add to rows array (ordering only)
+                    doc.rows.push({
+                        type: 'group',
+                        name: row.name
+                    });
+                    // Update group counter for future groups
+                    const groupNum = parseInt(row.name.replace('G', ''));
+                    if (!isNaN(groupNum) && groupNum >= doc.groupCounter) {
+                        doc.groupCounter = groupNum + 1;
+                    }
+                }
+            });
+        }
+        
+        // Load arrows (v3.3.3+)
+        if (data.arrows) {
+            doc.arrowsData.clear();
+            data.arrows.forEach(arrow => {
+                doc.arrowsData.set(arrow.name, arrow);
+                // Update arrow counter for future arrows
+                const arrowNum = parseInt(arrow.name.replace('A', ''));
+                if (!isNaN(arrowNum) && arrowNum >= doc.arrowCounter) {
+                    doc.arrowCounter = arrowNum + 1;
+                }
+            });
+        }
+        
+        // Load tears (v3.4.0+)
+        if (data.tears) {
+            doc.tears = new Set(data.tears);
+        } else {
+            doc.tears = new Set();
+        }
+    }
+    
+    // ========================================
+    // Signal Queries
+    // ========================================
+    
+    /**
+     * Get all signals in row order
+     * @param {Object} doc - Document
+     * @returns {Array} Array of signal objects
+     */
+    static getSignals(doc) {
+        return doc.rows
+            .filter(row => row.type === 'signal')
+            .map(row => doc.signalsData.get(row.name))
+            .filter(signal => signal !== undefined);
+    }
+    
+    /**
+     * Get all measures in row order
+     * @param {Object} doc - Document
+     * @returns {Array} Array of measure objects
+     */
+    static getMeasures(doc) {
+        return doc.rows
+            .filter(row => row.type === 'measure')
+            .map(row => doc.measuresData.get(row.name))
+            .filter(measure => measure !== undefined);
+    }
+    
+    /**
+     * Get the value of a bit signal at a cycle (last value set at or before it; null reads as 0)
+     * @param {Object} signal - Signal object
+     * @param {number} cycle - Cycle number (may be fractional, e.g. 2.5 after a change on the mid-cycle clock edge)
+     * @returns {number|string} 0, 1, 'X' or 'Z'
+     */
+    static getBitValueAtCycle(signal, cycle) {
+        // Find the last defined value before or at this cycle
+        const changeCycle = TimingGenModel.getLastChangeCycle(signal, cycle);
+        let value = changeCycle === null ? 0 : signal.values[changeCycle];
+        // Convert null to 0
+        if (value === null) {
+            value = 0;
+        }
+        return value;
+    }
+    
+    /**
+     * Get the value of a bus signal at a cycle (last value set at or before it; null reads as 'X')
+     * @param {Object} signal - Signal object
+     * @param {number} cycle - Cycle number (may be fractional)
+     * @returns {string} Bus value
+     */
+    static getBusValueAtCycle(signal, cycle) {
+        // Find the last defined value before or at this cycle
+        const changeCycle = TimingGenModel.getLastChangeCycle(signal, cycle);
+        let value = changeCycle === null ? 'X' : signal.values[changeCycle];
+        // Convert null to 'X' for bus signals
+        if (value === null) {
+            value = 'X';
+        }
+        return value;
+    }
+    
+    /**
+     * Get the cycle of the last value set at or before a cycle
+     * @param {Object} signal - Signal object
+     * @param {number} cycle - Cycle number (may be fractional)
+     * @returns {number|null} Cycle of the change, or null if none
+     */
+    static getLastChangeCycle(signal, cycle) {
+        let last = null;
+        Object.keys(signal.values || {}).forEach(key => {
+            const changeCycle = Number(key);
+            if (changeCycle >= 0 && changeCycle <= cycle && (last === null || changeCycle > last) &&
+                signal.values[key] !== undefined) {
+                last = changeCycle;
+            }
+        });
+        return last;
+    }
+    
+    /**
+     * List the cycles at which a bit or bus value can change: every cycle start plus the
+     * fractional cycles of its changes (e.g. 2.5 for a change on the mid-cycle clock edge in cycle 2)
+     * @param {Object} signal - Signal object
+     * @param {number} cycles - Number of cycles of the signal's clock domain
+     * @returns {Array<number>} Cycles from 0 up to (not including) cycles, in order
+     */
+    static getValueCycles(signal, cycles) {
+        const positions = [];
+        for (let cycle = 0; cycle < cycles; cycle++) {
+            positions.push(cycle);
+        }
+        Object.keys(signal.values || {}).map(Number)
+            .filter(cycle => cycle > 0 && cycle < cycles && !Number.isInteger(cycle))
+            .forEach(cycle => positions.push(cycle));
+        return positions.sort((a, b) => a - b);
+    }
+    
+    /**
+     * Get the cycle at which the value before a change was set: the previous entry of getValueCycles
+     * @param {Object} signal - Signal object
+     * @param {number} cycle - Cycle number (may be fractional)
+     * @returns {number} Previous cycle (cycle - 1 when there are no fractional changes in between)
+     */
+    static getPreviousValueCycle(signal, cycle) {
+        let previous = Math.ceil(cycle) - 1;
+        Object.keys(signal.values || {}).map(Number).forEach(changeCycle => {
+            if (changeCycle > previous && changeCycle < cycle) {
+                previous = changeCycle;
+            }
+        });
+        return previous;
+    }
+    
+    /**
+     * Get the spacing of the positions where clicks place value changes on a signal
+     * @param {Object} [signal] - Signal object
+     * @returns {number} 1 (clock edges), 0.5 (both edges, DDR) or 0.25
+     */
+    static getTransitionStep(signal) {
+        if (!signal || signal.type === 'clock') {
+            return 1;
+        }
+        return TimingGenModel.TRANSITION_STEPS.includes(signal.transitionStep) ? signal.transitionStep : 1;
+    }
+    
+    /**
+     * Check that a signal can change value at a cycle: clocks at whole cycles,
+     * bit, bus and differential signals at quarter steps, analog signals anywhere
+     * @param {Object} signal - Signal object
+     * @param {number} cycle - Cycle number
+     * @returns {boolean} True if the cycle can hold a value
+     */
+    static isValueCycle(signal, cycle) {
+        if (signal.type === 'analog') {
+            return true;
+        }
+        const step = signal.type === 'clock' ? 1 : Math.min(...TimingGenModel.TRANSITION_STEPS);
+        return Number.isInteger(cycle / step);
+    }
+    
+    /**
+     * List the value changes of a bit or differential signal
+     * @param {Object} signal - Signal object
+     * @param {number} cycles - Number of cycles of the signal's clock domain
+     * @returns {Array<Object>} {cycle, value} in order, starting with the value at cycle 0
+     */
+    static getBitChanges(signal, cycles) {
+        const changes = [];
+        TimingGenModel.getValueCycles(signal, cycles).forEach(cycle => {
+            const value = TimingGenModel.getBitValueAtCycle(signal, cycle);
+            if (changes.length === 0 || changes[changes.length - 1].value !== value) {
+                changes.push({ cycle: cycle, value: value });
+            }
+        });
+        return changes;
+    }
+    
+    /**
+     * Get the levels of the true (P) and complement (N) traces of a differential signal
+     * @param {number|string} value - 0, 1, 'X' or 'Z' (idle: both at the common-mode level)
+     * @returns {Object|null} {positive, negative}: 1 high, 0 low, 0.5 common mode; null for X
+     */
+    static getDiffLevels(value) {
+        if (value === 1) {
+            return { positive: 1, negative: 0 };
+        }
+        if (value === 0) {
+            return { positive: 0, negative: 1 };
+        }
+        if (value === 'Z') {
+            return { positive: 0.5, negative: 0.5 };
+        }
+        return null;
+    }
+    
+    /**
+     * Check whether the traces of a differential signal cross at a change (0 to 1 or 1 to 0)
+     * @param {Object} signal - Differential signal
+     * @param {number} cycle - Cycle of the change (may be fractional)
+     * @returns {boolean} True if the traces cross there
+     */
+    static isDiffCrossing(signal, cycle) {
+        if (!signal || signal.type !== 'diff' || cycle <= 0) {
+            return false;
+        }
+        const value = TimingGenModel.getBitValueAtCycle(signal, cycle);
+        const prevValue = TimingGenModel.getBitValueAtCycle(signal, TimingGenModel.getPreviousValueCycle(signal, cycle));
+        return (value === 0 && prevValue === 1) || (value === 1 && prevValue === 0);
+    }
+    
+    // ========================================
+    // Analog Signals
+    // ========================================
+    
+    /**
+     * List the points of an analog signal's piecewise-linear waveform
+     * @param {Object} signal - Analog signal
+     * @returns {Array<Object>} {cycle, value} in cycle order
+     */
+    static getAnalogPoints(signal) {
+        return Object.keys(signal.values || {})
+            .map(key => ({ cycle: Number(key), value: signal.values[key] }))
+            .filter(point => point.cycle >= 0 && typeof point.value === 'number' && Number.isFinite(point.value))
+            .sort((a, b) => a.cycle - b.cycle);
+    }
+    
+    /**
+     * Get the value of an analog signal at a cycle, interpolated between its points
+     * @param {Object} signal - Analog signal
+     * @param {number} cycle - Cycle number (may be fractional)
+     * @returns {number} Value (held before the first and after the last point; 0 without points)
+     */
+    static getAnalogValueAtCycle(signal, cycle) {
+        const points = TimingGenModel.getAnalogPoints(signal);
+        if (points.length === 0) {
+            return 0;
+        }
+        const nextIndex = points.findIndex(point => point.cycle > cycle);
+        if (nextIndex === 0) {
+            return points[0].value;
+        }
+        if (nextIndex < 0) {
+            return points[points.length - 1].value;
+        }
+        const prev = points[nextIndex - 1];
+        const next = points[nextIndex];
+        return prev.value + (next.value - prev.value) * (cycle - prev.cycle) / (next.cycle - prev.cycle);
+    }
+    
+    /**
+     * Get the thresholds of an analog signal
+     * @param {Object} signal - Analog signal
+     * @returns {Array<Object>} {value, label, color} with a numeric value
+     */
+    static getAnalogThresholds(signal) {
+        return (Array.isArray(signal.thresholds) ? signal.thresholds : [])
+            .filter(threshold => threshold && typeof threshold.value === 'number' && Number.isFinite(threshold.value));
+    }
+    
+    /**
+     * Get the value range drawn in an analog signal row
+     * @param {Object} signal - Analog signal
+     * @returns {Object} {min, max}: scaleMin and scaleMax if set, else from 0 to the highest point or threshold
+     */
+    static getAnalogScale(signal) {
+        const values = TimingGenModel.getAnalogPoints(signal).map(point => point.value)
+            .concat(TimingGenModel.getAnalogThresholds(signal).map(threshold => threshold.value));
+        const min = typeof signal.scaleMin === 'number' ? signal.scaleMin : Math.min(0, ...values);
+        let max = typeof signal.scaleMax === 'number' ? signal.scaleMax : Math.max(0, ...values);
+        if (max <= min) {
+            max = min + 1;
+        }
+        return { min: min, max: max };
+    }
+    
+    /**
+     * Get the y position of an analog value; the scale spans the row's high and low bit levels
+     * @param {Object} signal - Analog signal
+     * @param {number} value - Value
+     * @param {number} baseY - Row top
+     * @param {number} rowHeight - Row height
+     * @returns {number} Y position in pixels
+     */
+    static getAnalogY(signal, value, baseY, rowHeight) {
+        const scale = TimingGenModel.getAnalogScale(signal);
+        const fraction = (value - scale.min) / (scale.max - scale.min);
+        return baseY + rowHeight - rowHeight / 4 - fraction * rowHeight / 2;
+    }
+    
+    /**
+     * Find where an analog waveform reaches its thresholds
+     * @param {Object} signal - Analog signal
+     * @param {number} cycles - Number of cycles of the signal's clock domain
+     * @returns {Array<Object>} {cycle, threshold} in cycle order; cycles are fractional inside ramps
+     */
+    static getAnalogCrossings(signal, cycles) {
+        const points = TimingGenModel.getAnalogPoints(signal);
+        const crossings = [];
+        for (let idx = 1; idx < points.length; idx++) {
+            const prev = points[idx - 1];
+            const next = points[idx];
+            TimingGenModel.getAnalogThresholds(signal).forEach(threshold => {
+                const level = threshold.value;
+                if ((prev.value < level && next.value >= level) || (prev.value > level && next.value <= level)) {
+                    // Rounded so that measures and arrows saved at a crossing keep short cycle numbers
+                    const cycle = Math.round((prev.cycle + (next.cycle - prev.cycle) *
+                        (level - prev.value) / (next.value - prev.value)) * 1000) / 1000;
+                    if (cycle < cycles) {
+                        crossings.push({ cycle: cycle, threshold: threshold });
+                    }
+                }
+            });
+        }
+        return crossings.sort((a, b) => a.cycle - b.cycle);
+    }
+    
+    // ========================================
+    // Timing Options
+    // ========================================
+    
+    /**
+     * Get effective slew value with priority: cycle > signal > global
+     * @param {Object} config - Document configuration
+     * @param {Object} signal - Signal object (global default if missing)
+     * @param {number} cycle - Cycle number
+     * @returns {number} Slew in pixels
+     */
+    static getEffectiveSlew(config, signal, cycle) {
+        // Safety check: if signal is undefined or null, return global default
+        if (!signal) {
+            return config.slew || 0;
+        }
+        
+        // Check cycle-level override
+        if (signal.cycleOptions && signal.cycleOptions[cycle] && signal.cycleOptions[cycle].slew !== undefined) {
+            return signal.cycleOptions[cycle].slew;
+        }
+        // Check signal-level override
+        if (signal.slew !== undefined) {
+            return signal.slew;
+        }
+        // Use global default
+        return config.slew || 0;
+    }
+    
+    /**
+     * Get effective delay with cascading priority: cycle > signal > global.
+     * Each attribute (delayMin, delayMax, delayColor) is resolved independently.
+     * @param {Object} config - Document configuration
+     * @param {Object} signal - Signal object (global defaults if missing)
+     * @param {number} cycle - Cycle number
+     * @returns {Object} {min, max, color} with the delays in pixels
+     */
+    static getEffectiveDelay(config, signal, cycle) {
+        // Start with defaults from code (0 for delays, config color for color)
+        let delayMinInTime = 0;
+        let delayMaxInTime = 0;
+        let delayColor = config.delayColor || '#0000FF'; // Ensure we always have a color
+        
+        // Apply global level settings
+        if (config.delayMin !== undefined) {
+            delayMinInTime = config.delayMin;
+        }
+        if (config.delayMax !== undefined) {
+            delayMaxInTime = config.delayMax;
+        }
+        if (config.delayColor !== undefined) {
+            delayColor = config.delayColor;
+        }
+        
+        // Safety check: if signal is undefined or null, return global defaults
+        if (!signal) {
+            const delayMinInPixels = (delayMinInTime * config.cycleWidth) / config.cycleTime;
+            const delayMaxInPixels = (delayMaxInTime * config.cycleWidth) / config.cycleTime;
+            return { min: delayMinInPixels, max: delayMaxInPixels, color: delayColor };
+        }
+        
+        // Apply signal level overrides
+        if (signal.delayMin !== undefined) {
+            delayMinInTime = signal.delayMin;
+        }
+        if (signal.delayMax !== undefined) {
+            delayMaxInTime = signal.delayMax;
+        }
+        if (signal.delayColor !== undefined) {
+            delayColor = signal.delayColor;
+        }
+        
+        // Apply cycle level overrides
+        if (signal.cycleOptions && signal.cycleOptions[cycle]) {
+            const cycleOpts = signal.cycleOptions[cycle];
+            
+            if (cycleOpts.delayMin !== undefined) {
+                delayMinInTime = cycleOpts.delayMin;
+            }
+            if (cycleOpts.delayMax !== undefined) {
+                delayMaxInTime = cycleOpts.delayMax;
+            }
+            if (cycleOpts.delayColor !== undefined) {
+                delayColor = cycleOpts.delayColor;
+            }
+        }
+        
+        // Convert delay time to fraction of clock period, then to pixels
+        // delay is in same unit as clock period (e.g., both in ns)
+        // delayFraction = delayInTime / clockPeriod
+        // delayPixels = delayFraction * cycleWidth
+        if (config.clockPeriod > 0) {
+            const delayMinFraction = delayMinInTime / config.clockPeriod;
+            const delayMaxFraction = delayMaxInTime / config.clockPeriod;
+            return {
+                min: delayMinFraction * config.cycleWidth,
+                max: delayMaxFraction * config.cycleWidth,
+                color: delayColor
+            };
+        }
+        return { min: 0, max: 0, color: delayColor };
+    }
+    
+    /**
+     * Get effective delay in time units (not pixels) with cascading priority: cycle > signal > global
+     * @param {Object} config - Document configuration
+     * @param {Object} signal - Signal object (global defaults if missing)
+     * @param {number} cycle - Cycle number
+     * @returns {Object} {min, max} in the clock period unit
+     */
+    static getEffectiveDelayInTime(config, signal, cycle) {
+        // Start with defaults from code (0 for delays)
+        let delayMinInTime = 0;
+        let delayMaxInTime = 0;
+        
+        // Apply global level settings
+        if (config.delayMin !== undefined) {
+            delayMinInTime = config.delayMin;
+        }
+        if (config.delayMax !== undefined) {
+            delayMaxInTime = config.delayMax;
+        }
+        
+        // Safety check: if signal is undefined or null, return global defaults
+        if (!signal) {
+            return { min: delayMinInTime, max: delayMaxInTime };
+        }
+        
+        // Apply signal level overrides
+        if (signal.delayMin !== undefined) {
+            delayMinInTime = signal.delayMin;
+        }
+        if (signal.delayMax !== undefined) {
+            delayMaxInTime = signal.delayMax;
+        }
+        
+        // Apply cycle level overrides
+        if (signal.cycleOptions && signal.cycleOptions[cycle]) {
+            const cycleOpts = signal.cycleOptions[cycle];
+            
+            if (cycleOpts.delayMin !== undefined) {
+                delayMinInTime = cycleOpts.delayMin;
+            }
+            if (cycleOpts.delayMax !== undefined) {
+                delayMaxInTime = cycleOpts.delayMax;
+            }
+        }
+        
+        return { min: delayMinInTime, max: delayMaxInTime };
+    }
+    
+    // ========================================
+    // Clock Domains
+    // ========================================
+    
+    /**
+     * Get the timing of a clock in base clock cycles (the grid columns, config.clockPeriod long).
+     * Clock fields: period and phase (in cycles, or in the clock period unit when
+     * periodUnit is 'time'), duty (high time in percent) and polarity ('high' starts each
+     * cycle with a rising edge, 'low' with a falling edge).
+     * @param {Object} config - Document configuration
+     * @param {Object} [clock] - Clock signal (the base clock itself if missing)
+     * @returns {Object} {period, duty, polarity, offset} with duty as a fraction and offset,
+     *     the start of cycle 0, in (-period, 0]
+     */
+    static getClockTiming(config, clock) {
+        const timing = { period: 1, duty: 0.5, polarity: 'high', offset: 0 };
+        if (!clock) {
+            return timing;
+        }
+        
+        const scale = clock.periodUnit === 'time' && config.clockPeriod > 0 ? 1 / config.clockPeriod : 1;
+        if (clock.period > 0) {
+            timing.period = clock.period * scale;
+        }
+        if (clock.duty > 0 && clock.duty < 100) {
+            timing.duty = clock.duty / 100;
+        }
+        if (clock.polarity === 'low') {
+            timing.polarity = 'low';
+        }
+        
+        // Number cycles so that cycle 0 is the one running at the start of the diagram
+        if (clock.phase) {
+            const offset = ((clock.phase * scale) % timing.period + timing.period) % timing.period;
+            if (offset > TimingGenModel.TIME_EPSILON && timing.period - offset > TimingGenModel.TIME_EPSILON) {
+                timing.offset = offset - timing.period;
+            }
+        }
+        return timing;
+    }
+    
+    /**
+     * Store clock timing fields on a clock signal, leaving out the ones at their default
+     * @param {Object} clock - Clock signal
+     * @param {Object} timing - {period, periodUnit, duty, phase, polarity}; missing fields use the defaults
+     */
+    static setClockTiming(clock, timing) {
+        const values = { ...TimingGenModel.DEFAULT_CLOCK_TIMING, ...timing };
+        TimingGenModel.CLOCK_TIMING_FIELDS.forEach(field => delete clock[field]);
+        
+        // A period of 1 is the default only when counted in base clock cycles
+        if (values.periodUnit === 'time') {
+            clock.period = values.period;
+            clock.periodUnit = 'time';
+        } else if (values.period !== TimingGenModel.DEFAULT_CLOCK_TIMING.period) {
+            clock.period = values.period;
+        }
+        ['duty', 'phase', 'polarity'].forEach(field => {
+            if (values[field] !== TimingGenModel.DEFAULT_CLOCK_TIMING[field]) {
+                clock[field] = values[field];
+            }
+        });
+    }
+    
+    /**
+     * Get the timing of the clock domain a signal belongs to:
+     * its own for clocks, its base_clock's for bit and bus signals
+     * @param {Object} doc - Document (the app, or fields from createDocument)
+     * @param {Object} signal - Signal object
+     * @returns {Object} Timing as returned by getClockTiming
+     */
+    static getSignalTiming(doc, signal) {
+        let clock = null;
+        if (signal && signal.type === 'clock') {
+            clock = signal;
+        } else if (signal && signal.base_clock !== undefined) {
+            const baseClock = doc.signalsData.get(signal.base_clock);
+            clock = baseClock && baseClock.type === 'clock' ? baseClock : null;
+        }
+        return TimingGenModel.getClockTiming(doc.config, clock);
+    }
+    
+    /**
+     * Get the part of a cycle of a clock domain before its mid-cycle edge
+     * (the falling edge, or the rising edge when polarity is low)
+     * @param {Object} timing - Timing from getClockTiming
+     * @returns {number} Fraction of the period, between 0 and 1
+     */
+    static getMidCycleFraction(timing) {
+        return timing.polarity !== 'low' ? timing.duty : 1 - timing.duty;
+    }
+    
+    /**
+     * Get the time of a cycle position of a clock domain. Whole cycles are cycle starts and
+     * n.5 is the mid-cycle edge in cycle n; other fractions (e.g. quarter steps) are
+     * interpolated between these edges, so they follow the clock's duty cycle
+     * @param {Object} timing - Timing from getClockTiming
+     * @param {number} cycle - Cycle number in that domain (may be fractional)
+     * @returns {number} Time in base clock cycles
+     */
+    static getCycleTime(timing, cycle) {
+        const whole = Math.floor(cycle);
+        const fraction = cycle - whole;
+        if (fraction < TimingGenModel.TIME_EPSILON) {
+            return timing.offset + cycle * timing.period;
+        }
+        
+        const mid = TimingGenModel.getMidCycleFraction(timing);
+        const part = fraction <= 0.5 ? fraction * 2 * mid : mid + (fraction - 0.5) * 2 * (1 - mid);
+        return timing.offset + (whole + part) * timing.period;
+    }
+    
+    /**
+     * Get the time of a clock edge, numbered as in measures:
+     * cycle n is the rising edge in cycle n, -(n + 1) the falling edge in cycle n
+     * @param {Object} timing - Timing from getClockTiming
+     * @param {number} cycle - Edge number
+     * @returns {number} Time in base clock cycles
+     */
+    static getClockEdgeTime(timing, cycle) {
+        const rising = cycle >= 0;
+        const start = rising ? cycle : -(cycle + 1);
+        const highFirst = timing.polarity !== 'low';
+        return TimingGenModel.getCycleTime(timing, rising === highFirst ? start : start + 0.5);
+    }
+    
+    /**
+     * Get the cycle of a clock domain running at a time (the inverse of getCycleTime)
+     * @param {Object} timing - Timing from getClockTiming
+     * @param {number} time - Time in base clock cycles
+     * @param {number} [step=1] - Snap down to multiples of this (e.g. 0.5 for half cycles)
+     * @returns {number} Cycle number in that domain
+     */
+    static getCycleAtTime(timing, time, step = 1) {
+        const position = (time - timing.offset) / timing.period;
+        const whole = Math.floor(position + TimingGenModel.TIME_EPSILON);
+        const fraction = Math.max(0, position - whole);
+        const mid = TimingGenModel.getMidCycleFraction(timing);
+        const part = fraction <= mid ? fraction / mid * 0.5 : 0.5 + (fraction - mid) / (1 - mid) * 0.5;
+        return Math.floor((whole + part) / step + TimingGenModel.TIME_EPSILON) * step;
+    }
+    
+    /**
+     * Get the number of cycles of a clock domain that start inside the diagram
+     * @param {Object} config - Document configuration
+     * @param {Object} timing - Timing from getClockTiming
+     * @returns {number} Cycle count (at least 1)
+     */
+    static getCycleCount(config, timing) {
+        return Math.max(1, Math.ceil((config.cycles - timing.offset) / timing.period - TimingGenModel.TIME_EPSILON));
+    }
+    
+    /**
+     * Get the state of a clock in a cycle (last state set at or before it; running by default)
+     * @param {Object} clock - Clock signal
+     * @param {number} cycle - Cycle number in the clock's domain
+     * @returns {number|string} 'C' (running), 0 or 1 (stopped low or high) or 'G' (gated off)
+     */
+    static getClockStateAtCycle(clock, cycle) {
+        let state = 'C';
+        const values = (clock && clock.values) || {};
+        Object.keys(values).map(Number).filter(cy => cy <= cycle).sort((a, b) => a - b).forEach(cy => {
+            if (TimingGenModel.CLOCK_STATES.includes(values[cy])) {
+                state = values[cy];
+            }
+        });
+        return state;
+    }
+    
+    /**
+     * List the edges of a clock inside the diagram in time order.
+     * Stopped cycles hold their level from the start of the cycle, gated cycles hold the
+     * level the clock rests at between cycles (low unless the polarity is 'low').
+     * @param {Object} config - Document configuration
+     * @param {Object} timing - Timing from getClockTiming
+     * @param {Object} [clock] - Clock signal whose values stop or gate cycles (free running if missing)
+     * @returns {Object} {initial, edges: [{time, high}], gated: [{start, end}]} where initial is the
+     *     level just before the diagram starts (true for high) and gated lists the gated time ranges
+     */
+    static getClockEdges(config, timing, clock) {
+        const highFirst = timing.polarity !== 'low';
+        const firstLength = TimingGenModel.getMidCycleFraction(timing) * timing.period;
+        const count = TimingGenModel.getCycleCount(config, timing);
+        const end = config.cycles - TimingGenModel.TIME_EPSILON;
+        
+        let level = !highFirst;
+        let initial = level;
+        const edges = [];
+        const gated = [];
+        for (let cycle = -1; cycle < count; cycle++) {
+            const start = TimingGenModel.getCycleTime(timing, cycle);
+            const state = TimingGenModel.getClockStateAtCycle(clock, cycle);
+            let levels;
+            if (state === 'C') {
+                levels = [[start, highFirst], [start + firstLength, !highFirst]];
+            } else {
+                levels = [[start, state === 'G' ? !highFirst : state === 1]];
+            }
+            
+            levels.forEach(([time, high]) => {
+                if (high === level) {
+                    return;
+                }
+                level = high;
+                if (time < -TimingGenModel.TIME_EPSILON) {
+                    initial = high;
+                } else if (time < end) {
+                    edges.push({ time: Math.max(0, time), high: high });
+                }
+            });
+            
+            if (state === 'G' && start + timing.period > 0 && start < end) {
+                const range = { start: Math.max(0, start), end: Math.min(config.cycles, start + timing.period) };
+                const last = gated[gated.length - 1];
+                if (last && Math.abs(last.end - range.start) < TimingGenModel.TIME_EPSILON) {
+                    last.end = range.end;
+                } else {
+                    gated.push(range);
+                }
+            }
+        }
+        return { initial, edges, gated };
+    }
+    
+    /**
+     * Get the jitter of a clock in pixels, the width of the uncertainty band on each side of its edges
+     * @param {Object} config - Document configuration
+     * @param {Object} clock - Clock signal (jitter in the clock period unit)
+     * @returns {number} Jitter in pixels (0 for none)
+     */
+    static getClockJitter(config, clock) {
+        if (!clock || !(clock.jitter > 0) || !(config.clockPeriod > 0)) {
+            return 0;
+        }
+        return clock.jitter / config.clockPeriod * config.cycleWidth;
+    }
+    
+    /**
+     * Get the time of a measure or arrow end point: a clock edge (see getClockEdgeTime)
+     * or the start of a bit/bus cycle
+     * @param {Object} doc - Document (the app, or fields from createDocument)
+     * @param {Object} signal - Signal object
+     * @param {number} cycle - Cycle number (negative for clock falling edges)
+     * @returns {number} Time in base clock cycles
+     */
+    static getEventTime(doc, signal, cycle) {
+        const timing = TimingGenModel.getSignalTiming(doc, signal);
+        if (signal && signal.type === 'clock') {
+            return TimingGenModel.getClockEdgeTime(timing, cycle);
+        }
+        return TimingGenModel.getCycleTime(timing, cycle);
+    }
+    
+    /**
+     * Get the x position of a time, kept inside the waveform area
+     * @param {Object} config - Document configuration
+     * @param {number} time - Time in base clock cycles
+     * @returns {number} X position in pixels
+     */
+    static getTimeX(config, time) {
+        const clamped = Math.min(Math.max(time, 0), config.cycles);
+        return config.nameColumnWidth + clamped * config.cycleWidth;
+    }
+    
+    // ========================================
+    // Counters and Geometry
+    // ========================================
+    
+    /**
+     * Generate the label of every cycle of a counter row.
+     * Numeric values ("1", "a5") count up each cycle; other values repeat;
+     * null/"null"/"undef" stop counting and "-" leaves cycles blank. Tear cycles stay blank.
+     * @param {Object} counterData - Counter object {values: [{cycle, value}]}
+     * @param {number} totalCycles - Number of cycles in the diagram
+     * @param {Set<number>} tears - Tear cycles
+     * @returns {Array<string>} Label for each cycle ('' for none)
+     */
+    static generateCounterLabels(counterData, totalCycles, tears) {
+        // Initialize all cycles with empty string
+        const labels = new Array(totalCycles).fill('');
+        
+        if (!counterData.values || counterData.values.length === 0) {
+            return labels;
+        }
+        
+        // Sort values by cycle
+        const sorted = [...counterData.values].sort((a, b) => a.cycle - b.cycle);
+        
+        // Process each value entry
+        for (let i = 0; i < sorted.length; i++) {
+            const entry = sorted[i];
+            const startCycle = entry.cycle;
+            const startValue = entry.value;
+            
+            // Check if value is null/undefined (means stop counting)
+            // Note: We support both actual null/undefined and string representations
+            // for backward compatibility with user-entered data
+            const isStopValue = startValue === null ||
+                               startValue === undefined ||
+                               startValue === 'null' ||
+                               startValue === 'undef';
+            
+            if (isStopValue) {
+                // Stop counting - leave empty
+                if (startCycle >= 0 && startCycle < totalCycles) {
+                    labels[startCycle] = '';
+                }
+                continue;
+            }
+            
+            // Determine end cycle (either next entry, next tear, or end of cycles)
+            let endCycle = (i < sorted.length - 1) ? sorted[i + 1].cycle : totalCycles;
+            
+            // If tears exist, find the first tear cycle after startCycle and before endCycle
+            if (tears && tears.size > 0) {
+                // Convert to sorted array for efficient search
+                const sortedTears = Array.from(tears).sort((a, b) => a - b);
+                for (const tearCycle of sortedTears) {
+                    if (tearCycle > startCycle && tearCycle < endCycle) {
+                        endCycle = tearCycle;
+                        break; // Early termination since tears are sorted
+                    }
+                }
+            }
+            
+            // Check if value is numeric or alphanumeric
+            const match = String(startValue).match(/^([a-zA-Z]*)(\d+)$/);
+            
+            if (match) {
+                // Alphanumeric format: extract prefix and number
+                const prefix = match[1];
+                let num = parseInt(match[2]);
+                
+                // Generate incremental labels, but skip tear cycles
+                for (let cycle = startCycle; cycle < endCycle && cycle < totalCycles; cycle++) {
+                    if (cycle >= 0) {
+                        // Skip tear cycles
+                        if (tears && tears.has(cycle)) {
+                            continue;
+                        }
+                        labels[cycle] = prefix + num;
+                        num++;
+                    }
+                }
+            } else {
+                // Not numeric - just repeat the value
+                for (let cycle = startCycle; cycle < endCycle && cycle < totalCycles; cycle++) {
+                    if (cycle >= 0) {
+                        // Skip tear cycles
+                        if (tears && tears.has(cycle)) {
+                            continue;
+                        }
+                        if (startValue === "-") {
+                            labels[cycle] = "";
+                        } else {
+                            labels[cycle] = startValue;
+                        }
+                    }
+                }
+            }
+        }
+        
+        return labels;
+    }
+    
+    /**
+     * Get the size of the drawing area for a configuration
+     * @param {Object} config - Document configuration
+     * @returns {Object} {width, height} in pixels
+     */
+    static getCanvasSize(config) {
+        return {
+            width: config.nameColumnWidth + config.cycles * config.cycleWidth + 100,
+            height: config.headerHeight + 10 * config.signalRowHeight + 100
+        };
+    }
+}
+
+// Configuration of a new document
+TimingGenModel.DEFAULT_CONFIG = {
+    cycles: 20,
+    nameColumnWidth: 150,
+    cycleWidth: 60,
+    rowHeight: 80, // deprecated - kept for backward compatibility
+    signalRowHeight: 80, // height for signal rows
+    measureRowHeight: 80, // height for measure/group rows
+    headerHeight: 50,
+    slew: 4, // pixels for slew transition (default: 4)
+    clockPeriod: 10, // default clock period value
+    clockPeriodUnit: 'ns', // default time unit
+    delayMin: 0, // minimum delay value in clock period units
+    delayMax: 0, // maximum delay value in clock period units
+    delayColor: '#0000FF', // color for delay uncertainty region (default: blue)
+    gridColor: '#e0e0e0',
+    signalColor: '#000000',
+    backgroundColor: '#ffffff'
+};
+
+// Clock signal timing fields (see getClockTiming) and their values when omitted
+TimingGenModel.CLOCK_TIMING_FIELDS = ['period', 'periodUnit', 'duty', 'phase', 'polarity'];
+TimingGenModel.DEFAULT_CLOCK_TIMING = {
+    period: 1,
+    periodUnit: 'cycles',
+    duty: 50,
+    phase: 0,
+    polarity: 'high'
+};
+
+// Tolerance when comparing times of clocks with fractional periods
+TimingGenModel.TIME_EPSILON = 1e-9;
+
+// Values of clock cycles: running, stopped low, stopped high, gated off
+TimingGenModel.CLOCK_STATES = ['C', 0, 1, 'G'];
+
+// Transition steps of bit and bus signals, in cycles (1 = changes on clock edges only)
+TimingGenModel.TRANSITION_STEPS = [1, 0.5, 0.25];
+
+// Allow require() from Node.js tools; in the browser this is a plain global script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimingGenModel;
+}
@@ -0,0 +1,649 @@
+// Timing Gen 3 - PDF Module
+// Version 3.4.1
+// Handles multi-page PDF export (vector paths and text, no external libraries)
+
+class TimingGenPDF {
+    /**
+     * Show PDF export options dialog
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static showExportDialog(app) {
+        document.getElementById('pdf-export-dialog').style.display = 'flex';
+    }
+
+    /**
+     * Hide PDF export options dialog
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static hideExportDialog(app) {
+        document.getElementById('pdf-export-dialog').style.display = 'none';
+    }
+
+    /**
+     * Export the diagram and AC tables as a multi-page PDF using the dialog options
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static exportToPDF(app) {
+        const pageSize = document.getElementById('pdf-page-size-select').value;
+        const orientation = document.getElementById('pdf-orientation-select').value;
+        TimingGenPDF.hideExportDialog(app);
+
+        const sizes = { a4: [595.28, 841.89], letter: [612, 792] };
+        let [width, height] = sizes[pageSize] || sizes.a4;
+        if (orientation === 'landscape') {
+            [width, height] = [height, width];
+        }
+
+        try {
+            const pages = TimingGenPDF.buildPages(app, width, height);
+            const bytes = TimingGenPDF.writePDF(pages, width, height);
+
+            const blob = new Blob([bytes], { type: 'application/pdf' });
+            const url = URL.createObjectURL(blob);
+
+            const anchor = document.createElement('a');
+            anchor.href = url;
+            anchor.download = `${TimingGenData.getExportBaseName(app)}.pdf`;
+            anchor.click();
+
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            alert('Error exporting PDF: ' + err.message);
+            console.error('PDF export error:', err);
+        }
+    }
+
+    /**
+     * Build page content streams: diagram pages split at tears or cycle
+     * boundaries, followed by AC table pages
+     * @param {TimingGenApp} app - Main application instance
+     * @param {number} pageWidth - Page width in points
+     * @param {number} pageHeight - Page height in points
+     * @returns {string[]} Content stream for each page
+     */
+    static buildPages(app, pageWidth, pageHeight) {
+        const margin = TimingGenPDF.MARGIN;
+        const availWidth = pageWidth - 2 * margin;
+        const availHeight = pageHeight - 2 * margin - TimingGenPDF.FOOTER_HEIGHT;
+        const pages = [];
+
+        // Capture the diagram in export mode, leaving AC tables for their own pages
+        const saved = TimingGenData.enterExportMode(app);
+        let items;
+        let diagramHeight;
+        try {
+            items = [];
+            [app.gridLayer, app.signalLayer, app.measureLayer].forEach(layer => {
+                TimingGenPDF.collectItems(layer, items);
+            });
+            diagramHeight = TimingGenPDF.getDiagramHeight(app);
+        } finally {
+            TimingGenData.exitExportMode(app, saved);
+        }
+
+        const nameWidth = app.config.nameColumnWidth;
+        const cycleWidth = app.config.cycleWidth;
+
+        if (diagramHeight > 0) {
+            // 96 px per inch; shrink further if the diagram is taller than a page
+            const scale = Math.min(0.75, availHeight / diagramHeight,
+                                   availWidth / (nameWidth + cycleWidth));
+            const cyclesPerPage = Math.max(1, Math.floor((availWidth / scale - nameWidth) / cycleWidth));
+
+            TimingGenPDF.splitCycles(app.config.cycles, cyclesPerPage, app.tears).forEach(range => {
+                const sliceX = nameWidth + range.start * cycleWidth;
+                const sliceWidth = (range.end - range.start) * cycleWidth;
+                let ops = TimingGenPDF.pageTransform(margin, pageHeight - margin, scale);
+
+                // Name column
+                ops += TimingGenPDF.clippedItems(items, 0, 0, nameWidth, diagramHeight, 0);
+                // Cycle slice, shifted to sit right after the name column
+                ops += TimingGenPDF.clippedItems(items, sliceX, 0, sliceWidth, diagramHeight, nameWidth - sliceX);
+
+                ops += 'Q\n';
+                pages.push(ops);
+            });
+        }
+
+        // AC tables on the following pages
+        app.rows.forEach(row => {
+            if (row.type !== 'ac-table') return;
+            const tableData = app.acTablesData.get(row.name);
+            if (tableData) {
+                TimingGenPDF.buildACTablePages(tableData, availWidth, availHeight, pageHeight).forEach(ops => {
+                    pages.push(ops);
+                });
+            }
+        });
+
+        if (pages.length === 0) {
+            throw new Error('Nothing to export');
+        }
+
+        // Page numbers
+        return pages.map((ops, idx) => {
+            const label = `${idx + 1} / ${pages.length}`;
+            const x = pageWidth / 2 - TimingGenPDF.textWidth(label, 9) / 2;
+            return ops + `BT /F1 9 Tf 0 g ${TimingGenPDF.num(x)} ${TimingGenPDF.num(margin / 2)} Td ` +
+                   `(${TimingGenPDF.escapeText(label)}) Tj ET\n`;
+        });
+    }
+
+    /**
+     * Height of the diagram rows, excluding trailing AC table rows
+     * @param {TimingGenApp} app - Main application instance
+     * @returns {number} Height in pixels
+     */
+    static getDiagramHeight(app) {
+        let lastRow = app.rows.length - 1;
+        while (lastRow >= 0 && app.rows[lastRow].type === 'ac-table') {
+            lastRow--;
+        }
+        if (lastRow < 0) return 0;
+        return app.rowManager.getRowYPosition(lastRow) + app.rowManager.getRowHeight(lastRow);
+    }
+
+    /**
+     * Split cycles into page ranges, preferring to end a page right after a tear mark
+     * when that does not leave the page less than half full
+     * @param {number} totalCycles - Number of cycles in the diagram
+     * @param {number} cyclesPerPage - Maximum cycles that fit on one page
+     * @param {Set<number>} tears - Tear mark cycles
+     * @returns {Array<{start: number, end: number}>} Cycle ranges (end exclusive)
+     */
+    static splitCycles(totalCycles, cyclesPerPage, tears) {
+        const tearList = Array.from(tears || []).sort((a, b) => a - b);
+        const ranges = [];
+        let start = 0;
+
+        while (start < totalCycles) {
+            let end = Math.min(totalCycles, start + cyclesPerPage);
+            if (end < totalCycles) {
+                // Last tear in the second half of this page
+                const tear = tearList.filter(cycle => cycle + 1 <= end).pop();
+                if (tear !== undefined && tear + 1 > start + cyclesPerPage / 2) {
+                    end = tear + 1;
+                }
+            }
+            ranges.push({ start: start, end: end });
+            start = end;
+        }
+
+        return ranges;
+    }
+
+    /**
+     * Start a page in diagram pixel coordinates (y down) scaled into PDF points
+     * @param {number} x - Left edge in points
+     * @param {number} top - Top edge in points (PDF y grows upward)
+     * @param {number} scale - Points per pixel
+     * @returns {string} Content stream operators (must be closed with Q)
+     */
+    static pageTransform(x, top, scale) {
+        const n = TimingGenPDF.num;
+        return `q ${n(scale)} 0 0 ${n(-scale)} ${n(x)} ${n(top)} cm\n`;
+    }
+
+    /**
+     * Draw the items that intersect a clip rectangle, shifted horizontally
+     * @param {Array} items - Collected items from collectItems
+     * @param {number} x - Clip left in pixels
+     * @param {number} y - Clip top in pixels
+     * @param {number} width - Clip width in pixels
+     * @param {number} height - Clip height in pixels
+     * @param {number} dx - Horizontal shift applied after clipping
+     * @returns {string} Content stream operators
+     */
+    static clippedItems(items, x, y, width, height, dx) {
+        const n = TimingGenPDF.num;
+        let ops = `q 1 0 0 1 ${n(dx)} 0 cm ${n(x)} ${n(y)} ${n(width)} ${n(height)} re W n\n`;
+        items.forEach(item => {
+            const b = item.bounds;
+            if (b.x > x + width || b.x + b.width < x || b.y > y + height || b.y + b.height < y) return;
+            ops += item.ops;
+        });
+        return ops + 'Q\n';
+    }
+
+    /**
+     * Walk a Paper.js item tree and convert paths and text to PDF operators
+     * @param {paper.Item} item - Layer, group, path or text item
+     * @param {Array} out - Receives {bounds, ops} entries
+     */
+    static collectItems(item, out) {
+        if (!item || item.visible === false) return;
+        // AC tables are exported on their own pages
+        if (item.data && typeof item.data.type === 'string' && item.data.type.indexOf('ac-table') === 0) return;
+
+        const bounds = item.bounds ? {
+            x: item.bounds.x, y: item.bounds.y, width: item.bounds.width, height: item.bounds.height
+        } : { x: 0, y: 0, width: 0, height: 0 };
+
+        if (item.className === 'Layer' || item.className === 'Group') {
+            (item.children || []).forEach(child => TimingGenPDF.collectItems(child, out));
+        } else if (item.className === 'Path' || item.className === 'CompoundPath') {
+            const ops = TimingGenPDF.pathOps(item);
+            if (ops) out.push({ bounds: bounds, ops: ops });
+        } else if (item.className === 'PointText') {
+            const ops = TimingGenPDF.textOps(item);
+            if (ops) out.push({ bounds: bounds, ops: ops });
+        }
+    }
+
+    /**
+     * Convert a Paper.js Path or CompoundPath to PDF path operators
+     * @param {paper.Path|paper.CompoundPath} item - Path item
+     * @returns {string} Content stream operators, or '' if nothing is painted
+     */
+    static pathOps(item) {
+        const n = TimingGenPDF.num;
+        const fill = TimingGenPDF.colorOf(item.fillColor);
+        const stroke = item.strokeWidth > 0 ? TimingGenPDF.colorOf(item.strokeColor) : null;
+        // Skip invisible and near-transparent hit areas
+        const doFill = fill && fill.alpha * item.opacity >= 0.1;
+        const doStroke = stroke && stroke.alpha * item.opacity >= 0.1;
+        if (!doFill && !doStroke) return '';
+
+        const paths = item.className === 'CompoundPath' ? item.children : [item];
+        let geometry = '';
+        paths.forEach(path => {
+            const segments = path.segments || [];
+            if (segments.length === 0) return;
+            geometry += `${n(segments[0].point.x)} ${n(segments[0].point.y)} m\n`;
+            const count = path.closed ? segments.length + 1 : segments.length;
+            for (let idx = 1; idx < count; idx++) {
+                const prev = segments[idx - 1];
+                const seg = segments[idx % segments.length];
+                if (prev.handleOut.isZero() && seg.handleIn.isZero()) {
+                    geometry += `${n(seg.point.x)} ${n(seg.point.y)} l\n`;
+                } else {
+                    geometry += `${n(prev.point.x + prev.handleOut.x)} ${n(prev.point.y + prev.handleOut.y)} ` +
+                                `${n(seg.point.x + seg.handleIn.x)} ${n(seg.point.y + seg.handleIn.y)} ` +
+                                `${n(seg.point.x)} ${n(seg.point.y)} c\n`;
+                }
+            }
+            if (path.closed) geometry += 'h\n';
+        });
+        if (!geometry) return '';
+
+        let ops = 'q\n';
+        if (doFill) ops += `${TimingGenPDF.colorOps(fill)} rg\n`;
+        if (doStroke) {
+            ops += `${TimingGenPDF.colorOps(stroke)} RG ${n(item.strokeWidth)} w\n`;
+            const dash = item.dashArray || [];
+            ops += `[${dash.map(n).join(' ')}] 0 d\n`;
+        }
+        ops += geometry;
+        ops += doFill && doStroke ? 'B\n' : doFill ? 'f\n' : 'S\n';
+        return ops + 'Q\n';
+    }
+
+    /**
+     * Convert a Paper.js PointText to PDF text operators
+     * @param {paper.PointText} item - Text item
+     * @returns {string} Content stream operators
+     */
+    static textOps(item) {
+        const n = TimingGenPDF.num;
+        const content = String(item.content || '');
+        if (!content.trim()) return '';
+        const color = TimingGenPDF.colorOf(item.fillColor) || { red: 0, green: 0, blue: 0, alpha: 1 };
+        const fontSize = item.fontSize || 12;
+        const bold = String(item.fontWeight) === 'bold' || parseInt(item.fontWeight) >= 600;
+        const font = TimingGenPDF.fontFor(item.fontFamily, bold);
+        const leading = item.leading || fontSize * 1.2;
+
+        let ops = '';
+        content.split(/\r?\n/).forEach((line, idx) => {
+            const width = TimingGenPDF.textWidth(line, fontSize, font);
+            let x = item.point.x;
+            if (item.justification === 'center') x -= width / 2;
+            else if (item.justification === 'right') x -= width;
+            const y = item.point.y + idx * leading;
+            // Flip the text matrix back since the page is drawn y-down
+            ops += `BT /${font} ${n(fontSize)} Tf ${TimingGenPDF.colorOps(color)} rg ` +
+                   `1 0 0 -1 ${n(x)} ${n(y)} Tm (${TimingGenPDF.escapeText(line)}) Tj ET\n`;
+        });
+        return ops;
+    }
+
+    /**
+     * Lay out an AC table across as many pages as needed, repeating the
+     * title and column header on every page and keeping spanned rows together
+     * @param {Object} tableData - AC table data
+     * @param {number} availWidth - Usable page width in points
+     * @param {number} availHeight - Usable page height in points
+     * @param {number} pageHeight - Page height in points
+     * @returns {string[]} Content stream for each page
+     */
+    static buildACTablePages(tableData, availWidth, availHeight, pageHeight) {
+        const margin = TimingGenPDF.MARGIN;
+        const tableWidth = 900;
+        const rowHeight = 25;
+        const titleHeight = 30;
+        const headerHeight = 25;
+        const cellPadding = 5;
+        const scale = Math.min(0.75, availWidth / tableWidth);
+        const pageLimit = availHeight / scale;
+
+        const colWidths = tableData.columnWidths || [400, 100, 100, 100, 100, 100];
+        const colPositions = [0];
+        for (let i = 0; i < colWidths.length; i++) {
+            colPositions.push(colPositions[i] + colWidths[i]);
+        }
+        const headers = ['Parameter', 'Symbol', 'Min.', 'Max.', 'Unit', 'Note'];
+
+        const pages = [];
+        let ops = '';
+        let y = 0;
+
+        const line = (x1, y1, x2, y2) => {
+            const n = TimingGenPDF.num;
+            return `${n(x1)} ${n(y1)} m ${n(x2)} ${n(y2)} l S\n`;
+        };
+        const text = (content, x, baseline, family, size, color, bold) => {
+            return TimingGenPDF.textOps({
+                content: content,
+                point: { x: x, y: baseline },
+                fontFamily: family,
+                fontSize: size,
+                fontWeight: bold ? 'bold' : 'normal',
+                fillColor: color,
+                justification: 'left'
+            });
+        };
+
+        const startPage = (continued) => {
+            ops = TimingGenPDF.pageTransform(margin, pageHeight - margin, scale) + '0 G 1 w\n';
+            const title = (tableData.title || 'Read Cycle') + (continued ? ' (continued)' : '');
+            ops += text(title, 0, titleHeight / 2 + 5, tableData.titleFont || 'Arial',
+                        tableData.titleSize || 14, tableData.titleColor || '#000000', true);
+            y = titleHeight;
+
+            // Column header
+            ops += `0.941 0.941 0.941 rg 0 ${y} ${tableWidth} ${headerHeight} re B\n`;
+            for (let i = 0; i <= colWidths.length; i++) {
+                ops += line(colPositions[i], y, colPositions[i], y + headerHeight);
+                if (i < headers.length) {
+                    ops += text(headers[i], colPositions[i] + cellPadding, y + headerHeight / 2 + 5,
+                                tableData.headerFont || 'Arial', tableData.headerSize || 12,
+                                tableData.headerColor || '#000000', true);
+                }
+            }
+            y += headerHeight;
+        };
+        const endPage = () => {
+            pages.push(ops + 'Q\n');
+        };
+
+        startPage(false);
+
+        tableData.rows.forEach(row => {
+            const span = row.rowSpan || 1;
+            const height = rowHeight * span;
+            if (y + height > pageLimit && y > titleHeight + headerHeight) {
+                endPage();
+                startPage(true);
+            }
+
+            ops += `0 ${y} ${tableWidth} ${height} re S\n`;
+            for (let i = 0; i <= colWidths.length; i++) {
+                ops += line(colPositions[i], y, colPositions[i], y + height);
+            }
+            if (span === 2) {
+                ops += line(colPositions[1], y + rowHeight, colPositions[colWidths.length], y + rowHeight);
+            }
+
+            const cells = [row.parameter, row.symbol, row.min, row.max, row.unit, row.note];
+            cells.forEach((content, colIndex) => {
+                if (!content) return;
+                const yOffset = span === 2 && colIndex > 0 ? rowHeight / 2 : height / 2;
+                ops += text(String(content), colPositions[colIndex] + cellPadding, y + yOffset + 5,
+                            row.fontFamily || tableData.cellFont || 'Arial',
+                            row.fontSize || tableData.cellSize || 12,
+                            row.color || tableData.cellColor || '#000000', false);
+            });
+
+            y += height;
+        });
+
+        // Footnotes referenced by the rows
+        const noteNumbers = new Set();
+        tableData.rows.forEach(row => {
+            if (row.note) {
+                row.note.split(',').map(num => num.trim()).filter(num => num).forEach(num => noteNumbers.add(num));
+            }
+        });
+        const sortedNotes = Array.from(noteNumbers).sort((a, b) => parseInt(a) - parseInt(b));
+
+        const noteLines = [];
+        sortedNotes.forEach(num => {
+            const noteData = (tableData.notes || []).find(note => note.number === num);
+            const fontSize = (noteData && noteData.fontSize) || 11;
+            const wrapped = TimingGenPDF.wrapText(noteData ? noteData.text : '', tableWidth - 100, fontSize);
+            wrapped.forEach((textLine, idx) => {
+                noteLines.push({ number: idx === 0 ? num : '', text: textLine, fontSize: fontSize,
+                                 fontFamily: (noteData && noteData.fontFamily) || 'Arial' });
+            });
+        });
+
+        // Note field, closed off at each page break
+        let noteTop = y;
+        const closeNotes = () => {
+            ops += `0 ${TimingGenPDF.num(noteTop)} ${tableWidth} ${TimingGenPDF.num(y - noteTop)} re S\n`;
+        };
+        ops += text('Note', cellPadding, y + 15, 'Arial', 12, '#000000', true);
+        y += 15;
+        noteLines.forEach(noteLine => {
+            const height = noteLine.fontSize + 6;
+            if (y + height > pageLimit) {
+                closeNotes();
+                endPage();
+                startPage(true);
+                noteTop = y;
+                y += 5;
+            }
+            if (noteLine.number) {
+                ops += text(noteLine.number, 60, y + noteLine.fontSize, 'Arial', 11, '#000000', false);
+            }
+            ops += text(noteLine.text, 90, y + noteLine.fontSize, noteLine.fontFamily, noteLine.fontSize, '#000000', false);
+            y += height;
+        });
+        y += 5;
+        closeNotes();
+        endPage();
+
+        return pages;
+    }
+
+    /**
+     * Word-wrap text to a maximum width using Helvetica metrics
+     * @param {string} text - Text to wrap
+     * @param {number} maxWidth - Maximum line width in pixels
+     * @param {number} fontSize - Font size in pixels
+     * @returns {string[]} Wrapped lines
+     */
+    static wrapText(text, maxWidth, fontSize) {
+        if (!text) return [''];
+        const lines = [];
+        let current = '';
+        text.split(' ').forEach(word => {
+            const test = current ? current + ' ' + word : word;
+            if (TimingGenPDF.textWidth(test, fontSize) <= maxWidth || !current) {
+                current = test;
+            } else {
+                lines.push(current);
+                current = word;
+            }
+        });
+        lines.push(current);
+        return lines;
+    }
+
+    /**
+     * Assemble page content streams into a complete PDF file
+     * @param {string[]} pages - Content stream for each page
+     * @param {number} pageWidth - Page width in points
+     * @param {number} pageHeight - Page height in points
+     * @returns {Uint8Array} PDF file bytes
+     */
+    static writePDF(pages, pageWidth, pageHeight) {
+        const n = TimingGenPDF.num;
+        const fonts = Object.keys(TimingGenPDF.FONTS);
+        const objects = [];
+        const addObject = (body) => {
+            objects.push(body);
+            return objects.length;
+        };
+
+        const catalogId = addObject(null);
+        const pagesId = addObject(null);
+        const fontIds = fonts.map(key => addObject(
+            `<< /Type /Font /Subtype /Type1 /BaseFont /${TimingGenPDF.FONTS[key]} /Encoding /WinAnsiEncoding >>`));
+        const fontResources = fonts.map((key, idx) => `/${key} ${fontIds[idx]} 0 R`).join(' ');
+
+        const pageIds = pages.map(content => {
+            const contentId = addObject(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+            return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${n(pageWidth)} ${n(pageHeight)}] ` +
+                             `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+        });
+
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        // All content is single-byte, so string offsets are byte offsets
+        let pdf = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+        const offsets = [];
+        objects.forEach((body, idx) => {
+            offsets.push(pdf.length);
+            pdf += `${idx + 1} 0 obj\n${body}\nendobj\n`;
+        });
+
+        const xrefOffset = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        offsets.forEach(offset => {
+            pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+        });
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+        const bytes = new Uint8Array(pdf.length);
+        for (let idx = 0; idx < pdf.length; idx++) {
+            bytes[idx] = pdf.charCodeAt(idx) & 0xFF;
+        }
+        return bytes;
+    }
+
+    /**
+     * Pick a standard PDF font resource for a CSS font family
+     * @param {string} family - Font family name
+     * @param {boolean} bold - Bold weight
+     * @returns {string} Font resource name (F1-F6)
+     */
+    static fontFor(family, bold) {
+        const name = String(family || '').toLowerCase();
+        if (/courier|mono|consol/.test(name)) return bold ? 'F6' : 'F5';
+        if (/times|serif|georgia|garamond/.test(name) && !/sans/.test(name)) return bold ? 'F4' : 'F3';
+        return bold ? 'F2' : 'F1';
+    }
+
+    /**
+     * Estimate text width from Helvetica metrics (Courier is fixed width)
+     * @param {string} text - Text
+     * @param {number} fontSize - Font size
+     * @param {string} [font] - Font resource name
+     * @returns {number} Width in the same units as fontSize
+     */
+    static textWidth(text, fontSize, font) {
+        if (font === 'F5' || font === 'F6') {
+            return text.length * 0.6 * fontSize;
+        }
+        let width = 0;
+        for (const ch of text) {
+            const code = ch.charCodeAt(0);
+            width += code >= 32 && code <= 126 ? TimingGenPDF.HELVETICA_WIDTHS[code - 32] : 556;
+        }
+        return width * fontSize / 1000;
+    }
+
+    /**
+     * Escape text for a PDF string literal in WinAnsi encoding
+     * @param {string} text - Text
+     * @returns {string} Escaped string body
+     */
+    static escapeText(text) {
+        const special = { 'μ': '\xB5', '–': '\x96', '—': '\x97', '‘': '\x91',
+                          '’': '\x92', '“': '\x93', '”': '\x94', '•': '\x95',
+                          '…': '\x85', '€': '\x80' };
+        let out = '';
+        for (const ch of text) {
+            let mapped = special[ch] || ch;
+            if (mapped.charCodeAt(0) > 255) mapped = '?';
+            if (mapped === '(' || mapped === ')' || mapped === '\\') mapped = '\\' + mapped;
+            out += mapped;
+        }
+        return out;
+    }
+
+    /**
+     * Normalize a Paper.js color or CSS color string
+     * @param {paper.Color|string|null} color - Color
+     * @returns {Object|null} {red, green, blue, alpha} in 0-1, or null if none
+     */
+    static colorOf(color) {
+        if (!color) return null;
+        if (typeof color === 'string') {
+            color = new paper.Color(color);
+        }
+        if (color.type === 'gradient') return null;
+        return {
+            red: color.red,
+            green: color.green,
+            blue: color.blue,
+            alpha: color.alpha === undefined || color.alpha === null ? 1 : color.alpha
+        };
+    }
+
+    /**
+     * Format a color as PDF RGB operands
+     * @param {Object|string} color - Color from colorOf, or CSS color string
+     * @returns {string} "r g b"
+     */
+    static colorOps(color) {
+        if (typeof color === 'string') color = TimingGenPDF.colorOf(color);
+        const n = TimingGenPDF.num;
+        return `${n(color.red)} ${n(color.green)} ${n(color.blue)}`;
+    }
+
+    /**
+     * Format a number for a content stream
+     * @param {number} value - Number
+     * @returns {string} Compact decimal representation
+     */
+    static num(value) {
+        return String(Math.round(value * 1000) / 1000);
+    }
+}
+
+// Page margin and footer height in points
+TimingGenPDF.MARGIN = 36;
+TimingGenPDF.FOOTER_HEIGHT = 12;
+
+// Standard Type 1 fonts (no embedding required)
+TimingGenPDF.FONTS = {
+    F1: 'Helvetica',
+    F2: 'Helvetica-Bold',
+    F3: 'Times-Roman',
+    F4: 'Times-Bold',
+    F5: 'Courier',
+    F6: 'Courier-Bold'
+};
+
+// Helvetica advance widths for ASCII 32-126 (1/1000 em)
+TimingGenPDF.HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
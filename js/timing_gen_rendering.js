@@ -215,6 +215,10 @@ class TimingGenRendering {
             TimingGenRendering.drawBitWaveform(app, signal, yPos, rowHeight);
         } else if (signal.type === 'bus') {
             TimingGenRendering.drawBusWaveform(app, signal, yPos, rowHeight);
+        } else if (signal.type === 'diff') {
+            TimingGenRendering.drawDiffWaveform(app, signal, yPos, rowHeight);
+        } else if (signal.type === 'analog') {
+            TimingGenRendering.drawAnalogWaveform(app, signal, yPos, rowHeight);
         }
     }
     
@@ -222,26 +226,53 @@ class TimingGenRendering {
        const highY = baseY + rowHeight/4;
        const lowY = baseY + rowHeight - rowHeight/4;
         
+        // Edges from the clock's own period, duty cycle, phase and polarity,
+        // without the edges of stopped and gated cycles
+        const { initial, edges, gated } = TimingGenModel.getClockEdges(app.config, app.getSignalTiming(signal), signal);
+        
+        // Gated regions behind the waveform
+        gated.forEach(range => {
+            TimingGenRendering.drawClockGatedRegion(
+                TimingGenModel.getTimeX(app.config, range.start), TimingGenModel.getTimeX(app.config, range.end), highY, lowY);
+        });
+        
         const path = new paper.Path();
         path.strokeColor = app.config.signalColor;
         path.strokeWidth = 2;
         
-        for (let idx = 0; idx < app.config.cycles; idx++) {
-            const x1 = app.config.nameColumnWidth + idx * app.config.cycleWidth;
-            const x2 = x1 + app.config.cycleWidth / 2;
-            const x3 = x1 + app.config.cycleWidth;
-            
-            // Rising edge at start of cycle
-            if (idx === 0) {
-                path.moveTo(new paper.Point(x1, lowY));
+        const startX = app.config.nameColumnWidth;
+        let levelY = initial ? highY : lowY;
+        path.moveTo(new paper.Point(startX, levelY));
+        
+        // Jitter band on both sides of each edge, drawn like delay uncertainty
+        const jitter = TimingGenModel.getClockJitter(app.config, signal);
+        const jitterInfo = { min: -jitter, max: jitter, color: app.getEffectiveDelay(signal, 0).color };
+        
+        edges.forEach(edge => {
+            const x = TimingGenModel.getTimeX(app.config, edge.time);
+            const fromY = levelY;
+            if (x > startX) {
+                path.lineTo(new paper.Point(x, levelY));
             }
-            path.lineTo(new paper.Point(x1, highY));
-            path.lineTo(new paper.Point(x2, highY));
-            
-            // Falling edge at middle of cycle
-            path.lineTo(new paper.Point(x2, lowY));
-            path.lineTo(new paper.Point(x3, lowY));
-        }
+            levelY = edge.high ? highY : lowY;
+            path.lineTo(new paper.Point(x, levelY));
+            if (x > startX) {
+                TimingGenRendering.drawBitDelayUncertainty(x, jitterInfo, fromY, levelY, 0);
+            }
+        });
+        path.lineTo(new paper.Point(TimingGenModel.getTimeX(app.config, app.config.cycles), levelY));
+    }
+    
+    // Shaded box marking where a clock is gated off
+    static drawClockGatedRegion(x1, x2, highY, lowY) {
+        const rect = new paper.Path.Rectangle({
+            point: [x1, highY],
+            size: [x2 - x1, lowY - highY],
+            fillColor: TimingGenRendering.CLOCK_GATED_FILL_COLOR,
+            strokeColor: TimingGenRendering.CLOCK_GATED_STROKE_COLOR,
+            strokeWidth: 1,
+            dashArray: [4, 4]
+        });
     }
     
     // Helper function to draw delay uncertainty parallelogram for bit signals
@@ -396,22 +427,30 @@ class TimingGenRendering {
        const lowY = baseY + rowHeight - rowHeight/4;
         const midY = baseY + rowHeight / 2;
         
+        // Cycles of the base clock, which decides where transitions land
+        const cycles = app.getSignalCycleCount(signal);
+        // Where the value can change: each cycle start and the fractional positions of changes
+        // (spans and loops below count indexes into this list)
+        const positions = TimingGenModel.getValueCycles(signal, cycles);
+        const count = positions.length;
+        const cycleAt = (index) => index < count ? positions[index] : cycles;
+        
         // First, identify all X spans
         const xSpans = [];
         let idx = 0;
-        while (idx < app.config.cycles) {
-            const value = app.getBitValueAtCycle(signal, idx);
+        while (idx < count) {
+            const value = app.getBitValueAtCycle(signal, positions[idx]);
             if (value === 'X') {
                 const spanStart = idx;
                 let spanEnd = idx;
                 // Find the end of this X span
-                for (let jdx = idx + 1; jdx < app.config.cycles; jdx++) {
-                    const nextValue = app.getBitValueAtCycle(signal, jdx);
+                for (let jdx = idx + 1; jdx < count; jdx++) {
+                    const nextValue = app.getBitValueAtCycle(signal, positions[jdx]);
                     if (nextValue !== 'X') {
                         spanEnd = jdx - 1;
                         break;
                     }
-                    if (jdx === app.config.cycles - 1) {
+                    if (jdx === count - 1) {
                         spanEnd = jdx;
                     }
                 }
@@ -431,20 +470,21 @@ class TimingGenRendering {
         let prevX = null;
         let prevY = null;
         
-        for (let idx = 0; idx <= app.config.cycles; idx++) {
+        for (let idx = 0; idx <= count; idx++) {
+            const cycle = cycleAt(idx);
             // Get delay info object for this cycle (contains min, max, color)
-            const delayInfo = idx < app.config.cycles && idx > 0 ?
-                app.getEffectiveDelay(signal, idx) : { min: 0, max: 0, color: app.config.delayColor };
+            const delayInfo = idx < count && idx > 0 ?
+                app.getEffectiveDelay(signal, cycle) : { min: 0, max: 0, color: app.config.delayColor };
             
             // Get slew for this cycle
-            const slew = idx < app.config.cycles ? app.getEffectiveSlew(signal, idx) : app.config.slew;
+            const slew = idx < count ? app.getEffectiveSlew(signal, cycle) : app.config.slew;
             
-            // Base x position at grid line
-            const baseX = app.config.nameColumnWidth + idx * app.config.cycleWidth;
+            // Base x position at the base clock's cycle start
+            const baseX = app.getCycleX(signal, cycle);
             // Actual transition point after minimum delay
             const xPos = baseX + delayInfo.min;
             
-            const value = (idx < app.config.cycles) ? app.getBitValueAtCycle(signal, idx) : app.getBitValueAtCycle(signal, app.config.cycles - 1);
+            const value = app.getBitValueAtCycle(signal, positions[Math.min(idx, count - 1)]);
             const currentY = (value === 1) ? highY : (value === 'Z') ? midY : lowY;
             
             if (!pathStarted) {
@@ -463,7 +503,7 @@ class TimingGenRendering {
                 }
                 
                 if (lastNonXCycle >= 0) {
-                    const prevValue = app.getBitValueAtCycle(signal, lastNonXCycle);
+                    const prevValue = app.getBitValueAtCycle(signal, positions[lastNonXCycle]);
                     const prevValueY = (prevValue === 1) ? highY : (prevValue === 'Z') ? midY : lowY;
                     
                     // Check if value actually changed
@@ -478,7 +518,7 @@ class TimingGenRendering {
                         path.lineTo(new paper.Point(xPos, prevValueY));
                         // Then draw sloped to after transition
                         path.lineTo(new paper.Point(xPos + slew, currentY));
-                    } else if (app.getBitValueAtCycle(signal,idx - 1) === 'X') {
+                    } else if (app.getBitValueAtCycle(signal, positions[idx - 1]) === 'X') {
                         // Draw delay uncertainty parallelogram if there's uncertainty
                         if (delayInfo.max > delayInfo.min) {
                             TimingGenRendering.drawBitDelayUncertainty(baseX, delayInfo, 'X', [highY, lowY, currentY], slew);
@@ -511,24 +551,24 @@ class TimingGenRendering {
             path.strokeWidth = 2;
             path.fillColor = '#999999';
 
-            var  x1 = app.config.nameColumnWidth + span.start * app.config.cycleWidth;
-            var  x2 = app.config.nameColumnWidth + (span.end + 1) * app.config.cycleWidth;
+            var  x1 = app.getCycleX(signal, cycleAt(span.start));
+            var  x2 = app.getCycleX(signal, cycleAt(span.end + 1));
 
-            const delay1 = span.start < app.config.cycles && span.start > 0 ?
-                app.getEffectiveDelay(signal, span.start) : { min: 0, max: 0, color: app.config.delayColor };
-            const delay2 = span.end < app.config.cycles && span.end > 0 ?
-                app.getEffectiveDelay(signal, span.end) : { min: 0, max: 0, color: app.config.delayColor };
+            const delay1 = span.start < count && span.start > 0 ?
+                app.getEffectiveDelay(signal, cycleAt(span.start)) : { min: 0, max: 0, color: app.config.delayColor };
+            const delay2 = span.end < count && span.end > 0 ?
+                app.getEffectiveDelay(signal, cycleAt(span.end)) : { min: 0, max: 0, color: app.config.delayColor };
             x1 = x1 + delay1.min;
             x2 = x2 + delay2.min;
             
             let spanStart = span.start;
             let spanEnd = span.end;
 
-            const prevValue = spanStart > 0 ? app.getBusValueAtCycle(signal, spanStart - 1) : null;
-            const nextValue = spanEnd + 1 < app.config.cycles ? app.getBusValueAtCycle(signal, spanEnd + 1) : null;
-            const hasNextValue = (spanEnd + 1 < app.config.cycles && signal.values[spanEnd + 1] !== undefined);
+            const prevValue = spanStart > 0 ? app.getBusValueAtCycle(signal, positions[spanStart - 1]) : null;
+            const nextValue = spanEnd + 1 < count ? app.getBusValueAtCycle(signal, positions[spanEnd + 1]) : null;
+            const hasNextValue = (spanEnd + 1 < count && signal.values[positions[spanEnd + 1]] !== undefined);
 
-            const slew = span.start < app.config.cycles ? app.getEffectiveSlew(signal, span.start) : app.config.slew;
+            const slew = span.start < count ? app.getEffectiveSlew(signal, cycleAt(span.start)) : app.config.slew;
 
             if (prevValue === null || spanStart === 0) {
                 path.moveTo(new paper.Point(x1 , highY));
@@ -590,32 +630,40 @@ class TimingGenRendering {
         const bottomY = baseY + rowHeight - rowHeight/4;
         const midY = baseY + rowHeight / 2;
         
+        // Cycles of the base clock, which decides where transitions land
+        const cycles = app.getSignalCycleCount(signal);
+        // Where the value can change: each cycle start and the fractional positions of changes
+        // (spans count indexes into this list)
+        const positions = TimingGenModel.getValueCycles(signal, cycles);
+        const count = positions.length;
+        const cycleAt = (index) => index < count ? positions[index] : cycles;
+        
         // First pass: identify value spans with their cycles
         let idx = 0;
-        while (idx < app.config.cycles) {
-            const value = app.getBusValueAtCycle(signal, idx);
+        while (idx < count) {
+            const value = app.getBusValueAtCycle(signal, positions[idx]);
             
             // Find where this value span starts and ends
             let spanStart = idx;
             let spanEnd = idx;
             
             // Find the end of this value span
-            for (let jdx = idx + 1; jdx < app.config.cycles; jdx++) {
-                if (signal.values[jdx] !== undefined) {
+            for (let jdx = idx + 1; jdx < count; jdx++) {
+                if (signal.values[positions[jdx]] !== undefined) {
                     spanEnd = jdx - 1;
                     break;
                 }
-                if (jdx === app.config.cycles - 1) {
+                if (jdx === count - 1) {
                     spanEnd = jdx;
                 }
             }
             
-            if (spanEnd === idx && idx < app.config.cycles - 1 && signal.values[idx + 1] === undefined) {
-                spanEnd = app.config.cycles - 1;
+            if (spanEnd === idx && idx < count - 1 && signal.values[positions[idx + 1]] === undefined) {
+                spanEnd = count - 1;
             }
             
             // Get delay info object for this cycle (contains min, max, color)
-            const delayInfo = app.getEffectiveDelay(signal, spanStart);
+            const delayInfo = app.getEffectiveDelay(signal, positions[spanStart]);
 
             if (spanStart == 0) {
                 // avoid space at the very beginning of the waveform 
@@ -624,16 +672,16 @@ class TimingGenRendering {
             }
                 
             // Get slew for transitions
-            const slew = app.getEffectiveSlew(signal, spanStart);
+            const slew = app.getEffectiveSlew(signal, positions[spanStart]);
             
             // Calculate start position (at grid line + delay)
             // The grid line is where the transition should end, so slew should start before it
-            const baseX1 = app.config.nameColumnWidth + spanStart * app.config.cycleWidth;
+            const baseX1 = app.getCycleX(signal, positions[spanStart]);
             const x1 = baseX1; // + delayInfo.min; // Actual transition point (minimum delay)
 
             // obtain how far in next cycle has been drawn here
-            const nextDelay = spanEnd + 1 < app.config.cycles ? app.getEffectiveDelay(signal, spanEnd + 1) : {min:0,max:0, color:"black"};
-            const x2 = app.config.nameColumnWidth + (spanEnd + 1) * app.config.cycleWidth + nextDelay.min;
+            const nextDelay = spanEnd + 1 < count ? app.getEffectiveDelay(signal, positions[spanEnd + 1]) : {min:0,max:0, color:"black"};
+            const x2 = app.getCycleX(signal, cycleAt(spanEnd + 1)) + nextDelay.min;
 
             
             if (value === 'Z') {
@@ -649,9 +697,9 @@ class TimingGenRendering {
                 //TimingGenRendering.drawXPattern(x1, x2, baseY, topY, bottomY, app.config.signalColor);
             } else {
                 // Valid value - check if we need transition from/to X
-                const prevValue = spanStart > 0 ? app.getBusValueAtCycle(signal, spanStart - 1) : null;
-                const nextValue = spanEnd + 1 < app.config.cycles ? app.getBusValueAtCycle(signal, spanEnd + 1) : null;
-                const hasNextValue = (spanEnd + 1 < app.config.cycles && signal.values[spanEnd + 1] !== undefined);
+                const prevValue = spanStart > 0 ? app.getBusValueAtCycle(signal, positions[spanStart - 1]) : null;
+                const nextValue = spanEnd + 1 < count ? app.getBusValueAtCycle(signal, positions[spanEnd + 1]) : null;
+                const hasNextValue = (spanEnd + 1 < count && signal.values[positions[spanEnd + 1]] !== undefined);
 
 
                 // draw uncertainty between min and max delay.
@@ -744,7 +792,7 @@ class TimingGenRendering {
                     text.data = {
                         type: 'bus-value',
                         signalName: signal.name,
-                        cycle: spanStart,
+                        cycle: positions[spanStart],
                         value: value
                     };
                 }
@@ -755,6 +803,147 @@ class TimingGenRendering {
         }
     }
     
+    // Differential pair: true and complement traces crossing at each 0/1 change,
+    // both at the common-mode level when idle (Z), a gray box while unknown (X)
+    static drawDiffWaveform(app, signal, baseY, rowHeight) {
+        const highY = baseY + rowHeight / 4;
+        const lowY = baseY + rowHeight - rowHeight / 4;
+        const midY = baseY + rowHeight / 2;
+        const levelY = (level) => lowY - level * (lowY - highY);
+        
+        // Value changes on the base clock (including changes between its edges)
+        const cycles = app.getSignalCycleCount(signal);
+        const changes = TimingGenModel.getBitChanges(signal, cycles).map((change, idx) => ({
+            value: change.value,
+            baseX: app.getCycleX(signal, change.cycle),
+            delayInfo: idx > 0 ? app.getEffectiveDelay(signal, change.cycle) : { min: 0, max: 0, color: app.config.delayColor },
+            slew: idx > 0 ? app.getEffectiveSlew(signal, change.cycle) : 0
+        }));
+        const endX = app.getCycleX(signal, cycles);
+        
+        // Unknown spans first, so the traces are drawn over their edges
+        changes.forEach((change, idx) => {
+            if (change.value !== 'X') return;
+            const next = changes[idx + 1];
+            const x1 = change.baseX + change.delayInfo.min;
+            const x2 = next ? next.baseX + next.delayInfo.min : endX;
+            
+            const path = new paper.Path();
+            path.strokeColor = app.config.signalColor;
+            path.strokeWidth = 2;
+            path.fillColor = '#999999';
+            if (idx === 0) {
+                path.moveTo(new paper.Point(x1, lowY));
+                path.lineTo(new paper.Point(x1, highY));
+            } else {
+                path.moveTo(new paper.Point(x1, midY));
+                path.lineTo(new paper.Point(x1 + change.slew / 2, highY));
+            }
+            path.lineTo(new paper.Point(x2, highY));
+            if (next) {
+                path.lineTo(new paper.Point(x2 + next.slew / 2, midY));
+            }
+            path.lineTo(new paper.Point(x2, lowY));
+            path.lineTo(new paper.Point(idx === 0 ? x1 : x1 + change.slew / 2, lowY));
+            path.closePath();
+        });
+        
+        ['positive', 'negative'].forEach(trace => {
+            let path = null;
+            let prevY = null;
+            
+            changes.forEach((change, idx) => {
+                const levels = TimingGenModel.getDiffLevels(change.value);
+                const xPos = change.baseX + change.delayInfo.min;
+                
+                if (!levels) {
+                    // The trace stops where the unknown box opens
+                    if (path) {
+                        path.lineTo(new paper.Point(prevY === midY ? xPos : xPos + change.slew / 2, prevY));
+                        path = null;
+                    }
+                    return;
+                }
+                
+                const currentY = levelY(levels[trace]);
+                if (!path) {
+                    // Start, or restart after an unknown box
+                    path = new paper.Path();
+                    path.strokeColor = app.config.signalColor;
+                    path.strokeWidth = 2;
+                    path.moveTo(new paper.Point(idx > 0 && currentY === midY ? xPos + change.slew / 2 : xPos, currentY));
+                } else {
+                    // Draw delay uncertainty parallelogram if there's uncertainty
+                    if (change.delayInfo.max > change.delayInfo.min) {
+                        TimingGenRendering.drawBitDelayUncertainty(change.baseX, change.delayInfo, prevY, currentY, change.slew);
+                    }
+                    path.lineTo(new paper.Point(xPos, prevY));
+                    path.lineTo(new paper.Point(xPos + change.slew, currentY));
+                }
+                prevY = currentY;
+            });
+            
+            if (path) {
+                path.lineTo(new paper.Point(endX, prevY));
+            }
+        });
+    }
+    
+    // Analog signal: piecewise-linear waveform through its points, dashed threshold lines
+    // with labels, and the scale's min/max at the left of the row
+    static drawAnalogWaveform(app, signal, baseY, rowHeight) {
+        const cycles = app.getSignalCycleCount(signal);
+        const startX = app.config.nameColumnWidth;
+        const endX = app.getCycleX(signal, cycles);
+        const valueY = (value) => TimingGenModel.getAnalogY(signal, value, baseY, rowHeight);
+        
+        TimingGenModel.getAnalogThresholds(signal).forEach(threshold => {
+            const color = threshold.color || TimingGenRendering.ANALOG_THRESHOLD_COLOR;
+            const y = valueY(threshold.value);
+            const line = new paper.Path.Line({
+                from: [startX, y],
+                to: [endX, y],
+                strokeColor: color,
+                strokeWidth: 1,
+                dashArray: [6, 4]
+            });
+            if (threshold.label) {
+                new paper.PointText({
+                    point: [endX - 4, y - 4],
+                    content: threshold.label,
+                    fillColor: color,
+                    fontFamily: 'Arial',
+                    fontSize: 10,
+                    justification: 'right'
+                });
+            }
+        });
+        
+        const scale = TimingGenModel.getAnalogScale(signal);
+        [[scale.max, valueY(scale.max) + 10], [scale.min, valueY(scale.min) - 3]].forEach(([value, y]) => {
+            new paper.PointText({
+                point: [startX + 3, y],
+                content: String(value),
+                fillColor: TimingGenRendering.ANALOG_SCALE_COLOR,
+                fontFamily: 'Arial',
+                fontSize: 9,
+                justification: 'left'
+            });
+        });
+        
+        // Waveform: the value at the diagram start, every point inside it, the value at the end
+        const path = new paper.Path();
+        path.strokeColor = app.config.signalColor;
+        path.strokeWidth = 2;
+        path.moveTo(new paper.Point(startX, valueY(TimingGenModel.getAnalogValueAtCycle(signal, 0))));
+        TimingGenModel.getAnalogPoints(signal)
+            .filter(point => point.cycle > 0 && point.cycle < cycles)
+            .forEach(point => {
+                path.lineTo(new paper.Point(app.getCycleX(signal, point.cycle), valueY(point.value)));
+            });
+        path.lineTo(new paper.Point(endX, valueY(TimingGenModel.getAnalogValueAtCycle(signal, cycles))));
+    }
+    
     static drawXPattern(x1, x2, baseY, topY, bottomY, signalColor) {
         // Draw darker solid gray rectangle bounded by high and low state lines
         const rect = new paper.Path.Rectangle({
@@ -1503,7 +1692,7 @@ class TimingGenRendering {
         const rowHeight = app.rowManager.getRowHeight(rowIndex);
         
         // Parse counter values and generate labels for each cycle
-        const labels = TimingGenRendering.generateCounterLabels(counterData, app.config.cycles, app.tears);
+        const labels = TimingGenModel.generateCounterLabels(counterData, app.config.cycles, app.tears);
         
         // Draw each label in its corresponding cycle
         for (let cycle = 0; cycle < app.config.cycles; cycle++) {
@@ -1527,94 +1716,6 @@ class TimingGenRendering {
         }
     }
     
-    static generateCounterLabels(counterData, totalCycles, tears) {
-        // Initialize all cycles with empty string
-        const labels = new Array(totalCycles).fill('');
-        
-        if (!counterData.values || counterData.values.length === 0) {
-            return labels;
-        }
-        
-        // Sort values by cycle
-        const sorted = [...counterData.values].sort((a, b) => a.cycle - b.cycle);
-        
-        // Process each value entry
-        for (let i = 0; i < sorted.length; i++) {
-            const entry = sorted[i];
-            const startCycle = entry.cycle;
-            const startValue = entry.value;
-            
-            // Check if value is null/undefined (means stop counting)
-            // Note: We support both actual null/undefined and string representations
-            // for backward compatibility with user-entered data
-            const isStopValue = startValue === null || 
-                               startValue === undefined || 
-                               startValue === 'null' || 
-                               startValue === 'undef';
-            
-            if (isStopValue) {
-                // Stop counting - leave empty
-                if (startCycle >= 0 && startCycle < totalCycles) {
-                    labels[startCycle] = '';
-                }
-                continue;
-            }
-            
-            // Determine end cycle (either next entry, next tear, or end of cycles)
-            let endCycle = (i < sorted.length - 1) ? sorted[i + 1].cycle : totalCycles;
-            
-            // If tears exist, find the first tear cycle after startCycle and before endCycle
-            if (tears && tears.size > 0) {
-                // Convert to sorted array for efficient search
-                const sortedTears = Array.from(tears).sort((a, b) => a - b);
-                for (const tearCycle of sortedTears) {
-                    if (tearCycle > startCycle && tearCycle < endCycle) {
-                        endCycle = tearCycle;
-                        break; // Early termination since tears are sorted
-                    }
-                }
-            }
-            
-            // Check if value is numeric or alphanumeric
-            const match = String(startValue).match(/^([a-zA-Z]*)(\d+)$/);
-            
-            if (match) {
-                // Alphanumeric format: extract prefix and number
-                const prefix = match[1];
-                let num = parseInt(match[2]);
-                
-                // Generate incremental labels, but skip tear cycles
-                for (let cycle = startCycle; cycle < endCycle && cycle < totalCycles; cycle++) {
-                    if (cycle >= 0) {
-                        // Skip tear cycles
-                        if (tears && tears.has(cycle)) {
-                            continue;
-                        }
-                        labels[cycle] = prefix + num;
-                        num++;
-                    }
-                }
-            } else {
-                // Not numeric - just repeat the value
-                for (let cycle = startCycle; cycle < endCycle && cycle < totalCycles; cycle++) {
-                    if (cycle >= 0) {
-                        // Skip tear cycles
-                        if (tears && tears.has(cycle)) {
-                            continue;
-                        }
-                        if (startValue === "-") {
-                            labels[cycle] = "";
-                        } else {
-                            labels[cycle] = startValue;
-                        }
-                    }
-                }
-            }
-        }
-        
-        return labels;
-    }
-    
     // ========================================
     // AC Table Drawing
     // ========================================
@@ -2138,3 +2239,11 @@ class TimingGenRendering {
         });
     }
 }
+
+// Colors of the box marking gated clock cycles
+TimingGenRendering.CLOCK_GATED_FILL_COLOR = '#EEEEEE';
+TimingGenRendering.CLOCK_GATED_STROKE_COLOR = '#999999';
+
+// Colors of analog threshold lines (unless a threshold sets its own) and scale labels
+TimingGenRendering.ANALOG_THRESHOLD_COLOR = '#E67E22';
+TimingGenRendering.ANALOG_SCALE_COLOR = '#888888';
@@ -310,3 +310,8 @@ class RowManager {
         return this.app.rows !== undefined && Array.isArray(this.app.rows);
     }
 }
+
+// Allow require() from Node.js tools; in the browser this is a plain global script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RowManager;
+}
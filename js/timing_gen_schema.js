@@ -0,0 +1,771 @@
+// Timing Gen 3 - Schema Module
+// Version 3.4.1
+// Handles validation of loaded documents against the .td3 JSON Schema,
+// reference checks between rows, the file check report and auto-repair
+
+class TimingGenSchema {
+    /**
+     * Check a document (current format, after migration) against the schema and
+     * for references between rows, arrows and AC tables
+     * @param {Object} data - Document data
+     * @returns {Object} {errors, warnings}: arrays of {path, message}
+     */
+    static validate(data) {
+        const errors = [];
+        TimingGenSchema.validateNode(data, TimingGenSchema.SCHEMA, '$', errors);
+        
+        const warnings = [];
+        TimingGenSchema.checkReferences(data, errors, warnings);
+        return { errors: errors, warnings: warnings };
+    }
+    
+    /**
+     * Validate a value against a schema node (the subset of JSON Schema draft-07 used by SCHEMA)
+     * @param {*} value - Value to check
+     * @param {Object} schema - Schema node
+     * @param {string} path - JSON path of the value
+     * @param {Array} errors - Receives {path, message}
+     */
+    static validateNode(value, schema, path, errors) {
+        if (schema.$ref) {
+            const name = schema.$ref.replace('#/definitions/', '');
+            TimingGenSchema.validateNode(value, TimingGenSchema.SCHEMA.definitions[name], path, errors);
+            return;
+        }
+        
+        const own = [];
+        const fail = (message) => own.push({ path: path, message: message });
+        
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => TimingGenSchema.isType(value, type))) {
+                fail(`must be ${types.join(' or ')}`);
+                errors.push(...TimingGenSchema.withErrorMessage(schema, own));
+                return;
+            }
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            fail(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')} (found ${JSON.stringify(value)})`);
+        }
+        if (schema.const !== undefined && value !== schema.const) {
+            fail(`must be ${JSON.stringify(schema.const)}`);
+        }
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                fail(`must be >= ${schema.minimum}`);
+            }
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                fail(`must be > ${schema.exclusiveMinimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                fail(`must be <= ${schema.maximum}`);
+            }
+            if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+                fail(`must be < ${schema.exclusiveMaximum}`);
+            }
+        }
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                fail(schema.minLength === 1 ? 'must not be empty' : `must have at least ${schema.minLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                fail(`must match ${schema.pattern} (found ${JSON.stringify(value)})`);
+            }
+        }
+        errors.push(...TimingGenSchema.withErrorMessage(schema, own));
+        
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, index) => {
+                TimingGenSchema.validateNode(item, schema.items, `${path}[${index}]`, errors);
+            });
+        }
+        
+        if (TimingGenSchema.isType(value, 'object')) {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    errors.push({ path: path, message: `missing required property "${key}"` });
+                }
+            });
+            Object.keys(value).forEach(key => {
+                const keyPath = TimingGenSchema.joinPath(path, key);
+                if (schema.propertyNames) {
+                    TimingGenSchema.validateNode(key, schema.propertyNames, keyPath, errors);
+                }
+                if (schema.properties && schema.properties[key]) {
+                    TimingGenSchema.validateNode(value[key], schema.properties[key], keyPath, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ path: keyPath, message: 'unknown property' });
+                } else if (typeof schema.additionalProperties === 'object') {
+                    TimingGenSchema.validateNode(value[key], schema.additionalProperties, keyPath, errors);
+                }
+            });
+        }
+        
+        (schema.allOf || []).forEach(part => {
+            if (part.if) {
+                const ifErrors = [];
+                TimingGenSchema.validateNode(value, part.if, path, ifErrors);
+                if (ifErrors.length === 0 && part.then) {
+                    TimingGenSchema.validateNode(value, part.then, path, errors);
+                }
+            } else {
+                TimingGenSchema.validateNode(value, part, path, errors);
+            }
+        });
+    }
+    
+    /**
+     * Replace the errors of a schema node by its errorMessage, if it has one
+     * @param {Object} schema - Schema node
+     * @param {Array} errors - Errors found on the node itself
+     * @returns {Array} Errors to report
+     */
+    static withErrorMessage(schema, errors) {
+        if (!schema.errorMessage || errors.length === 0) {
+            return errors;
+        }
+        return [{ path: errors[0].path, message: schema.errorMessage }];
+    }
+    
+    /**
+     * Check a value against a JSON Schema type name
+     * @param {*} value - Value to check
+     * @param {string} type - 'object', 'array', 'string', 'number', 'integer', 'boolean' or 'null'
+     * @returns {boolean} True if the value has the type
+     */
+    static isType(value, type) {
+        switch (type) {
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array': return Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && isFinite(value);
+            case 'null': return value === null;
+            default: return typeof value === type;
+        }
+    }
+    
+    /**
+     * Append a property to a JSON path: $.rows[2].data.values["1a"]
+     * @param {string} path - Parent path
+     * @param {string} key - Property name
+     * @returns {string} Child path
+     */
+    static joinPath(path, key) {
+        return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+    }
+    
+    /**
+     * Check references the schema cannot express: unique row names, measures and arrows
+     * pointing at existing signals, group members, AC table rows, base clocks and cycle ranges
+     * @param {Object} data - Document data
+     * @param {Array} errors - Receives {path, message}
+     * @param {Array} warnings - Receives {path, message}
+     */
+    static checkReferences(data, errors, warnings) {
+        const doc = TimingGenSchema.collectDocument(data);
+        if (!doc) return;
+        
+        doc.duplicates.forEach(({ path, type, name, firstPath }) => {
+            errors.push({ path: `${path}.name`, message: `duplicate ${type} name "${name}" (first used at ${firstPath})` });
+        });
+        
+        doc.measures.forEach(({ path, measure }) => {
+            ['signal1Name', 'signal2Name'].forEach(key => {
+                if (typeof measure[key] === 'string' && !doc.signals.has(measure[key])) {
+                    errors.push({ path: `${path}.${key}`, message: `signal "${measure[key]}" does not exist` });
+                }
+            });
+            ['cycle1', 'cycle2'].forEach(key => {
+                if (typeof measure[key] === 'number' && doc.cycles !== null && measure[key] > doc.cycles) {
+                    warnings.push({ path: `${path}.${key}`, message: `cycle ${measure[key]} is beyond the last cycle (${doc.cycles})` });
+                }
+            });
+        });
+        
+        doc.groupMembers.forEach(({ path, name }) => {
+            if (!doc.measureNames.has(name)) {
+                warnings.push({ path: path, message: `measure "${name}" is not in the file` });
+            }
+        });
+        
+        doc.acRows.forEach(({ path, row }) => {
+            if (row.measureName && !doc.measureNames.has(row.measureName)) {
+                warnings.push({ path: `${path}.measureName`, message: `measure "${row.measureName}" does not exist` });
+            }
+        });
+        
+        doc.signals.forEach(({ path, signal }) => {
+            if (signal.base_clock !== undefined && doc.clocks.length > 0 && !doc.clocks.includes(signal.base_clock)) {
+                warnings.push({ path: `${path}.base_clock`, message: `clock "${signal.base_clock}" does not exist` });
+            }
+        });
+        
+        doc.arrows.forEach(({ path, arrow }) => {
+            ['signal1Name', 'signal2Name'].forEach(key => {
+                if (typeof arrow[key] === 'string' && !doc.signals.has(arrow[key])) {
+                    errors.push({ path: `${path}.${key}`, message: `signal "${arrow[key]}" does not exist` });
+                }
+            });
+        });
+        
+        doc.tears.forEach(({ path, cycle }) => {
+            if (doc.cycles !== null && cycle >= doc.cycles) {
+                warnings.push({ path: path, message: `tear at cycle ${cycle} is beyond the last cycle (${doc.cycles - 1})` });
+            }
+        });
+    }
+    
+    /**
+     * Index the parts of a document needed for reference checks and repair.
+     * Malformed entries are skipped (the schema check reports them).
+     * @param {Object} data - Document data
+     * @returns {Object|null} Index, or null if the document has no rows array
+     */
+    static collectDocument(data) {
+        if (!TimingGenSchema.isType(data, 'object') || !Array.isArray(data.rows)) {
+            return null;
+        }
+        
+        const doc = {
+            cycles: data.config && Number.isInteger(data.config.cycles) ? data.config.cycles : null,
+            signals: new Map(),   // name => {path, signal}
+            clocks: [],
+            measures: [],         // {path, measure, rowIndex, groupIndex?}
+            measureNames: new Set(),
+            groupMembers: [],     // {path, name, rowIndex, memberIndex}
+            acRows: [],           // {path, row, rowIndex, acRowIndex}
+            arrows: [],           // {path, arrow, index}
+            tears: [],            // {path, cycle, index}
+            duplicates: []        // {path, type, name, firstPath, rowIndex}
+        };
+        
+        const firstPaths = new Map(); // "type:name" => path
+        data.rows.forEach((row, rowIndex) => {
+            const path = `$.rows[${rowIndex}]`;
+            if (!TimingGenSchema.isType(row, 'object') || !TimingGenSchema.isType(row.data, 'object') ||
+                typeof row.name !== 'string') {
+                return;
+            }
+            
+            const key = `${row.type}:${row.name}`;
+            if (firstPaths.has(key)) {
+                doc.duplicates.push({ path: path, type: row.type, name: row.name, firstPath: firstPaths.get(key), rowIndex: rowIndex });
+                return;
+            }
+            firstPaths.set(key, path);
+            
+            if (row.type === 'signal') {
+                doc.signals.set(row.name, { path: `${path}.data`, signal: row.data });
+                if (row.data.type === 'clock') {
+                    doc.clocks.push(row.name);
+                }
+            } else if (row.type === 'measure') {
+                doc.measures.push({ path: `${path}.data`, measure: row.data, rowIndex: rowIndex });
+                doc.measureNames.add(row.name);
+            } else if (row.type === 'group') {
+                const grouped = TimingGenSchema.isType(row.data.measuresData, 'object') ? row.data.measuresData : {};
+                Object.keys(grouped).forEach(name => {
+                    if (TimingGenSchema.isType(grouped[name], 'object')) {
+                        doc.measures.push({
+                            path: TimingGenSchema.joinPath(`${path}.data.measuresData`, name),
+                            measure: grouped[name], rowIndex: rowIndex, groupedName: name
+                        });
+                        doc.measureNames.add(name);
+                    }
+                });
+                (Array.isArray(row.data.measures) ? row.data.measures : []).forEach((name, memberIndex) => {
+                    doc.groupMembers.push({ path: `${path}.data.measures[${memberIndex}]`, name: name, rowIndex: rowIndex, memberIndex: memberIndex });
+                });
+            } else if (row.type === 'ac-table' && Array.isArray(row.data.rows)) {
+                row.data.rows.forEach((acRow, acRowIndex) => {
+                    if (TimingGenSchema.isType(acRow, 'object')) {
+                        doc.acRows.push({ path: `${path}.data.rows[${acRowIndex}]`, row: acRow, rowIndex: rowIndex, acRowIndex: acRowIndex });
+                    }
+                });
+            }
+        });
+        
+        (Array.isArray(data.arrows) ? data.arrows : []).forEach((arrow, index) => {
+            if (TimingGenSchema.isType(arrow, 'object')) {
+                doc.arrows.push({ path: `$.arrows[${index}]`, arrow: arrow, index: index });
+            }
+        });
+        (Array.isArray(data.tears) ? data.tears : []).forEach((cycle, index) => {
+            if (Number.isInteger(cycle)) {
+                doc.tears.push({ path: `$.tears[${index}]`, cycle: cycle, index: index });
+            }
+        });
+        
+        return doc;
+    }
+    
+    /**
+     * Repair a copy of a document: drop malformed or duplicate rows, rewrite cycle keys
+     * such as "2.50" as "2.5", drop other invalid cycle keys and everything that refers
+     * to a missing signal or measure
+     * @param {Object} data - Document data (not modified)
+     * @returns {Object} {data, actions}: repaired copy and the list of {path, description}
+     */
+    static repair(data) {
+        const copy = JSON.parse(JSON.stringify(data));
+        const actions = [];
+        if (!TimingGenSchema.isType(copy, 'object') || !Array.isArray(copy.rows)) {
+            return { data: copy, actions: actions };
+        }
+        
+        const removedRows = new Set();
+        const removeRow = (rowIndex, reason) => {
+            if (removedRows.has(rowIndex)) return;
+            removedRows.add(rowIndex);
+            actions.push({ path: `$.rows[${rowIndex}]`, description: `Remove row ${rowIndex} (${reason})` });
+        };
+        
+        // Rows that cannot be loaded
+        copy.rows.forEach((row, rowIndex) => {
+            if (!TimingGenSchema.isType(row, 'object') || !TimingGenSchema.ROW_TYPES.includes(row.type)) {
+                removeRow(rowIndex, 'unknown row type');
+            } else if (typeof row.name !== 'string' || !row.name) {
+                removeRow(rowIndex, 'no name');
+            } else if (!TimingGenSchema.isType(row.data, 'object')) {
+                removeRow(rowIndex, `${row.type} "${row.name}" has no data`);
+            }
+        });
+        
+        // Cycle keys that are not cycle numbers, or not written the way cycles are saved
+        copy.rows.forEach((row, rowIndex) => {
+            if (removedRows.has(rowIndex) || row.type !== 'signal') return;
+            ['values', 'cycleOptions'].forEach(field => {
+                if (!TimingGenSchema.isType(row.data[field], 'object')) return;
+                const keyName = field === 'values' && row.data.type === 'analog' ? 'analogCycleKey' : 'cycleKey';
+                const pattern = new RegExp(TimingGenSchema.SCHEMA.definitions[keyName].pattern);
+                Object.keys(row.data[field]).forEach(key => {
+                    if (pattern.test(key)) return;
+                    const path = TimingGenSchema.joinPath(`$.rows[${rowIndex}].data.${field}`, key);
+                    const canonical = /^[0-9]+(\.[0-9]+)?$/.test(key) ? String(Number(key)) : null;
+                    const description = `${field} entry "${key}" of signal "${row.name}"`;
+                    if (canonical === null || !pattern.test(canonical)) {
+                        actions.push({ path: path, description: `Remove ${description}` });
+                    } else if (canonical in row.data[field]) {
+                        actions.push({ path: path, description: `Remove ${description} (entry "${canonical}" is also set)` });
+                    } else {
+                        row.data[field][canonical] = row.data[field][key];
+                        actions.push({ path: path, description: `Rename ${description} to "${canonical}"` });
+                    }
+                    delete row.data[field][key];
+                });
+            });
+        });
+        
+        const doc = TimingGenSchema.collectDocument({
+            config: copy.config,
+            rows: copy.rows.map((row, rowIndex) => (removedRows.has(rowIndex) ? null : row)),
+            arrows: copy.arrows,
+            tears: copy.tears
+        });
+        
+        doc.duplicates.forEach(({ type, name, rowIndex }) => removeRow(rowIndex, `duplicate ${type} name "${name}"`));
+        
+        // Measures pointing at missing signals
+        const removedMeasures = new Set();
+        doc.measures.forEach(({ path, measure, rowIndex, groupedName }) => {
+            const missing = ['signal1Name', 'signal2Name'].find(key => typeof measure[key] === 'string' && !doc.signals.has(measure[key]));
+            if (!missing) return;
+            
+            const name = groupedName || copy.rows[rowIndex].name;
+            removedMeasures.add(name);
+            if (groupedName) {
+                delete copy.rows[rowIndex].data.measuresData[groupedName];
+                actions.push({ path: path, description: `Remove measure "${name}" (signal "${measure[missing]}" does not exist)` });
+            } else {
+                removeRow(rowIndex, `measure "${name}" uses missing signal "${measure[missing]}"`);
+            }
+        });
+        
+        // Group members and AC table rows pointing at missing measures
+        const exists = (name) => doc.measureNames.has(name) && !removedMeasures.has(name);
+        const removedMembers = new Set();
+        doc.groupMembers.forEach(({ path, name, rowIndex, memberIndex }) => {
+            if (removedRows.has(rowIndex) || exists(name)) return;
+            removedMembers.add(`${rowIndex}:${memberIndex}`);
+            actions.push({ path: path, description: `Remove missing measure "${name}" from group "${copy.rows[rowIndex].name}"` });
+        });
+        const removedACRows = new Set();
+        doc.acRows.forEach(({ path, row, rowIndex, acRowIndex }) => {
+            if (removedRows.has(rowIndex) || !row.measureName || exists(row.measureName)) return;
+            removedACRows.add(`${rowIndex}:${acRowIndex}`);
+            actions.push({ path: path, description: `Remove the AC table row of missing measure "${row.measureName}"` });
+        });
+        copy.rows.forEach((row, rowIndex) => {
+            if (removedRows.has(rowIndex)) return;
+            if (row.type === 'group' && Array.isArray(row.data.measures)) {
+                row.data.measures = row.data.measures.filter((name, memberIndex) => !removedMembers.has(`${rowIndex}:${memberIndex}`));
+                if (row.data.measures.length === 0) {
+                    removeRow(rowIndex, `group "${row.name}" has no measures left`);
+                }
+            } else if (row.type === 'ac-table' && Array.isArray(row.data.rows)) {
+                row.data.rows = row.data.rows.filter((acRow, acRowIndex) => !removedACRows.has(`${rowIndex}:${acRowIndex}`));
+            }
+        });
+        
+        // Base clocks pointing at missing clocks
+        doc.signals.forEach(({ path, signal }, name) => {
+            if (signal.base_clock !== undefined && doc.clocks.length > 0 && !doc.clocks.includes(signal.base_clock)) {
+                actions.push({ path: `${path}.base_clock`, description: `Use clock "${doc.clocks[0]}" for signal "${name}" instead of missing "${signal.base_clock}"` });
+                signal.base_clock = doc.clocks[0];
+            }
+        });
+        
+        // Arrows pointing at missing signals, and tears beyond the last cycle
+        if (Array.isArray(copy.arrows)) {
+            const removedArrows = new Set();
+            doc.arrows.forEach(({ path, arrow, index }) => {
+                const missing = ['signal1Name', 'signal2Name'].find(key => typeof arrow[key] === 'string' && !doc.signals.has(arrow[key]));
+                if (missing) {
+                    removedArrows.add(index);
+                    actions.push({ path: path, description: `Remove arrow "${arrow.name}" (signal "${arrow[missing]}" does not exist)` });
+                }
+            });
+            copy.arrows = copy.arrows.filter((arrow, index) => !removedArrows.has(index));
+        }
+        if (Array.isArray(copy.tears) && doc.cycles !== null) {
+            const removedTears = new Set();
+            doc.tears.forEach(({ path, cycle, index }) => {
+                if (cycle >= doc.cycles) {
+                    removedTears.add(index);
+                    actions.push({ path: path, description: `Remove tear at cycle ${cycle}` });
+                }
+            });
+            copy.tears = copy.tears.filter((cycle, index) => !removedTears.has(index));
+        }
+        
+        copy.rows = copy.rows.filter((row, rowIndex) => !removedRows.has(rowIndex));
+        return { data: copy, actions: actions };
+    }
+    
+    /**
+     * Check a document before it is opened. If there are problems, show the file check
+     * report and call onAccept once the user chose to repair or keep the document.
+     * @param {TimingGenApp} app - Main application instance
+     * @param {Object} data - Document data (current format)
+     * @param {string} fileName - Name of the file, shown in the report
+     * @param {Function} onAccept - Called with the document data to open
+     */
+    static checkBeforeLoad(app, data, fileName, onAccept) {
+        const report = TimingGenSchema.validate(data);
+        if (report.errors.length === 0 && report.warnings.length === 0) {
+            onAccept(data);
+            return;
+        }
+        
+        const repaired = TimingGenSchema.repair(data);
+        const remaining = TimingGenSchema.validate(repaired.data);
+        app.pendingLoad = {
+            data: data,
+            repairedData: repaired.data,
+            canRepair: repaired.actions.length > 0 && remaining.errors.length === 0,
+            onAccept: onAccept
+        };
+        TimingGenSchema.showReportDialog(app, fileName, report, repaired.actions, remaining);
+    }
+    
+    /**
+     * Show the file check report: errors and warnings with their JSON paths,
+     * and what Repair would change
+     * @param {TimingGenApp} app - Main application instance
+     * @param {string} fileName - Name of the checked file
+     * @param {Object} report - {errors, warnings} from validate
+     * @param {Array} actions - Repair actions from repair
+     * @param {Object} remaining - {errors, warnings} left after repair
+     */
+    static showReportDialog(app, fileName, report, actions, remaining) {
+        app.hideAllMenus();
+        
+        const repairedPath = (path) => actions.some(action => path === action.path ||
+            path.startsWith(action.path + '.') || path.startsWith(action.path + '['));
+        
+        document.getElementById('validation-summary').textContent =
+            `${fileName}: ${report.errors.length} error(s), ${report.warnings.length} warning(s).` +
+            (report.errors.length > 0 ? ' Files with errors cannot be opened as they are.' : '');
+        
+        const list = document.getElementById('validation-issue-list');
+        list.innerHTML = '';
+        const addLine = (className, text) => {
+            const line = document.createElement('div');
+            line.className = className;
+            line.textContent = text;
+            list.appendChild(line);
+        };
+        report.errors.forEach(issue => {
+            addLine('validation-error', `Error ${issue.path}: ${issue.message}${repairedPath(issue.path) ? ' (repairable)' : ''}`);
+        });
+        report.warnings.forEach(issue => {
+            addLine('validation-warning', `Warning ${issue.path}: ${issue.message}${repairedPath(issue.path) ? ' (repairable)' : ''}`);
+        });
+        if (actions.length > 0) {
+            addLine('validation-heading', 'Repair will:');
+            actions.forEach(action => addLine('validation-repair', `- ${action.description}`));
+            if (remaining.errors.length > 0) {
+                addLine('validation-error', `${remaining.errors.length} error(s) cannot be repaired automatically.`);
+            }
+        }
+        
+        document.getElementById('validation-repair-btn').disabled = !app.pendingLoad.canRepair;
+        document.getElementById('validation-keep-btn').disabled = report.errors.length > 0;
+        document.getElementById('validation-dialog').style.display = 'flex';
+    }
+    
+    /**
+     * Hide the file check report and drop the pending document
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static hideReportDialog(app) {
+        document.getElementById('validation-dialog').style.display = 'none';
+        app.pendingLoad = null;
+    }
+    
+    /**
+     * Open the checked document, repaired or as it is
+     * @param {TimingGenApp} app - Main application instance
+     * @param {boolean} repair - True to open the repaired copy
+     */
+    static acceptPendingLoad(app, repair) {
+        const pending = app.pendingLoad;
+        if (!pending) return;
+        
+        TimingGenSchema.hideReportDialog(app);
+        pending.onAccept(repair ? pending.repairedData : pending.data);
+    }
+}
+
+// Row types of the current format
+TimingGenSchema.ROW_TYPES = ['signal', 'measure', 'text', 'counter', 'ac-table', 'group'];
+
+// JSON Schema (draft-07) of the .td3 format, version 3.4.x
+// Older files are upgraded by TimingGenMigration before they are checked against it.
+TimingGenSchema.SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Timing Gen 3 document (.td3)',
+    type: 'object',
+    required: ['version', 'config', 'rows'],
+    properties: {
+        version: { type: 'string', pattern: '^3\\.4\\.[0-9]+$' },
+        title: { type: 'string' },
+        config: { $ref: '#/definitions/config' },
+        rows: { type: 'array', items: { $ref: '#/definitions/row' } },
+        arrows: { type: 'array', items: { $ref: '#/definitions/arrow' } },
+        tears: { type: 'array', items: { $ref: '#/definitions/cycle' } }
+    },
+    definitions: {
+        cycle: { type: 'integer', minimum: 0 },
+        signalCycle: { type: 'number', minimum: 0 }, // fractional between clock edges on bit and bus signals
+        // -(n + 1) is the falling clock edge in cycle n; bit and bus signals also take fractional cycles
+        measureCycle: { type: 'number' },
+        // Keys are written as String(cycle); bit, bus and diff values change at quarter steps
+        cycleKey: { type: 'string', pattern: '^(0|[1-9][0-9]*)(\\.(25|5|75))?$', errorMessage: 'must be a whole, half or quarter cycle number' },
+        analogCycleKey: { type: 'string', pattern: '^(0|[1-9][0-9]*)(\\.[0-9]*[1-9])?$', errorMessage: 'must be a cycle number' },
+        color: { type: 'string' },
+        optionalNumber: { type: ['number', 'null'] },
+        config: {
+            type: 'object',
+            required: ['cycles'],
+            properties: {
+                cycles: { type: 'integer', minimum: 1 },
+                clockPeriod: { type: 'number', exclusiveMinimum: 0 },
+                clockPeriodUnit: { type: 'string' },
+                signalRowHeight: { type: 'number', exclusiveMinimum: 0 },
+                measureRowHeight: { type: 'number', exclusiveMinimum: 0 },
+                slew: { type: 'number', minimum: 0 },
+                delayMin: { type: 'number' },
+                delayMax: { type: 'number' },
+                delayColor: { $ref: '#/definitions/color' }
+            }
+        },
+        row: {
+            type: 'object',
+            required: ['type', 'name', 'data'],
+            properties: {
+                type: { enum: TimingGenSchema.ROW_TYPES },
+                name: { type: 'string', minLength: 1 },
+                data: { type: 'object' }
+            },
+            allOf: [
+                { if: { properties: { type: { const: 'signal' } } }, then: { properties: { data: { $ref: '#/definitions/signal' } } } },
+                { if: { properties: { type: { const: 'measure' } } }, then: { properties: { data: { $ref: '#/definitions/measure' } } } },
+                { if: { properties: { type: { const: 'text' } } }, then: { properties: { data: { $ref: '#/definitions/text' } } } },
+                { if: { properties: { type: { const: 'counter' } } }, then: { properties: { data: { $ref: '#/definitions/counter' } } } },
+                { if: { properties: { type: { const: 'ac-table' } } }, then: { properties: { data: { $ref: '#/definitions/acTable' } } } },
+                { if: { properties: { type: { const: 'group' } } }, then: { properties: { data: { $ref: '#/definitions/group' } } } }
+            ]
+        },
+        signal: {
+            type: 'object',
+            required: ['name', 'type', 'values'],
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                type: { enum: ['clock', 'bit', 'bus', 'diff', 'analog'] },
+                base_clock: { type: 'string' },
+                period: { type: 'number', exclusiveMinimum: 0 },
+                periodUnit: { enum: ['cycles', 'time'] },
+                duty: { type: 'number', exclusiveMinimum: 0, exclusiveMaximum: 100 },
+                phase: { type: 'number' },
+                polarity: { enum: ['high', 'low'] },
+                jitter: { type: 'number', minimum: 0 },
+                transitionStep: { enum: [1, 0.5, 0.25] },
+                scaleMin: { type: 'number' },
+                scaleMax: { type: 'number' },
+                thresholds: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['value'],
+                        properties: {
+                            value: { type: 'number' },
+                            label: { type: 'string' },
+                            color: { $ref: '#/definitions/color' }
+                        }
+                    }
+                },
+                values: {
+                    type: 'object',
+                    additionalProperties: { type: ['number', 'string', 'null'] }
+                },
+                cycleOptions: {
+                    type: 'object',
+                    propertyNames: { $ref: '#/definitions/cycleKey' },
+                    additionalProperties: { $ref: '#/definitions/timingOptions' }
+                },
+                slew: { type: 'number', minimum: 0 },
+                delayMin: { type: 'number' },
+                delayMax: { type: 'number' },
+                delayColor: { $ref: '#/definitions/color' }
+            },
+            allOf: [
+                { if: { properties: { type: { const: 'analog' } } }, then: { properties: { values: { propertyNames: { $ref: '#/definitions/analogCycleKey' } } } } },
+                { if: { properties: { type: { enum: ['clock', 'bit', 'bus', 'diff'] } } }, then: { properties: { values: { propertyNames: { $ref: '#/definitions/cycleKey' } } } } }
+            ]
+        },
+        timingOptions: {
+            type: 'object',
+            properties: {
+                slew: { type: 'number', minimum: 0 },
+                delayMin: { type: 'number' },
+                delayMax: { type: 'number' },
+                delayColor: { $ref: '#/definitions/color' }
+            }
+        },
+        measure: {
+            type: 'object',
+            required: ['signal1Name', 'cycle1', 'signal2Name', 'cycle2'],
+            properties: {
+                name: { type: 'string' },
+                signal1Name: { type: 'string' },
+                cycle1: { $ref: '#/definitions/measureCycle' },
+                signal2Name: { type: 'string' },
+                cycle2: { $ref: '#/definitions/measureCycle' },
+                measureRow: { type: ['integer', 'null'] },
+                text: { type: 'string' },
+                textX: { $ref: '#/definitions/optionalNumber' },
+                textFont: { type: 'string' },
+                textSize: { type: 'number', exclusiveMinimum: 0 },
+                textColor: { $ref: '#/definitions/color' }
+            }
+        },
+        text: {
+            type: 'object',
+            properties: {
+                text: { type: 'string' },
+                fontFamily: { type: 'string' },
+                fontSize: { type: 'number', exclusiveMinimum: 0 },
+                color: { $ref: '#/definitions/color' },
+                xOffset: { type: 'number' }
+            }
+        },
+        counter: {
+            type: 'object',
+            required: ['values'],
+            properties: {
+                values: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['cycle', 'value'],
+                        properties: {
+                            cycle: { $ref: '#/definitions/cycle' },
+                            value: { type: ['string', 'null'] }
+                        }
+                    }
+                }
+            }
+        },
+        acTable: {
+            type: 'object',
+            required: ['title', 'rows'],
+            properties: {
+                title: { type: 'string' },
+                position: { enum: ['top', 'bottom'] },
+                columnWidths: { type: 'array', items: { type: 'number', exclusiveMinimum: 0 } },
+                rows: { type: 'array', items: { $ref: '#/definitions/acRow' } },
+                notes: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            number: { type: ['integer', 'string'] },
+                            text: { type: 'string' }
+                        }
+                    }
+                }
+            }
+        },
+        acRow: {
+            type: 'object',
+            properties: {
+                measureName: { type: ['string', 'null'] },
+                parameter: { type: 'string' },
+                symbol: { type: 'string' },
+                min: { type: ['string', 'number'] },
+                max: { type: ['string', 'number'] },
+                unit: { type: 'string' },
+                note: { type: ['string', 'number'] },
+                rowSpan: { enum: [1, 2] },
+                manuallyEdited: { type: 'object' }
+            }
+        },
+        group: {
+            type: 'object',
+            required: ['measures'],
+            properties: {
+                name: { type: 'string' },
+                measures: { type: 'array', items: { type: 'string' } },
+                measuresData: { type: 'object', additionalProperties: { $ref: '#/definitions/measure' } }
+            }
+        },
+        arrow: {
+            type: 'object',
+            required: ['name', 'signal1Name', 'cycle1', 'signal2Name', 'cycle2'],
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                signal1Name: { type: 'string' },
+                cycle1: { $ref: '#/definitions/signalCycle' },
+                poi1Type: { type: 'string' },
+                signal2Name: { type: 'string' },
+                cycle2: { $ref: '#/definitions/signalCycle' },
+                poi2Type: { type: 'string' },
+                startX: { $ref: '#/definitions/optionalNumber' },
+                startY: { $ref: '#/definitions/optionalNumber' },
+                endX: { $ref: '#/definitions/optionalNumber' },
+                endY: { $ref: '#/definitions/optionalNumber' },
+                ctrl1X: { $ref: '#/definitions/optionalNumber' },
+                ctrl1Y: { $ref: '#/definitions/optionalNumber' },
+                ctrl2X: { $ref: '#/definitions/optionalNumber' },
+                ctrl2Y: { $ref: '#/definitions/optionalNumber' },
+                width: { type: 'number', exclusiveMinimum: 0 },
+                color: { $ref: '#/definitions/color' },
+                text: { type: 'string' },
+                textFont: { type: 'string' },
+                textSize: { type: 'number', exclusiveMinimum: 0 },
+                textColor: { $ref: '#/definitions/color' }
+            }
+        }
+    }
+};
@@ -0,0 +1,319 @@
+// Timing Gen 3 - Document Tabs Module
+// Version 3.4.1
+// Handles several open documents in tabs and copy/paste of signals between them.
+// The active document lives directly on the app (app.rows, app.signalsData, ...);
+// inactive tabs keep their document fields in tab.document until activated again.
+
+class TimingGenTabs {
+    /**
+     * Create the tab list with the document currently held by the app
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static init(app) {
+        app.tabs = [{ document: null }];
+        app.activeTab = 0;
+        app.signalClipboard = []; // Copied signals, shared by all tabs
+        TimingGenTabs.renderTabBar(app);
+    }
+    
+    /**
+     * Get the object holding a tab's document fields (the app itself for the active tab)
+     * @param {TimingGenApp} app - Main application instance
+     * @param {number} index - Tab index
+     * @returns {Object} Object with documentTitle, undoRedoManager, rows, ...
+     */
+    static getTabDocument(app, index) {
+        return index === app.activeTab ? app : app.tabs[index].document;
+    }
+    
+    /**
+     * Open an empty document in a new tab and switch to it.
+     * The new document starts with a copy of the current configuration.
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static newTab(app) {
+        TimingGenTabs.leaveDocument(app);
+        app.tabs[app.activeTab].document = TimingGenTabs.takeDocument(app);
+        
+        Object.assign(app, TimingGenModel.createDocument(JSON.parse(JSON.stringify(app.config))));
+        app.documentTitle = TimingGenData.DEFAULT_TITLE;
+        app.fileName = null;
+        app.fileHandle = null;
+        app.documentId = app.nextDocumentId++;
+        app.autosaveSession = app.autosaveSession ? Date.now() : null;
+        app.lastAutosaveJSON = null;
+        app.undoRedoManager = new UndoRedoManager(app);
+        
+        app.tabs.push({ document: null });
+        app.activeTab = app.tabs.length - 1;
+        TimingGenTabs.showDocument(app);
+    }
+    
+    /**
+     * Switch to another tab
+     * @param {TimingGenApp} app - Main application instance
+     * @param {number} index - Tab index
+     */
+    static activateTab(app, index) {
+        if (index === app.activeTab || index < 0 || index >= app.tabs.length) {
+            return;
+        }
+        
+        TimingGenTabs.leaveDocument(app);
+        app.tabs[app.activeTab].document = TimingGenTabs.takeDocument(app);
+        
+        Object.assign(app, app.tabs[index].document);
+        app.tabs[index].document = null;
+        app.activeTab = index;
+        TimingGenTabs.showDocument(app);
+    }
+    
+    /**
+     * Close a tab, asking first if its document has unsaved changes.
+     * Closing the last tab leaves an empty document.
+     * @param {TimingGenApp} app - Main application instance
+     * @param {number} index - Tab index
+     */
+    static closeTab(app, index) {
+        const doc = TimingGenTabs.getTabDocument(app, index);
+        if (!doc) return;
+        
+        if (doc.undoRedoManager.isDirty() &&
+            !confirm(`"${doc.documentTitle}" has unsaved changes. Close it anyway?`)) {
+            return;
+        }
+        
+        if (app.tabs.length === 1) {
+            TimingGenTabs.newTab(app);
+        } else if (index === app.activeTab) {
+            TimingGenTabs.activateTab(app, index + 1 < app.tabs.length ? index + 1 : index - 1);
+        }
+        
+        app.tabs.splice(index, 1);
+        if (index < app.activeTab) {
+            app.activeTab--;
+        }
+        TimingGenTabs.renderTabBar(app);
+    }
+    
+    /**
+     * Finish whatever is in progress on the active document before it is put away
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static leaveDocument(app) {
+        TimingGenUI.hideAllDialogs(app);
+        app.hideAllMenus();
+        app.cancelSelection();
+        app.selectedGroupRows.clear();
+        if (app.measureMode) {
+            app.cancelMeasure();
+        }
+        if (app.arrowMode) {
+            app.cancelArrow();
+        }
+        if (app.arrowEditMode) {
+            app.stopEditingArrow();
+        }
+        
+        app.undoRedoManager.commitPending();
+        TimingGenAutosave.autosave(app);
+    }
+    
+    /**
+     * Move the active document's fields off the app into a plain object
+     * @param {TimingGenApp} app - Main application instance
+     * @returns {Object} Document fields (see DOCUMENT_KEYS)
+     */
+    static takeDocument(app) {
+        const doc = {};
+        TimingGenTabs.DOCUMENT_KEYS.forEach(key => {
+            doc[key] = app[key];
+        });
+        return doc;
+    }
+    
+    /**
+     * Redraw everything for the document that just became active
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static showDocument(app) {
+        document.getElementById('cycles-input').value = app.config.cycles;
+        app.initializeCanvas();
+        app.render();
+        app.undoRedoManager.updateButtons(); // Also updates the title and the tab bar
+    }
+    
+    /**
+     * Rebuild the tab bar: one tab per document with its title, * if modified, and a close box
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static renderTabBar(app) {
+        const bar = document.getElementById('tab-bar');
+        if (!bar || !app.tabs) {
+            return;
+        }
+        
+        bar.innerHTML = '';
+        app.tabs.forEach((tab, index) => {
+            const doc = TimingGenTabs.getTabDocument(app, index);
+            
+            const tabElement = document.createElement('div');
+            tabElement.className = 'document-tab';
+            if (index === app.activeTab) tabElement.classList.add('active');
+            tabElement.title = doc.fileName || 'Not saved yet';
+            tabElement.addEventListener('click', () => TimingGenTabs.activateTab(app, index));
+            tabElement.addEventListener('contextmenu', (ev) => {
+                ev.preventDefault();
+                TimingGenTabs.showTabContextMenu(app, index, ev.clientX, ev.clientY);
+            });
+            
+            const title = document.createElement('span');
+            title.textContent = doc.documentTitle + (doc.undoRedoManager.isDirty() ? ' *' : '');
+            tabElement.appendChild(title);
+            
+            const close = document.createElement('span');
+            close.className = 'document-tab-close';
+            close.textContent = '×';
+            close.addEventListener('click', (ev) => {
+                ev.stopPropagation();
+                TimingGenTabs.closeTab(app, index);
+            });
+            tabElement.appendChild(close);
+            
+            bar.appendChild(tabElement);
+        });
+    }
+    
+    /**
+     * Show the context menu of a tab (switches to the tab first)
+     * @param {TimingGenApp} app - Main application instance
+     * @param {number} index - Tab index
+     * @param {number} xPos - Menu X position (client coordinates)
+     * @param {number} yPos - Menu Y position (client coordinates)
+     */
+    static showTabContextMenu(app, index, xPos, yPos) {
+        TimingGenTabs.activateTab(app, index);
+        app.hideAllMenus();
+        
+        const pasteItem = document.getElementById('tab-paste-signals-menu');
+        pasteItem.style.display = app.signalClipboard.length > 0 ? 'block' : 'none';
+        TimingGenUI.showContextMenu('tab-context-menu', xPos, yPos);
+    }
+    
+    /**
+     * Copy signals to the clipboard shared by all tabs
+     * @param {TimingGenApp} app - Main application instance
+     * @param {Array<number>} signalIndices - Indices of the signals to copy
+     */
+    static copySignals(app, signalIndices) {
+        const signals = [...signalIndices]
+            .sort((a, b) => a - b)
+            .map(index => app.getSignalByIndex(index))
+            .filter(signal => signal !== undefined);
+        if (signals.length === 0) {
+            return;
+        }
+        
+        app.signalClipboard = signals.map(signal => JSON.parse(JSON.stringify(signal)));
+    }
+    
+    /**
+     * Copy the signal that was right-clicked, or the whole selection if it is part of it
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static copyCurrentSignals(app) {
+        app.hideAllMenus();
+        if (app.currentEditingSignal === null) {
+            return;
+        }
+        
+        const indices = app.selectedSignals.has(app.currentEditingSignal) ?
+            [...app.selectedSignals] : [app.currentEditingSignal];
+        TimingGenTabs.copySignals(app, indices);
+    }
+    
+    /**
+     * Paste the copied signals into the active document.
+     * Names that already exist get a numeric suffix; base clocks follow renamed clocks, and signals
+     * pasted without their clock take the first clock of the document (as Add Signal does).
+     * The pasted signals become the selection.
+     * @param {TimingGenApp} app - Main application instance
+     * @param {number|null} afterSignalIndex - Insert after this signal; null inserts before AC tables / at the end
+     */
+    static pasteSignals(app, afterSignalIndex) {
+        app.hideAllMenus();
+        if (app.signalClipboard.length === 0) {
+            return;
+        }
+        
+        const renames = new Map();
+        const signals = app.signalClipboard.map(source => {
+            const signal = JSON.parse(JSON.stringify(source));
+            signal.name = TimingGenTabs.getUniqueSignalName(app, source.name, renames);
+            renames.set(source.name, signal.name);
+            return signal;
+        });
+        const isClock = (name) => signals.some(sg => sg.name === name && sg.type === 'clock') ||
+            (app.signalsData.has(name) && app.signalsData.get(name).type === 'clock');
+        const firstClock = app.getSignals().concat(signals).find(sg => sg.type === 'clock');
+        signals.forEach(signal => {
+            if (signal.base_clock && renames.has(signal.base_clock)) {
+                signal.base_clock = renames.get(signal.base_clock);
+            } else if (signal.type !== 'clock' && signal.base_clock !== undefined && !isClock(signal.base_clock)) {
+                signal.base_clock = firstClock ? firstClock.name : 'clk';
+            }
+        });
+        
+        let insertAt;
+        const afterSignal = afterSignalIndex !== null && afterSignalIndex !== undefined ?
+            app.getSignalByIndex(afterSignalIndex) : undefined;
+        if (afterSignal) {
+            insertAt = app.rows.findIndex(row => row.type === 'signal' && row.name === afterSignal.name) + 1;
+        } else {
+            // Keep AC tables at the bottom, like Add Signal
+            const acTableIndex = app.rows.findIndex(row => row.type === 'ac-table');
+            insertAt = acTableIndex >= 0 ? acTableIndex : app.rows.length;
+        }
+        
+        signals.forEach(signal => app.signalsData.set(signal.name, signal));
+        app.rows.splice(insertAt, 0, ...signals.map(signal => ({ type: 'signal', name: signal.name })));
+        app.rebuildAfterSignalRowMove();
+        
+        app.selectedSignals.clear();
+        signals.forEach(signal => app.selectedSignals.add(app.getSignalIndex(signal.name)));
+        app.render();
+    }
+    
+    /**
+     * Find a signal name that is not used yet: name, name_1, name_2, ...
+     * @param {TimingGenApp} app - Main application instance
+     * @param {string} name - Wanted name
+     * @param {Map} renames - Names already given out in this paste (source name => new name)
+     * @returns {string} Unused signal name
+     */
+    static getUniqueSignalName(app, name, renames) {
+        const taken = (candidate) => app.signalsData.has(candidate) ||
+            [...renames.values()].includes(candidate);
+        
+        let candidate = name;
+        for (let suffix = 1; taken(candidate); suffix++) {
+            candidate = `${name}_${suffix}`;
+        }
+        return candidate;
+    }
+}
+
+// Fields of the app that belong to one document and are swapped when switching tabs
+TimingGenTabs.DOCUMENT_KEYS = [
+    'config', 'rows', 'signalsData', 'measuresData', 'textData', 'counterData', 'arrowsData',
+    'acTablesData', 'groupsData', 'tears',
+    'measureCounter', 'measureTextCounter', 'textCounter', 'counterCounter', 'arrowCounter',
+    'acTableCounter', 'groupCounter',
+    'documentTitle', 'fileName', 'fileHandle', 'documentId',
+    'undoRedoManager', 'autosaveSession', 'lastAutosaveJSON'
+];
+
+UndoRedoManager.registerActions(TimingGenTabs, {
+    pasteSignals: (app) => (app.signalClipboard.length === 1 ?
+        `Paste signal ${app.signalClipboard[0].name}` : `Paste ${app.signalClipboard.length} signals`)
+});
@@ -44,7 +44,7 @@ class TimingGenTear {
         }
         
         // Capture state before action
-        app.undoRedoManager.captureState();
+        app.undoRedoManager.captureState(`Add tear at cycle ${cycle}`);
         
         // Add tear to the set
         app.tears.add(cycle);
@@ -64,7 +64,7 @@ class TimingGenTear {
         }
         
         // Capture state before action
-        app.undoRedoManager.captureState();
+        app.undoRedoManager.captureState(`Delete tear at cycle ${cycle}`);
         
         // Remove tear from the set
         app.tears.delete(cycle);
@@ -88,7 +88,7 @@ class TimingGenTear {
         }
         
         // Capture state before action
-        app.undoRedoManager.captureState();
+        app.undoRedoManager.captureState(`Add tear at cycle ${cycle}`);
         
         // Add tear to the set
         app.tears.add(cycle);
@@ -130,7 +130,7 @@ class TimingGenTextCounter {
             const tableData = app.acTablesData.get(tableName);
             if (tableData) {
                 // Capture state before action
-                app.undoRedoManager.captureState();
+                app.undoRedoManager.captureState(`Edit note ${noteNum} text in ${tableName}`);
                 
                 const newValue = document.getElementById('edit-text-input').value;
                 let noteData = tableData.notes.find(n => n.number === noteNum);
@@ -149,7 +149,7 @@ class TimingGenTextCounter {
             if (app.currentEditingMeasure !== null && app.currentEditingMeasure >= 0 && app.currentEditingMeasure < measures.length) {
                 // Update measure text
                 // Capture state before action
-                app.undoRedoManager.captureState();
+                app.undoRedoManager.captureState(`Edit measure text ${measures[app.currentEditingMeasure].name}`);
                 
                 const measure = measures[app.currentEditingMeasure];
                 measure.text = document.getElementById('edit-text-input').value;
@@ -160,7 +160,7 @@ class TimingGenTextCounter {
                 const textData = app.textData.get(app.currentEditingText);
                 if (textData) {
                     // Capture state before action
-                    app.undoRedoManager.captureState();
+                    app.undoRedoManager.captureState(`Edit text ${app.currentEditingText}`);
                     
                     textData.text = document.getElementById('edit-text-input').value;
                     TimingGenTextCounter.hideEditTextDialog(app);
@@ -196,7 +196,7 @@ class TimingGenTextCounter {
                 }
                 
                 // Capture state before action
-                app.undoRedoManager.captureState();
+                app.undoRedoManager.captureState(`Change note ${noteNum} font in ${tableName}`);
                 
                 noteData.fontFamily = fontFamily;
                 noteData.fontSize = fontSize;
@@ -210,7 +210,7 @@ class TimingGenTextCounter {
             const signal = app.getSignalByIndex(app.currentEditingSignal);
             if (signal) {
                 // Capture state before action
-                app.undoRedoManager.captureState();
+                app.undoRedoManager.captureState(`Change signal ${signal.name} name font`);
                 
                 signal.nameFontFamily = fontFamily;
                 signal.nameFontSize = fontSize;
@@ -223,7 +223,7 @@ class TimingGenTextCounter {
             const signal = app.getSignalByIndex(app.currentEditingBusValue.signalIndex);
             if (signal) {
                 // Capture state before action
-                app.undoRedoManager.captureState();
+                app.undoRedoManager.captureState(`Change signal ${signal.name} value font`);
                 
                 signal.valueFontFamily = fontFamily;
                 signal.valueFontSize = fontSize;
@@ -237,7 +237,7 @@ class TimingGenTextCounter {
             const measure = measures[app.currentEditingMeasure];
             
             // Capture state before action
-            app.undoRedoManager.captureState();
+            app.undoRedoManager.captureState(`Change measure ${measure.name} font`);
             
             measure.fontFamily = fontFamily;
             measure.fontSize = fontSize;
@@ -248,7 +248,7 @@ class TimingGenTextCounter {
             const textData = app.textData.get(app.currentEditingText);
             if (textData) {
                 // Capture state before action
-                app.undoRedoManager.captureState();
+                app.undoRedoManager.captureState(`Change text ${app.currentEditingText} font`);
                 
                 textData.fontFamily = fontFamily;
                 textData.fontSize = fontSize;
@@ -276,7 +276,7 @@ class TimingGenTextCounter {
                 }
                 
                 // Capture state before action
-                app.undoRedoManager.captureState();
+                app.undoRedoManager.captureState(`Change note ${noteNum} color in ${tableName}`);
                 
                 noteData.color = document.getElementById('text-color-input').value;
                 
@@ -290,7 +290,7 @@ class TimingGenTextCounter {
             const measure = measures[app.currentEditingMeasure];
             
             // Capture state before action
-            app.undoRedoManager.captureState();
+            app.undoRedoManager.captureState(`Change measure ${measure.name} color`);
             
             measure.color = document.getElementById('text-color-input').value;
             
@@ -300,7 +300,7 @@ class TimingGenTextCounter {
             const textData = app.textData.get(app.currentEditingText);
             if (textData) {
                 // Capture state before action
-                app.undoRedoManager.captureState();
+                app.undoRedoManager.captureState(`Change text ${app.currentEditingText} color`);
                 
                 textData.color = document.getElementById('text-color-input').value;
                 
@@ -318,7 +318,7 @@ class TimingGenTextCounter {
         const text = document.getElementById('text-row-input').value;
         
         // Capture state before action
-        app.undoRedoManager.captureState();
+        app.undoRedoManager.captureState(`Add text T${app.textCounter}`);
         
         // Generate unique name
         const name = `T${app.textCounter}`;
@@ -359,7 +359,7 @@ class TimingGenTextCounter {
             }
             
             // Capture state before action
-            app.undoRedoManager.captureState();
+            app.undoRedoManager.captureState(`Delete text ${app.currentEditingText}`);
             
             // Find row index
             const rowIndex = app.rows.findIndex(row => row.type === 'text' && row.name === app.currentEditingText);
@@ -428,7 +428,7 @@ class TimingGenTextCounter {
             const counterData = app.counterData.get(app.currentEditingCounter.name);
             if (counterData) {
                 // Capture state before action
-                app.undoRedoManager.captureState();
+                app.undoRedoManager.captureState(`Set counter ${app.currentEditingCounter.name}[${app.currentEditingCounter.cycle}]`);
                 
                 const newValue = document.getElementById('edit-counter-value-input').value.trim();
                 const cycle = app.currentEditingCounter.cycle;
@@ -470,7 +470,7 @@ class TimingGenTextCounter {
             const counterData = app.counterData.get(app.currentEditingCounter.name);
             if (counterData) {
                 // Capture state before action
-                app.undoRedoManager.captureState();
+                app.undoRedoManager.captureState(`Continue counter ${app.currentEditingCounter.name}[${app.currentEditingCounter.cycle}]`);
                 
                 const cycle = app.currentEditingCounter.cycle;
                 
@@ -504,7 +504,7 @@ class TimingGenTextCounter {
             
             if (counterData) {
                 // Generate labels to see what's currently displayed
-                const labels = TimingGenRendering.generateCounterLabels(counterData, app.config.cycles, app.tears);
+                const labels = TimingGenModel.generateCounterLabels(counterData, app.config.cycles, app.tears);
                 if (labels[cycle]) {
                     currentValue = labels[cycle];
                 }
@@ -525,7 +525,7 @@ class TimingGenTextCounter {
             const counterData = app.counterData.get(app.currentEditingCounter.name);
             if (counterData) {
                 // Capture state before action
-                app.undoRedoManager.captureState();
+                app.undoRedoManager.captureState(`Blank counter ${app.currentEditingCounter.name}[${app.currentEditingCounter.cycle}]`);
                 
                 const cycle = app.currentEditingCounter.cycle;
                 
@@ -559,7 +559,7 @@ class TimingGenTextCounter {
         }
         
         // Capture state before action
-        app.undoRedoManager.captureState();
+        app.undoRedoManager.captureState(`Add counter C${app.counterCounter}`);
         
         // Generate unique name
         const name = `C${app.counterCounter}`;
@@ -0,0 +1,713 @@
+// Timing Gen 3 - TikZ Module
+// Version 3.4.1
+// Handles LaTeX/TikZ export of the timing diagram from the row model
+
+class TimingGenTikZ {
+    /**
+     * Export the diagram as a standalone LaTeX document with a TikZ picture
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static exportToTikZ(app) {
+        const tex = TimingGenTikZ.buildTikZ(app);
+
+        const blob = new Blob([tex], { type: 'application/x-tex' });
+        const url = URL.createObjectURL(blob);
+
+        const anchor = document.createElement('a');
+        anchor.href = url;
+        anchor.download = `${TimingGenData.getExportBaseName(app)}.tex`;
+        anchor.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Build the LaTeX source. Coordinates are in diagram pixels (y down) and
+     * scaled by the picture options; text inherits the document font.
+     * @param {TimingGenApp} app - Main application instance
+     * @returns {string} LaTeX source
+     */
+    static buildTikZ(app) {
+        const ctx = {
+            app: app,
+            colors: new Map(), // hex -> color name
+            lines: [],
+            // Export layout has no header, like the SVG export
+            top: app.config.headerHeight,
+            right: app.config.nameColumnWidth + app.config.cycles * app.config.cycleWidth
+        };
+
+        TimingGenTikZ.drawGrid(ctx);
+
+        app.rows.forEach((row, rowIndex) => {
+            const y = app.rowManager.getRowYPosition(rowIndex) - ctx.top;
+            const height = app.rowManager.getRowHeight(rowIndex);
+
+            if (row.type === 'signal') {
+                const signal = app.signalsData.get(row.name);
+                if (signal) TimingGenTikZ.drawSignal(ctx, signal, y, height);
+            } else if (row.type === 'measure') {
+                const measure = app.measuresData.get(row.name);
+                if (measure) TimingGenTikZ.drawMeasure(ctx, measure, y, height);
+            } else if (row.type === 'group') {
+                const group = app.groupsData.get(row.name);
+                (group && group.measures || []).forEach(measureName => {
+                    const measure = app.measuresData.get(measureName);
+                    if (measure) TimingGenTikZ.drawMeasure(ctx, measure, y, height);
+                });
+            } else if (row.type === 'text') {
+                const textData = app.textData.get(row.name);
+                if (textData && textData.text) {
+                    const x = app.config.nameColumnWidth + (textData.xOffset || 10);
+                    TimingGenTikZ.node(ctx, x, y + height / 2, textData.text, {
+                        anchor: 'west', size: textData.fontSize || 14, color: textData.color
+                    });
+                }
+            } else if (row.type === 'counter') {
+                const counterData = app.counterData.get(row.name);
+                if (counterData) TimingGenTikZ.drawCounter(ctx, counterData, y, height);
+            }
+        });
+
+        for (const arrow of app.arrowsData.values()) {
+            TimingGenTikZ.drawArrow(ctx, arrow);
+        }
+
+        Array.from(app.tears || []).forEach(cycle => TimingGenTikZ.drawTear(ctx, cycle));
+
+        const colorDefs = [];
+        ctx.colors.forEach((name, hex) => {
+            colorDefs.push(`\\definecolor{${name}}{HTML}{${hex}}`);
+        });
+
+        return [
+            '% Generated by Timing Gen 3',
+            '\\documentclass[tikz,border=4pt]{standalone}',
+            '\\usetikzlibrary{patterns,arrows.meta}',
+            '\\begin{document}',
+            ...colorDefs,
+            '\\begin{tikzpicture}[x=0.02cm,y=-0.02cm,line join=round]',
+            ...ctx.lines,
+            '\\end{tikzpicture}',
+            '\\end{document}',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Draw cycle and row grid lines
+     * @param {Object} ctx - Export context
+     */
+    static drawGrid(ctx) {
+        const app = ctx.app;
+        const color = TimingGenTikZ.color(ctx, app.config.gridColor);
+        let bottom = 0;
+        for (let idx = 0; idx < app.rows.length; idx++) {
+            bottom += app.rowManager.getRowHeight(idx);
+        }
+
+        for (let idx = 0; idx <= app.config.cycles; idx++) {
+            const x = app.config.nameColumnWidth + idx * app.config.cycleWidth;
+            ctx.lines.push(`\\draw[${color},line width=0.5pt] ${TimingGenTikZ.pt(x, 0)} -- ${TimingGenTikZ.pt(x, bottom)};`);
+        }
+        let y = 0;
+        for (let idx = 0; idx <= app.rows.length; idx++) {
+            ctx.lines.push(`\\draw[${color},line width=0.5pt] ${TimingGenTikZ.pt(0, y)} -- ${TimingGenTikZ.pt(ctx.right, y)};`);
+            y += app.rowManager.getRowHeight(idx);
+        }
+    }
+
+    /**
+     * Draw a signal name and waveform
+     * @param {Object} ctx - Export context
+     * @param {Object} signal - Signal object
+     * @param {number} y - Row top
+     * @param {number} height - Row height
+     */
+    static drawSignal(ctx, signal, y, height) {
+        const app = ctx.app;
+        TimingGenTikZ.node(ctx, app.config.nameColumnWidth - 10, y + height / 2, signal.name, {
+            anchor: 'east', size: signal.nameFontSize || 14, color: signal.nameFontColor, bold: true
+        });
+
+        const levels = {
+            high: y + height / 4,
+            low: y + height - height / 4,
+            mid: y + height / 2
+        };
+
+        if (signal.type === 'clock') {
+            TimingGenTikZ.drawClock(ctx, signal, levels);
+        } else if (signal.type === 'bit') {
+            TimingGenTikZ.drawBit(ctx, signal, levels);
+        } else if (signal.type === 'bus') {
+            TimingGenTikZ.drawBus(ctx, signal, levels, y, height);
+        } else if (signal.type === 'diff') {
+            TimingGenTikZ.drawDiff(ctx, signal, levels);
+        } else if (signal.type === 'analog') {
+            TimingGenTikZ.drawAnalog(ctx, signal, y, height);
+        }
+    }
+
+    /**
+     * Draw a clock waveform with its own period, duty cycle, phase and polarity,
+     * gated regions and jitter bands
+     * @param {Object} ctx - Export context
+     * @param {Object} signal - Clock signal
+     * @param {Object} levels - {high, low, mid} y positions
+     */
+    static drawClock(ctx, signal, levels) {
+        const app = ctx.app;
+        const { initial, edges, gated } = TimingGenModel.getClockEdges(app.config, app.getSignalTiming(signal), signal);
+        gated.forEach(range => {
+            const x1 = TimingGenModel.getTimeX(app.config, range.start);
+            const x2 = TimingGenModel.getTimeX(app.config, range.end);
+            TimingGenTikZ.polygon(ctx, [[x1, levels.high], [x2, levels.high], [x2, levels.low], [x1, levels.low]],
+                `fill=${TimingGenTikZ.color(ctx, TimingGenRendering.CLOCK_GATED_FILL_COLOR)},` +
+                `draw=${TimingGenTikZ.color(ctx, TimingGenRendering.CLOCK_GATED_STROKE_COLOR)},dashed,line width=0.5pt`);
+        });
+
+        const jitter = TimingGenModel.getClockJitter(app.config, signal);
+        const jitterStyle = jitter > 0 ?
+            TimingGenTikZ.uncertaintyStyle(ctx, app.getEffectiveDelay(signal, 0).color) + ',draw=black,line width=0.5pt' : null;
+        let level = initial ? levels.high : levels.low;
+        const points = [[app.config.nameColumnWidth, level]];
+        edges.forEach(edge => {
+            const x = TimingGenModel.getTimeX(app.config, edge.time);
+            const next = edge.high ? levels.high : levels.low;
+            if (x > app.config.nameColumnWidth) {
+                points.push([x, level]);
+                if (jitter > 0) {
+                    TimingGenTikZ.polygon(ctx, [[x - jitter, level], [x + jitter, level], [x + jitter, next], [x - jitter, next]], jitterStyle);
+                }
+            }
+            level = next;
+            points.push([x, level]);
+        });
+        points.push([ctx.right, level]);
+        TimingGenTikZ.polyline(ctx, points, TimingGenTikZ.signalStyle(ctx));
+    }
+
+    /**
+     * Draw a bit waveform with slewed transitions, X spans and delay uncertainty
+     * @param {Object} ctx - Export context
+     * @param {Object} signal - Signal object
+     * @param {Object} levels - {high, low, mid} y positions
+     */
+    static drawBit(ctx, signal, levels) {
+        const app = ctx.app;
+        const cycles = app.getSignalCycleCount(signal);
+        const levelY = (value) => value === 1 ? levels.high : value === 'Z' ? levels.mid : levels.low;
+        const style = TimingGenTikZ.signalStyle(ctx);
+
+        let points = [];
+        let xStart = null; // Start of the current X span
+        let prev = app.getBitValueAtCycle(signal, 0);
+
+        if (prev === 'X') {
+            xStart = app.config.nameColumnWidth;
+        } else {
+            points.push([app.config.nameColumnWidth, levelY(prev)]);
+        }
+
+        // Cycle starts plus changes between clock edges (e.g. 2.5)
+        for (const cycle of TimingGenModel.getValueCycles(signal, cycles)) {
+            if (cycle === 0) continue;
+            const value = app.getBitValueAtCycle(signal, cycle);
+            if (value === prev) continue;
+
+            const baseX = app.getCycleX(signal, cycle);
+            const delay = app.getEffectiveDelay(signal, cycle);
+            const slew = app.getEffectiveSlew(signal, cycle);
+            const x = baseX + delay.min;
+
+            if (delay.max > delay.min && prev !== 'X' && value !== 'X') {
+                TimingGenTikZ.polygon(ctx, [
+                    [x, levelY(prev)], [baseX + delay.max, levelY(prev)],
+                    [baseX + delay.max + slew, levelY(value)], [x + slew, levelY(value)]
+                ], TimingGenTikZ.uncertaintyStyle(ctx, delay.color) + ',draw=black,line width=0.5pt');
+            }
+
+            if (value === 'X') {
+                points.push([x, levelY(prev)]);
+                TimingGenTikZ.polyline(ctx, points, style);
+                points = [];
+                xStart = x;
+            } else if (prev === 'X') {
+                TimingGenTikZ.drawUnknown(ctx, xStart, x, slew, levels, true);
+                xStart = null;
+                points.push([x + slew, levelY(value)]);
+            } else {
+                points.push([x, levelY(prev)], [x + slew, levelY(value)]);
+            }
+            prev = value;
+        }
+
+        if (xStart !== null) {
+            TimingGenTikZ.drawUnknown(ctx, xStart, ctx.right, 0, levels, false);
+        } else {
+            points.push([ctx.right, levelY(prev)]);
+            TimingGenTikZ.polyline(ctx, points, style);
+        }
+    }
+
+    /**
+     * Draw a bus waveform as hexagon spans with value labels
+     * @param {Object} ctx - Export context
+     * @param {Object} signal - Signal object
+     * @param {Object} levels - {high, low, mid} y positions
+     * @param {number} y - Row top
+     * @param {number} height - Row height
+     */
+    static drawBus(ctx, signal, levels, y, height) {
+        const app = ctx.app;
+        const cycles = app.getSignalCycleCount(signal);
+        const style = TimingGenTikZ.signalStyle(ctx);
+
+        // Each defined value starts a new span, as in the canvas rendering
+        const starts = TimingGenModel.getValueCycles(signal, cycles)
+            .filter(cycle => cycle === 0 || signal.values[cycle] !== undefined);
+
+        starts.forEach((start, idx) => {
+            const value = app.getBusValueAtCycle(signal, start);
+            const end = idx + 1 < starts.length ? starts[idx + 1] : cycles;
+
+            // Left edge: after the maximum delay of this transition
+            let left = app.config.nameColumnWidth;
+            let leftSlew = 0;
+            if (start > 0) {
+                const delay = app.getEffectiveDelay(signal, start);
+                leftSlew = app.getEffectiveSlew(signal, start);
+                left = app.getCycleX(signal, start) + delay.max;
+
+                if (delay.max > delay.min) {
+                    const minX = left - delay.max + delay.min;
+                    TimingGenTikZ.polygon(ctx, [
+                        [minX + leftSlew, levels.high], [left + leftSlew, levels.high],
+                        [left + leftSlew / 2, levels.mid], [left + leftSlew, levels.low],
+                        [minX + leftSlew, levels.low], [minX + leftSlew / 2, levels.mid]
+                    ], TimingGenTikZ.uncertaintyStyle(ctx, delay.color) + ',' + style);
+                }
+            }
+
+            // Right edge: at the minimum delay of the next transition
+            let right = ctx.right;
+            let rightSlew = 0;
+            if (end < cycles) {
+                const delay = app.getEffectiveDelay(signal, end);
+                rightSlew = app.getEffectiveSlew(signal, end);
+                right = app.getCycleX(signal, end) + delay.min;
+            }
+
+            if (value === 'Z') {
+                TimingGenTikZ.polyline(ctx, [[left + leftSlew / 2, levels.mid], [right + rightSlew / 2, levels.mid]], style);
+                return;
+            }
+
+            const points = [];
+            if (start > 0) {
+                points.push([left + leftSlew / 2, levels.mid], [left + leftSlew, levels.high]);
+            } else {
+                points.push([left, levels.low], [left, levels.high]);
+            }
+            if (end < cycles) {
+                points.push([right, levels.high], [right + rightSlew / 2, levels.mid], [right, levels.low]);
+            } else {
+                points.push([right, levels.high], [right, levels.low]);
+            }
+            points.push(start > 0 ? [left + leftSlew, levels.low] : [left, levels.low]);
+
+            const fill = value === 'X'
+                ? `fill=${TimingGenTikZ.color(ctx, '#999999')},pattern=crosshatch,pattern color=black!40`
+                : `fill=${TimingGenTikZ.color(ctx, '#e8f4f8')}`;
+            TimingGenTikZ.polygon(ctx, points, `${fill},${style}`);
+
+            if (value !== 'X') {
+                TimingGenTikZ.node(ctx, (left + right) / 2, y + height / 2, String(value), {
+                    size: signal.valueFontSize || 12, color: signal.valueFontColor
+                });
+            }
+        });
+    }
+
+    /**
+     * Draw a differential pair: true and complement traces crossing at each 0/1 change,
+     * both at the common-mode level when idle (Z), hatched boxes while unknown (X)
+     * @param {Object} ctx - Export context
+     * @param {Object} signal - Differential signal
+     * @param {Object} levels - {high, low, mid} y positions
+     */
+    static drawDiff(ctx, signal, levels) {
+        const app = ctx.app;
+        const cycles = app.getSignalCycleCount(signal);
+        const style = TimingGenTikZ.signalStyle(ctx);
+        const levelY = (level) => levels.low - level * (levels.low - levels.high);
+
+        const changes = TimingGenModel.getBitChanges(signal, cycles).map((change, idx) => ({
+            value: change.value,
+            baseX: app.getCycleX(signal, change.cycle),
+            delay: idx > 0 ? app.getEffectiveDelay(signal, change.cycle) : { min: 0, max: 0, color: app.config.delayColor },
+            slew: idx > 0 ? app.getEffectiveSlew(signal, change.cycle) : 0
+        }));
+
+        // Unknown spans as hexagons, open at the diagram start and end
+        changes.forEach((change, idx) => {
+            if (change.value !== 'X') return;
+            const next = changes[idx + 1];
+            const x1 = change.baseX + change.delay.min;
+            const x2 = next ? next.baseX + next.delay.min : ctx.right;
+            const points = idx === 0
+                ? [[x1, levels.low], [x1, levels.high]]
+                : [[x1, levels.mid], [x1 + change.slew / 2, levels.high]];
+            points.push([x2, levels.high]);
+            if (next) {
+                points.push([x2 + next.slew / 2, levels.mid]);
+            }
+            points.push([x2, levels.low], [idx === 0 ? x1 : x1 + change.slew / 2, levels.low]);
+            TimingGenTikZ.polygon(ctx, points,
+                `fill=${TimingGenTikZ.color(ctx, '#999999')},pattern=crosshatch,pattern color=black!40,${style}`);
+        });
+
+        ['positive', 'negative'].forEach(trace => {
+            let points = null;
+            let prevY = null;
+            changes.forEach((change, idx) => {
+                const diffLevels = TimingGenModel.getDiffLevels(change.value);
+                const x = change.baseX + change.delay.min;
+                if (!diffLevels) {
+                    if (points) {
+                        points.push([prevY === levels.mid ? x : x + change.slew / 2, prevY]);
+                        TimingGenTikZ.polyline(ctx, points, style);
+                        points = null;
+                    }
+                    return;
+                }
+
+                const currentY = levelY(diffLevels[trace]);
+                if (!points) {
+                    points = [[idx > 0 && currentY === levels.mid ? x + change.slew / 2 : x, currentY]];
+                } else {
+                    if (change.delay.max > change.delay.min) {
+                        const maxX = change.baseX + change.delay.max;
+                        TimingGenTikZ.polygon(ctx, [
+                            [x, prevY], [maxX, prevY], [maxX + change.slew, currentY], [x + change.slew, currentY]
+                        ], TimingGenTikZ.uncertaintyStyle(ctx, change.delay.color) + ',draw=black,line width=0.5pt');
+                    }
+                    points.push([x, prevY], [x + change.slew, currentY]);
+                }
+                prevY = currentY;
+            });
+            if (points) {
+                points.push([ctx.right, prevY]);
+                TimingGenTikZ.polyline(ctx, points, style);
+            }
+        });
+    }
+
+    /**
+     * Draw an analog waveform: dashed labeled threshold lines, the scale limits and
+     * straight ramps between the voltage points
+     * @param {Object} ctx - Export context
+     * @param {Object} signal - Analog signal
+     * @param {number} y - Row top
+     * @param {number} height - Row height
+     */
+    static drawAnalog(ctx, signal, y, height) {
+        const app = ctx.app;
+        const cycles = app.getSignalCycleCount(signal);
+        const startX = app.config.nameColumnWidth;
+        const endX = app.getCycleX(signal, cycles);
+        const valueY = (value) => TimingGenModel.getAnalogY(signal, value, y, height);
+        const pt = TimingGenTikZ.pt;
+
+        TimingGenModel.getAnalogThresholds(signal).forEach(threshold => {
+            const hex = threshold.color || TimingGenRendering.ANALOG_THRESHOLD_COLOR;
+            const lineY = valueY(threshold.value);
+            ctx.lines.push(`\\draw[${TimingGenTikZ.color(ctx, hex)},line width=0.5pt,dashed] ` +
+                `${pt(startX, lineY)} -- ${pt(endX, lineY)};`);
+            if (threshold.label) {
+                TimingGenTikZ.node(ctx, endX - 4, lineY - 1, threshold.label, {
+                    anchor: 'south east', size: 10, color: hex
+                });
+            }
+        });
+
+        const scale = TimingGenModel.getAnalogScale(signal);
+        TimingGenTikZ.node(ctx, startX + 3, valueY(scale.max), String(scale.max), {
+            anchor: 'north west', size: 9, color: TimingGenRendering.ANALOG_SCALE_COLOR
+        });
+        TimingGenTikZ.node(ctx, startX + 3, valueY(scale.min), String(scale.min), {
+            anchor: 'south west', size: 9, color: TimingGenRendering.ANALOG_SCALE_COLOR
+        });
+
+        const points = [[startX, valueY(TimingGenModel.getAnalogValueAtCycle(signal, 0))]];
+        TimingGenModel.getAnalogPoints(signal)
+            .filter(point => point.cycle > 0 && point.cycle < cycles)
+            .forEach(point => points.push([app.getCycleX(signal, point.cycle), valueY(point.value)]));
+        points.push([endX, valueY(TimingGenModel.getAnalogValueAtCycle(signal, cycles))]);
+        TimingGenTikZ.polyline(ctx, points, TimingGenTikZ.signalStyle(ctx));
+    }
+
+    /**
+     * Draw an unknown (X) span of a bit signal as a hatched shape
+     * @param {Object} ctx - Export context
+     * @param {number} x1 - Span start
+     * @param {number} x2 - Span end
+     * @param {number} slew - Slew of the closing transition
+     * @param {Object} levels - {high, low, mid} y positions
+     * @param {boolean} closed - True if a transition ends the span
+     */
+    static drawUnknown(ctx, x1, x2, slew, levels, closed) {
+        const points = [[x1, levels.high], [x2, levels.high]];
+        if (closed) {
+            points.push([x2 + slew / 2, levels.mid]);
+        }
+        points.push([x2, levels.low], [x1, levels.low]);
+        TimingGenTikZ.polygon(ctx, points,
+            `fill=${TimingGenTikZ.color(ctx, '#999999')},pattern=crosshatch,pattern color=black!40,` +
+            TimingGenTikZ.signalStyle(ctx));
+    }
+
+    /**
+     * Draw a measure: vertical bars at both points, a double-headed arrow and its label
+     * @param {Object} ctx - Export context
+     * @param {Object} measure - Measure object
+     * @param {number} y - Measure row top
+     * @param {number} height - Measure row height
+     */
+    static drawMeasure(ctx, measure, y, height) {
+        const app = ctx.app;
+        const coords = app.getMeasureCoordinates(measure);
+        if (!coords || coords.signal1Index < 0 || coords.signal2Index < 0) return;
+
+        const red = TimingGenTikZ.color(ctx, '#FF0000');
+        const arrowY = y + height / 2;
+        const y1 = coords.y1 - ctx.top;
+        const y2 = coords.y2 - ctx.top;
+        const pt = TimingGenTikZ.pt;
+
+        ctx.lines.push(`\\draw[${red},line width=1pt] ${pt(coords.x1, Math.min(y1, arrowY))} -- ${pt(coords.x1, Math.max(y1, arrowY))};`);
+        ctx.lines.push(`\\draw[${red},line width=1pt] ${pt(coords.x2, Math.min(y2, arrowY))} -- ${pt(coords.x2, Math.max(y2, arrowY))};`);
+        ctx.lines.push(`\\draw[${red},line width=1pt,{Stealth}-{Stealth}] ${pt(coords.x1, arrowY)} -- ${pt(coords.x2, arrowY)};`);
+
+        if (measure.text) {
+            // Labels sit beside narrow measures and centered above wide ones
+            const inward = Math.abs(coords.x2 - coords.x1) < 30;
+            let x = (coords.x1 + coords.x2) / 2;
+            let anchor = 'south';
+            if (measure.textX != null) {
+                x = measure.textX;
+                anchor = 'south west';
+            } else if (inward) {
+                x = Math.max(coords.x1, coords.x2) + 10;
+                anchor = 'south west';
+            }
+            TimingGenTikZ.node(ctx, x, arrowY, measure.text, {
+                anchor: anchor, size: measure.textSize || 12, color: measure.textColor, bold: true
+            });
+        }
+    }
+
+    /**
+     * Draw an arrow as a cubic Bezier curve with its label
+     * @param {Object} ctx - Export context
+     * @param {Object} arrow - Arrow object
+     */
+    static drawArrow(ctx, arrow) {
+        if (arrow.startX == null || arrow.endX == null) return;
+        const pt = TimingGenTikZ.pt;
+        const shift = (yPos) => yPos - ctx.top;
+        const color = TimingGenTikZ.color(ctx, arrow.color || '#0000FF');
+
+        ctx.lines.push(`\\draw[${color},line width=${TimingGenTikZ.num((arrow.width || 2) / 2)}pt,-{Stealth}] ` +
+            `${pt(arrow.startX, shift(arrow.startY))} .. controls ${pt(arrow.ctrl1X, shift(arrow.ctrl1Y))} ` +
+            `and ${pt(arrow.ctrl2X, shift(arrow.ctrl2Y))} .. ${pt(arrow.endX, shift(arrow.endY))};`);
+
+        if (arrow.text) {
+            TimingGenTikZ.node(ctx, (arrow.startX + arrow.endX) / 2, shift((arrow.startY + arrow.endY) / 2) - 5,
+                arrow.text, { anchor: 'south', size: arrow.textSize || 12, color: arrow.textColor });
+        }
+    }
+
+    /**
+     * Draw counter labels centered in each cycle
+     * @param {Object} ctx - Export context
+     * @param {Object} counterData - Counter data
+     * @param {number} y - Row top
+     * @param {number} height - Row height
+     */
+    static drawCounter(ctx, counterData, y, height) {
+        const app = ctx.app;
+        const labels = TimingGenModel.generateCounterLabels(counterData, app.config.cycles, app.tears);
+        labels.forEach((label, cycle) => {
+            if (app.tears && app.tears.has(cycle)) return;
+            if (label === null || label === undefined || label === '') return;
+            const x = app.config.nameColumnWidth + cycle * app.config.cycleWidth + app.config.cycleWidth / 2;
+            TimingGenTikZ.node(ctx, x, y + height / 2, String(label), { size: 14 });
+        });
+    }
+
+    /**
+     * Draw tear marks across all signal rows at a cycle
+     * @param {Object} ctx - Export context
+     * @param {number} cycle - Tear cycle
+     */
+    static drawTear(ctx, cycle) {
+        const app = ctx.app;
+        const pt = TimingGenTikZ.pt;
+        const waveWidth = 10;
+        const xCenter = app.config.nameColumnWidth + cycle * app.config.cycleWidth + app.config.cycleWidth / 2;
+
+        // Same two quadratic S-curves as the canvas, raised to cubic for TikZ
+        const wave = (x, yFrom, yTo, bulge) => {
+            const yMid = (yFrom + yTo) / 2;
+            const q = (y0, y1, qx, qy) => {
+                const c1 = [x + 2 / 3 * (qx - x), y0 + 2 / 3 * (qy - y0)];
+                const c2 = [x + 2 / 3 * (qx - x), y1 + 2 / 3 * (qy - y1)];
+                return ` .. controls ${pt(c1[0], c1[1])} and ${pt(c2[0], c2[1])} .. ${pt(x, y1)}`;
+            };
+            return pt(x, yFrom) +
+                q(yFrom, yMid, x + bulge, (yFrom + yMid) / 2) +
+                q(yMid, yTo, x - bulge, (yMid + yTo) / 2);
+        };
+
+        app.rows.forEach((row, rowIndex) => {
+            if (row.type !== 'signal') return;
+            const height = app.rowManager.getRowHeight(rowIndex);
+            const yCenter = app.rowManager.getRowYPosition(rowIndex) - ctx.top + height / 2;
+            const yTop = yCenter - height * 0.55 / 2;
+            const yBottom = yCenter + height * 0.55 / 2;
+
+            const left = wave(xCenter - waveWidth, yTop, yBottom, -waveWidth);
+            const right = wave(xCenter + waveWidth, yBottom, yTop, waveWidth);
+            ctx.lines.push(`\\fill[white] ${left} -- ${right} -- cycle;`);
+            ctx.lines.push(`\\draw[line width=1pt] ${left};`);
+            ctx.lines.push(`\\draw[line width=1pt] ${right};`);
+        });
+    }
+
+    /**
+     * Emit a text node; the font family is left to the document
+     * @param {Object} ctx - Export context
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {string} text - Text content
+     * @param {Object} options - {anchor, size, color, bold}
+     */
+    static node(ctx, x, y, text, options) {
+        const style = [`anchor=${options.anchor || 'center'}`, 'inner sep=1pt'];
+        const color = TimingGenTikZ.color(ctx, options.color || '#000000');
+        if (color !== 'black') style.push(`text=${color}`);
+        style.push(`font=${TimingGenTikZ.sizeCommand(options.size)}${options.bold ? '\\bfseries' : ''}`);
+        ctx.lines.push(`\\node[${style.join(',')}] at ${TimingGenTikZ.pt(x, y)} {${TimingGenTikZ.escape(text)}};`);
+    }
+
+    /**
+     * Emit an open path through points
+     * @param {Object} ctx - Export context
+     * @param {Array<number[]>} points - [x, y] pairs
+     * @param {string} style - TikZ style options
+     */
+    static polyline(ctx, points, style) {
+        if (points.length < 2) return;
+        ctx.lines.push(`\\draw[${style}] ${points.map(p => TimingGenTikZ.pt(p[0], p[1])).join(' -- ')};`);
+    }
+
+    /**
+     * Emit a closed path through points
+     * @param {Object} ctx - Export context
+     * @param {Array<number[]>} points - [x, y] pairs
+     * @param {string} style - TikZ style options (fill and/or draw)
+     */
+    static polygon(ctx, points, style) {
+        const command = style.includes('draw=') ? '\\filldraw' : '\\fill';
+        ctx.lines.push(`${command}[${style}] ${points.map(p => TimingGenTikZ.pt(p[0], p[1])).join(' -- ')} -- cycle;`);
+    }
+
+    /**
+     * Stroke style for waveforms
+     * @param {Object} ctx - Export context
+     * @returns {string} TikZ style options
+     */
+    static signalStyle(ctx) {
+        return `draw=${TimingGenTikZ.color(ctx, ctx.app.config.signalColor)},line width=1pt`;
+    }
+
+    /**
+     * Fill style for delay uncertainty regions (30% opacity, as on screen)
+     * @param {Object} ctx - Export context
+     * @param {string} color - Delay color
+     * @returns {string} TikZ style options
+     */
+    static uncertaintyStyle(ctx, color) {
+        return `fill=${TimingGenTikZ.color(ctx, color || ctx.app.config.delayColor)},fill opacity=0.3`;
+    }
+
+    /**
+     * Register a color and return its TikZ name
+     * @param {Object} ctx - Export context
+     * @param {string} color - CSS hex color or name
+     * @returns {string} Color name usable in TikZ
+     */
+    static color(ctx, color) {
+        const value = String(color || '#000000').trim();
+        const named = { black: 'black', white: 'white', red: 'red', blue: 'blue', green: 'green', gray: 'gray' };
+        if (named[value.toLowerCase()]) return named[value.toLowerCase()];
+
+        let hex = value.replace('#', '').toUpperCase();
+        if (hex.length === 3) hex = hex.split('').map(ch => ch + ch).join('');
+        if (!/^[0-9A-F]{6}$/.test(hex)) return 'black';
+        if (hex === '000000') return 'black';
+        if (hex === 'FFFFFF') return 'white';
+
+        if (!ctx.colors.has(hex)) {
+            ctx.colors.set(hex, `tgc${ctx.colors.size}`);
+        }
+        return ctx.colors.get(hex);
+    }
+
+    /**
+     * Map a pixel font size to a LaTeX size command
+     * @param {number} size - Font size in pixels
+     * @returns {string} Size command
+     */
+    static sizeCommand(size) {
+        if (size <= 9) return '\\scriptsize';
+        if (size <= 11) return '\\footnotesize';
+        if (size <= 13) return '\\small';
+        if (size <= 15) return '\\normalsize';
+        return '\\large';
+    }
+
+    /**
+     * Escape LaTeX special characters
+     * @param {string} text - Plain text
+     * @returns {string} LaTeX-safe text
+     */
+    static escape(text) {
+        const map = {
+            '\\': '\\textbackslash{}', '{': '\\{', '}': '\\}', '#': '\\#', '$': '\\$',
+            '%': '\\%', '&': '\\&', '_': '\\_', '~': '\\textasciitilde{}', '^': '\\textasciicircum{}'
+        };
+        return String(text).replace(/[\\{}#$%&_~^]/g, ch => map[ch]);
+    }
+
+    /**
+     * Format a coordinate
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {string} TikZ coordinate
+     */
+    static pt(x, y) {
+        return `(${TimingGenTikZ.num(x)},${TimingGenTikZ.num(y)})`;
+    }
+
+    /**
+     * Format a number with at most two decimals
+     * @param {number} value - Number
+     * @returns {string} Formatted number
+     */
+    static num(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+}
@@ -19,11 +19,65 @@ class TimingGenUI {
             const signal = app.getSignalByIndex(app.currentEditingSignal);
             document.getElementById('edit-signal-name-input').value = signal.name;
             document.getElementById('edit-signal-type-select').value = signal.type;
+            
+            // Base clock choices for bit and bus signals
+            const baseClockSelect = document.getElementById('edit-signal-base-clock-select');
+            baseClockSelect.innerHTML = '';
+            app.getSignals().filter(sg => sg.type === 'clock' && sg !== signal).forEach(clock => {
+                const option = document.createElement('option');
+                option.value = clock.name;
+                option.textContent = clock.name;
+                baseClockSelect.appendChild(option);
+            });
+            if (signal.base_clock !== undefined) {
+                baseClockSelect.value = signal.base_clock;
+            }
+            document.getElementById('edit-signal-transition-step-select').value =
+                TimingGenModel.getTransitionStep(signal);
+            
+            // Clock timing (defaults for signals that are not clocks yet)
+            const timing = { ...TimingGenModel.DEFAULT_CLOCK_TIMING };
+            if (signal.type === 'clock') {
+                TimingGenModel.CLOCK_TIMING_FIELDS.forEach(field => {
+                    if (signal[field] !== undefined) {
+                        timing[field] = signal[field];
+                    }
+                });
+            }
+            document.getElementById('edit-clock-period-input').value = timing.period;
+            document.getElementById('edit-clock-period-unit-select').value = timing.periodUnit;
+            document.getElementById('edit-clock-duty-input').value = timing.duty;
+            document.getElementById('edit-clock-phase-input').value = timing.phase;
+            document.getElementById('edit-clock-polarity-select').value = timing.polarity;
+            document.getElementById('edit-clock-jitter-input').value = signal.type === 'clock' && signal.jitter ? signal.jitter : 0;
+            document.getElementById('edit-clock-jitter-unit-label').textContent = app.config.clockPeriodUnit;
+            document.getElementById('edit-clock-period-time-option').textContent = app.config.clockPeriodUnit;
+            
+            // Analog scale and thresholds
+            document.getElementById('edit-analog-scale-min-input').value = signal.scaleMin !== undefined ? signal.scaleMin : '';
+            document.getElementById('edit-analog-scale-max-input').value = signal.scaleMax !== undefined ? signal.scaleMax : '';
+            document.getElementById('edit-analog-thresholds-input').value = TimingGenModel.getAnalogThresholds(signal)
+                .map(threshold => (threshold.label ? `${threshold.value} ${threshold.label}` : `${threshold.value}`))
+                .join('\n');
+            TimingGenUI.updateEditSignalSections(app);
+            
             document.getElementById('edit-signal-dialog').style.display = 'flex';
             document.getElementById('edit-signal-name-input').focus();
         }
     }
     
+    static updateEditSignalSections(app) {
+        const type = document.getElementById('edit-signal-type-select').value;
+        document.getElementById('edit-signal-base-clock-section').style.display = type === 'clock' ? 'none' : 'block';
+        document.getElementById('edit-signal-clock-section').style.display = type === 'clock' ? 'block' : 'none';
+        document.getElementById('edit-signal-analog-section').style.display = type === 'analog' ? 'block' : 'none';
+        
+        // Phase is counted in the same unit as the period
+        const unitSelect = document.getElementById('edit-clock-period-unit-select');
+        document.getElementById('edit-clock-phase-unit-label').textContent =
+            unitSelect.options[unitSelect.selectedIndex].textContent;
+    }
+    
     static hideEditSignalDialog() {
         document.getElementById('edit-signal-dialog').style.display = 'none';
     }
@@ -343,6 +397,20 @@ class TimingGenUI {
         });
     }
     
+    static showClockCycleContextMenu(app, xPos, yPos) {
+        const menu = document.getElementById('clock-cycle-context-menu');
+        menu.style.display = 'block';
+        menu.style.left = xPos + 'px';
+        menu.style.top = yPos + 'px';
+        
+        menu.querySelectorAll('.menu-item[data-value]').forEach(item => {
+            item.onclick = () => {
+                app.setClockState(app.currentEditingSignal, app.currentEditingCycle, item.getAttribute('data-value'));
+                app.hideAllMenus();
+            };
+        });
+    }
+    
     static showBusCycleContextMenu(app, xPos, yPos) {
         const menu = document.getElementById('bus-cycle-context-menu');
         menu.style.display = 'block';
@@ -370,3 +438,16 @@ class TimingGenUI {
         document.getElementById('delete-cycles-dialog').style.display = 'none';
     }
 }
+
+// Option dialogs recorded as undo steps
+UndoRedoManager.registerActions(TimingGenUI, {
+    saveGlobalOptions: 'Change global options',
+    saveSignalOptions: (app) => {
+        const signal = app.getSignalByIndex(app.currentEditingSignal);
+        return signal ? `Change signal ${signal.name} options` : 'Change signal options';
+    },
+    saveCycleOptions: (app) => {
+        const signal = app.getSignalByIndex(app.currentEditingSignal);
+        return signal ? `Change ${signal.name}[${app.currentEditingCycle}] options` : 'Change cycle options';
+    }
+});
@@ -1,30 +1,161 @@
 // Timing Gen 3 - Undo/Redo Manager
-// Version 3.3.3
-// Manages undo/redo history for all user actions
+// Version 3.4.1
+// Manages undo/redo history for all user actions as a list of labeled commands.
+// Each command stores only the parts of the document it changed (a diff against
+// the previous state), so the history stays small on large diagrams.
 
 class UndoRedoManager {
     constructor(app) {
         this.app = app;
-        this.undoStack = [];
-        this.redoStack = [];
-        this.maxStackSize = 100; // Limit stack size to prevent memory issues
+        this.history = []; // Array of {label, changes}
+        this.position = 0; // Number of commands currently applied (history[0..position-1])
+        this.cleanPosition = 0; // Position of the last save/load (-1 if no longer in the history)
+        this.maxStackSize = 100; // Limit history size to prevent memory issues
+        this.actionDepth = 0; // > 0 while a registered action is running
+        this.pendingCapture = false; // captureState() was called, changes not committed yet
+        this.pendingLabel = null;
+        this.pendingChanged = false; // isDirty() found changes since captureState()
+        this.comparingPending = true; // isDirty() has to compare the document with the snapshot
+        this.snapshot = this.serializeState(); // Document state matching history[position - 1]
+    }
+    
+    /**
+     * Register module methods that modify the document so they get undo automatically.
+     * Each method must take the application instance as its first argument.
+     * Call this after the class definition of a tool module, e.g.
+     * UndoRedoManager.registerActions(TimingGenTear, {
+     *     addTear: 'Add tear',
+     *     deleteTear: (app) => `Delete tear at cycle ${app.currentRightClickCycle}`
+     * });
+     * @param {Function} owner - Class whose static methods are registered
+     * @param {Object} actions - Method name => label string, or function (app, ...args) returning the label
+     */
+    static registerActions(owner, actions) {
+        Object.entries(actions).forEach(([methodName, label]) => {
+            const original = owner[methodName];
+            if (typeof original !== 'function' || original.isUndoableAction) {
+                return;
+            }
+            
+            const wrapped = function(app, ...args) {
+                if (!app || !app.undoRedoManager) {
+                    return original.call(this, app, ...args);
+                }
+                const text = typeof label === 'function' ? label(app, ...args) : label;
+                return app.undoRedoManager.runAction(text, () => original.call(this, app, ...args));
+            };
+            wrapped.isUndoableAction = true;
+            owner[methodName] = wrapped;
+            UndoRedoManager.registeredActions.push(`${owner.name}.${methodName}`);
+        });
+    }
+    
+    /**
+     * Run a state-modifying action as one undo command.
+     * A command is only recorded if the action actually changed the document
+     * (dialogs that fail validation or are cancelled leave no history entry).
+     * Nested actions and explicit captureState() calls inside the action are merged into it.
+     * @param {string} label - Command label shown in the history panel
+     * @param {Function} action - Function performing the modification
+     * @returns {*} Return value of the action
+     */
+    runAction(label, action) {
+        if (this.actionDepth > 0) {
+            return action();
+        }
+        
+        this.commitPending();
+        this.actionDepth++;
+        try {
+            return action();
+        } finally {
+            this.actionDepth--;
+            this.commit(label);
+        }
+    }
+    
+    /**
+     * Undo the changes made so far by the running action, e.g. when it failed halfway.
+     * The action then records no command.
+     */
+    revertAction() {
+        if (this.actionDepth > 0) {
+            this.restoreState(this.snapshot);
+        }
     }
     
     /**
      * Capture the current state before a user action
-     * This should be called before any state-modifying operation
+     * This should be called before any state-modifying operation.
+     * The changes made afterwards are recorded as one command when the next
+     * action starts, on undo/redo, or when a drag ends (see commitPending).
+     * @param {string} [label] - Command label, e.g. "Set bus data[5]=0xAB"
+     */
+    captureState(label) {
+        // A registered action records its own command when it finishes
+        if (this.actionDepth > 0) {
+            return;
+        }
+        
+        this.commitPending();
+        this.pendingCapture = true;
+        this.pendingLabel = label || null;
+        this.pendingChanged = false;
+        
+        // The snapshot was just taken, so the dirty checks run while updating need not compare
+        this.comparingPending = false;
+        try {
+            this.updateButtons();
+        } finally {
+            this.comparingPending = true;
+        }
+    }
+    
+    /**
+     * Record the changes made since the last captureState() as a command.
+     * Without a pending capture, untracked changes are folded into the baseline.
+     */
+    commitPending() {
+        if (this.pendingCapture) {
+            this.pendingCapture = false;
+            this.pendingChanged = false;
+            this.commit(this.pendingLabel);
+            this.pendingLabel = null;
+        } else {
+            this.snapshot = this.serializeState();
+        }
+    }
+    
+    /**
+     * Diff the document against the last snapshot and push the result as a command
+     * @param {string|null} label - Command label (derived from the changes if empty)
      */
-    captureState() {
-        const state = this.serializeState();
-        this.undoStack.push(state);
+    commit(label) {
+        const current = this.serializeState();
+        const changes = this.diffStates(this.snapshot, current);
+        this.snapshot = current;
         
-        // Limit stack size
-        if (this.undoStack.length > this.maxStackSize) {
-            this.undoStack.shift();
+        if (changes.length === 0) {
+            this.updateButtons();
+            return;
         }
         
-        // Clear redo stack when new action is performed
-        this.redoStack = [];
+        // A new command discards the redo part of the history
+        if (this.cleanPosition > this.position) {
+            this.cleanPosition = -1;
+        }
+        this.history.splice(this.position);
+        this.history.push({
+            label: label || this.describeChanges(changes),
+            changes: changes
+        });
+        
+        // Limit history size
+        if (this.history.length > this.maxStackSize) {
+            this.history.shift();
+            this.cleanPosition = this.cleanPosition > 0 ? this.cleanPosition - 1 : -1;
+        }
+        this.position = this.history.length;
         
         this.updateButtons();
     }
@@ -42,12 +173,17 @@ class UndoRedoManager {
             textData: this.serializeMap(this.app.textData),
             counterData: this.serializeMap(this.app.counterData),
             arrowsData: this.serializeMap(this.app.arrowsData),
+            acTablesData: this.serializeMap(this.app.acTablesData),
+            groupsData: this.serializeMap(this.app.groupsData),
             tears: Array.from(this.app.tears || new Set()),
             measureCounter: this.app.measureCounter,
             measureTextCounter: this.app.measureTextCounter,
             textCounter: this.app.textCounter,
             counterCounter: this.app.counterCounter,
-            arrowCounter: this.app.arrowCounter
+            arrowCounter: this.app.arrowCounter,
+            acTableCounter: this.app.acTableCounter,
+            groupCounter: this.app.groupCounter,
+            documentTitle: this.app.documentTitle
         };
     }
     
@@ -63,6 +199,100 @@ class UndoRedoManager {
         ]);
     }
     
+    /**
+     * Compute the changes between two serialized states.
+     * Maps are compared entry by entry; other fields as a whole.
+     * @param {Object} before - State before the command
+     * @param {Object} after - State after the command
+     * @returns {Array} Array of {key, entry?, order?, before, after}
+     */
+    diffStates(before, after) {
+        const changes = [];
+        
+        Object.keys(after).forEach(key => {
+            if (!UndoRedoManager.MAP_KEYS.includes(key)) {
+                if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+                    changes.push({ key: key, before: before[key], after: after[key] });
+                }
+                return;
+            }
+            
+            const beforeEntries = new Map(before[key]);
+            const afterEntries = new Map(after[key]);
+            const entryNames = new Set([...beforeEntries.keys(), ...afterEntries.keys()]);
+            
+            entryNames.forEach(entry => {
+                const oldValue = beforeEntries.get(entry);
+                const newValue = afterEntries.get(entry);
+                if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+                    changes.push({ key: key, entry: entry, before: oldValue, after: newValue });
+                }
+            });
+            
+            // Keep Map insertion order (drawing order of arrows, tables, etc.)
+            const oldOrder = Array.from(beforeEntries.keys());
+            const newOrder = Array.from(afterEntries.keys());
+            if (JSON.stringify(oldOrder) !== JSON.stringify(newOrder)) {
+                changes.push({ key: key, order: true, before: oldOrder, after: newOrder });
+            }
+        });
+        
+        return changes;
+    }
+    
+    /**
+     * Apply one side of a command's changes to a serialized state (in place)
+     * @param {Object} state - Serialized state to modify
+     * @param {Array} changes - Changes from diffStates
+     * @param {string} side - 'before' to undo, 'after' to redo
+     */
+    applyChanges(state, changes, side) {
+        const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+        
+        changes.forEach(change => {
+            const value = copy(change[side]);
+            
+            if (change.order) {
+                const entries = new Map(state[change.key]);
+                state[change.key] = value.filter(name => entries.has(name)).map(name => [name, entries.get(name)]);
+            } else if (change.entry !== undefined) {
+                const entries = state[change.key];
+                const index = entries.findIndex(([name]) => name === change.entry);
+                if (value === undefined) {
+                    if (index >= 0) entries.splice(index, 1);
+                } else if (index >= 0) {
+                    entries[index] = [change.entry, value];
+                } else {
+                    entries.push([change.entry, value]);
+                }
+            } else {
+                state[change.key] = value;
+            }
+        });
+    }
+    
+    /**
+     * Build a label for a command recorded without one
+     * @param {Array} changes - Changes from diffStates
+     * @returns {string} Label such as "Edit signal data"
+     */
+    describeChanges(changes) {
+        const entryChange = changes.find(change => change.entry !== undefined);
+        if (entryChange) {
+            const kind = UndoRedoManager.MAP_LABELS[entryChange.key] || entryChange.key;
+            const verb = entryChange.before === undefined ? 'Add' :
+                         entryChange.after === undefined ? 'Delete' : 'Edit';
+            return `${verb} ${kind} ${entryChange.entry}`;
+        }
+        
+        const keys = changes.map(change => change.key);
+        if (keys.includes('documentTitle')) return 'Rename document';
+        if (keys.includes('config')) return 'Change options';
+        if (keys.includes('tears')) return 'Edit tears';
+        if (keys.includes('rows')) return 'Move rows';
+        return 'Edit';
+    }
+    
     /**
      * Restore a state
      * @param {Object} state - State object to restore
@@ -100,6 +330,16 @@ class UndoRedoManager {
             JSON.parse(JSON.stringify(value))
         ]));
         
+        this.app.acTablesData = new Map(state.acTablesData.map(([key, value]) => [
+            key,
+            JSON.parse(JSON.stringify(value))
+        ]));
+        
+        this.app.groupsData = new Map(state.groupsData.map(([key, value]) => [
+            key,
+            JSON.parse(JSON.stringify(value))
+        ]));
+        
         // Restore tears
         this.app.tears = new Set(state.tears || []);
         
@@ -109,6 +349,9 @@ class UndoRedoManager {
         this.app.textCounter = state.textCounter;
         this.app.counterCounter = state.counterCounter;
         this.app.arrowCounter = state.arrowCounter;
+        this.app.acTableCounter = state.acTableCounter;
+        this.app.groupCounter = state.groupCounter;
+        this.app.documentTitle = state.documentTitle;
         
         // Update cycles input
         document.getElementById('cycles-input').value = this.app.config.cycles;
@@ -116,6 +359,7 @@ class UndoRedoManager {
         // Clear selections
         this.app.selectedSignals.clear();
         this.app.selectedMeasureRows.clear();
+        this.app.selectedGroupRows.clear();
         
         // Re-render
         this.app.render();
@@ -125,37 +369,43 @@ class UndoRedoManager {
      * Perform undo operation
      */
     undo() {
-        if (this.undoStack.length === 0) {
-            return;
+        this.commitPending();
+        if (this.position > 0) {
+            this.jumpTo(this.position - 1);
         }
-        
-        // Save current state to redo stack
-        const currentState = this.serializeState();
-        this.redoStack.push(currentState);
-        
-        // Pop and restore previous state
-        const previousState = this.undoStack.pop();
-        this.restoreState(previousState);
-        
-        this.updateButtons();
     }
     
     /**
      * Perform redo operation
      */
     redo() {
-        if (this.redoStack.length === 0) {
+        this.commitPending();
+        if (this.position < this.history.length) {
+            this.jumpTo(this.position + 1);
+        }
+    }
+    
+    /**
+     * Move through the history to the point where the first `target` commands are applied
+     * @param {number} target - 0 for the initial state, history.length for the latest command
+     */
+    jumpTo(target) {
+        this.commitPending();
+        target = Math.max(0, Math.min(target, this.history.length));
+        if (target === this.position) {
             return;
         }
         
-        // Save current state to undo stack
-        const currentState = this.serializeState();
-        this.undoStack.push(currentState);
-        
-        // Pop and restore next state
-        const nextState = this.redoStack.pop();
-        this.restoreState(nextState);
+        while (this.position > target) {
+            this.position--;
+            this.applyChanges(this.snapshot, this.history[this.position].changes, 'before');
+        }
+        while (this.position < target) {
+            this.applyChanges(this.snapshot, this.history[this.position].changes, 'after');
+            this.position++;
+        }
         
+        this.restoreState(this.snapshot);
         this.updateButtons();
     }
     
@@ -163,24 +413,154 @@ class UndoRedoManager {
      * Clear all history (called on New or Load)
      */
     clearHistory() {
-        this.undoStack = [];
-        this.redoStack = [];
+        this.history = [];
+        this.position = 0;
+        this.cleanPosition = 0;
+        this.pendingCapture = false;
+        this.pendingChanged = false;
+        this.pendingLabel = null;
+        this.snapshot = this.serializeState();
+        this.updateButtons();
+    }
+    
+    /**
+     * Get the current point in the history, for markClean() once an asynchronous save is written.
+     * Pending changes are committed first, so the point matches the state serialized right after.
+     * @returns {Object} {command}: the last applied command, null at the start of the history
+     */
+    getSavePoint() {
+        this.commitPending();
+        return { command: this.position > 0 ? this.history[this.position - 1] : null };
+    }
+    
+    /**
+     * Remember a point in the history as saved
+     * @param {Object} [savePoint] - Point from getSavePoint() (default: the current point)
+     */
+    markClean(savePoint) {
+        this.commitPending();
+        if (!savePoint) {
+            this.cleanPosition = this.position;
+        } else if (savePoint.command) {
+            // -1 if the command was dropped from the history in the meantime
+            const index = this.history.indexOf(savePoint.command);
+            this.cleanPosition = index >= 0 ? index + 1 : -1;
+        } else {
+            this.cleanPosition = 0;
+        }
         this.updateButtons();
     }
     
+    /**
+     * Check for changes since the document was loaded or last saved.
+     * A captureState() not followed by a change leaves the document clean.
+     * Pending changes are only looked for until the first one is found (each look
+     * serializes the whole document); commitPending() records whether they remain.
+     * @returns {boolean} True if there are unsaved changes
+     */
+    isDirty() {
+        if (this.position !== this.cleanPosition) {
+            return true;
+        }
+        if (this.pendingCapture && !this.pendingChanged && this.comparingPending) {
+            this.pendingChanged = this.diffStates(this.snapshot, this.serializeState()).length > 0;
+        }
+        return this.pendingCapture && this.pendingChanged;
+    }
+    
     /**
      * Update the undo/redo button states
      */
     updateButtons() {
         const undoBtn = document.getElementById('undo-btn');
         const redoBtn = document.getElementById('redo-btn');
+        const canRedo = this.position < this.history.length && !this.pendingCapture;
         
         if (undoBtn) {
-            undoBtn.disabled = this.undoStack.length === 0;
+            undoBtn.disabled = this.position === 0 && !this.pendingCapture;
+            undoBtn.title = this.pendingCapture ? `Undo ${this.pendingLabel || 'last action'}` :
+                            this.position > 0 ? `Undo ${this.history[this.position - 1].label}` : '';
         }
         
         if (redoBtn) {
-            redoBtn.disabled = this.redoStack.length === 0;
+            redoBtn.disabled = !canRedo;
+            redoBtn.title = canRedo ? `Redo ${this.history[this.position].label}` : '';
+        }
+        
+        this.renderHistoryPanel();
+        
+        if (this.app.updateDocumentTitle) {
+            this.app.updateDocumentTitle();
+        }
+    }
+    
+    /**
+     * Show or hide the history side panel
+     */
+    toggleHistoryPanel() {
+        const panel = document.getElementById('history-panel');
+        if (!panel) return;
+        
+        panel.style.display = panel.style.display === 'none' ? 'flex' : 'none';
+        this.renderHistoryPanel();
+    }
+    
+    /**
+     * Fill the history panel list; clicking an entry jumps to that point
+     */
+    renderHistoryPanel() {
+        const panel = document.getElementById('history-panel');
+        const list = document.getElementById('history-list');
+        if (!panel || !list || panel.style.display === 'none') {
+            return;
+        }
+        
+        list.innerHTML = '';
+        
+        const labels = ['Initial state', ...this.history.map(command => command.label)];
+        if (this.pendingCapture) {
+            labels.splice(this.position + 1, labels.length, this.pendingLabel || 'Edit');
+        }
+        const current = this.pendingCapture ? this.position + 1 : this.position;
+        
+        labels.forEach((label, index) => {
+            const item = document.createElement('div');
+            item.className = 'history-item';
+            if (index === current) item.classList.add('current');
+            if (index > current) item.classList.add('undone');
+            item.textContent = label;
+            item.addEventListener('click', () => {
+                // The pending entry is the current state: committing it records it only if it changed
+                // something, so jumping to its index could redo the first hidden command instead
+                if (this.pendingCapture && index > this.position) {
+                    this.commitPending();
+                } else {
+                    this.jumpTo(index);
+                }
+            });
+            list.appendChild(item);
+        });
+        
+        const currentItem = list.querySelector('.current');
+        if (currentItem) {
+            currentItem.scrollIntoView({ block: 'nearest' });
         }
     }
 }
+
+// Serialized state fields holding Map entries, diffed entry by entry
+UndoRedoManager.MAP_KEYS = ['signalsData', 'measuresData', 'textData', 'counterData', 'arrowsData', 'acTablesData', 'groupsData'];
+
+// Names used in derived command labels
+UndoRedoManager.MAP_LABELS = {
+    signalsData: 'signal',
+    measuresData: 'measure',
+    textData: 'text',
+    counterData: 'counter',
+    arrowsData: 'arrow',
+    acTablesData: 'AC table',
+    groupsData: 'group'
+};
+
+// Names of all registered actions ("Class.method"), for debugging and tooling
+UndoRedoManager.registeredActions = [];
@@ -0,0 +1,632 @@
+// Timing Gen 3 - VCD Module
+// Version 3.4.1
+// Handles Value Change Dump (VCD) import from simulation and export for waveform viewers
+
+class TimingGenVCD {
+    /**
+     * Show file picker for VCD import
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static showImportDialog(app) {
+        document.getElementById('vcd-file-input').click();
+    }
+
+    /**
+     * Parse the VCD file chosen in the file input and show the signal picker
+     * @param {TimingGenApp} app - Main application instance
+     * @param {Event} ev - Change event from the file input
+     */
+    static importFromVCD(app, ev) {
+        const file = ev.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            try {
+                const vcd = TimingGenVCD.parseVCD(event.target.result);
+                if (vcd.vars.length === 0) {
+                    alert('No variables found in VCD file');
+                    return;
+                }
+                app.vcdImport = vcd;
+                TimingGenVCD.showSignalPickerDialog(app);
+            } catch (err) {
+                alert('Error reading VCD file: ' + err.message);
+                console.error('VCD import error:', err);
+            }
+        };
+
+        reader.readAsText(file);
+        ev.target.value = ''; // Reset file input
+    }
+
+    /**
+     * Parse VCD text into variable definitions and value changes
+     * @param {string} text - VCD file contents
+     * @returns {Object} {timescale: {magnitude, unit}, vars, changes, endTime}
+     */
+    static parseVCD(text) {
+        const tokens = text.split(/\s+/).filter(token => token.length > 0);
+        const vcd = {
+            timescale: { magnitude: 1, unit: 'ns' },
+            vars: [],
+            changes: new Map(), // id -> [{time, value}]
+            endTime: 0
+        };
+        const scopes = [];
+        let time = 0;
+        let idx = 0;
+
+        // Collect tokens of a $keyword ... $end section
+        const readSection = () => {
+            const section = [];
+            idx++;
+            while (idx < tokens.length && tokens[idx] !== '$end') {
+                section.push(tokens[idx]);
+                idx++;
+            }
+            idx++; // Skip $end
+            return section;
+        };
+
+        const addChange = (id, value) => {
+            const list = vcd.changes.get(id);
+            if (!list) return; // Unknown identifier
+            // Keep only the last change at a given time
+            if (list.length > 0 && list[list.length - 1].time === time) {
+                list[list.length - 1].value = value;
+            } else {
+                list.push({ time: time, value: value });
+            }
+        };
+
+        while (idx < tokens.length) {
+            const token = tokens[idx];
+
+            if (token === '$timescale') {
+                const match = readSection().join('').match(/^(\d+)\s*(s|ms|us|ns|ps|fs)$/);
+                if (!match) {
+                    throw new Error('Unrecognized $timescale');
+                }
+                vcd.timescale = { magnitude: parseInt(match[1]), unit: match[2] };
+            } else if (token === '$scope') {
+                const section = readSection();
+                scopes.push(section[1] || section[0] || '');
+            } else if (token === '$upscope') {
+                readSection();
+                scopes.pop();
+            } else if (token === '$var') {
+                // $var type size identifier reference [range] $end
+                const section = readSection();
+                if (section.length < 4) continue;
+                const variable = {
+                    type: section[0],
+                    width: parseInt(section[1]) || 1,
+                    id: section[2],
+                    name: section[3],
+                    range: section.slice(4).join(''),
+                    scope: scopes.join('.')
+                };
+                variable.fullName = variable.scope ? `${variable.scope}.${variable.name}` : variable.name;
+                vcd.vars.push(variable);
+                if (!vcd.changes.has(variable.id)) {
+                    vcd.changes.set(variable.id, []);
+                }
+            } else if (token === '$comment' || token === '$date' || token === '$version' ||
+                       token === '$enddefinitions') {
+                readSection();
+            } else if (token[0] === '$') {
+                // $dumpvars, $dumpall, $dumpon, $dumpoff and their $end
+                idx++;
+            } else if (token[0] === '#') {
+                time = parseInt(token.substring(1));
+                vcd.endTime = Math.max(vcd.endTime, time);
+                idx++;
+            } else if (token[0] === 'b' || token[0] === 'B' || token[0] === 'r' || token[0] === 'R') {
+                // Vector or real value followed by identifier
+                addChange(tokens[idx + 1], token.substring(1).toLowerCase());
+                idx += 2;
+            } else {
+                // Scalar value immediately followed by identifier
+                addChange(token.substring(1), token[0].toLowerCase());
+                idx++;
+            }
+        }
+
+        return vcd;
+    }
+
+    /**
+     * Populate and show the VCD signal picker dialog
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static showSignalPickerDialog(app) {
+        const vcd = app.vcdImport;
+        const list = document.getElementById('vcd-signal-list');
+        list.innerHTML = '';
+
+        // Group variables by scope with a scope-level checkbox
+        const scopes = new Map();
+        vcd.vars.forEach((variable, index) => {
+            if (!scopes.has(variable.scope)) scopes.set(variable.scope, []);
+            scopes.get(variable.scope).push(index);
+        });
+
+        scopes.forEach((indices, scope) => {
+            const scopeLabel = document.createElement('div');
+            scopeLabel.className = 'vcd-scope';
+            const scopeCheckbox = document.createElement('input');
+            scopeCheckbox.type = 'checkbox';
+            scopeCheckbox.checked = true;
+            scopeLabel.appendChild(scopeCheckbox);
+            scopeLabel.appendChild(document.createTextNode(' ' + (scope || '(top)')));
+            list.appendChild(scopeLabel);
+
+            const signalCheckboxes = [];
+            indices.forEach(index => {
+                const variable = vcd.vars[index];
+                const item = document.createElement('div');
+                item.className = 'vcd-signal';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = true;
+                checkbox.dataset.index = index;
+                item.appendChild(checkbox);
+                item.appendChild(document.createTextNode(
+                    ` ${variable.name}${variable.range} (${variable.width === 1 ? 'bit' : variable.width + ' bits'})`));
+                list.appendChild(item);
+                signalCheckboxes.push(checkbox);
+            });
+
+            scopeCheckbox.addEventListener('change', () => {
+                signalCheckboxes.forEach(checkbox => checkbox.checked = scopeCheckbox.checked);
+            });
+        });
+
+        // Clock candidates are 1-bit variables; prefer one named like a clock
+        const clockSelect = document.getElementById('vcd-clock-select');
+        clockSelect.innerHTML = '';
+        let defaultClock = -1;
+        vcd.vars.forEach((variable, index) => {
+            if (variable.width !== 1) return;
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = variable.fullName;
+            clockSelect.appendChild(option);
+            if (defaultClock < 0 && /cl(oc)?k/i.test(variable.name)) {
+                defaultClock = index;
+            }
+        });
+        if (clockSelect.options.length === 0) {
+            alert('VCD file has no 1-bit variable to use as a clock');
+            app.vcdImport = null;
+            return;
+        }
+        if (defaultClock >= 0) {
+            clockSelect.value = defaultClock;
+        }
+
+        document.getElementById('vcd-edge-select').value = 'rising';
+        document.getElementById('vcd-max-cycles-input').value = 50;
+        document.getElementById('vcd-import-dialog').style.display = 'flex';
+    }
+
+    /**
+     * Hide the VCD signal picker dialog and drop the parsed file
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static hideSignalPickerDialog(app) {
+        document.getElementById('vcd-import-dialog').style.display = 'none';
+        app.vcdImport = null;
+    }
+
+    /**
+     * Build the diagram from the variables selected in the picker dialog, in a new tab if the current document has rows
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static applyVCDImport(app) {
+        const vcd = app.vcdImport;
+        if (!vcd) return;
+
+        const clockVar = vcd.vars[parseInt(document.getElementById('vcd-clock-select').value)];
+        const edge = document.getElementById('vcd-edge-select').value;
+        const maxCycles = parseInt(document.getElementById('vcd-max-cycles-input').value);
+
+        if (isNaN(maxCycles) || maxCycles < 1) {
+            alert('Please enter a valid maximum number of cycles');
+            return;
+        }
+
+        const selected = [];
+        document.querySelectorAll('#vcd-signal-list .vcd-signal input').forEach(checkbox => {
+            if (checkbox.checked) {
+                selected.push(vcd.vars[parseInt(checkbox.dataset.index)]);
+            }
+        });
+
+        const edges = TimingGenVCD.findClockEdges(vcd, clockVar, edge);
+        if (edges.length < 2) {
+            alert(`Clock "${clockVar.fullName}" has fewer than two ${edge} edges`);
+            return;
+        }
+
+        const cycles = Math.min(edges.length, maxCycles);
+        const periodTicks = TimingGenVCD.medianInterval(edges);
+
+        // Each cycle ends just before the next clock edge
+        const boundaries = [];
+        for (let cycle = 0; cycle < cycles; cycle++) {
+            boundaries.push(cycle + 1 < edges.length ? edges[cycle + 1] : edges[cycle] + periodTicks);
+        }
+
+        // Use short names unless they collide across scopes
+        const nameCounts = new Map();
+        selected.forEach(variable => nameCounts.set(variable.name, (nameCounts.get(variable.name) || 0) + 1));
+        const displayName = (variable) => nameCounts.get(variable.name) > 1 ? variable.fullName : variable.name;
+
+        TimingGenVCD.hideSignalPickerDialog(app);
+        if (app.tabs && app.rows.length > 0) {
+            // Keep the open document; import into a new tab
+            TimingGenTabs.newTab(app);
+        }
+        TimingGenData.clearDocument(app);
+
+        const period = TimingGenVCD.convertTime(periodTicks * vcd.timescale.magnitude, vcd.timescale.unit);
+        app.config.clockPeriod = period.value;
+        app.config.clockPeriodUnit = period.unit;
+        app.config.cycles = cycles;
+        document.getElementById('cycles-input').value = app.config.cycles;
+
+        // Clock goes first
+        const clockName = displayName(clockVar);
+        app.signalsData.set(clockName, { name: clockName, type: 'clock', values: {} });
+        app.rows.push({ type: 'signal', name: clockName });
+
+        selected.forEach(variable => {
+            if (variable === clockVar) return;
+            const name = displayName(variable);
+            if (app.signalsData.has(name)) return;
+
+            const isBit = variable.width === 1 && variable.type !== 'real';
+            const signal = {
+                name: name,
+                type: isBit ? 'bit' : 'bus',
+                values: {},
+                base_clock: clockName
+            };
+
+            const changes = vcd.changes.get(variable.id) || [];
+            let lastValue;
+            let changeIdx = 0;
+            let current = 'x';
+            for (let cycle = 0; cycle < cycles; cycle++) {
+                while (changeIdx < changes.length && changes[changeIdx].time < boundaries[cycle]) {
+                    current = changes[changeIdx].value;
+                    changeIdx++;
+                }
+                const value = isBit ? TimingGenVCD.toBitValue(current) : TimingGenVCD.toBusValue(current, variable);
+                if (cycle === 0 || value !== lastValue) {
+                    signal.values[cycle] = value;
+                }
+                lastValue = value;
+            }
+
+            app.signalsData.set(name, signal);
+            app.rows.push({ type: 'signal', name: name });
+        });
+
+        // Clear undo/redo history when loading new document
+        app.undoRedoManager.clearHistory();
+
+        app.initializeCanvas();
+        app.render();
+    }
+
+    /**
+     * Find the times of the chosen clock edge. A clock already at the edge's level at
+     * time 0 starts the first cycle there (diagrams exported as VCD begin that way).
+     * @param {Object} vcd - Parsed VCD data
+     * @param {Object} clockVar - Clock variable definition
+     * @param {string} edge - 'rising' or 'falling'
+     * @returns {number[]} Edge times in VCD time units
+     */
+    static findClockEdges(vcd, clockVar, edge) {
+        const target = edge === 'rising' ? '1' : '0';
+        const edges = [];
+        let previous = null;
+        (vcd.changes.get(clockVar.id) || []).forEach(change => {
+            const startsHere = previous === null && change.time === 0;
+            if (change.value === target && (startsHere || (previous !== null && previous !== target))) {
+                edges.push(change.time);
+            }
+            previous = change.value;
+        });
+        return edges;
+    }
+
+    /**
+     * Median interval between consecutive times
+     * @param {number[]} times - Sorted times
+     * @returns {number} Median interval
+     */
+    static medianInterval(times) {
+        const intervals = [];
+        for (let idx = 1; idx < times.length; idx++) {
+            intervals.push(times[idx] - times[idx - 1]);
+        }
+        intervals.sort((a, b) => a - b);
+        return intervals[Math.floor(intervals.length / 2)];
+    }
+
+    /**
+     * Convert a time in a VCD unit to the closest clock period unit offered in Global Options
+     * @param {number} value - Time value
+     * @param {string} unit - VCD unit (s, ms, us, ns, ps, fs)
+     * @returns {Object} {value, unit}
+     */
+    static convertTime(value, unit) {
+        const scale = { s: 1e12, ms: 1e9, us: 1e6, ns: 1e3, ps: 1, fs: 1e-3 };
+        const picoseconds = value * scale[unit];
+        const units = ['ms', 'us', 'ns', 'ps'];
+        for (const candidate of units) {
+            if (picoseconds >= scale[candidate]) {
+                return { value: parseFloat((picoseconds / scale[candidate]).toFixed(6)), unit: candidate };
+            }
+        }
+        return { value: parseFloat(picoseconds.toFixed(6)), unit: 'ps' };
+    }
+
+    /**
+     * Convert a VCD scalar value to a bit value
+     * @param {string} value - VCD value ('0', '1', 'x', 'z', or a 1-bit vector)
+     * @returns {number|string} 0, 1, 'X' or 'Z'
+     */
+    static toBitValue(value) {
+        const ch = value.length > 0 ? value[value.length - 1] : 'x';
+        if (ch === '0') return 0;
+        if (ch === '1') return 1;
+        if (ch === 'z') return 'Z';
+        return 'X';
+    }
+
+    /**
+     * Convert a VCD vector or real value to a bus value string
+     * @param {string} value - VCD binary string or real number
+     * @param {Object} variable - Variable definition
+     * @returns {string} Hex value such as '0xAB', or 'X' / 'Z'
+     */
+    static toBusValue(value, variable) {
+        if (variable.type === 'real') {
+            return value;
+        }
+        if (/^z+$/.test(value)) return 'Z';
+        if (/[xz]/.test(value)) return 'X';
+
+        // Left-extend with zeros to the declared width, then convert 4 bits at a time
+        const bits = value.padStart(Math.max(variable.width, value.length), '0');
+        const padded = bits.padStart(Math.ceil(bits.length / 4) * 4, '0');
+        let hex = '';
+        for (let idx = 0; idx < padded.length; idx += 4) {
+            hex += parseInt(padded.substring(idx, idx + 4), 2).toString(16).toUpperCase();
+        }
+        return '0x' + hex;
+    }
+    /**
+     * Export all signals as a VCD file
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static exportToVCD(app) {
+        const result = TimingGenVCD.buildVCD(app);
+
+        if (result.warnings.length > 0) {
+            const proceed = confirm('The following values cannot be represented in VCD and will be written as x:\n\n- ' +
+                                    result.warnings.join('\n- ') + '\n\nExport anyway?');
+            if (!proceed) return;
+        }
+
+        const blob = new Blob([result.text], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+
+        const anchor = document.createElement('a');
+        anchor.href = url;
+        anchor.download = `${TimingGenData.getExportBaseName(app)}.vcd`;
+        anchor.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Build VCD text from signalsData. Timestamps are the start of the cycle of the
+     * signal's base clock (clocks use their own period, duty cycle, phase and polarity) plus
+     * the effective minimum delay of each transition, written with a timescale
+     * 1000 times finer than the clock period unit so fractional delays survive.
+     * Differential pairs are one wire carrying the differential value (z while idle).
+     * Analog signals are real variables holding the voltage of each point from its cycle on
+     * (viewers that interpolate reals show the ramps).
+     * @param {TimingGenApp} app - Main application instance
+     * @returns {Object} {text, warnings}
+     */
+    static buildVCD(app) {
+        const finerUnit = { ms: 'us', us: 'ns', ns: 'ps', ps: 'fs' };
+        const unit = app.config.clockPeriodUnit || 'ns';
+        const period = app.config.clockPeriod * 1000;
+        const toTicks = (time) => Math.round(time * 1000);
+        const warnings = [];
+        const events = []; // {time, order, text}
+
+        const signals = [];
+        app.rows.forEach(row => {
+            if (row.type === 'signal' && app.signalsData.has(row.name)) {
+                signals.push(app.signalsData.get(row.name));
+            }
+        });
+
+        const lines = [
+            '$date',
+            `    ${new Date().toUTCString()}`,
+            '$end',
+            '$version',
+            '    Timing Gen 3',
+            '$end',
+            `$timescale 1${finerUnit[unit] || 'ps'} $end`,
+            '$scope module timing_diagram $end'
+        ];
+
+        signals.forEach((signal, order) => {
+            const id = TimingGenVCD.identifierFor(order);
+            const name = signal.name.replace(/\s+/g, '_');
+
+            if (signal.type === 'clock') {
+                lines.push(`$var wire 1 ${id} ${name} $end`);
+                const { initial, edges } = TimingGenModel.getClockEdges(app.config, app.getSignalTiming(signal), signal);
+                if (edges.length === 0 || edges[0].time > 0) {
+                    events.push({ time: 0, order: order, text: `${initial ? 1 : 0}${id}` });
+                }
+                edges.forEach(edge => {
+                    events.push({ time: Math.round(edge.time * period), order: order, text: `${edge.high ? 1 : 0}${id}` });
+                });
+                return;
+            }
+
+            if (signal.type === 'analog') {
+                lines.push(`$var real 64 ${id} ${name} $end`);
+                const timing = app.getSignalTiming(signal);
+                const cycles = app.getSignalCycleCount(signal);
+                events.push({ time: 0, order: order, text: `r${TimingGenModel.getAnalogValueAtCycle(signal, 0)} ${id}` });
+                TimingGenModel.getAnalogPoints(signal)
+                    .filter(point => point.cycle > 0 && point.cycle < cycles)
+                    .forEach(point => {
+                        const time = Math.round(TimingGenModel.getCycleTime(timing, point.cycle) * period);
+                        events.push({ time: time, order: order, text: `r${point.value} ${id}` });
+                    });
+                return;
+            }
+
+            const isBus = signal.type === 'bus';
+            const encode = isBus ? null : (value) => {
+                if (value === 'X') return 'x';
+                if (value === 'Z') return 'z';
+                return value ? '1' : '0';
+            };
+
+            // Collect transitions in cycle order of the base clock (including changes between its edges)
+            const timing = app.getSignalTiming(signal);
+            const transitions = [];
+            let lastValue;
+            for (const cycle of TimingGenModel.getValueCycles(signal, app.getSignalCycleCount(signal))) {
+                const value = isBus ? app.getBusValueAtCycle(signal, cycle) : app.getBitValueAtCycle(signal, cycle);
+                const isChange = cycle === 0 || (isBus ? signal.values[cycle] !== undefined : value !== lastValue);
+                if (isChange && (cycle === 0 || value !== lastValue)) {
+                    const delay = cycle === 0 ? 0 : app.getEffectiveDelayInTime(signal, cycle).min;
+                    const start = cycle === 0 ? 0 : TimingGenModel.getCycleTime(timing, cycle);
+                    transitions.push({ time: Math.round(start * period + toTicks(delay)), value: value });
+                }
+                lastValue = value;
+            }
+
+            if (isBus) {
+                const width = TimingGenVCD.busWidth(transitions.map(tr => tr.value));
+                lines.push(`$var wire ${width} ${id} ${name} [${width - 1}:0] $end`);
+                transitions.forEach(tr => {
+                    const bits = TimingGenVCD.toBinary(tr.value, width);
+                    if (bits === null) {
+                        warnings.push(`${signal.name} = ${tr.value}`);
+                    }
+                    events.push({ time: tr.time, order: order, text: `b${bits === null ? 'x' : bits} ${id}` });
+                });
+            } else {
+                lines.push(`$var wire 1 ${id} ${name} $end`);
+                transitions.forEach(tr => {
+                    events.push({ time: tr.time, order: order, text: `${encode(tr.value)}${id}` });
+                });
+            }
+        });
+
+        lines.push('$upscope $end');
+        lines.push('$enddefinitions $end');
+
+        // Stable sort by time, then by row order
+        events.sort((a, b) => a.time - b.time || a.order - b.order);
+
+        let currentTime = null;
+        events.forEach(event => {
+            if (event.time !== currentTime) {
+                if (currentTime === 0) lines.push('$end');
+                currentTime = event.time;
+                lines.push(`#${currentTime}`);
+                if (currentTime === 0) lines.push('$dumpvars');
+            }
+            lines.push(event.text);
+        });
+        if (currentTime === 0) lines.push('$end');
+        lines.push(`#${Math.round(app.config.cycles * period)}`);
+
+        return { text: lines.join('\n') + '\n', warnings: warnings };
+    }
+
+    /**
+     * Generate a short VCD identifier from printable ASCII characters
+     * @param {number} index - Variable index
+     * @returns {string} Identifier code
+     */
+    static identifierFor(index) {
+        let id = '';
+        do {
+            id += String.fromCharCode(33 + (index % 94));
+            index = Math.floor(index / 94) - 1;
+        } while (index >= 0);
+        return id;
+    }
+
+    /**
+     * Parse a bus value as a number
+     * @param {string} value - Bus value such as '0xAB', '0b1010', '42' or 'AB'
+     * @returns {bigint|null} Numeric value, or null if the value is not numeric
+     */
+    static parseBusNumber(value) {
+        const text = String(value).trim().replace(/_/g, '');
+        try {
+            if (/^0x[0-9a-f]+$/i.test(text) || /^0b[01]+$/i.test(text)) return BigInt(text);
+            if (/^\d+$/.test(text)) return BigInt(text);
+            if (/^[0-9a-f]+$/i.test(text)) return BigInt('0x' + text);
+        } catch (err) {
+            return null;
+        }
+        return null;
+    }
+
+    /**
+     * Number of bits needed to hold every numeric bus value
+     * @param {Array} values - Bus values
+     * @returns {number} Width in bits (at least 1)
+     */
+    static busWidth(values) {
+        let width = 1;
+        values.forEach(value => {
+            const text = String(value).trim();
+            if (/^0x/i.test(text)) {
+                width = Math.max(width, (text.length - 2) * 4);
+                return;
+            }
+            const number = TimingGenVCD.parseBusNumber(value);
+            if (number !== null) {
+                width = Math.max(width, number.toString(2).length);
+            }
+        });
+        return width;
+    }
+
+    /**
+     * Convert a bus value to a VCD binary string
+     * @param {string} value - Bus value
+     * @param {number} width - Bus width in bits
+     * @returns {string|null} Binary digits, 'x'/'z', or null if not representable
+     */
+    static toBinary(value, width) {
+        if (value === 'X') return 'x';
+        if (value === 'Z') return 'z';
+        const number = TimingGenVCD.parseBusNumber(value);
+        if (number === null) return null;
+        return number.toString(2).padStart(width, '0');
+    }
+}
@@ -0,0 +1,868 @@
+// Timing Gen 3 - WaveDrom Module
+// Version 3.4.1
+// Handles WaveDrom WaveJSON import and export
+
+class TimingGenWaveDrom {
+    /**
+     * Show file picker for WaveJSON import
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static showImportDialog(app) {
+        document.getElementById('wavejson-file-input').click();
+    }
+
+    /**
+     * Load a WaveJSON file chosen in the file input as a new document
+     * @param {TimingGenApp} app - Main application instance
+     * @param {Event} ev - Change event from the file input
+     */
+    static importFromWaveJSON(app, ev) {
+        const file = ev.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            try {
+                const source = TimingGenWaveDrom.parseWaveJSON(event.target.result);
+                const result = TimingGenWaveDrom.convertWaveJSON(source);
+                TimingGenWaveDrom.applyImport(app, result);
+
+                if (result.untranslated.length > 0) {
+                    alert('WaveJSON imported with the following items not translated:\n\n- ' +
+                          result.untranslated.join('\n- '));
+                }
+            } catch (err) {
+                alert('Error importing WaveJSON: ' + err.message);
+                console.error('WaveJSON import error:', err);
+            }
+        };
+
+        reader.readAsText(file);
+        ev.target.value = ''; // Reset file input
+    }
+
+    /**
+     * Parse WaveJSON text. WaveDrom sources are usually JavaScript object
+     * literals (unquoted keys, single quotes, trailing commas, comments), so
+     * they are normalized to strict JSON when plain JSON.parse fails.
+     * @param {string} text - WaveJSON source text
+     * @returns {Object} Parsed WaveJSON object
+     */
+    static parseWaveJSON(text) {
+        try {
+            return JSON.parse(text);
+        } catch (err) {
+            return JSON.parse(TimingGenWaveDrom.normalizeToJSON(text));
+        }
+    }
+
+    /**
+     * Convert relaxed JavaScript object literal syntax to strict JSON
+     * @param {string} text - Source text
+     * @returns {string} Strict JSON text
+     */
+    static normalizeToJSON(text) {
+        let out = '';
+        let idx = 0;
+
+        while (idx < text.length) {
+            const ch = text[idx];
+
+            if (ch === '"' || ch === "'") {
+                // String literal - re-emit as double-quoted JSON string
+                let value = '';
+                idx++;
+                while (idx < text.length && text[idx] !== ch) {
+                    if (text[idx] === '\\' && idx + 1 < text.length) {
+                        const next = text[idx + 1];
+                        value += next === "'" ? "'" : '\\' + next;
+                        idx += 2;
+                    } else {
+                        value += text[idx] === '"' ? '\\"' : text[idx];
+                        idx++;
+                    }
+                }
+                out += '"' + value + '"';
+                idx++;
+            } else if (ch === '/' && text[idx + 1] === '/') {
+                // Line comment
+                while (idx < text.length && text[idx] !== '\n') idx++;
+            } else if (ch === '/' && text[idx + 1] === '*') {
+                // Block comment
+                const end = text.indexOf('*/', idx + 2);
+                idx = end < 0 ? text.length : end + 2;
+            } else if (ch === ',') {
+                // Drop trailing commas before a closing bracket
+                let jdx = idx + 1;
+                while (jdx < text.length && /\s/.test(text[jdx])) jdx++;
+                if (text[jdx] !== '}' && text[jdx] !== ']') {
+                    out += ch;
+                }
+                idx++;
+            } else if (/[A-Za-z_$]/.test(ch)) {
+                // Identifier - quote it when used as an object key
+                let ident = '';
+                while (idx < text.length && /[\w$]/.test(text[idx])) {
+                    ident += text[idx];
+                    idx++;
+                }
+                let jdx = idx;
+                while (jdx < text.length && /\s/.test(text[jdx])) jdx++;
+                out += text[jdx] === ':' ? '"' + ident + '"' : ident;
+            } else {
+                out += ch;
+                idx++;
+            }
+        }
+
+        return out;
+    }
+
+    /**
+     * Convert a parsed WaveJSON object into Timing Gen rows and data
+     * @param {Object} source - Parsed WaveJSON object
+     * @returns {Object} Import result with rows, signals, texts, arrows, tears, cycles and untranslated list
+     */
+    static convertWaveJSON(source) {
+        if (!source || !Array.isArray(source.signal)) {
+            throw new Error('Not a WaveJSON document (missing "signal" array)');
+        }
+
+        const result = {
+            rows: [],
+            signals: new Map(),
+            texts: new Map(),
+            arrows: new Map(),
+            tears: new Set(),
+            cycles: 1,
+            untranslated: []
+        };
+        const notes = new Set();
+        const note = (msg) => notes.add(msg);
+
+        // Flatten lanes, remembering the group path of each lane
+        const lanes = [];
+        const collectLanes = (items, path) => {
+            let start = 0;
+            if (items.length > 0 && typeof items[0] === 'string') {
+                const label = items[0];
+                path = label ? path.concat(label) : path;
+                if (label) {
+                    lanes.push({ groupLabel: path.join(' / ') });
+                }
+                start = 1;
+            }
+            for (let idx = start; idx < items.length; idx++) {
+                const item = items[idx];
+                if (Array.isArray(item)) {
+                    collectLanes(item, path);
+                } else if (item && typeof item === 'object') {
+                    lanes.push({ lane: item });
+                }
+            }
+        };
+        collectLanes(source.signal, []);
+
+        if (lanes.some(entry => entry.groupLabel !== undefined)) {
+            note('Lane group brackets (group labels are shown as text rows)');
+        }
+
+        // WaveDrom columns are mapped to cycles using the period of the first clock lane
+        const firstClock = lanes.find(entry => entry.lane && entry.lane.wave &&
+            TimingGenWaveDrom.isClockWave(entry.lane.wave));
+        const columnsPerCycle = firstClock ? (firstClock.lane.period || 1) : 1;
+
+        const nodes = new Map(); // node letter -> {signalName, cycle}
+        let textCounter = 0;
+        let unnamedCounter = 0;
+        let firstClockName = null;
+
+        const addText = (text) => {
+            const name = `T${textCounter}`;
+            textCounter++;
+            result.texts.set(name, {
+                text: text,
+                fontFamily: 'Arial',
+                fontSize: 14,
+                color: '#000000',
+                xOffset: 10
+            });
+            result.rows.push({ type: 'text', name: name });
+        };
+
+        // Header text goes above the lanes
+        if (source.head) {
+            const headText = TimingGenWaveDrom.flattenText(source.head.text);
+            if (headText) addText(headText);
+            if (source.head.tick !== undefined || source.head.tock !== undefined) {
+                note('head.tick / head.tock cycle labels');
+            }
+        }
+
+        lanes.forEach(entry => {
+            if (entry.groupLabel !== undefined) {
+                addText(entry.groupLabel);
+                return;
+            }
+
+            const lane = entry.lane;
+            if (!lane.wave) {
+                // Spacer lane, or a lane with only a name
+                addText(TimingGenWaveDrom.flattenText(lane.name) || '');
+                return;
+            }
+
+            // Pick a unique signal name
+            let baseName = TimingGenWaveDrom.flattenText(lane.name).trim();
+            if (!baseName) {
+                baseName = `sig${unnamedCounter}`;
+                unnamedCounter++;
+            }
+            let name = baseName;
+            let suffix = 2;
+            while (result.signals.has(name)) {
+                name = `${baseName}_${suffix}`;
+                suffix++;
+            }
+            if (name !== baseName) {
+                note(`Duplicate lane name "${baseName}" renamed to "${name}"`);
+            }
+
+            const converted = TimingGenWaveDrom.convertLane(lane, name, columnsPerCycle, note);
+            const signal = {
+                name: name,
+                type: converted.type,
+                values: converted.values
+            };
+            if (converted.transitionStep) {
+                signal.transitionStep = converted.transitionStep;
+            }
+            if (converted.type === 'clock') {
+                // The first clock sets the diagram cycles that the other lanes are placed on
+                if (!firstClockName) {
+                    firstClockName = name;
+                    if (converted.timing.phase) {
+                        note(`Clock "${name}" phase ${lane.phase} (cycles start at its first edge)`);
+                        converted.timing.phase = 0;
+                    }
+                }
+                TimingGenModel.setClockTiming(signal, converted.timing);
+            }
+            result.signals.set(name, signal);
+            result.rows.push({ type: 'signal', name: name });
+
+            converted.gaps.forEach(cycle => result.tears.add(cycle));
+            Object.keys(converted.nodes).forEach(letter => {
+                nodes.set(letter, { signalName: name, cycle: converted.nodes[letter] });
+            });
+            result.cycles = Math.max(result.cycles, converted.length);
+        });
+
+        // Bit and bus signals reference the first clock
+        for (const signal of result.signals.values()) {
+            if (signal.type === 'bit' || signal.type === 'bus') {
+                signal.base_clock = firstClockName || 'clk';
+            }
+        }
+
+        // Footer text goes below the lanes
+        if (source.foot) {
+            const footText = TimingGenWaveDrom.flattenText(source.foot.text);
+            if (footText) addText(footText);
+            if (source.foot.tick !== undefined || source.foot.tock !== undefined) {
+                note('foot.tick / foot.tock cycle labels');
+            }
+        }
+
+        // Edges become arrows between nodes
+        if (Array.isArray(source.edge)) {
+            let arrowCounter = 0;
+            source.edge.forEach(edgeText => {
+                const edge = TimingGenWaveDrom.parseEdge(String(edgeText));
+                if (!edge) {
+                    note(`Edge "${edgeText}" (unrecognized syntax)`);
+                    return;
+                }
+                const from = nodes.get(edge.from);
+                const to = nodes.get(edge.to);
+                if (!from || !to) {
+                    note(`Edge "${edgeText}" (node not found)`);
+                    return;
+                }
+                if (edge.shape.indexOf('>') < 0 || edge.shape.indexOf('<') >= 0) {
+                    note(`Edge shape "${edge.shape}" drawn as a single-headed arrow`);
+                }
+
+                const arrowName = `A${arrowCounter}`;
+                arrowCounter++;
+                result.arrows.set(arrowName, {
+                    name: arrowName,
+                    signal1Name: from.signalName,
+                    cycle1: from.cycle,
+                    poi1Type: 'auto',
+                    signal2Name: to.signalName,
+                    cycle2: to.cycle,
+                    poi2Type: 'auto',
+                    startX: null,
+                    startY: null,
+                    endX: null,
+                    endY: null,
+                    ctrl1X: null,
+                    ctrl1Y: null,
+                    ctrl2X: null,
+                    ctrl2Y: null,
+                    width: 2,
+                    color: '#0000FF',
+                    text: edge.label,
+                    textFont: 'Arial',
+                    textSize: 12,
+                    textColor: '#0000FF'
+                });
+            });
+        }
+
+        // Top-level keys without an equivalent
+        if (source.config) {
+            Object.keys(source.config).forEach(key => {
+                if (key !== 'hscale' || source.config.hscale !== 1) {
+                    note(`config.${key}`);
+                }
+            });
+        }
+        ['assign', 'reg'].forEach(key => {
+            if (source[key] !== undefined) {
+                note(`"${key}" diagrams`);
+            }
+        });
+
+        // Tears must fall inside the diagram
+        for (const cycle of result.tears) {
+            if (cycle >= result.cycles) result.tears.delete(cycle);
+        }
+
+        result.untranslated = Array.from(notes);
+        return result;
+    }
+
+    /**
+     * Check whether a wave string describes a free-running clock
+     * @param {string} wave - WaveDrom wave string
+     * @returns {boolean} True if the wave only contains clock characters
+     */
+    static isClockWave(wave) {
+        return /^[pPnN][pPnNlLhH.|]*$/.test(wave);
+    }
+
+    /**
+     * Convert a single WaveJSON lane into signal values
+     * @param {Object} lane - WaveJSON lane object
+     * @param {string} name - Signal name used in messages
+     * @param {number} columnsPerCycle - WaveDrom columns per Timing Gen cycle
+     * @param {Function} note - Callback receiving untranslated item descriptions
+     * @returns {Object} {type, values, nodes, gaps, length}, transitionStep for changes between clock edges,
+     *     and {period, phase, polarity} timing for clocks
+     */
+    static convertLane(lane, name, columnsPerCycle, note) {
+        const wave = String(lane.wave);
+        const period = lane.period || 1;
+        const phase = lane.phase || 0;
+        const converted = { type: 'bit', values: {}, nodes: {}, gaps: [], length: 0 };
+
+        converted.length = Math.ceil((wave.length * period - phase) / columnsPerCycle);
+
+        // Map a wave string index to a cycle number on the quarter-cycle grid, up to the last quarter of the lane
+        let rounded = false;
+        const toCycle = (idx) => {
+            const column = idx * period - phase;
+            const cycle = column / columnsPerCycle;
+            const snapped = Math.round(cycle * 4) / 4;
+            if (snapped !== cycle) rounded = true;
+            return Math.max(0, Math.min(snapped, converted.length - 0.25));
+        };
+        // Gaps become tears, which sit between whole cycles
+        let gapMoved = false;
+        const toGapCycle = (idx) => {
+            const cycle = toCycle(idx);
+            if (cycle !== Math.floor(cycle)) gapMoved = true;
+            return Math.round(cycle);
+        };
+
+        if (TimingGenWaveDrom.isClockWave(wave)) {
+            converted.type = 'clock';
+            // Clock timing in cycles of the diagram (a wave shifted left by phase columns)
+            converted.timing = {
+                period: period / columnsPerCycle,
+                phase: phase ? -phase / columnsPerCycle : 0,
+                polarity: /^[nN]/.test(wave) ? 'low' : 'high'
+            };
+            if (/[pP]/.test(wave) && /[nN]/.test(wave)) {
+                note(`Clock "${name}" with mixed polarity (drawn with the polarity of its first cycle)`);
+            }
+
+            // l/L and h/H stop the clock low or high, p/P/n/N restart it (one clock cycle per character)
+            let state = 'C';
+            for (let idx = 0; idx < wave.length; idx++) {
+                const ch = wave[idx];
+                const next = /[lL]/.test(ch) ? 0 : /[hH]/.test(ch) ? 1 : /[pPnN]/.test(ch) ? 'C' : state;
+                if (next !== state) {
+                    converted.values[idx] = next;
+                    state = next;
+                }
+            }
+        } else {
+            const isBus = /[=2-9]/.test(wave);
+            converted.type = isBus ? 'bus' : 'bit';
+
+            let data = lane.data || [];
+            if (typeof data === 'string') {
+                data = data.trim().split(/\s+/);
+            }
+            let dataIndex = 0;
+            let lastValue;
+            let subCycle = false;
+            // Wave index that placed the value at each cycle, for changes falling on the same cycle
+            const placedBy = new Map();
+
+            for (let idx = 0; idx < wave.length; idx++) {
+                const ch = wave[idx];
+
+                if (ch === '<' || ch === '>') {
+                    subCycle = ch === '<';
+                    note(`Sub-cycle wave groups in "${name}"`);
+                    continue;
+                }
+                if (subCycle) continue;
+                if (ch === '.') continue;
+                if (ch === '|') {
+                    converted.gaps.push(toGapCycle(idx));
+                    continue;
+                }
+
+                let value;
+                if (ch === 'x' || ch === 'X') {
+                    value = 'X';
+                } else if (ch === 'z') {
+                    value = 'Z';
+                } else if (ch === '=' || /[2-9]/.test(ch)) {
+                    value = dataIndex < data.length ? TimingGenWaveDrom.flattenText(data[dataIndex]) : '';
+                    dataIndex++;
+                    if (/[3-9]/.test(ch)) {
+                        note(`Bus colors in "${name}"`);
+                    }
+                } else if ('1hHpPu'.indexOf(ch) >= 0) {
+                    value = isBus ? '1' : 1;
+                } else if ('0lLnNd'.indexOf(ch) >= 0) {
+                    value = isBus ? '0' : 0;
+                } else {
+                    note(`Wave character "${ch}" in "${name}"`);
+                    continue;
+                }
+
+                if ('pPnN'.indexOf(ch) >= 0) {
+                    note(`Clock pulses inside data lane "${name}" (drawn as a level)`);
+                } else if ('ud'.indexOf(ch) >= 0) {
+                    note(`Pull-up/pull-down levels in "${name}" (drawn as 1/0)`);
+                } else if (isBus && (ch === '0' || ch === '1')) {
+                    note(`Logic levels inside bus "${name}" (drawn as bus values)`);
+                }
+
+                // Bus values start a new span each time; bit values only on change
+                const cycle = toCycle(idx);
+                if (isBus || value !== lastValue || cycle === 0) {
+                    // Characters before the diagram start (phase) give way to the one at cycle 0
+                    if (placedBy.has(cycle) && idx * period - phase >= 0) {
+                        throw new Error(`Lane "${name}": wave characters ${placedBy.get(cycle) + 1} and ${idx + 1} ` +
+                                        `both fall on cycle ${cycle}`);
+                    }
+                    converted.values[cycle] = value;
+                    if (idx * period - phase >= 0) placedBy.set(cycle, idx);
+                }
+                lastValue = value;
+            }
+
+            if (converted.values[0] === undefined) {
+                converted.values[0] = isBus ? 'X' : 0;
+            }
+
+            // Changes between clock edges need the matching transition step
+            const steps = Object.keys(converted.values).map(key => {
+                const fraction = parseFloat(key) % 1;
+                return fraction === 0 ? 1 : fraction === 0.5 ? 0.5 : 0.25;
+            });
+            if (Math.min(...steps) < 1) {
+                converted.transitionStep = Math.min(...steps);
+            }
+        }
+
+        // Nodes mark points for edges
+        if (lane.node) {
+            const nodeStr = String(lane.node);
+            for (let idx = 0; idx < nodeStr.length; idx++) {
+                if (nodeStr[idx] !== '.') {
+                    converted.nodes[nodeStr[idx]] = toCycle(idx);
+                }
+            }
+        }
+
+        if (rounded) {
+            note(`Positions between quarter cycles in "${name}" (rounded to the nearest quarter cycle)`);
+        }
+        if (gapMoved) {
+            note(`Gaps inside a cycle in "${name}" (moved to the nearest cycle boundary)`);
+        }
+
+        return converted;
+    }
+
+    /**
+     * Parse a WaveDrom edge description such as "a~>b label"
+     * @param {string} text - Edge string
+     * @returns {Object|null} {from, to, shape, label} or null if not recognized
+     */
+    static parseEdge(text) {
+        const match = text.match(/^\s*(\S)([-~|<>+]+)(\S)\s*(.*)$/);
+        if (!match) return null;
+        return {
+            from: match[1],
+            shape: match[2],
+            to: match[3],
+            label: match[4] || ''
+        };
+    }
+
+    /**
+     * Flatten a WaveDrom text value (string, number or JsonML array) into plain text
+     * @param {*} value - Text value
+     * @returns {string} Plain text
+     */
+    static flattenText(value) {
+        if (value === undefined || value === null) return '';
+        if (Array.isArray(value)) {
+            // JsonML: ['tspan', {attrs}, 'text', ...]
+            return value.slice(1)
+                .filter(part => typeof part === 'string' || Array.isArray(part))
+                .map(part => TimingGenWaveDrom.flattenText(part))
+                .join('');
+        }
+        return String(value);
+    }
+
+    /**
+     * Open converted WaveJSON data as the document, in a new tab if the current one has rows
+     * @param {TimingGenApp} app - Main application instance
+     * @param {Object} result - Result from convertWaveJSON
+     */
+    static applyImport(app, result) {
+        if (app.tabs && app.rows.length > 0) {
+            // Keep the open document; import into a new tab
+            TimingGenTabs.newTab(app);
+        }
+        TimingGenData.clearDocument(app);
+
+        app.config.cycles = result.cycles;
+        document.getElementById('cycles-input').value = app.config.cycles;
+
+        app.rows = result.rows;
+        result.signals.forEach((signal, name) => app.signalsData.set(name, signal));
+        result.texts.forEach((text, name) => app.textData.set(name, text));
+        result.arrows.forEach((arrow, name) => app.arrowsData.set(name, arrow));
+        app.tears = result.tears;
+        app.textCounter = result.texts.size;
+        app.arrowCounter = result.arrows.size;
+
+        // Clear undo/redo history when loading new document
+        app.undoRedoManager.clearHistory();
+
+        app.initializeCanvas();
+        app.recalculateArrowPositions();
+        app.render();
+    }
+    /**
+     * Export the current diagram as a WaveJSON file
+     * @param {TimingGenApp} app - Main application instance
+     */
+    static exportToWaveJSON(app) {
+        const result = TimingGenWaveDrom.buildWaveJSON(app);
+
+        if (result.warnings.length > 0) {
+            const proceed = confirm('The following features cannot be represented in WaveJSON and will be dropped:\n\n- ' +
+                                    result.warnings.join('\n- ') + '\n\nExport anyway?');
+            if (!proceed) return;
+        }
+
+        const jsonStr = TimingGenWaveDrom.stringifyWaveJSON(result.waveJSON);
+        const blob = new Blob([jsonStr], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const anchor = document.createElement('a');
+        anchor.href = url;
+        anchor.download = `${TimingGenData.getExportBaseName(app)}.json`;
+        anchor.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Build a WaveJSON object from the current rows
+     * @param {TimingGenApp} app - Main application instance
+     * @returns {Object} {waveJSON, warnings}
+     */
+    static buildWaveJSON(app) {
+        const cycles = app.config.cycles;
+        const warnings = new Set();
+        const lanes = [];
+        const laneBySignal = new Map();
+
+        app.rows.forEach(row => {
+            if (row.type === 'signal') {
+                const signal = app.signalsData.get(row.name);
+                if (!signal) return;
+                if (signal.type === 'analog') {
+                    // No analog lanes in WaveDrom; the name keeps the row in place
+                    lanes.push({ name: signal.name });
+                    warnings.add('Analog signals (exported as spacer lanes)');
+                    return;
+                }
+                const lane = TimingGenWaveDrom.signalToLane(app, signal);
+                lanes.push(lane);
+                laneBySignal.set(signal.name, lane);
+
+                if (TimingGenWaveDrom.hasDelayUncertainty(app, signal)) {
+                    warnings.add('Delay uncertainty');
+                }
+                if (TimingGenWaveDrom.hasCustomSlew(signal)) {
+                    warnings.add('Per-signal and per-cycle slew');
+                }
+                if (signal.type === 'clock' && app.getSignalTiming(signal).duty !== 0.5) {
+                    warnings.add('Clock duty cycles other than 50%');
+                }
+                if (signal.type === 'clock' && Object.values(signal.values || {}).includes('G')) {
+                    warnings.add('Gated clock regions (exported as stopped clock cycles)');
+                }
+                if (signal.type === 'clock' && signal.jitter > 0) {
+                    warnings.add('Clock jitter');
+                }
+                if (signal.type === 'diff') {
+                    warnings.add('Differential pairs (exported as single bit lanes)');
+                }
+                if (signal.type !== 'clock' && Object.keys(signal.values || {}).some(key => !Number.isInteger(Number(key)))) {
+                    warnings.add('Changes between clock edges (moved to the next cycle)');
+                }
+            } else if (row.type === 'text') {
+                const textData = app.textData.get(row.name);
+                lanes.push(textData && textData.text ? { name: textData.text } : {});
+            } else if (row.type === 'counter') {
+                lanes.push({});
+                warnings.add('Counter rows (exported as spacer lanes)');
+            } else if (row.type === 'ac-table') {
+                warnings.add('AC tables');
+            } else if (row.type === 'group') {
+                warnings.add('Measure group rows');
+            }
+        });
+
+        if (app.config.delayMin !== app.config.delayMax) {
+            warnings.add('Delay uncertainty');
+        }
+
+        // Tear marks become gap markers where the lane has no transition
+        const tearCycles = Array.from(app.tears || []).filter(cycle => cycle >= 0 && cycle < cycles);
+        tearCycles.forEach(cycle => {
+            for (const [signalName, lane] of laneBySignal.entries()) {
+                // Wave index of the lane cycle running at the tear
+                const timing = app.getSignalTiming(app.signalsData.get(signalName));
+                const index = TimingGenModel.getCycleAtTime(timing, cycle);
+                if (lane.wave[index] === '.') {
+                    lane.wave = lane.wave.substring(0, index) + '|' + lane.wave.substring(index + 1);
+                } else {
+                    warnings.add(`Tear at cycle ${cycle} on lane "${lane.name}" (transition at the same cycle)`);
+                }
+            }
+        });
+
+        // Arrows and measures become node/edge pairs
+        const edges = [];
+        const nodeLetters = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+        const nodeMap = new Map(); // "signal@cycle" -> letter
+        let nextLetter = 0;
+        const nodeFor = (signalName, cycle, what) => {
+            const lane = laneBySignal.get(signalName);
+            if (!lane || cycle === null || cycle === undefined) return null;
+            const signal = app.signalsData.get(signalName);
+            let column = cycle;
+            if (signal.type === 'clock' && cycle < 0) {
+                column = Math.abs(cycle + 1);
+                warnings.add(`Falling clock edge reference in ${what} (placed at the cycle start)`);
+            } else if (!Number.isInteger(cycle)) {
+                column = Math.ceil(cycle);
+                warnings.add(`Reference between clock edges in ${what} (placed at the next cycle start)`);
+            }
+            if (column < 0 || column >= lane.wave.length) return null;
+
+            const key = `${signalName}@${column}`;
+            if (nodeMap.has(key)) return nodeMap.get(key);
+            if (nextLetter >= nodeLetters.length) {
+                warnings.add(`More than ${nodeLetters.length} edge end points`);
+                return null;
+            }
+            const letter = nodeLetters[nextLetter];
+            nextLetter++;
+            nodeMap.set(key, letter);
+
+            const node = (lane.node || '.'.repeat(lane.wave.length)).split('');
+            node[column] = letter;
+            lane.node = node.join('');
+            return letter;
+        };
+
+        for (const [name, measure] of app.measuresData.entries()) {
+            const from = nodeFor(measure.signal1Name, measure.cycle1, `measure ${name}`);
+            const to = nodeFor(measure.signal2Name, measure.cycle2, `measure ${name}`);
+            if (from && to) {
+                edges.push(`${from}<->${to}${measure.text ? ' ' + measure.text : ''}`);
+            } else {
+                warnings.add(`Measure ${name} (end point not on a signal)`);
+            }
+        }
+
+        for (const [name, arrow] of app.arrowsData.entries()) {
+            const from = nodeFor(arrow.signal1Name, arrow.cycle1, `arrow ${name}`);
+            const to = nodeFor(arrow.signal2Name, arrow.cycle2, `arrow ${name}`);
+            if (from && to) {
+                edges.push(`${from}~>${to}${arrow.text ? ' ' + arrow.text : ''}`);
+            } else {
+                warnings.add(`Arrow ${name} (end point not on a signal)`);
+            }
+        }
+
+        const waveJSON = { signal: lanes };
+        if (edges.length > 0) {
+            waveJSON.edge = edges;
+        }
+
+        return { waveJSON: waveJSON, warnings: Array.from(warnings) };
+    }
+
+    /**
+     * Convert a signal into a WaveJSON lane
+     * @param {TimingGenApp} app - Main application instance
+     * @param {Object} signal - Signal object
+     * @returns {Object} WaveJSON lane with name, wave and optional data
+     */
+    static signalToLane(app, signal) {
+        // One wave character per cycle of the signal's clock domain
+        const timing = app.getSignalTiming(signal);
+        const cycles = app.getSignalCycleCount(signal);
+
+        if (signal.type === 'clock') {
+            // Running cycles restart with p/n, stopped and gated cycles hold with l/h
+            const charFor = { C: timing.polarity === 'low' ? 'n' : 'p', 0: 'l', 1: 'h', G: timing.polarity === 'low' ? 'h' : 'l' };
+            let clockWave = '';
+            let lastChar;
+            for (let cycle = 0; cycle < cycles; cycle++) {
+                const ch = charFor[TimingGenModel.getClockStateAtCycle(signal, cycle)];
+                clockWave += ch === lastChar ? '.' : ch;
+                lastChar = ch;
+            }
+            return TimingGenWaveDrom.setLaneTiming({ name: signal.name, wave: clockWave }, timing);
+        }
+
+        let wave = '';
+        const data = [];
+
+        if (signal.type === 'bus') {
+            for (let cycle = 0; cycle < cycles; cycle++) {
+                // A change between clock edges (e.g. 2.5) shows from the next cycle on
+                if (cycle > 0 && !(TimingGenModel.getLastChangeCycle(signal, cycle) > cycle - 1)) {
+                    wave += '.';
+                    continue;
+                }
+                const value = app.getBusValueAtCycle(signal, cycle);
+                if (value === 'X') {
+                    wave += 'x';
+                } else if (value === 'Z') {
+                    wave += 'z';
+                } else {
+                    wave += '=';
+                    data.push(String(value));
+                }
+            }
+        } else {
+            const charFor = { 0: '0', 1: '1', X: 'x', Z: 'z' };
+            let lastValue;
+            for (let cycle = 0; cycle < cycles; cycle++) {
+                const value = app.getBitValueAtCycle(signal, cycle);
+                wave += (cycle === 0 || value !== lastValue) ? (charFor[value] || 'x') : '.';
+                lastValue = value;
+            }
+        }
+
+        const lane = TimingGenWaveDrom.setLaneTiming({ name: signal.name, wave: wave }, timing);
+        if (data.length > 0) {
+            lane.data = data;
+        }
+        return lane;
+    }
+
+    /**
+     * Give a lane the period and phase of a clock domain other than the diagram's
+     * @param {Object} lane - WaveJSON lane
+     * @param {Object} timing - Clock domain timing (see TimingGenModel.getClockTiming)
+     * @returns {Object} The lane
+     */
+    static setLaneTiming(lane, timing) {
+        if (timing.period !== 1) {
+            lane.period = timing.period;
+        }
+        if (timing.offset !== 0) {
+            lane.phase = -timing.offset;
+        }
+        return lane;
+    }
+
+    /**
+     * Check whether a signal has any delay uncertainty (min != max)
+     * @param {TimingGenApp} app - Main application instance
+     * @param {Object} signal - Signal object
+     * @returns {boolean} True if any cycle has a min/max delay window
+     */
+    static hasDelayUncertainty(app, signal) {
+        if (signal.type === 'clock') return false;
+        if (app.getEffectiveDelayInTime(signal, 0).min !== app.getEffectiveDelayInTime(signal, 0).max) {
+            return true;
+        }
+        return Object.keys(signal.cycleOptions || {}).some(cycle => {
+            const delay = app.getEffectiveDelayInTime(signal, Number(cycle));
+            return delay.min !== delay.max;
+        });
+    }
+
+    /**
+     * Check whether a signal overrides the global slew
+     * @param {Object} signal - Signal object
+     * @returns {boolean} True if the signal or one of its cycles sets a slew
+     */
+    static hasCustomSlew(signal) {
+        if (signal.slew !== undefined) return true;
+        return Object.values(signal.cycleOptions || {}).some(options => options && options.slew !== undefined);
+    }
+
+    /**
+     * Format WaveJSON with one lane per line, the way WaveDrom sources are usually written
+     * @param {Object} waveJSON - WaveJSON object
+     * @returns {string} Formatted JSON text
+     */
+    static stringifyWaveJSON(waveJSON) {
+        const lines = ['{', '  "signal": ['];
+        waveJSON.signal.forEach((lane, idx) => {
+            const comma = idx < waveJSON.signal.length - 1 ? ',' : '';
+            lines.push('    ' + JSON.stringify(lane) + comma);
+        });
+        lines.push(waveJSON.edge ? '  ],' : '  ]');
+        if (waveJSON.edge) {
+            lines.push('  "edge": ' + JSON.stringify(waveJSON.edge));
+        }
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
+}
@@ -0,0 +1,210 @@
+// Timing Gen 3 - AC Table Export/Import Playwright Tests
+// Version 3.4.1
+
+const { test, expect } = require('@playwright/test');
+
+const BASE_URL = 'http://localhost:8080';
+
+// Parameter sheet as saved by a spreadsheet: a title line above the header, quoted
+// fields, an empty continuation record for a double row, and a notes section
+const COMMA_SHEET = [
+  'Device: XYZ,,,',
+  'Parameter,Symbol,Min.,Max.,Unit,Note',
+  '"Clock to output, rising",tCO,1.5,"6.0",ns,1',
+  ',,,,,',
+  'Hold time,tH,0.5,,ns,"1, 2"',
+  '',
+  'Note,Text',
+  '1,"Measured at ""VDD"" = 3.3 V"',
+  '2,Guaranteed by design'
+].join('\r\n');
+
+// The same kind of sheet from a locale that separates with semicolons
+const SEMICOLON_SHEET = [
+  'Description;Sym;Minimum;Maximum;Units;Notes',
+  'Setup time;TSU;2,0;;ns;1',
+  '"Output enable; from OE#";tOE;;"8,5";ns;a',
+  ';;;;;',
+  ';;3;;ns;'
+].join('\n');
+
+// Import a parameter sheet into ACT0 and return the counts and the resulting table
+async function importSheet(page, text) {
+  return page.evaluate((csv) => {
+    const app = window.timingGenApp;
+    const sheet = TimingGenACTable.parseACTableCSV(csv);
+    // Applying normalizes the notes of the sheet rows, so keep them as parsed
+    const parsed = JSON.parse(JSON.stringify(sheet));
+    const counts = TimingGenACTable.applyACTableCSV(app, 'ACT0', sheet);
+    const table = app.acTablesData.get('ACT0');
+    return {
+      sheet: parsed,
+      counts: counts,
+      rows: table.rows.map(row => [...TimingGenACTable.getACRowCells(row), row.rowSpan]),
+      measureNames: table.rows.map(row => row.measureName),
+      notes: table.notes
+    };
+  }, text);
+}
+
+// Add a clock, a bus and two measures (tCO, tSU), then an AC table listing them (ACT0)
+async function addMeasureTable(page) {
+  await page.evaluate(() => {
+    const app = window.timingGenApp;
+    app.api.addSignal({ name: 'clk', type: 'clock' });
+    app.api.addSignal({ name: 'data', type: 'bus', values: { 0: 'X', 2: 'D0' } });
+    app.api.addMeasure({ signal1Name: 'clk', cycle1: 2, signal2Name: 'data', cycle2: 2, text: 'tCO' });
+    app.api.addMeasure({ signal1Name: 'data', cycle1: 2, signal2Name: 'clk', cycle2: 3, text: 'tSU' });
+    document.getElementById('ac-table-title-input').value = 'AC Characteristics';
+    TimingGenACTable.addACTable(app);
+  });
+}
+
+test.describe('AC table export and import', () => {
+  
+  test.beforeEach(async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForLoadState('networkidle');
+    await addMeasureTable(page);
+  });
+
+  test('should read back its own CSV export', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      const table = app.acTablesData.get('ACT0');
+      Object.assign(table.rows[0], { parameter: 'Clock to output, "fast" corner', min: '1.5', max: '6.0', note: '1', rowSpan: 2 });
+      Object.assign(table.rows[1], { parameter: 'Setup time', min: '2.0', max: '', note: '1,2' });
+      table.notes = [
+        { number: '1', text: 'Measured at VDD = 3.3 V, 25 °C' },
+        { number: '2', text: 'Guaranteed by design' },
+        { number: '3', text: 'Not referenced by any row' }
+      ];
+      const csv = TimingGenACTable.buildACTableCSV(table);
+      
+      // Import into a second table over the same measures
+      document.getElementById('ac-table-title-input').value = 'Copy';
+      TimingGenACTable.addACTable(app);
+      const copy = app.acTablesData.get('ACT1');
+      const counts = TimingGenACTable.applyACTableCSV(app, 'ACT1', TimingGenACTable.parseACTableCSV(csv));
+      
+      const cells = (tableData) => tableData.rows.map(row => [...TimingGenACTable.getACRowCells(row), row.rowSpan]);
+      return {
+        csv: csv,
+        counts: counts,
+        original: { rows: cells(table), notes: TimingGenACTable.getReferencedNotes(table) },
+        copy: { rows: cells(copy), notes: copy.notes }
+      };
+    });
+    
+    expect(result.csv.split('\r\n')).toEqual([
+      'Parameter,Symbol,Min.,Max.,Unit,Note',
+      '"Clock to output, ""fast"" corner",tCO,1.5,6.0,ns,1',
+      ',,,,,',
+      'Setup time,tSU,2.0,,ns,"1,2"',
+      '',
+      'Note,Text',
+      '1,"Measured at VDD = 3.3 V, 25 °C"',
+      '2,Guaranteed by design',
+      ''
+    ]);
+    expect(result.counts).toEqual({ matched: 2, added: 0, skipped: [] });
+    // Only referenced notes are exported
+    expect(result.copy.notes).toEqual(result.original.notes);
+    // The empty Max. cell keeps the copy's calculated value
+    expect(result.copy.rows[0]).toEqual(result.original.rows[0]);
+    expect(result.copy.rows[1]).toEqual(['Setup time', 'tSU', '2.0', '10.00', 'ns', '1,2', 1]);
+  });
+
+  test('should export Markdown and HTML with double rows and notes', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const table = window.timingGenApp.acTablesData.get('ACT0');
+      Object.assign(table.rows[0], { parameter: 'Clock to output | rising', min: '1.5', max: '6.0', note: '1', rowSpan: 2 });
+      Object.assign(table.rows[1], { parameter: 'Setup <min>', min: '2.0', max: '' });
+      table.notes = [{ number: '1', text: 'Measured at "VDD" = 3.3 V' }];
+      return {
+        markdown: TimingGenACTable.buildACTableMarkdown(table),
+        html: TimingGenACTable.buildACTableHTML(table)
+      };
+    });
+    
+    expect(result.markdown.split('\n')).toEqual([
+      '## AC Characteristics',
+      '',
+      '| Parameter | Symbol | Min. | Max. | Unit | Note |',
+      '|---|---|--:|--:|---|---|',
+      '| Clock to output \\| rising | tCO | 1.5 | 6.0 | ns | 1 |',
+      '|  |  |  |  |  |  |',
+      '| Setup <min> | tSU | 2.0 |  | ns |  |',
+      '',
+      '- Note 1: Measured at "VDD" = 3.3 V',
+      ''
+    ]);
+    
+    expect(result.html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(result.html).toContain('<title>AC Characteristics</title>');
+    expect(result.html).toContain('<th>Parameter</th><th>Symbol</th><th>Min.</th><th>Max.</th><th>Unit</th><th>Note</th>');
+    expect(result.html).toContain('<td rowspan="2">Clock to output | rising</td><td>tCO</td><td class="num">1.5</td><td class="num">6.0</td>');
+    expect(result.html).toContain('<td>Setup &lt;min&gt;</td>');
+    expect(result.html).toContain('<td>1</td><td>Measured at &quot;VDD&quot; = 3.3 V</td>');
+  });
+
+  test('should import a comma-separated sheet with quoted fields and a double row', async ({ page }) => {
+    const result = await importSheet(page, COMMA_SHEET);
+    
+    expect(result.sheet.rows).toEqual([
+      { rowSpan: 2, parameter: 'Clock to output, rising', symbol: 'tCO', min: '1.5', max: '6.0', unit: 'ns', note: '1' },
+      { rowSpan: 1, parameter: 'Hold time', symbol: 'tH', min: '0.5', max: '', unit: 'ns', note: '1, 2' }
+    ]);
+    expect(result.counts).toEqual({ matched: 1, added: 1, skipped: [] });
+    // tCO updates the measure row, tSU keeps its calculated values and tH is added
+    expect(result.rows).toEqual([
+      ['Clock to output, rising', 'tCO', '1.5', '6.0', 'ns', '1', 2],
+      ['', 'tSU', '10.00', '10.00', 'ns', '', 1],
+      ['Hold time', 'tH', '0.5', '', 'ns', '1,2', 1]
+    ]);
+    expect(result.measureNames).toEqual(['M0', 'M1', null]);
+    expect(result.notes).toEqual([
+      { number: '1', text: 'Measured at "VDD" = 3.3 V' },
+      { number: '2', text: 'Guaranteed by design' }
+    ]);
+  });
+
+  test('should import a semicolon-separated sheet and skip unusable rows', async ({ page }) => {
+    const result = await importSheet(page, SEMICOLON_SHEET);
+    
+    // Decimal commas stay as written; the empty record continues the tOE row
+    expect(result.sheet.rows).toEqual([
+      { rowSpan: 1, parameter: 'Setup time', symbol: 'TSU', min: '2,0', max: '', unit: 'ns', note: '1' },
+      { rowSpan: 2, parameter: 'Output enable; from OE#', symbol: 'tOE', min: '', max: '8,5', unit: 'ns', note: 'a' },
+      { rowSpan: 1, parameter: '', symbol: '', min: '3', max: '', unit: 'ns', note: '' }
+    ]);
+    expect(result.counts).toEqual({
+      matched: 1,
+      added: 1,
+      skipped: [
+        'Row 2 (tOE): note "a" is not a list of integers',
+        'Row 3: no symbol or parameter'
+      ]
+    });
+    // TSU matches tSU regardless of case
+    expect(result.rows).toEqual([
+      ['', 'tCO', '0.00', '0.00', 'ns', '', 1],
+      ['Setup time', 'tSU', '2,0', '10.00', 'ns', '1', 1],
+      ['Output enable; from OE#', 'tOE', '', '8,5', 'ns', '', 2]
+    ]);
+    expect(result.notes).toEqual([{ number: '1', text: '' }]);
+  });
+
+  test('should reject a sheet without a Symbol column', async ({ page }) => {
+    const message = await page.evaluate(() => {
+      try {
+        TimingGenACTable.parseACTableCSV('Parameter,Min,Max\nSetup time,2,');
+        return null;
+      } catch (err) {
+        return err.message;
+      }
+    });
+    
+    expect(message).toBe('No header row with a "Symbol" column found');
+  });
+});
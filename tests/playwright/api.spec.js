@@ -0,0 +1,192 @@
+// Timing Gen 3 - Scripting API Playwright Tests
+// Version 3.4.1
+
+const { test, expect } = require('@playwright/test');
+
+const BASE_URL = 'http://localhost:8080';
+
+test.describe('Scripting API (app.api)', () => {
+  
+  test.beforeEach(async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should add signals and set their values', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const api = window.timingGenApp.api;
+      api.addSignal({ name: 'clk', type: 'clock' });
+      api.addSignal({ name: 'valid', values: { 0: 0, 2: 1 } });
+      api.addSignal({ name: 'data', type: 'bus', base_clock: 'clk' });
+      api.setValue('data', 2, '0xAB');
+      api.setValues('data', { 4: '0xCD', 6: 'Z' });
+      api.setValue('valid', 5, 0);
+      
+      const data = api.getData();
+      return {
+        rows: data.rows.map(row => `${row.type}:${row.name}`),
+        valid: data.rows.find(row => row.name === 'valid').data,
+        dataValues: data.rows.find(row => row.name === 'data').data.values,
+        readBack: [api.getValue('valid', 3), api.getValue('valid', 5), api.getValue('data', 5), api.getValue('data', 7)]
+      };
+    });
+    
+    expect(result.rows).toEqual(['signal:clk', 'signal:valid', 'signal:data']);
+    expect(result.valid.type).toBe('bit');
+    expect(result.valid.base_clock).toBe('clk');
+    expect(result.valid.values).toEqual({ 0: 0, 2: 1, 5: 0 });
+    expect(result.dataValues).toEqual({ 0: 'X', 2: '0xAB', 4: '0xCD', 6: 'Z' });
+    expect(result.readBack).toEqual([1, 0, '0xCD', 'Z']);
+  });
+
+  test('should throw on invalid arguments and leave the document unchanged', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      const api = app.api;
+      api.addSignal({ name: 'clk', type: 'clock' });
+      api.addSignal({ name: 'valid' });
+      api.addSignal({ name: 'data', type: 'bus' });
+      const before = JSON.stringify(api.getData());
+      const historyLength = app.undoRedoManager.history.length;
+      
+      const calls = [
+        () => api.addSignal({ type: 'bit' }),
+        () => api.addSignal({ name: 'valid' }),
+        () => api.addSignal({ name: 'x', type: 'wire' }),
+        () => api.addSignal({ name: 'x', period: 2 }),
+        () => api.setValue('missing', 1, 1),
+        () => api.setValue('valid', 1, 2),
+        () => api.setValue('valid', 99, 1),
+        () => api.setValue('clk', 1.5, 0),
+        () => api.setValue('data', 1, ''),
+        () => api.setValues('valid', { 1: 1, 2: 'high' }),
+        () => api.addMeasure({ signal1Name: 'clk', cycle1: 1, signal2Name: 'missing', cycle2: 2 }),
+        () => api.addArrow({ signal1Name: 'clk', cycle1: 1, poi1Type: 'corner', signal2Name: 'valid', cycle2: 2 }),
+        () => api.setCycles(0)
+      ];
+      const messages = calls.map(call => {
+        try {
+          call();
+          return null;
+        } catch (err) {
+          return err.message;
+        }
+      });
+      
+      return {
+        messages: messages,
+        unchanged: JSON.stringify(api.getData()) === before,
+        historyAdded: app.undoRedoManager.history.length - historyLength
+      };
+    });
+    
+    expect(result.messages).toEqual([
+      'addSignal: a signal name is required',
+      'addSignal: signal "valid" already exists',
+      'addSignal: unknown signal type "wire" (use clock, bit, bus, diff, analog)',
+      'addSignal: period is only used by clocks; bit signals follow their base_clock',
+      'setValue: signal "missing" does not exist',
+      'setValue: bit signal "valid" takes 0, 1, \'X\' or \'Z\', not "2"',
+      'setValue: cycle 99 of valid is outside the diagram (0 to 19)',
+      'setValue: cycles of clock clk are whole numbers (found 1.5)',
+      'setValue: empty value for bus signal "data"',
+      'setValues: bit signal "valid" takes 0, 1, \'X\' or \'Z\', not "high"',
+      'addMeasure: signal "missing" does not exist',
+      expect.stringContaining('addArrow: unknown point type "corner"'),
+      'setCycles: cycles must be a positive integer'
+    ]);
+    expect(result.unchanged).toBe(true);
+    expect(result.historyAdded).toBe(0);
+  });
+
+  test('should add measures and arrows', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const api = window.timingGenApp.api;
+      api.addSignal({ name: 'clk', type: 'clock' });
+      api.addSignal({ name: 'valid', values: { 0: 0, 2: 1 } });
+      api.addSignal({ name: 'data', type: 'bus', values: { 0: 'X', 2: 'D0' } });
+      const measure = api.addMeasure({ signal1Name: 'clk', cycle1: 2, signal2Name: 'data', cycle2: 2, text: 'tCO' });
+      const falling = api.addMeasure({ signal1Name: 'clk', cycle1: -3, signal2Name: 'valid', cycle2: 2, text: 'tH', row: 0 });
+      const arrow = api.addArrow({ signal1Name: 'valid', cycle1: 2, poi1Type: 'mid', signal2Name: 'data', cycle2: 2, text: 'causes' });
+      
+      const data = api.getData();
+      return {
+        names: [measure, falling, arrow],
+        rows: data.rows.map(row => `${row.type}:${row.name}`),
+        measure: data.rows.find(row => row.name === measure).data,
+        arrow: data.arrows.find(item => item.name === arrow)
+      };
+    });
+    
+    expect(result.names).toEqual(['M0', 'M1', 'A0']);
+    expect(result.rows).toEqual(['measure:M1', 'signal:clk', 'signal:valid', 'signal:data', 'measure:M0']);
+    expect(result.measure).toMatchObject({ signal1Name: 'clk', cycle1: 2, signal2Name: 'data', cycle2: 2, text: 'tCO' });
+    expect(result.arrow).toMatchObject({ signal1Name: 'valid', cycle1: 2, poi1Type: 'mid', signal2Name: 'data', cycle2: 2, text: 'causes' });
+  });
+
+  test('should record a batch as one undo command', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      const api = app.api;
+      const manager = app.undoRedoManager;
+      api.addSignal({ name: 'clk', type: 'clock' });
+      const historyLength = manager.history.length;
+      
+      api.batch('Build bus cycle', () => {
+        api.addSignal({ name: 'valid' });
+        api.setValues('valid', { 2: 1, 4: 0 });
+        api.addMeasure({ signal1Name: 'clk', cycle1: 2, signal2Name: 'valid', cycle2: 2 });
+      });
+      const afterBatch = {
+        added: manager.history.length - historyLength,
+        label: manager.history[manager.history.length - 1].label,
+        rows: app.rows.length
+      };
+      
+      manager.undo();
+      const afterUndo = app.rows.map(row => row.name);
+      
+      // A failing batch is reverted as a whole and records nothing
+      const before = { position: manager.position, length: manager.history.length };
+      let message = null;
+      try {
+        api.batch('Broken', () => {
+          api.addSignal({ name: 'ready' });
+          api.setValue('ready', 1, 'maybe');
+        });
+      } catch (err) {
+        message = err.message;
+      }
+      
+      return {
+        afterBatch: afterBatch,
+        afterUndo: afterUndo,
+        message: message,
+        afterFailure: app.rows.map(row => row.name),
+        historyUnchanged: manager.position === before.position && manager.history.length === before.length
+      };
+    });
+    
+    expect(result.afterBatch).toEqual({ added: 1, label: 'Build bus cycle', rows: 3 });
+    expect(result.afterUndo).toEqual(['clk']);
+    expect(result.message).toContain('setValue: bit signal "ready"');
+    expect(result.afterFailure).toEqual(['clk']);
+    expect(result.historyUnchanged).toBe(true);
+  });
+
+  test('should export the diagram as SVG', async ({ page }) => {
+    const svg = await page.evaluate(() => {
+      const api = window.timingGenApp.api;
+      api.addSignal({ name: 'clk', type: 'clock' });
+      api.addSignal({ name: 'data', type: 'bus', values: { 0: 'X', 2: '0xAB' } });
+      api.addMeasure({ signal1Name: 'clk', cycle1: 2, signal2Name: 'data', cycle2: 2, text: 'tCO' });
+      return api.exportSVG();
+    });
+    
+    expect(svg.startsWith('<svg') || svg.startsWith('<?xml')).toBe(true);
+    expect(svg).toContain('</svg>');
+    expect(svg).toContain('clk');
+    expect(svg).toContain('0xAB');
+    expect(svg).toContain('tCO');
+  });
+});
@@ -0,0 +1,204 @@
+// Timing Gen 3 - Autosave Playwright Tests
+// Version 3.4.1
+
+const { test, expect } = require('@playwright/test');
+
+const BASE_URL = 'http://localhost:8080';
+
+// Replace localStorage with an in-memory store and Date.now with a clock set by window.testClock
+async function installStorage(page) {
+  await page.evaluate(() => {
+    const items = new Map();
+    Object.defineProperty(window, 'localStorage', {
+      configurable: true,
+      value: {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        keys: () => Array.from(items.keys())
+      }
+    });
+    window.testClock = 0;
+    Date.now = () => window.testClock;
+  });
+}
+
+test.describe('Autosave', () => {
+  
+  test.beforeEach(async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForLoadState('networkidle');
+    await installStorage(page);
+  });
+
+  test('should update one snapshot, start a new one every interval and keep the newest', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      const minute = 60 * 1000;
+      app.autosaveSession = 1;
+      app.lastAutosaveJSON = null;
+      app.api.addSignal({ name: 'clk', type: 'clock' });
+      
+      const first = TimingGenAutosave.autosave(app).key;
+      window.testClock = 2 * minute;
+      app.api.addSignal({ name: 'd0' });
+      const updated = TimingGenAutosave.autosave(app);
+      // Nothing changed: the snapshot is not written again
+      window.testClock = 3 * minute;
+      const unchanged = TimingGenAutosave.autosave(app);
+      
+      // One change every six minutes starts a new snapshot each time
+      for (let step = 1; step <= 12; step++) {
+        window.testClock = step * 6 * minute;
+        app.api.addSignal({ name: `d${step}` });
+        TimingGenAutosave.autosave(app);
+      }
+      
+      const index = TimingGenAutosave.readIndex();
+      return {
+        first: first,
+        updated: { key: updated.key, time: updated.time, rows: updated.rows },
+        unchanged: unchanged.time,
+        count: index.length,
+        rows: index.map(entry => entry.rows),
+        firstKept: index.some(entry => entry.key === first),
+        stored: window.localStorage.keys().filter(key => key !== TimingGenAutosave.INDEX_KEY).sort(),
+        indexed: index.map(entry => entry.key).sort(),
+        newest: JSON.parse(window.localStorage.getItem(index[0].key)).rows.length
+      };
+    });
+    
+    expect(result.first).toBe('timingGen3.autosave.untitled@0');
+    expect(result.updated).toEqual({ key: result.first, time: 2 * 60 * 1000, rows: 2 });
+    expect(result.unchanged).toBe(2 * 60 * 1000);
+    // MAX_SNAPSHOTS, newest first; the oldest ones are deleted from storage too
+    expect(result.count).toBe(10);
+    expect(result.rows).toEqual([14, 13, 12, 11, 10, 9, 8, 7, 6, 5]);
+    expect(result.firstKept).toBe(false);
+    expect(result.stored).toEqual(result.indexed);
+    expect(result.newest).toBe(14);
+  });
+
+  test('should only offer to restore sessions that ended unsaved', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      const dialog = document.getElementById('autosave-restore-dialog');
+      const offered = () => {
+        dialog.style.display = 'none';
+        TimingGenAutosave.offerRestore(app);
+        return dialog.style.display === 'flex';
+      };
+      
+      // A session whose last state was saved to a file
+      app.autosaveSession = 1;
+      app.api.addSignal({ name: 'clk', type: 'clock' });
+      TimingGenAutosave.markSaved(app);
+      app.autosaveSession = 2;
+      const afterSaved = offered();
+      
+      // A later session that ended with unsaved changes
+      app.api.addSignal({ name: 'd' });
+      TimingGenAutosave.autosave(app);
+      app.autosaveSession = 3;
+      const afterUnsaved = offered();
+      
+      return {
+        afterSaved: afterSaved,
+        afterUnsaved: afterUnsaved,
+        saved: TimingGenAutosave.readIndex().map(entry => `${entry.session}:${entry.saved}`),
+        options: Array.from(document.querySelectorAll('#autosave-snapshot-select option')).map(option => option.textContent)
+      };
+    });
+    
+    expect(result.afterSaved).toBe(false);
+    expect(result.afterUnsaved).toBe(true);
+    expect(result.saved).toEqual(['2:false', '1:true']);
+    // Both snapshots are listed, the newest selected first
+    expect(result.options).toHaveLength(2);
+    expect(result.options[0]).toContain('(2 rows)');
+    expect(result.options[1]).toContain('(1 rows, saved)');
+  });
+
+  test('should restore into a new tab as an unsaved document', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      app.autosaveSession = 1;
+      app.api.addSignal({ name: 'clk', type: 'clock' });
+      app.api.addSignal({ name: 'ready', values: { 0: 0, 3: 1 } });
+      app.documentTitle = 'handshake';
+      TimingGenAutosave.autosave(app);
+      
+      // Work on another document in this tab
+      app.autosaveSession = 2;
+      TimingGenData.clearDocument(app);
+      app.api.addSignal({ name: 'other' });
+      TimingGenData.markSaved(app);
+      
+      TimingGenAutosave.showRestoreDialog(app);
+      document.getElementById('autosave-snapshot-select').value = 'timingGen3.autosave.handshake@0';
+      TimingGenAutosave.restoreSelected(app);
+      
+      return {
+        tabs: app.tabs.length,
+        active: app.activeTab,
+        signals: app.getSignals().map(signal => signal.name),
+        title: document.title,
+        dirty: app.undoRedoManager.isDirty(),
+        history: app.undoRedoManager.history.length,
+        first: TimingGenTabs.getTabDocument(app, 0).rows.map(row => row.name),
+        dialog: document.getElementById('autosave-restore-dialog').style.display
+      };
+    });
+    
+    expect(result.tabs).toBe(2);
+    expect(result.active).toBe(1);
+    expect(result.signals).toEqual(['clk', 'ready']);
+    expect(result.first).toEqual(['other']);
+    // Recovered work was never saved to a file
+    expect(result.dirty).toBe(true);
+    expect(result.title).toBe('* handshake - Timing Gen 3');
+    expect(result.history).toBe(0);
+    expect(result.dialog).toBe('none');
+  });
+
+  test('should check a snapshot like a loaded file before restoring it', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      const snapshot = {
+        version: '3.4.1',
+        config: { cycles: 8 },
+        rows: [
+          { type: 'signal', name: 'clk', data: { name: 'clk', type: 'clock', values: {} } },
+          { type: 'signal', name: 'd', data: { name: 'd', type: 'bit', values: { 0: 0, '2.50': 1 }, base_clock: 'clk' } }
+        ],
+        arrows: [],
+        tears: []
+      };
+      window.localStorage.setItem('timingGen3.autosave.broken@0', JSON.stringify(snapshot));
+      TimingGenAutosave.writeIndex([{ key: 'timingGen3.autosave.broken@0', name: 'broken', session: 1, created: 0, time: 0, rows: 2, saved: false }]);
+      
+      TimingGenAutosave.showRestoreDialog(app);
+      TimingGenAutosave.restoreSelected(app);
+      const report = {
+        shown: document.getElementById('validation-dialog').style.display,
+        summary: document.getElementById('validation-summary').textContent,
+        rows: app.rows.length
+      };
+      
+      document.getElementById('validation-repair-btn').click();
+      return {
+        report: report,
+        values: app.signalsData.get('d').values,
+        dirty: app.undoRedoManager.isDirty()
+      };
+    });
+    
+    expect(result.report).toEqual({
+      shown: 'flex',
+      summary: 'broken: 1 error(s), 0 warning(s). Files with errors cannot be opened as they are.',
+      rows: 0
+    });
+    expect(result.values).toEqual({ 0: 0, '2.5': 1 });
+    expect(result.dirty).toBe(true);
+  });
+});
@@ -0,0 +1,106 @@
+// Timing Gen 3 - Script Console Playwright Tests
+// Version 3.4.1
+
+const { test, expect } = require('@playwright/test');
+
+const BASE_URL = 'http://localhost:8080';
+
+// Run each script with the console's Run button and collect the output entries it adds
+async function runScripts(page, scripts) {
+  return page.evaluate((codes) => {
+    const input = document.getElementById('console-input');
+    const output = document.getElementById('console-output');
+    return codes.map(code => {
+      output.innerHTML = '';
+      input.value = code;
+      document.getElementById('console-run-btn').click();
+      return Array.from(output.children)
+        .filter(entry => !entry.classList.contains('console-script'))
+        .map(entry => `${entry.className.replace('console-entry console-', '')}: ${entry.textContent}`);
+    });
+  }, scripts);
+}
+
+test.describe('Script console', () => {
+  
+  test.beforeEach(async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForLoadState('networkidle');
+    await page.evaluate(() => {
+      const app = window.timingGenApp;
+      app.api.addSignal({ name: 'clk', type: 'clock' });
+      app.api.addSignal({ name: 'data', type: 'bus', values: { 0: 'X', 2: 'D0' } });
+    });
+  });
+
+  test('should show the value of an expression and run statements with return', async ({ page }) => {
+    const outputs = await runScripts(page, [
+      'app.rows.length',
+      'signals.map(s => s.name)',
+      'const names = signals.map(s => s.name);\nprint("first", names[0]);\nreturn names.length * 10;',
+      'for (const s of signals) { print(s.type); }',
+      '   '
+    ]);
+    
+    expect(outputs).toEqual([
+      ['result: 2'],
+      ['result: [\n  "clk",\n  "data"\n]'],
+      ['print: first clk', 'result: 20'],
+      ['print: clock', 'print: bus'],
+      []
+    ]);
+  });
+
+  test('should record a whole script run as one undo step', async ({ page }) => {
+    const [output] = await runScripts(page, [
+      '// Two more signals, 12 cycles and data[0] = Z\n' +
+      'api.addSignal({ name: "a" });\napi.addSignal({ name: "b" });\napi.setCycles(12);\n' +
+      'signals[1].values[0] = "Z";\nreturn app.rows.length;'
+    ]);
+    const result = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      const manager = app.undoRedoManager;
+      const state = () => ({
+        signals: app.getSignals().map(signal => signal.name),
+        cycles: app.config.cycles,
+        first: app.signalsData.get('data').values[0]
+      });
+      const history = manager.history.map(command => command.label);
+      const after = state();
+      manager.undo();
+      return { history: history, after: after, undone: state() };
+    });
+    
+    expect(output).toEqual(['result: 4']);
+    expect(result.history).toEqual([
+      'Add signal clk',
+      'Add signal data',
+      'Run script: // Two more signals, 12 cycles and data[...'
+    ]);
+    expect(result.after).toEqual({ signals: ['clk', 'data', 'a', 'b'], cycles: 12, first: 'Z' });
+    expect(result.undone).toEqual({ signals: ['clk', 'data'], cycles: 20, first: 'X' });
+  });
+
+  test('should undo the changes of a script that throws halfway', async ({ page }) => {
+    const [output] = await runScripts(page, [
+      'api.addSignal({ name: "a" });\nsignals[1].values[2] = "D9";\nprint("added");\nthrow new RangeError("stop here");'
+    ]);
+    const result = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      return {
+        signals: app.getSignals().map(signal => signal.name),
+        values: app.signalsData.get('data').values,
+        history: app.undoRedoManager.history.map(command => command.label),
+        pending: app.undoRedoManager.pendingCapture
+      };
+    });
+    
+    expect(output).toEqual(['print: added', 'error: RangeError: stop here']);
+    expect(result).toEqual({
+      signals: ['clk', 'data'],
+      values: { 0: 'X', 2: 'D0' },
+      history: ['Add signal clk', 'Add signal data'],
+      pending: false
+    });
+  });
+});
@@ -0,0 +1,151 @@
+// Timing Gen 3 - Half and Quarter Cycle Playwright Tests
+// Version 3.4.1
+
+const { test, expect } = require('@playwright/test');
+
+const BASE_URL = 'http://localhost:8080';
+
+// Current-format document with cycle keys not written the way the editor saves them
+const KEYS_DOCUMENT = {
+  version: '3.4.1',
+  config: { cycles: 8 },
+  rows: [
+    { type: 'signal', name: 'clk', data: { name: 'clk', type: 'clock', values: {} } },
+    { type: 'signal', name: 'd', data: { name: 'd', type: 'bit', base_clock: 'clk',
+                                         values: { 0: 0, '01': 1, '2.0': 0, '2.50': 1, '3.5': 0, '3.50': 1, '4.3': 0, '5.25': 1 } } }
+  ],
+  arrows: [],
+  tears: []
+};
+
+test.describe('Half and quarter cycles', () => {
+  
+  test.beforeEach(async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should place half and quarter cycles on the edges of a clock with any duty cycle', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const positions = [2, 2.25, 2.5, 2.75, 3];
+      const describe = (clock) => {
+        const timing = TimingGenModel.getClockTiming(window.timingGenApp.config, clock);
+        const times = positions.map(cycle => TimingGenModel.getCycleTime(timing, cycle));
+        return {
+          times: times,
+          // The time of each position maps back to it
+          cycles: times.map(time => TimingGenModel.getCycleAtTime(timing, time, 0.25)),
+          halves: times.map(time => TimingGenModel.getCycleAtTime(timing, time + 0.01, 0.5)),
+          midEdge: TimingGenModel.getClockEdgeTime(timing, timing.polarity === 'low' ? 2 : -3)
+        };
+      };
+      return {
+        high: describe({ name: 'c25', type: 'clock', values: {}, period: 2, duty: 25 }),
+        low: describe({ name: 'clow', type: 'clock', values: {}, period: 2, duty: 25, polarity: 'low' })
+      };
+    });
+    
+    // High for a quarter of the 2-cycle period: the falling edge of cycle 2 is at 4.5
+    expect(result.high.times).toEqual([4, 4.25, 4.5, 5.25, 6]);
+    expect(result.high.midEdge).toBe(4.5);
+    expect(result.high.cycles).toEqual([2, 2.25, 2.5, 2.75, 3]);
+    expect(result.high.halves).toEqual([2, 2, 2.5, 2.5, 3]);
+    // Low polarity: n.5 is the rising edge, after the low three quarters
+    expect(result.low.times).toEqual([4, 4.75, 5.5, 5.75, 6]);
+    expect(result.low.midEdge).toBe(5.5);
+    expect(result.low.cycles).toEqual([2, 2.25, 2.5, 2.75, 3]);
+  });
+
+  test('should only accept canonical half and quarter cycle keys', async ({ page }) => {
+    const result = await page.evaluate((doc) => {
+      const bit = { name: 'd', type: 'bit', values: {} };
+      const clock = { name: 'clk', type: 'clock', values: {} };
+      return {
+        bit: [2, 2.25, 2.5, 2.75, 2.3, 2.125].map(cycle => TimingGenModel.isValueCycle(bit, cycle)),
+        clock: [2, 2.5].map(cycle => TimingGenModel.isValueCycle(clock, cycle)),
+        errors: TimingGenSchema.validate(doc).errors.map(issue => issue.path)
+      };
+    }, KEYS_DOCUMENT);
+    
+    expect(result.bit).toEqual([true, true, true, true, false, false]);
+    expect(result.clock).toEqual([true, false]);
+    expect(result.errors).toEqual([
+      '$.rows[1].data.values["01"]',
+      '$.rows[1].data.values["2.0"]',
+      '$.rows[1].data.values["2.50"]',
+      '$.rows[1].data.values["3.50"]',
+      '$.rows[1].data.values["4.3"]'
+    ]);
+  });
+
+  test('should repair cycle keys into the form the editor looks up', async ({ page }) => {
+    const result = await page.evaluate((doc) => {
+      const repaired = TimingGenSchema.repair(doc);
+      return {
+        descriptions: repaired.actions.map(action => action.description),
+        values: repaired.data.rows[1].data.values,
+        remaining: TimingGenSchema.validate(repaired.data).errors,
+        // The renamed entries are the ones read at those cycles
+        readBack: [1, 2, 2.5, 3.5].map(cycle => TimingGenModel.getBitValueAtCycle(repaired.data.rows[1].data, cycle))
+      };
+    }, KEYS_DOCUMENT);
+    
+    expect(result.descriptions).toEqual([
+      'Rename values entry "01" of signal "d" to "1"',
+      'Rename values entry "2.0" of signal "d" to "2"',
+      'Rename values entry "2.50" of signal "d" to "2.5"',
+      'Remove values entry "3.50" of signal "d" (entry "3.5" is also set)',
+      'Remove values entry "4.3" of signal "d"'
+    ]);
+    expect(result.values).toEqual({ 0: 0, 1: 1, 2: 0, '2.5': 1, '3.5': 0, '5.25': 1 });
+    expect(result.remaining).toEqual([]);
+    expect(result.readBack).toEqual([1, 0, 1, 0]);
+  });
+
+  test('should set values at half and quarter cycles through the API', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      const api = app.api;
+      const errorOf = (action) => {
+        try {
+          action();
+          return null;
+        } catch (err) {
+          return err.message;
+        }
+      };
+      
+      api.setCycles(8);
+      api.addSignal({ name: 'clk', type: 'clock' });
+      api.addSignal({ name: 'ddr', type: 'bus', base_clock: 'clk', transitionStep: 0.5 });
+      api.addSignal({ name: 'qdr', base_clock: 'clk', transitionStep: 0.25 });
+      api.setValue('ddr', 2.5, 'D1');
+      api.setValue('qdr', 2.25, 1);
+      api.setValue('qdr', 2.5, 0);
+      
+      const saved = TimingGenData.buildSaveData(app);
+      return {
+        steps: [app.signalsData.get('ddr').transitionStep, app.signalsData.get('qdr').transitionStep],
+        ddr: [2, 2.5, 3].map(cycle => api.getValue('ddr', cycle)),
+        qdr: [2, 2.25, 2.5].map(cycle => api.getValue('qdr', cycle)),
+        keys: saved.rows.filter(row => row.type === 'signal').map(row => Object.keys(row.data.values)),
+        errors: [
+          errorOf(() => api.setValue('qdr', 2.3, 1)),
+          errorOf(() => api.setValue('clk', 2.5, 0)),
+          errorOf(() => api.addSignal({ name: 'odd', transitionStep: 0.3 }))
+        ]
+      };
+    });
+    
+    expect(result.steps).toEqual([0.5, 0.25]);
+    expect(result.ddr).toEqual(['X', 'D1', 'D1']);
+    expect(result.qdr).toEqual([0, 1, 0]);
+    // Saved under the same keys; new signals start with a value at cycle 0
+    expect(result.keys).toEqual([[], ['0', '2.5'], ['0', '2.25', '2.5']]);
+    expect(result.errors).toEqual([
+      'setValue: cycles of qdr are whole, half or quarter cycles (found 2.3)',
+      'setValue: cycles of clock clk are whole numbers (found 2.5)',
+      'addSignal: transitionStep must be 1, 0.5, 0.25 (found 0.3)'
+    ]);
+  });
+});
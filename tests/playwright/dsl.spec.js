@@ -0,0 +1,98 @@
+// Timing Gen 3 - Diagram Text Playwright Tests
+// Version 3.4.1
+
+const fs = require('fs');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+
+const BASE_URL = 'http://localhost:8080';
+
+// Load a test file and return the document as saved, with its diagram text read back
+async function roundTrip(page, fileName) {
+  const text = fs.readFileSync(path.join(__dirname, '..', fileName), 'utf8');
+  return page.evaluate((fileText) => {
+    const app = window.timingGenApp;
+    TimingGenModel.loadDocument(app, TimingGenMigration.migrate(fileText).data);
+    const data = TimingGenData.buildSaveData(app);
+    const diagramText = TimingGenDSL.toText(data);
+    const parsed = TimingGenDSL.parse(diagramText);
+    return { data: data, text: diagramText, parsed: parsed.data, errors: parsed.errors };
+  }, text);
+}
+
+test.describe('Diagram text', () => {
+  
+  test.beforeEach(async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should round-trip test_slew.td3 through diagram text', async ({ page }) => {
+    const result = await roundTrip(page, 'test_slew.td3');
+    
+    expect(result.errors).toEqual([]);
+    expect(result.text).toContain('clk: clock');
+    expect(result.parsed).toEqual(result.data);
+  });
+
+  test('should round-trip test_cascading_delay.td3 through diagram text', async ({ page }) => {
+    const result = await roundTrip(page, 'test_cascading_delay.td3');
+    
+    expect(result.errors).toEqual([]);
+    expect(result.text).toContain('cycleOptions=');
+    expect(result.parsed).toEqual(result.data);
+  });
+
+  test('should report the line of each error', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const text = [
+        'title Broken',
+        'cycles 8',
+        '',
+        'clk: clock',
+        'data: wire 0',
+        'valid: bit 0 @x:1',
+        'dq: bus X @2.3:A',
+        'measure t1: clk@1 -> ready@2',
+        'frobnicate'
+      ].join('\n');
+      const parsed = TimingGenDSL.parse(text);
+      
+      let loadError = null;
+      try {
+        TimingGenMigration.migrate(text, { fileName: 'broken.tdl' });
+      } catch (err) {
+        loadError = err.message;
+      }
+      return { errors: parsed.errors, loadError: loadError };
+    });
+    
+    expect(result.errors).toEqual([
+      { line: 5, message: 'unknown signal type "wire" (use clock, bit, bus, diff, analog)' },
+      { line: 6, message: 'value cycle must be a cycle number (found "x")' },
+      { line: 7, message: 'value cycle must be a whole, half or quarter cycle (found "2.3")' },
+      { line: 8, message: 'unknown signal "ready"' },
+      { line: 9, message: expect.stringContaining('expected "name: type" or one of title, cycles') }
+    ]);
+    expect(result.loadError.split('\n').map(line => line.split(':')[0])).toEqual(['line 5', 'line 6', 'line 7', 'line 8', 'line 9']);
+  });
+
+  test('should select the line of a clicked error', async ({ page }) => {
+    const selection = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      const input = document.getElementById('dsl-input');
+      input.value = 'clk: clock\ndata: wire 0\nvalid: bit 0';
+      TimingGenDSL.showErrors(app, TimingGenDSL.parse(input.value).errors);
+      
+      const items = document.querySelectorAll('#dsl-errors .dsl-error');
+      items[0].click();
+      return {
+        items: Array.from(items).map(item => item.textContent),
+        selected: input.value.slice(input.selectionStart, input.selectionEnd)
+      };
+    });
+    
+    expect(selection.items).toEqual(['Line 2: unknown signal type "wire" (use clock, bit, bus, diff, analog)']);
+    expect(selection.selected).toBe('data: wire 0');
+  });
+});
@@ -0,0 +1,76 @@
+// Timing Gen 3 - Headless Model and Command Line Tests
+// Version 3.4.1
+// These run in Node.js only, without a page
+
+const { test, expect } = require('@playwright/test');
+const { execFileSync } = require('child_process');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const CLI = path.join(ROOT, 'bin', 'timing-gen.js');
+
+// A small document in the current format: a 2-cycle clock with 25% duty, a bit, a bus and a counter
+const DOCUMENT = {
+  version: '3.4.1',
+  title: 'small',
+  config: { cycles: 8, clockPeriod: 10, clockPeriodUnit: 'ns' },
+  rows: [
+    { type: 'signal', name: 'clk', data: { name: 'clk', type: 'clock', values: {}, period: 2, duty: 25 } },
+    { type: 'signal', name: 'rdy', data: { name: 'rdy', type: 'bit', values: { 0: 0, 2: 1, 3: 0 }, base_clock: 'clk' } },
+    { type: 'signal', name: 'addr', data: { name: 'addr', type: 'bus', values: { 0: 'X', 1: 'A0', 3: 'X' }, base_clock: 'clk' } },
+    { type: 'counter', name: 'C0', data: { values: [{ cycle: 0, value: '1' }] } }
+  ],
+  arrows: [],
+  tears: []
+};
+
+// Run the command line with a document on stdin and return what it writes to stdout
+function runCLI(args, input) {
+  return execFileSync(process.execPath, [CLI, ...args], { input: input, encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
+}
+
+test.describe('Headless model', () => {
+  
+  test('should load the model with require and answer timing queries without a DOM', () => {
+    const TimingGenModel = require(path.join(ROOT, 'js', 'timing_gen_model.js'));
+    const doc = TimingGenModel.createDocument();
+    TimingGenModel.loadDocument(doc, JSON.parse(JSON.stringify(DOCUMENT)));
+    
+    const [clk, rdy, addr] = TimingGenModel.getSignals(doc);
+    const timing = TimingGenModel.getSignalTiming(doc, rdy);
+    
+    expect(typeof window).toBe('undefined');
+    expect(typeof document).toBe('undefined');
+    expect(doc.rows.map(row => row.name)).toEqual(['clk', 'rdy', 'addr', 'C0']);
+    expect(timing).toEqual({ period: 2, duty: 0.25, polarity: 'high', offset: 0 });
+    expect(TimingGenModel.getClockEdgeTime(TimingGenModel.getSignalTiming(doc, clk), -2)).toBe(2.5);
+    expect([0, 2, 3].map(cycle => TimingGenModel.getBitValueAtCycle(rdy, cycle + 0.5))).toEqual([0, 1, 0]);
+    expect(TimingGenModel.getBusValueAtCycle(addr, 2)).toBe('A0');
+    expect(TimingGenModel.generateCounterLabels(doc.counterData.get('C0'), 4, new Set())).toEqual(['1', '2', '3', '4']);
+  });
+
+  test('should convert a document to diagram text and back on the command line', () => {
+    const text = runCLI(['convert', '-', '-f', 'tdl', '-o', '-'], JSON.stringify(DOCUMENT));
+    const data = JSON.parse(runCLI(['convert', '-', '-f', 'td3', '-o', '-'], text));
+    
+    expect(text).toContain('rdy: bit 0 @2:1 @3:0');
+    expect(text).toContain('addr: bus X @1:A0 @3:X');
+    expect(data.version).toBe('3.4.1');
+    expect(data.config.cycles).toBe(8);
+    expect(data.rows.map(row => row.name)).toEqual(['clk', 'rdy', 'addr', 'C0']);
+    expect(data.rows.slice(0, 3).map(row => row.data)).toEqual(DOCUMENT.rows.slice(0, 3).map(row => row.data));
+  });
+
+  test('should report unreadable input and exit with an error', () => {
+    let failure = null;
+    try {
+      runCLI(['convert', '-', '-f', 'tdl', '-o', '-'], '{ "rows": [ }');
+    } catch (err) {
+      failure = err;
+    }
+    
+    expect(failure).not.toBeNull();
+    expect(failure.status).toBe(1);
+    expect(failure.stderr).toMatch(/^timing-gen: /);
+  });
+});
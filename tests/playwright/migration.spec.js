@@ -0,0 +1,116 @@
+// Timing Gen 3 - Legacy File Migration Playwright Tests
+// Version 3.4.1
+
+const fs = require('fs');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+
+const BASE_URL = 'http://localhost:8080';
+
+// v3.1.x: rows without names, one measure row holding two measures that refer to signal rows
+const V31_DOCUMENT = {
+  version: '3.1.0',
+  config: { cycles: 8 },
+  rows: [
+    { type: 'signal', data: { name: 'clk', type: 'clock', values: {} } },
+    { type: 'signal', data: { name: 'req', type: 'bit', values: { 0: 0, 2: 1 } } },
+    {
+      type: 'measure',
+      data: [
+        { signal1Row: 0, cycle1: 2, signal2Row: 1, cycle2: 2, text: 't1' },
+        { signal1Row: 0, cycle1: 4, signal2Row: 1, cycle2: 5, text: 't2' }
+      ]
+    }
+  ]
+};
+
+// Load file contents the way the Load button does; returns the upgrade summary and the loaded rows
+async function loadFile(page, fileName, text) {
+  const messages = [];
+  const onDialog = (dialog) => {
+    messages.push(dialog.message());
+    dialog.accept();
+  };
+  page.on('dialog', onDialog);
+  const loaded = await page.evaluate(([fileText, name]) => {
+    const app = window.timingGenApp;
+    TimingGenData.loadFromText(app, fileText, name, null);
+    return {
+      fileName: app.fileName,
+      rows: app.rows.map(row => `${row.type}:${row.name}`),
+      signals: app.getSignals().map(signal => signal.name),
+      data: TimingGenData.buildSaveData(app)
+    };
+  }, [text, fileName]);
+  page.off('dialog', onDialog);
+  return { ...loaded, summary: messages[0] || '' };
+}
+
+// Step headings of a summary, e.g. "v3.0.1 → v3.1.0"
+function summarySteps(summary) {
+  return summary.split('\n').filter(line => line.includes('→'));
+}
+
+test.describe('Legacy file migration', () => {
+  
+  test.beforeEach(async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should upgrade a v3.0.1 signals file', async ({ page }) => {
+    const text = fs.readFileSync(path.join(__dirname, '..', 'test_delay_uncertainty.td3'), 'utf8');
+    const result = await loadFile(page, 'test_delay_uncertainty.td3', text);
+    
+    expect(result.summary).toContain('This file was converted from v3.0.1 to the current format.');
+    expect(summarySteps(result.summary)).toEqual([
+      'v3.0.1 → v3.1.0',
+      'v3.1.0 → v3.2.0',
+      'v3.2.0 → v3.3.3',
+      'v3.3.3 → v3.4.1'
+    ]);
+    expect(result.summary).toContain('- 3 signal(s) moved into rows');
+    expect(result.signals).toEqual(['clk', 'cs#', 'data']);
+    expect(result.data.version).toBe('3.4.1');
+    expect(result.data.arrows).toEqual([]);
+    expect(result.data.tears).toEqual([]);
+  });
+
+  test('should upgrade a v3.1.x file and split shared measure rows', async ({ page }) => {
+    const result = await loadFile(page, 'bus_cycle.td3', JSON.stringify(V31_DOCUMENT));
+    
+    expect(summarySteps(result.summary)).toEqual([
+      'v3.1.0 → v3.2.0',
+      'v3.2.0 → v3.3.3',
+      'v3.3.3 → v3.4.1'
+    ]);
+    expect(result.summary).toContain('- 1 row(s) holding several measures split into one row per measure');
+    expect(result.rows).toEqual(['signal:clk', 'signal:req', 'measure:M0', 'measure:M1']);
+    const measures = result.data.rows.filter(row => row.type === 'measure').map(row => row.data);
+    expect(measures).toMatchObject([
+      { signal1Name: 'clk', cycle1: 2, signal2Name: 'req', cycle2: 2, text: 't1' },
+      { signal1Name: 'clk', cycle1: 4, signal2Name: 'req', cycle2: 5, text: 't2' }
+    ]);
+  });
+
+  test('should convert a timing_gen2 file and save it under a new name', async ({ page }) => {
+    const text = fs.readFileSync(path.join(__dirname, '..', '..', 'examples', 'tutorial-conf-scope.tdg'), 'utf8');
+    const result = await loadFile(page, 'tutorial-conf-scope.tdg', text);
+    
+    expect(summarySteps(result.summary)).toEqual(['timing_gen2 → v3.4.1']);
+    expect(result.summary).toContain('- 3 signal(s), 6 measure(s), 0 arrow(s), 0 text row(s), 1 counter(s) and 0 tear(s) converted');
+    expect(result.summary).toContain('- Not supported and dropped: cycle bars (grid lines are always drawn)');
+    expect(result.signals).toEqual(['sig_1', 'sig_2', 'sig_3']);
+    expect(result.fileName).toBe('tutorial-conf-scope.td3');
+  });
+
+  test('should load a current file without a summary', async ({ page }) => {
+    const text = fs.readFileSync(path.join(__dirname, '..', 'test_slew.td3'), 'utf8');
+    const upgraded = await loadFile(page, 'test_slew.td3', text);
+    const current = await loadFile(page, 'test_slew_current.td3', JSON.stringify(upgraded.data));
+    
+    expect(current.summary).toBe('');
+    expect(current.fileName).toBe('test_slew_current.td3');
+    expect(current.data).toEqual(upgraded.data);
+  });
+});
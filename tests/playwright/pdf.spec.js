@@ -0,0 +1,121 @@
+// Timing Gen 3 - PDF Export Playwright Tests
+// Version 3.4.1
+
+const { test, expect } = require('@playwright/test');
+
+const BASE_URL = 'http://localhost:8080';
+
+// A4 landscape in points
+const PAGE_WIDTH = 841.89;
+const PAGE_HEIGHT = 595.28;
+
+test.describe('PDF export', () => {
+  
+  test.beforeEach(async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should split long diagrams into pages right after tears', async ({ page }) => {
+    const result = await page.evaluate(([width, height]) => {
+      const app = window.timingGenApp;
+      app.api.setCycles(40);
+      app.api.addSignal({ name: 'clk', type: 'clock' });
+      app.api.addSignal({ name: 'data', type: 'bus', values: { 0: 'X', 2: 'D0', 30: 'X' } });
+      app.tears = new Set([9, 20]);
+      
+      const pages = TimingGenPDF.buildPages(app, width, height);
+      const cycleWidth = app.config.cycleWidth;
+      const nameWidth = app.config.nameColumnWidth;
+      return {
+        ranges: pages.map(ops => {
+          // The second clip of a page holds its cycle slice
+          const clip = Array.from(ops.matchAll(/q 1 0 0 1 \S+ 0 cm (\S+) 0 (\S+) \S+ re W n/g))[1];
+          const start = (parseFloat(clip[1]) - nameWidth) / cycleWidth;
+          return [start, start + parseFloat(clip[2]) / cycleWidth];
+        }),
+        labels: pages.map(ops => ops.match(/\((\d+ \/ \d+)\) Tj/)[1]),
+        // Tears too early on a page are not used
+        early: TimingGenPDF.splitCycles(20, 10, new Set([2])),
+        late: TimingGenPDF.splitCycles(30, 12, new Set([8, 3, 20]))
+      };
+    }, [PAGE_WIDTH, PAGE_HEIGHT]);
+    
+    // 14 cycles fit on a page; pages end after the tears at 9 and 20
+    expect(result.ranges).toEqual([[0, 10], [10, 21], [21, 35], [35, 40]]);
+    expect(result.labels).toEqual(['1 / 4', '2 / 4', '3 / 4', '4 / 4']);
+    expect(result.early).toEqual([{ start: 0, end: 10 }, { start: 10, end: 20 }]);
+    expect(result.late).toEqual([{ start: 0, end: 9 }, { start: 9, end: 21 }, { start: 21, end: 30 }]);
+  });
+
+  test('should continue AC tables on new pages with the header repeated', async ({ page }) => {
+    const result = await page.evaluate(([width, height]) => {
+      const rows = [];
+      for (let idx = 0; idx < 30; idx++) {
+        rows.push({ parameter: `Parameter ${idx}`, symbol: `t${idx}`, min: '1.0', max: '', unit: 'ns',
+                    note: idx === 0 ? '1' : '', rowSpan: idx % 10 === 9 ? 2 : 1 });
+      }
+      const tableData = { title: 'AC Characteristics (3.3 V)', rows: rows, notes: [{ number: '1', text: 'Measured at 25 °C' }] };
+      
+      const margin = TimingGenPDF.MARGIN;
+      const pages = TimingGenPDF.buildACTablePages(tableData, width - 2 * margin,
+                                                   height - 2 * margin - TimingGenPDF.FOOTER_HEIGHT, height);
+      const count = (ops, text) => ops.split(`(${text}) Tj`).length - 1;
+      return pages.map(ops => ({
+        title: count(ops, 'AC Characteristics \\(3.3 V\\)'),
+        continued: count(ops, 'AC Characteristics \\(3.3 V\\) \\(continued\\)'),
+        // The last page also has the "Note" label of the note field
+        header: ['Parameter', 'Symbol', 'Min.', 'Max.', 'Unit', 'Note'].map(text => count(ops, text)),
+        symbols: rows.filter(row => count(ops, row.symbol) > 0).map(row => row.symbol),
+        note: count(ops, 'Measured at 25 \xB0C')
+      }));
+    }, [PAGE_WIDTH, PAGE_HEIGHT]);
+    
+    expect(result).toHaveLength(2);
+    result.forEach((pageInfo, idx) => {
+      expect(pageInfo.title).toBe(idx === 0 ? 1 : 0);
+      expect(pageInfo.continued).toBe(idx === 0 ? 0 : 1);
+      expect(pageInfo.header).toEqual([1, 1, 1, 1, 1, idx === 0 ? 1 : 2]);
+    });
+    // Every row is on exactly one page, in order
+    expect(result.flatMap(pageInfo => pageInfo.symbols)).toEqual(Array.from({ length: 30 }, (value, idx) => `t${idx}`));
+    expect(result.map(pageInfo => pageInfo.note).reduce((sum, count) => sum + count)).toBe(1);
+  });
+
+  test('should write stream lengths and cross-reference offsets in bytes', async ({ page }) => {
+    const result = await page.evaluate(([width, height]) => {
+      const app = window.timingGenApp;
+      app.api.addSignal({ name: 'clk', type: 'clock' });
+      app.api.addSignal({ name: 'tCO–μs', values: { 0: 0, 2: 1 } });
+      app.api.addMeasure({ signal1Name: 'clk', cycle1: 2, signal2Name: 'tCO–μs', cycle2: 2, text: '“typ” (max)' });
+      TimingGenACTable.addACTable(app);
+      
+      const bytes = TimingGenPDF.writePDF(TimingGenPDF.buildPages(app, width, height), width, height);
+      let pdf = '';
+      bytes.forEach(byte => {
+        pdf += String.fromCharCode(byte);
+      });
+      
+      const streams = Array.from(pdf.matchAll(/<< \/Length (\d+) >>\nstream\n/g)).map(match => {
+        const start = match.index + match[0].length;
+        const end = pdf.indexOf('\nendstream', start);
+        return { length: parseInt(match[1]), bytes: end - start };
+      });
+      const xref = pdf.slice(pdf.indexOf('xref\n')).split('\n').slice(3).filter(line => / n $/.test(line));
+      return {
+        streams: streams,
+        offsets: xref.map((line, idx) => pdf.startsWith(`${idx + 1} 0 obj`, parseInt(line))),
+        startxref: pdf.startsWith('xref', parseInt(pdf.match(/startxref\n(\d+)/)[1])),
+        text: pdf.includes('(tCO\x96\xB5s) Tj') && pdf.includes('(\x93typ\x94 \\(max\\)) Tj')
+      };
+    }, [PAGE_WIDTH, PAGE_HEIGHT]);
+    
+    // One byte per character, including the WinAnsi dash, micro sign and quotes
+    expect(result.text).toBe(true);
+    // Two diagram pages (20 cycles) and an AC table page
+    expect(result.streams).toHaveLength(3);
+    result.streams.forEach(stream => expect(stream.length).toBe(stream.bytes));
+    expect(result.offsets.every(found => found)).toBe(true);
+    expect(result.startxref).toBe(true);
+  });
+});
@@ -0,0 +1,130 @@
+// Timing Gen 3 - PNG Export Playwright Tests
+// Version 3.4.1
+
+const { test, expect } = require('@playwright/test');
+
+const BASE_URL = 'http://localhost:8080';
+
+// Render the diagram as PNG with each set of options and describe the images:
+// size, chunk types, pHYs resolution and the RGBA value of the bottom-right pixel
+async function renderImages(page, optionSets) {
+  return page.evaluate(async (sets) => {
+    const describe = async (blob) => {
+      const bytes = new Uint8Array(await blob.arrayBuffer());
+      const view = new DataView(bytes.buffer);
+      const chunks = [];
+      let pixelsPerMeter = null;
+      for (let offset = 8; offset < bytes.length; offset += 12 + view.getUint32(offset)) {
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        if (type === 'pHYs') {
+          pixelsPerMeter = [view.getUint32(offset + 8), view.getUint32(offset + 12), bytes[offset + 16]];
+        }
+        chunks.push(type);
+      }
+      
+      const bitmap = await createImageBitmap(blob);
+      const canvas = document.createElement('canvas');
+      canvas.width = bitmap.width;
+      canvas.height = bitmap.height;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(bitmap, 0, 0);
+      return {
+        width: view.getUint32(16),
+        height: view.getUint32(20),
+        chunks: chunks,
+        pixelsPerMeter: pixelsPerMeter,
+        corner: Array.from(ctx.getImageData(canvas.width - 1, canvas.height - 1, 1, 1).data)
+      };
+    };
+    
+    const app = window.timingGenApp;
+    const images = [];
+    for (const options of sets) {
+      images.push(await describe(await TimingGenData.renderPNG(app, options)));
+    }
+    return images;
+  }, optionSets);
+}
+
+test.describe('PNG export', () => {
+  
+  test.beforeEach(async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForLoadState('networkidle');
+    await page.evaluate(() => {
+      const app = window.timingGenApp;
+      app.api.setCycles(8);
+      app.api.addSignal({ name: 'clk', type: 'clock' });
+      app.api.addSignal({ name: 'data', type: 'bus', values: { 0: 'X', 2: 'D0', 4: 'D1', 6: 'X' } });
+    });
+  });
+
+  test('should scale the image and record the resolution', async ({ page }) => {
+    const [single, double, print] = await renderImages(page, [
+      { scale: 1, background: 'white', crop: false },
+      { scale: 2, background: 'white', crop: false },
+      { scale: 3.125, background: 'white', crop: false }
+    ]);
+    
+    // Sizes are rounded up to whole pixels
+    expect(Math.abs(double.width - 2 * single.width)).toBeLessThanOrEqual(1);
+    expect(Math.abs(double.height - 2 * single.height)).toBeLessThanOrEqual(1);
+    expect(Math.abs(print.width - 3.125 * single.width)).toBeLessThanOrEqual(1);
+    
+    // One pHYs chunk right after the header, in pixels per meter
+    expect(double.chunks.slice(0, 2)).toEqual(['IHDR', 'pHYs']);
+    expect(double.chunks.filter(type => type === 'pHYs')).toHaveLength(1);
+    expect(double.chunks[double.chunks.length - 1]).toBe('IEND');
+    expect(single.pixelsPerMeter).toEqual([3780, 3780, 1]);
+    expect(double.pixelsPerMeter).toEqual([7559, 7559, 1]);
+    expect(print.pixelsPerMeter).toEqual([11811, 11811, 1]);
+  });
+
+  test('should fill or leave out the background and crop to the content', async ({ page }) => {
+    const [white, transparent, cropped] = await renderImages(page, [
+      { scale: 1, background: 'white', crop: false },
+      { scale: 1, background: 'transparent', crop: false },
+      { scale: 1, background: 'transparent', crop: true }
+    ]);
+    
+    // The bottom-right corner of the full canvas is empty
+    expect(white.corner).toEqual([255, 255, 255, 255]);
+    expect(transparent.corner[3]).toBe(0);
+    expect(transparent.width).toBe(white.width);
+    
+    expect(cropped.width).toBeLessThan(white.width);
+    expect(cropped.height).toBeLessThanOrEqual(white.height);
+  });
+
+  test('should insert a valid pHYs chunk after the PNG header', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      // Signature and an IHDR chunk; the chunk contents are not looked at
+      const header = new Uint8Array(33);
+      header.set([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52]);
+      const rest = new Uint8Array([0, 0, 0, 0, 0x49, 0x45, 0x4E, 0x44, 0xAE, 0x42, 0x60, 0x82]);
+      const png = new Uint8Array(header.length + rest.length);
+      png.set(header, 0);
+      png.set(rest, header.length);
+      
+      const bytes = TimingGenData.setPNGResolution(png, 300);
+      return {
+        length: bytes.length - png.length,
+        before: Array.from(bytes.subarray(0, 33)).join() === Array.from(header).join(),
+        chunk: Array.from(bytes.subarray(33, 54)),
+        after: Array.from(bytes.subarray(54)),
+        iendCRC: TimingGenData.crc32(new Uint8Array([0x49, 0x45, 0x4E, 0x44]))
+      };
+    });
+    
+    expect(result.length).toBe(21);
+    expect(result.before).toBe(true);
+    // Length 9, "pHYs", 11811 pixels per meter (300 DPI) both ways, unit meter, CRC
+    expect(result.chunk).toEqual([
+      0, 0, 0, 9, 0x70, 0x48, 0x59, 0x73,
+      0, 0, 0x2E, 0x23, 0, 0, 0x2E, 0x23, 1,
+      0x78, 0xA5, 0x3F, 0x76
+    ]);
+    expect(result.after).toEqual([0, 0, 0, 0, 0x49, 0x45, 0x4E, 0x44, 0xAE, 0x42, 0x60, 0x82]);
+    expect(result.iendCRC).toBe(0xAE426082);
+  });
+});
@@ -0,0 +1,108 @@
+// Timing Gen 3 - Points of Interest Playwright Tests
+// Version 3.4.1
+
+const { test, expect } = require('@playwright/test');
+
+const BASE_URL = 'http://localhost:8080';
+
+test.describe('Points of interest', () => {
+  
+  test.beforeEach(async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should attach measures and arrows to the crossover of a differential pair', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      const api = app.api;
+      api.setCycles(8);
+      api.addSignal({ name: 'clk', type: 'clock' });
+      api.addSignal({ name: 'dp', type: 'diff', values: { 0: 'Z', 1: 0, 3: 1, 5: 'Z' } });
+      const pair = app.getSignalByName('dp');
+      // 10 px slew, as set in the Signal Options dialog
+      pair.slew = 10;
+      api.addMeasure({ signal1Name: 'clk', cycle1: 3, signal2Name: 'dp', cycle2: 3, text: 'tCROSS' });
+      api.addArrow({ signal1Name: 'clk', cycle1: 3, signal2Name: 'dp', cycle2: 3, poi2Type: 'crossing', text: 'causes' });
+      app.render();
+      
+      const poiTypes = (cycle) => TimingGenArrow.getAllPOIsForSignalCycle(app, 'dp', cycle).map(poi => poi.poiType);
+      const crossing = TimingGenArrow.getPointOfInterest(app, 'dp', 3, 'crossing');
+      const measure = TimingGenMeasure.getMeasureCoordinates(app, app.measuresData.get('M0'));
+      const arrow = app.arrowsData.get('A0');
+      return {
+        crossings: [1, 2, 3, 4, 5].map(cycle => TimingGenModel.isDiffCrossing(pair, cycle)),
+        poiTypes: { idleToLow: poiTypes(1), lowToHigh: poiTypes(3) },
+        crossing: { x: crossing.x, y: crossing.y },
+        offset: crossing.x - app.getCycleX(pair, 3),
+        auto: TimingGenArrow.getPointOfInterest(app, 'dp', 3, 'auto'),
+        measureEnd: { x: measure.x2, y: measure.y2 },
+        arrowEnd: { x: arrow.endX, y: arrow.endY }
+      };
+    });
+    
+    // Only 0/1 changes cross; leaving or entering idle (Z) does not
+    expect(result.crossings).toEqual([false, false, true, false, false]);
+    expect(result.poiTypes.idleToLow).toEqual(['low', 'mid', 'high', 'slew-start', 'slew-center', 'slew-end']);
+    expect(result.poiTypes.lowToHigh).toEqual(['low', 'mid', 'high', 'slew-start', 'slew-center', 'slew-end', 'crossing']);
+    
+    // Half way through the slew, in the middle of the row
+    expect(result.offset).toBe(5);
+    expect(result.auto).toMatchObject(result.crossing);
+    expect(result.measureEnd).toEqual(result.crossing);
+    expect(result.arrowEnd).toEqual(result.crossing);
+  });
+
+  test('should attach measures and arrows to analog threshold crossings', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      const api = app.api;
+      api.setCycles(8);
+      api.addSignal({ name: 'clk', type: 'clock' });
+      api.addSignal({
+        name: 'vdd',
+        type: 'analog',
+        values: { 0: 0, 1: 0, 4: 3.3, 6: 3.3, 7: 0 },
+        scaleMax: 3.6,
+        thresholds: [{ value: 2.97, label: '90%' }, { value: 0.33, label: '10%' }]
+      });
+      api.addSignal({ name: 'rst', values: { 0: 0, 5: 1 } });
+      const vdd = app.getSignalByName('vdd');
+      const row = app.rowManager.signalIndexToRowIndex(app.getSignals().indexOf(vdd));
+      const rowY = app.rowManager.getRowYPosition(row);
+      const rowHeight = app.rowManager.getRowHeight(row);
+      const pointAt = (cycle, value) => ({ x: app.getCycleX(vdd, cycle), y: TimingGenModel.getAnalogY(vdd, value, rowY, rowHeight) });
+      
+      // Clicks snap to a crossing within two cycles when it is closer than the clicked cycle
+      const snapped = [3.6, 2.05].map(cycle => TimingGenMeasure.findNearestPOI(app, app.getCycleX(vdd, cycle), rowY + 10).cycle);
+      
+      api.addMeasure({ signal1Name: 'vdd', cycle1: snapped[0], signal2Name: 'rst', cycle2: 5, text: 'tPG' });
+      api.addArrow({ signal1Name: 'vdd', cycle1: 1.3, signal2Name: 'rst', cycle2: 5, text: 'ramp' });
+      app.render();
+      TimingGenACTable.addACTable(app);
+      
+      const measure = TimingGenMeasure.getMeasureCoordinates(app, app.measuresData.get('M0'));
+      const arrow = app.arrowsData.get('A0');
+      return {
+        crossings: TimingGenModel.getAnalogCrossings(vdd, app.getSignalCycleCount(vdd)).map(crossing => `${crossing.threshold.label}@${crossing.cycle}`),
+        snapped: snapped,
+        value: api.getValue('vdd', 3.7),
+        pois: TimingGenArrow.getAllPOIsForSignalCycle(app, 'vdd', 3.7).map(poi => ({ x: poi.x, y: poi.y })),
+        measureStart: { x: measure.x1, y: measure.y1 },
+        arrowStart: { x: arrow.startX, y: arrow.startY },
+        expected: { rise90: pointAt(3.7, 2.97), rise10: pointAt(1.3, 0.33) },
+        ac: app.acTablesData.get('ACT0').rows.map(acRow => `${acRow.symbol} ${acRow.min} ${acRow.max} ${acRow.unit}`)
+      };
+    });
+    
+    expect(result.crossings).toEqual(['10%@1.3', '90%@3.7', '90%@6.1', '10%@6.9']);
+    expect(result.snapped).toEqual([3.7, 2]);
+    expect(result.value).toBe(2.97);
+    // One point per cycle, on the waveform
+    expect(result.pois).toEqual([result.expected.rise90]);
+    expect(result.measureStart).toEqual(result.expected.rise90);
+    expect(result.arrowStart).toEqual(result.expected.rise10);
+    // From the 90% crossing to rst rising at cycle 5 with a 10 ns period
+    expect(result.ac).toEqual(['tPG 13.00 13.00 ns']);
+  });
+});
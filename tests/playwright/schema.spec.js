@@ -0,0 +1,117 @@
+// Timing Gen 3 - File Check and Repair Playwright Tests
+// Version 3.4.1
+
+const { test, expect } = require('@playwright/test');
+
+const BASE_URL = 'http://localhost:8080';
+
+// Current-format document with a non-canonical and an invalid cycle key, a duplicate
+// signal name, and a measure and an arrow on a signal that does not exist
+const BROKEN_DOCUMENT = {
+  version: '3.4.1',
+  config: { cycles: 8 },
+  rows: [
+    { type: 'signal', name: 'clk', data: { name: 'clk', type: 'clock', values: {} } },
+    { type: 'signal', name: 'd', data: { name: 'd', type: 'bit', values: { 0: 0, '1.50': 1, 'x': 0, 3: 0 }, base_clock: 'clk' } },
+    { type: 'signal', name: 'd', data: { name: 'd', type: 'bus', values: { 0: 'X' } } },
+    { type: 'measure', name: 'M0', data: { signal1Name: 'clk', cycle1: 1, signal2Name: 'd', cycle2: 1, text: 'tCO' } },
+    { type: 'measure', name: 'M1', data: { signal1Name: 'clk', cycle1: 2, signal2Name: 'ready', cycle2: 3, text: 'tRDY' } }
+  ],
+  arrows: [
+    { name: 'A0', signal1Name: 'd', cycle1: 1, signal2Name: 'ready', cycle2: 3 }
+  ],
+  tears: []
+};
+
+test.describe('File check and repair', () => {
+  
+  test.beforeEach(async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should report the issues of a broken file and repair them', async ({ page }) => {
+    const result = await page.evaluate((doc) => {
+      const repaired = TimingGenSchema.repair(doc);
+      return {
+        report: TimingGenSchema.validate(doc),
+        actions: repaired.actions,
+        repaired: repaired.data,
+        remaining: TimingGenSchema.validate(repaired.data),
+        unchanged: JSON.stringify(doc)
+      };
+    }, BROKEN_DOCUMENT);
+    
+    expect(result.report.errors).toEqual([
+      { path: '$.rows[1].data.values["1.50"]', message: 'must be a whole, half or quarter cycle number' },
+      { path: '$.rows[1].data.values.x', message: 'must be a whole, half or quarter cycle number' },
+      { path: '$.rows[2].name', message: 'duplicate signal name "d" (first used at $.rows[1])' },
+      { path: '$.rows[4].data.signal2Name', message: 'signal "ready" does not exist' },
+      { path: '$.arrows[0].signal2Name', message: 'signal "ready" does not exist' }
+    ]);
+    expect(result.report.warnings).toEqual([]);
+    
+    expect(result.actions).toEqual([
+      { path: '$.rows[1].data.values["1.50"]', description: 'Rename values entry "1.50" of signal "d" to "1.5"' },
+      { path: '$.rows[1].data.values.x', description: 'Remove values entry "x" of signal "d"' },
+      { path: '$.rows[2]', description: 'Remove row 2 (duplicate signal name "d")' },
+      { path: '$.rows[4]', description: 'Remove row 4 (measure "M1" uses missing signal "ready")' },
+      { path: '$.arrows[0]', description: 'Remove arrow "A0" (signal "ready" does not exist)' }
+    ]);
+    
+    // The first "d" is kept, with its values rewritten; M0 only uses existing signals
+    expect(result.repaired.rows.map(row => `${row.type}:${row.name}`)).toEqual(['signal:clk', 'signal:d', 'measure:M0']);
+    expect(result.repaired.rows[1].data.values).toEqual({ 0: 0, '1.5': 1, 3: 0 });
+    expect(result.repaired.arrows).toEqual([]);
+    expect(result.remaining).toEqual({ errors: [], warnings: [] });
+    // Repair works on a copy
+    expect(JSON.parse(result.unchanged)).toEqual(BROKEN_DOCUMENT);
+  });
+
+  test('should show the file check report on load and open the repaired document', async ({ page }) => {
+    const result = await page.evaluate((text) => {
+      const app = window.timingGenApp;
+      TimingGenData.loadFromText(app, text, 'broken.td3', null);
+      
+      const dialog = document.getElementById('validation-dialog');
+      const report = {
+        shown: dialog.style.display,
+        summary: document.getElementById('validation-summary').textContent,
+        lines: Array.from(document.querySelectorAll('#validation-issue-list div')).map(line => line.textContent),
+        repairDisabled: document.getElementById('validation-repair-btn').disabled,
+        keepDisabled: document.getElementById('validation-keep-btn').disabled
+      };
+      
+      document.getElementById('validation-repair-btn').click();
+      return {
+        report: report,
+        hidden: dialog.style.display,
+        rows: app.rows.map(row => `${row.type}:${row.name}`),
+        values: app.signalsData.get('d').values
+      };
+    }, JSON.stringify(BROKEN_DOCUMENT));
+    
+    expect(result.report.shown).toBe('flex');
+    expect(result.report.summary).toBe('broken.td3: 5 error(s), 0 warning(s). Files with errors cannot be opened as they are.');
+    expect(result.report.lines).toEqual([
+      'Error $.rows[1].data.values["1.50"]: must be a whole, half or quarter cycle number (repairable)',
+      'Error $.rows[1].data.values.x: must be a whole, half or quarter cycle number (repairable)',
+      'Error $.rows[2].name: duplicate signal name "d" (first used at $.rows[1]) (repairable)',
+      'Error $.rows[4].data.signal2Name: signal "ready" does not exist (repairable)',
+      'Error $.arrows[0].signal2Name: signal "ready" does not exist (repairable)',
+      'Repair will:',
+      '- Rename values entry "1.50" of signal "d" to "1.5"',
+      '- Remove values entry "x" of signal "d"',
+      '- Remove row 2 (duplicate signal name "d")',
+      '- Remove row 4 (measure "M1" uses missing signal "ready")',
+      '- Remove arrow "A0" (signal "ready" does not exist)'
+    ]);
+    // Files with errors can only be opened repaired
+    expect(result.report.repairDisabled).toBe(false);
+    expect(result.report.keepDisabled).toBe(true);
+    
+    expect(result.hidden).toBe('none');
+    expect(result.rows).toEqual(['signal:clk', 'signal:d', 'measure:M0']);
+    expect(result.values).toEqual({ 0: 0, '1.5': 1, 3: 0 });
+  });
+});
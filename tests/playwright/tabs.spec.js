@@ -0,0 +1,163 @@
+// Timing Gen 3 - Document Tabs Playwright Tests
+// Version 3.4.1
+
+const { test, expect } = require('@playwright/test');
+
+const BASE_URL = 'http://localhost:8080';
+
+test.describe('Document tabs', () => {
+  
+  test.beforeEach(async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should keep each tab its own document and undo history', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      const api = app.api;
+      const describe = () => ({
+        title: app.documentTitle,
+        cycles: app.config.cycles,
+        signals: app.getSignals().map(signal => signal.name),
+        history: app.undoRedoManager.history.map(command => command.label)
+      });
+      
+      api.setCycles(12);
+      api.addSignal({ name: 'clk', type: 'clock' });
+      api.addSignal({ name: 'data', type: 'bus' });
+      app.documentTitle = 'first';
+      const firstManager = app.undoRedoManager;
+      
+      TimingGenTabs.newTab(app);
+      const fresh = describe();
+      api.addSignal({ name: 'sclk', type: 'clock' });
+      api.setCycles(6);
+      const second = describe();
+      
+      // Undo in the first tab leaves the second one alone
+      TimingGenTabs.activateTab(app, 0);
+      const first = describe();
+      app.undoRedoManager.undo();
+      const firstUndone = describe();
+      TimingGenTabs.activateTab(app, 1);
+      
+      return {
+        fresh: fresh,
+        second: second,
+        first: first,
+        firstUndone: firstUndone,
+        secondAgain: describe(),
+        sameManager: TimingGenTabs.getTabDocument(app, 0).undoRedoManager === firstManager,
+        // Every document field is parked on the inactive tab
+        parked: TimingGenTabs.DOCUMENT_KEYS.filter(key => !(key in TimingGenTabs.getTabDocument(app, 0))),
+        tabBar: Array.from(document.querySelectorAll('.document-tab')).map(tab => tab.firstChild.textContent)
+      };
+    });
+    
+    // A new tab starts empty with a copy of the configuration
+    expect(result.fresh).toEqual({ title: 'untitled', cycles: 12, signals: [], history: [] });
+    expect(result.second).toEqual({ title: 'untitled', cycles: 6, signals: ['sclk'], history: ['Add signal sclk', 'Set cycles to 6'] });
+    expect(result.first).toEqual({ title: 'first', cycles: 12, signals: ['clk', 'data'], history: ['Set cycles to 12', 'Add signal clk', 'Add signal data'] });
+    expect(result.firstUndone.signals).toEqual(['clk']);
+    expect(result.secondAgain).toEqual(result.second);
+    expect(result.sameManager).toBe(true);
+    expect(result.parked).toEqual([]);
+    expect(result.tabBar).toEqual(['first *', 'untitled *']);
+  });
+
+  test('should ask before closing a tab with unsaved changes', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      const questions = [];
+      let answer = false;
+      window.confirm = (message) => {
+        questions.push(message);
+        return answer;
+      };
+      
+      app.api.addSignal({ name: 'clk', type: 'clock' });
+      app.documentTitle = 'edited';
+      TimingGenTabs.newTab(app);
+      
+      // The new tab has no changes: no question
+      TimingGenTabs.closeTab(app, 1);
+      const afterCleanClose = app.tabs.length;
+      
+      TimingGenTabs.newTab(app);
+      TimingGenTabs.closeTab(app, 0);
+      const afterCancel = app.tabs.length;
+      answer = true;
+      TimingGenTabs.closeTab(app, 0);
+      
+      return {
+        questions: questions,
+        afterCleanClose: afterCleanClose,
+        afterCancel: afterCancel,
+        afterClose: app.tabs.length,
+        active: app.activeTab,
+        title: app.documentTitle
+      };
+    });
+    
+    expect(result.questions).toEqual([
+      '"edited" has unsaved changes. Close it anyway?',
+      '"edited" has unsaved changes. Close it anyway?'
+    ]);
+    expect(result.afterCleanClose).toBe(1);
+    expect(result.afterCancel).toBe(2);
+    expect(result.afterClose).toBe(1);
+    expect(result.active).toBe(0);
+    expect(result.title).toBe('untitled');
+  });
+
+  test('should rename pasted signals and point them at a clock of the target document', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      const api = app.api;
+      const pasted = () => app.getSignals()
+        .filter((signal, index) => app.selectedSignals.has(index))
+        .map(signal => `${signal.name}@${signal.base_clock || '-'}`);
+      
+      api.addSignal({ name: 'clk', type: 'clock' });
+      api.addSignal({ name: 'data', type: 'bus', base_clock: 'clk' });
+      api.addSignal({ name: 'valid', base_clock: 'clk' });
+      
+      // Clock and data pasted into the same document: both renamed, data follows its clock
+      TimingGenTabs.copySignals(app, [0, 1]);
+      TimingGenTabs.pasteSignals(app, null);
+      const sameDocument = pasted();
+      TimingGenTabs.pasteSignals(app, 0);
+      const again = { pasted: pasted(), order: app.getSignals().map(signal => signal.name) };
+      
+      // Data alone into a document whose first clock is sclk
+      TimingGenTabs.copySignals(app, [app.getSignals().findIndex(signal => signal.name === 'valid')]);
+      TimingGenTabs.newTab(app);
+      api.addSignal({ name: 'rst' });
+      api.addSignal({ name: 'sclk', type: 'clock' });
+      TimingGenTabs.pasteSignals(app, null);
+      const otherClock = pasted();
+      
+      // Into a document without clocks
+      TimingGenTabs.newTab(app);
+      TimingGenTabs.pasteSignals(app, null);
+      const noClock = pasted();
+      
+      return {
+        sameDocument: sameDocument,
+        again: again,
+        otherClock: otherClock,
+        noClock: noClock,
+        history: app.undoRedoManager.history.map(command => command.label)
+      };
+    });
+    
+    expect(result.sameDocument).toEqual(['clk_1@-', 'data_1@clk_1']);
+    // Pasted after the first signal, with the next free suffix
+    expect(result.again.pasted).toEqual(['clk_2@-', 'data_2@clk_2']);
+    expect(result.again.order).toEqual(['clk', 'clk_2', 'data_2', 'data', 'valid', 'clk_1', 'data_1']);
+    expect(result.otherClock).toEqual(['valid@sclk']);
+    expect(result.noClock).toEqual(['valid@clk']);
+    expect(result.history).toEqual(['Paste signal valid']);
+  });
+});
@@ -0,0 +1,38 @@
+// Timing Gen 3 - TikZ Export Playwright Tests
+// Version 3.4.1
+
+const { test, expect } = require('@playwright/test');
+
+const BASE_URL = 'http://localhost:8080';
+
+test.describe('TikZ export', () => {
+  
+  test.beforeEach(async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should escape LaTeX special characters in names, values and measure text', async ({ page }) => {
+    const tikz = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      app.api.setCycles(4);
+      app.api.addSignal({ name: 'clk', type: 'clock' });
+      app.api.addSignal({ name: 'cs_n#0', values: { 0: 1, 1: 0, 3: 1 } });
+      app.api.addSignal({ name: 'data', type: 'bus', values: { 0: 'X', 1: '50%', 2: 'a&b' } });
+      app.api.addMeasure({ signal1Name: 'clk', cycle1: 1, signal2Name: 'cs_n#0', cycle2: 1, text: 't_CS' });
+      return TimingGenTikZ.buildTikZ(app);
+    });
+    // Text of every \node, in drawing order
+    const nodes = tikz.split('\n').filter(line => line.startsWith('\\node')).map(line => line.match(/\{(.*)\};$/)[1]);
+    
+    expect(tikz.startsWith('% Generated by Timing Gen 3\n\\documentclass[tikz,border=4pt]{standalone}\n')).toBe(true);
+    expect(tikz.trimEnd().endsWith('\\end{tikzpicture}\n\\end{document}')).toBe(true);
+    expect(nodes).toEqual(['clk', 'cs\\_n\\#0', 't\\_CS', 'data', '50\\%', 'a\\&b']);
+  });
+
+  test('should escape every LaTeX special character', async ({ page }) => {
+    const escaped = await page.evaluate(() => TimingGenTikZ.escape('\\{a}#$%&_~^ b'));
+    
+    expect(escaped).toBe('\\textbackslash{}\\{a\\}\\#\\$\\%\\&\\_\\textasciitilde{}\\textasciicircum{} b');
+  });
+});
@@ -0,0 +1,144 @@
+// Timing Gen 3 - Clock Timing Playwright Tests
+// Version 3.4.1
+
+const { test, expect } = require('@playwright/test');
+
+const BASE_URL = 'http://localhost:8080';
+
+test.describe('Clock timing', () => {
+  
+  test.beforeEach(async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should place clock edges by duty cycle, phase and polarity', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      app.api.setCycles(2);
+      app.api.addSignal({ name: 'clk', type: 'clock' });
+      app.api.addSignal({ name: 'c25', type: 'clock', duty: 25 });
+      app.api.addSignal({ name: 'cph', type: 'clock', phase: 0.25 });
+      app.api.addSignal({ name: 'clow', type: 'clock', polarity: 'low', duty: 25 });
+      
+      const clocks = {};
+      app.getSignals().forEach(clock => {
+        const { initial, edges } = TimingGenModel.getClockEdges(app.config, app.getSignalTiming(clock), clock);
+        clocks[clock.name] = {
+          initial: initial,
+          edges: edges.map(edge => `${edge.high ? 'rise' : 'fall'} ${edge.time}`),
+          // Measure end points: rising and falling edge in cycle 1
+          rising1: TimingGenModel.getEventTime(app, clock, 1),
+          falling1: TimingGenModel.getEventTime(app, clock, -2)
+        };
+      });
+      return clocks;
+    });
+    
+    expect(result.clk).toEqual({ initial: false, edges: ['rise 0', 'fall 0.5', 'rise 1', 'fall 1.5'], rising1: 1, falling1: 1.5 });
+    expect(result.c25).toEqual({ initial: false, edges: ['rise 0', 'fall 0.25', 'rise 1', 'fall 1.25'], rising1: 1, falling1: 1.25 });
+    // Cycle 0 is the one running when the diagram starts, so cycle 1 rises at 0.25
+    expect(result.cph).toEqual({ initial: false, edges: ['rise 0.25', 'fall 0.75', 'rise 1.25', 'fall 1.75'], rising1: 0.25, falling1: 0.75 });
+    // Low polarity starts each cycle with a falling edge; duty is still the high time
+    expect(result.clow).toEqual({ initial: true, edges: ['fall 0', 'rise 0.75', 'fall 1', 'rise 1.75'], rising1: 1.75, falling1: 1 });
+  });
+
+  test('should measure and point at the shifted edges', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      const api = app.api;
+      api.setCycles(4);
+      api.addSignal({ name: 'clk', type: 'clock' });
+      api.addSignal({ name: 'c25', type: 'clock', duty: 25 });
+      api.addSignal({ name: 'cph', type: 'clock', phase: 0.25 });
+      api.addSignal({ name: 'clow', type: 'clock', polarity: 'low', duty: 25 });
+      api.addSignal({ name: 'q', base_clock: 'c25', values: { 0: 0, 1.5: 1 }, transitionStep: 0.5 });
+      api.addMeasure({ signal1Name: 'clk', cycle1: 1, signal2Name: 'c25', cycle2: -2, text: 'tHI' });
+      api.addMeasure({ signal1Name: 'cph', cycle1: 1, signal2Name: 'clow', cycle2: 1, text: 'tSKEW' });
+      api.addMeasure({ signal1Name: 'c25', cycle1: 1, signal2Name: 'q', cycle2: 1.5, text: 'tQ' });
+      TimingGenACTable.addACTable(app);
+      
+      const x = (time) => app.config.nameColumnWidth + time * app.config.cycleWidth;
+      const pointX = (poiType) => TimingGenArrow.getPointOfInterest(app, 'c25', 1, poiType).x;
+      return {
+        ac: app.acTablesData.get('ACT0').rows.map(row => `${row.symbol} ${row.min} ${row.max} ${row.unit}`),
+        points: { rising: pointX('rising') === x(1), falling: pointX('falling') === x(1.25) }
+      };
+    });
+    
+    // 10 ns clock period: c25 is high for 2.5 ns, cph rises 2.5 ns into the diagram,
+    // and q's change at 1.5 follows c25's falling edge
+    expect(result.ac).toEqual(['tHI 2.50 2.50 ns', 'tSKEW 15.00 15.00 ns', 'tQ 2.50 2.50 ns']);
+    expect(result.points).toEqual({ rising: true, falling: true });
+  });
+
+  test('should hold the level of stopped cycles and list gated ranges', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      const api = app.api;
+      api.setCycles(8);
+      api.addSignal({ name: 'clk', type: 'clock', values: { 2: 'G', 4: 'C', 5: 1, 7: 'C' } });
+      api.addSignal({ name: 'clkn', type: 'clock', polarity: 'low' });
+      api.setValues('clkn', { 1: 'G', 3: 'C', 5: 0 });
+      
+      let message = null;
+      try {
+        api.setValue('clk', 3, 'H');
+      } catch (err) {
+        message = err.message;
+      }
+      
+      const clocks = {};
+      app.getSignals().forEach(clock => {
+        const { initial, edges, gated } = TimingGenModel.getClockEdges(app.config, app.getSignalTiming(clock), clock);
+        clocks[clock.name] = {
+          states: [0, 1, 2, 3, 4, 5, 6, 7].map(cycle => TimingGenModel.getClockStateAtCycle(clock, cycle)),
+          initial: initial,
+          edges: edges.map(edge => `${edge.high ? 'rise' : 'fall'} ${edge.time}`),
+          gated: gated
+        };
+      });
+      return { clocks: clocks, message: message };
+    });
+    
+    expect(result.message).toBe('setValue: clock "clk" takes \'C\' (running), 0, 1 (stopped) or \'G\' (gated), not "H"');
+    // Gated in cycles 2-3 (resting low), stopped high in cycles 5-6; running again from
+    // cycle 7, which starts high, so only its falling edge is drawn
+    expect(result.clocks.clk).toEqual({
+      states: ['C', 'C', 'G', 'G', 'C', 1, 1, 'C'],
+      initial: false,
+      edges: ['rise 0', 'fall 0.5', 'rise 1', 'fall 1.5', 'rise 4', 'fall 4.5', 'rise 5', 'fall 7.5'],
+      gated: [{ start: 2, end: 4 }]
+    });
+    // A low-polarity clock rests high while gated, then stops low from cycle 5 on
+    expect(result.clocks.clkn).toEqual({
+      states: ['C', 'G', 'G', 'C', 'C', 0, 0, 0],
+      initial: true,
+      edges: ['fall 0', 'rise 0.5', 'fall 3', 'rise 3.5', 'fall 4', 'rise 4.5', 'fall 5'],
+      gated: [{ start: 1, end: 3 }]
+    });
+  });
+
+  test('should export gated and stopped cycles', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      app.api.setCycles(8);
+      app.api.addSignal({ name: 'clk', type: 'clock', values: { 2: 'G', 4: 'C', 5: 1, 7: 'C' } });
+      
+      const vcd = TimingGenVCD.parseVCD(TimingGenVCD.buildVCD(app).text);
+      const wave = TimingGenWaveDrom.buildWaveJSON(app);
+      return {
+        vcd: vcd.changes.get(vcd.vars[0].id).map(change => `${change.value}@${change.time}`),
+        wave: wave.waveJSON.signal[0].wave,
+        warnings: wave.warnings,
+        text: TimingGenDSL.toText(TimingGenData.buildSaveData(app)).split('\n').find(line => line.startsWith('clk:'))
+      };
+    });
+    
+    // 10 ns period written in ps
+    expect(result.vcd).toEqual(['1@0', '0@5000', '1@10000', '0@15000', '1@40000', '0@45000', '1@50000', '0@75000']);
+    expect(result.wave).toBe('p.l.ph.p');
+    expect(result.warnings).toEqual(['Gated clock regions (exported as stopped clock cycles)']);
+    expect(result.text).toBe('clk: clock @2:G @4:C @5:1 @7:C');
+  });
+});
@@ -0,0 +1,245 @@
+// Timing Gen 3 - Undo/Redo Playwright Tests
+// Version 3.4.1
+
+const { test, expect } = require('@playwright/test');
+
+const BASE_URL = 'http://localhost:8080';
+
+test.describe('Undo history', () => {
+  
+  test.beforeEach(async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should undo and redo signal, measure, AC table and group edits', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      const manager = app.undoRedoManager;
+      const snapshot = () => JSON.stringify(app.api.getData());
+      // State after each command, starting with the empty document
+      const states = [snapshot()];
+      const record = () => states.push(snapshot());
+      
+      // Signal edits
+      app.api.addSignal({ name: 'clk', type: 'clock' });
+      record();
+      app.api.addSignal({ name: 'data', type: 'bus' });
+      record();
+      app.api.setValue('data', 2, '0xAB');
+      record();
+      
+      // Measure edit
+      app.api.addMeasure({ signal1Name: 'clk', cycle1: 2, signal2Name: 'data', cycle2: 2, text: 'tCO' });
+      record();
+      
+      // AC table edits: add a table, then change a cell
+      document.getElementById('ac-table-title-input').value = 'AC Characteristics';
+      TimingGenACTable.addACTable(app);
+      record();
+      app.currentEditingACCell = { tableName: 'ACT0', cellType: 'data', rowIndex: 0, colName: 'parameter' };
+      document.getElementById('edit-ac-cell-input').value = 'Clock to output';
+      TimingGenACTable.updateACCell(app);
+      record();
+      
+      // Group edits: add a group, then move the measure into it (as a row drag does)
+      app.addGroup();
+      manager.commitPending();
+      record();
+      manager.captureState('Move M0 into G0');
+      app.groupsData.get('G0').measures.push('M0');
+      app.rows.splice(app.rows.findIndex(row => row.type === 'measure' && row.name === 'M0'), 1);
+      app.rebuildAfterMeasureRowMove();
+      app.render();
+      manager.commitPending();
+      record();
+      
+      const labels = manager.history.map(command => command.label);
+      
+      // Each undo goes back to the state before its command
+      const undone = [];
+      for (let index = states.length - 2; index >= 0; index--) {
+        manager.undo();
+        undone.push(snapshot() === states[index]);
+      }
+      
+      // Redo everything
+      while (manager.position < manager.history.length) {
+        manager.redo();
+      }
+      
+      return {
+        labels: labels,
+        undone: undone,
+        redone: snapshot() === states[states.length - 1],
+        groupMeasures: app.groupsData.get('G0').measures,
+        acParameter: app.acTablesData.get('ACT0').rows[0].parameter
+      };
+    });
+    
+    expect(result.labels).toEqual([
+      'Add signal clk',
+      'Add signal data',
+      'Set bus data[2]=0xAB',
+      'Add measure M0',
+      'Add AC table',
+      'Edit AC table cell',
+      'Add group G0',
+      'Move M0 into G0'
+    ]);
+    expect(result.undone).toEqual([true, true, true, true, true, true, true, true]);
+    expect(result.redone).toBe(true);
+    expect(result.groupMeasures).toEqual(['M0']);
+    expect(result.acParameter).toBe('Clock to output');
+  });
+
+  test('should jump to an entry of the history panel', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      const manager = app.undoRedoManager;
+      app.api.addSignal({ name: 'clk', type: 'clock' });
+      app.api.addSignal({ name: 'valid' });
+      app.api.setValue('valid', 3, 1);
+      
+      manager.toggleHistoryPanel();
+      const items = () => Array.from(document.querySelectorAll('#history-list .history-item'));
+      const texts = items().map(item => item.textContent);
+      
+      // Back to "Add signal clk"
+      items()[1].click();
+      const afterBack = {
+        position: manager.position,
+        signals: app.getSignals().map(signal => signal.name),
+        current: document.querySelector('#history-list .current').textContent,
+        undone: items().filter(item => item.classList.contains('undone')).map(item => item.textContent)
+      };
+      
+      // Forward again to the last entry
+      items()[3].click();
+      return {
+        texts: texts,
+        afterBack: afterBack,
+        positionAfterForward: manager.position,
+        value: app.api.getValue('valid', 3)
+      };
+    });
+    
+    expect(result.texts).toEqual(['Initial state', 'Add signal clk', 'Add signal valid', 'Set valid[3]=1']);
+    expect(result.afterBack).toEqual({
+      position: 1,
+      signals: ['clk'],
+      current: 'Add signal clk',
+      undone: ['Add signal valid', 'Set valid[3]=1']
+    });
+    expect(result.positionAfterForward).toBe(3);
+    expect(result.value).toBe(1);
+  });
+
+  test('should track the clean and dirty state around a save', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const app = window.timingGenApp;
+      const manager = app.undoRedoManager;
+      const written = [];
+      const handle = {
+        name: 'bus_cycle.td3',
+        createWritable: () => Promise.resolve({
+          write: (text) => {
+            written.push(text);
+            return Promise.resolve();
+          },
+          close: () => Promise.resolve()
+        })
+      };
+      
+      app.api.addSignal({ name: 'clk', type: 'clock' });
+      app.api.addSignal({ name: 'valid' });
+      const states = { beforeSave: manager.isDirty() };
+      
+      app.fileHandle = handle;
+      app.fileName = handle.name;
+      TimingGenData.saveToJSON(app);
+      await new Promise(resolve => setTimeout(resolve, 0));
+      states.afterSave = manager.isDirty();
+      states.title = document.title;
+      
+      // A capture without a change leaves the document clean
+      manager.captureState('Toggle valid[1]');
+      states.afterEmptyCapture = manager.isDirty();
+      manager.commitPending();
+      
+      app.api.setValue('valid', 2, 1);
+      states.afterEdit = manager.isDirty();
+      manager.undo();
+      states.afterUndo = manager.isDirty();
+      manager.undo();
+      states.beforeSavePoint = manager.isDirty();
+      manager.redo();
+      states.backAtSavePoint = manager.isDirty();
+      
+      return { states: states, written: written.length, savedRows: JSON.parse(written[0]).rows.length };
+    });
+    
+    expect(result.states).toEqual({
+      beforeSave: true,
+      afterSave: false,
+      title: expect.not.stringContaining('*'),
+      afterEmptyCapture: false,
+      afterEdit: true,
+      afterUndo: false,
+      beforeSavePoint: true,
+      backAtSavePoint: false
+    });
+    expect(result.written).toBe(1);
+    expect(result.savedRows).toBe(2);
+  });
+
+  test('should compare a pending edit with the snapshot only until it changes', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      const manager = app.undoRedoManager;
+      app.api.addSignal({ name: 'clk', type: 'clock' });
+      app.api.addSignal({ name: 'valid', values: { 0: 0 } });
+      manager.markClean();
+      
+      let serialized = 0;
+      const serializeState = manager.serializeState.bind(manager);
+      manager.serializeState = () => {
+        serialized++;
+        return serializeState();
+      };
+      const counts = {};
+      const valid = () => app.signalsData.get('valid');
+      
+      // Baseline for the capture; the title update right after it does not compare
+      manager.captureState('Set valid[1]=1');
+      counts.capture = serialized;
+      
+      // Each render updates the title and tab bar; only the first check after the edit compares
+      valid().values[1] = 1;
+      app.render();
+      app.render();
+      counts.renders = serialized;
+      const dirtyWhilePending = manager.isDirty();
+      
+      // Undoing the edit by hand is noticed when the capture is committed
+      delete valid().values[1];
+      const dirtyAfterRevert = manager.isDirty();
+      manager.commitPending();
+      counts.commit = serialized;
+      const dirtyAfterCommit = manager.isDirty();
+      app.render();
+      counts.after = serialized;
+      
+      return {
+        counts: counts,
+        dirty: [dirtyWhilePending, dirtyAfterRevert, dirtyAfterCommit],
+        history: manager.history.length
+      };
+    });
+    
+    expect(result.counts).toEqual({ capture: 1, renders: 2, commit: 3, after: 3 });
+    expect(result.dirty).toEqual([true, true, false]);
+    // The capture changed nothing in the end, so it records no command
+    expect(result.history).toBe(2);
+  });
+});
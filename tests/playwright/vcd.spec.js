@@ -0,0 +1,210 @@
+// Timing Gen 3 - VCD Import/Export Playwright Tests
+// Version 3.4.1
+
+const { test, expect } = require('@playwright/test');
+
+const BASE_URL = 'http://localhost:8080';
+
+// Simulation dump with nested scopes; both modules have a "data" bus. The clock
+// rises at 5, 15, 25... and falls at 10, 20, 30...
+const NESTED_SCOPES_VCD = `$timescale 1ns $end
+$scope module top $end
+$var wire 1 ! clk $end
+$scope module cpu $end
+$var wire 8 " data [7:0] $end
+$var wire 1 # valid $end
+$upscope $end
+$scope module mem $end
+$var wire 8 $ data [7:0] $end
+$var wire 1 % ready $end
+$upscope $end
+$upscope $end
+$enddefinitions $end
+#0
+$dumpvars
+0!
+bxxxxxxxx "
+0#
+bzzzzzzzz $
+x%
+$end
+#5
+1!
+#10
+0!
+#12
+b10101011 "
+1#
+#15
+1!
+#20
+0!
+0%
+#25
+1!
+#27
+b00000001 $
+#30
+0!
+#32
+0#
+1%
+#35
+1!
+#40
+0!
+#45
+1!
+#50
+0!
+`;
+
+// Import VCD text through the signal picker; unchecked lists the variables to leave out
+async function importVCD(page, text, edge, unchecked = []) {
+  return page.evaluate(([vcdText, sampleEdge, skip]) => {
+    const app = window.timingGenApp;
+    app.vcdImport = TimingGenVCD.parseVCD(vcdText);
+    TimingGenVCD.showSignalPickerDialog(app);
+    
+    const picker = {
+      clock: document.getElementById('vcd-clock-select').selectedOptions[0].textContent,
+      clockOptions: Array.from(document.getElementById('vcd-clock-select').options).map(option => option.textContent),
+      items: Array.from(document.querySelectorAll('#vcd-signal-list > div')).map(item => item.textContent.trim())
+    };
+    document.querySelectorAll('#vcd-signal-list .vcd-signal input').forEach(checkbox => {
+      if (skip.includes(app.vcdImport.vars[parseInt(checkbox.dataset.index)].fullName)) {
+        checkbox.checked = false;
+      }
+    });
+    document.getElementById('vcd-edge-select').value = sampleEdge;
+    TimingGenVCD.applyVCDImport(app);
+    
+    const data = TimingGenData.buildSaveData(app);
+    return {
+      picker: picker,
+      config: { cycles: data.config.cycles, clockPeriod: data.config.clockPeriod, clockPeriodUnit: data.config.clockPeriodUnit },
+      signals: data.rows.map(row => row.data),
+      dialog: document.getElementById('vcd-import-dialog').style.display
+    };
+  }, [text, edge, unchecked]);
+}
+
+test.describe('VCD import and export', () => {
+  
+  test.beforeEach(async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should import nested scopes sampled on the rising clock edge', async ({ page }) => {
+    const result = await importVCD(page, NESTED_SCOPES_VCD, 'rising');
+    
+    // Variables are listed under their scope; only 1-bit variables can be the clock
+    expect(result.picker.items).toEqual([
+      'top',
+      'clk (bit)',
+      'top.cpu',
+      'data[7:0] (8 bits)',
+      'valid (bit)',
+      'top.mem',
+      'data[7:0] (8 bits)',
+      'ready (bit)'
+    ]);
+    expect(result.picker.clockOptions).toEqual(['top.clk', 'top.cpu.valid', 'top.mem.ready']);
+    expect(result.picker.clock).toBe('top.clk');
+    expect(result.dialog).toBe('none');
+    
+    // Five rising edges, 10 ns apart
+    expect(result.config).toEqual({ cycles: 5, clockPeriod: 10, clockPeriodUnit: 'ns' });
+    // The two data buses keep their scope in the name; the other names stay short
+    expect(result.signals).toEqual([
+      { name: 'clk', type: 'clock', values: {} },
+      { name: 'top.cpu.data', type: 'bus', values: { 0: '0xAB' }, base_clock: 'clk' },
+      { name: 'valid', type: 'bit', values: { 0: 1, 2: 0 }, base_clock: 'clk' },
+      { name: 'top.mem.data', type: 'bus', values: { 0: 'Z', 2: '0x01' }, base_clock: 'clk' },
+      { name: 'ready', type: 'bit', values: { 0: 'X', 1: 0, 2: 1 }, base_clock: 'clk' }
+    ]);
+  });
+
+  test('should sample on the falling clock edge and skip unchecked variables', async ({ page }) => {
+    const result = await importVCD(page, NESTED_SCOPES_VCD, 'falling', ['top.cpu.data', 'top.cpu.valid']);
+    
+    // The clock is already low at 0, so cycles start at 0, 10, 20... (six falling edges)
+    expect(result.config.cycles).toBe(6);
+    // Without the cpu bus, the mem bus name no longer collides
+    expect(result.signals).toEqual([
+      { name: 'clk', type: 'clock', values: {} },
+      { name: 'data', type: 'bus', values: { 0: 'Z', 2: '0x01' }, base_clock: 'clk' },
+      { name: 'ready', type: 'bit', values: { 0: 'X', 2: 0, 3: 1 }, base_clock: 'clk' }
+    ]);
+  });
+
+  test('should import into a new tab when the document has rows', async ({ page }) => {
+    await page.evaluate(() => {
+      window.timingGenApp.api.addSignal({ name: 'rst', values: { 0: 1, 1: 0 } });
+    });
+    const result = await importVCD(page, NESTED_SCOPES_VCD, 'rising');
+    const tabs = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      const imported = app.activeTab;
+      TimingGenTabs.activateTab(app, 0);
+      return { count: app.tabs.length, imported: imported, original: app.getSignals().map(signal => signal.name) };
+    });
+    
+    expect(result.signals.map(signal => signal.name)).toEqual(['clk', 'top.cpu.data', 'valid', 'top.mem.data', 'ready']);
+    expect(result.dialog).toBe('none');
+    expect(tabs).toEqual({ count: 2, imported: 1, original: ['rst'] });
+  });
+
+  test('should read back its own VCD export', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      const api = app.api;
+      api.setCycles(8);
+      api.addSignal({ name: 'clk', type: 'clock' });
+      api.addSignal({ name: 'valid', values: { 0: 0, 2: 1, 5: 0 } });
+      api.addSignal({ name: 'data', type: 'bus', values: { 0: 'X', 2: '0xAB', 3: '0x1F', 5: 'Z' } });
+      api.addSignal({ name: 'oe', values: { 0: 'Z', 3: 1, 6: 'X' } });
+      const before = TimingGenData.buildSaveData(app);
+      
+      const exported = TimingGenVCD.buildVCD(app);
+      app.vcdImport = TimingGenVCD.parseVCD(exported.text);
+      TimingGenVCD.showSignalPickerDialog(app);
+      TimingGenVCD.applyVCDImport(app);
+      const after = TimingGenData.buildSaveData(app);
+      
+      return {
+        warnings: exported.warnings,
+        timescale: TimingGenVCD.parseVCD(exported.text).timescale,
+        before: { config: before.config, rows: before.rows },
+        after: { config: after.config, rows: after.rows }
+      };
+    });
+    
+    expect(result.warnings).toEqual([]);
+    // 1000 times finer than the clock period unit
+    expect(result.timescale).toEqual({ magnitude: 1, unit: 'ps' });
+    expect(result.after).toEqual(result.before);
+  });
+
+  test('should write non-numeric bus values as x and list them', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      app.api.addSignal({ name: 'clk', type: 'clock' });
+      app.api.addSignal({ name: 'state', type: 'bus', values: { 0: 'IDLE', 2: '0x3', 4: 'BUSY' } });
+      const exported = TimingGenVCD.buildVCD(app);
+      const vcd = TimingGenVCD.parseVCD(exported.text);
+      const state = vcd.vars.find(variable => variable.name === 'state');
+      return {
+        warnings: exported.warnings,
+        width: state.width,
+        changes: vcd.changes.get(state.id).map(change => change.value)
+      };
+    });
+    
+    expect(result.warnings).toEqual(['state = IDLE', 'state = BUSY']);
+    // Widths cover whole hex digits
+    expect(result.width).toBe(4);
+    expect(result.changes).toEqual(['x', '0011', 'x']);
+  });
+});
@@ -0,0 +1,227 @@
+// Timing Gen 3 - WaveDrom WaveJSON Playwright Tests
+// Version 3.4.1
+
+const { test, expect } = require('@playwright/test');
+
+const BASE_URL = 'http://localhost:8080';
+
+// WaveDrom source as usually written: object literal syntax, lane groups, a spacer, a gap and an edge
+const HANDSHAKE_WAVEJSON = `{ signal: [
+  { name: 'clk', wave: 'p.....|...' },
+  ['Master',
+    { name: 'req', wave: '0.1..0|1.0', node: '..a.......' },
+    { name: 'addr', wave: 'x.3.x.|4.x', data: ['A0', 'A1'] },
+  ],
+  {},
+  ['Slave',
+    { name: 'ack', wave: 'x0..1.|0.1', node: '....b.....' },
+  ],
+],
+edge: ['a~>b tACK'],
+head: { text: 'Handshake' },
+}`;
+
+// Double data rate lanes: two wave columns per clock cycle, and one at four
+const DDR_WAVEJSON = `{ signal: [
+  { name: 'clk', wave: 'p...', period: 2 },
+  { name: 'dq', wave: '01010101' },
+  { name: 'bus', wave: '=.==', data: ['A', 'B', 'C'] },
+  { name: 'qdr', wave: '0101', period: 0.5 },
+]}`;
+
+test.describe('WaveDrom WaveJSON', () => {
+  
+  test.beforeEach(async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.waitForLoadState('networkidle');
+  });
+
+  test('should import lanes, groups, gaps and edges', async ({ page }) => {
+    const result = await page.evaluate((source) => {
+      const app = window.timingGenApp;
+      const imported = TimingGenWaveDrom.convertWaveJSON(TimingGenWaveDrom.parseWaveJSON(source));
+      TimingGenWaveDrom.applyImport(app, imported);
+      const data = TimingGenData.buildSaveData(app);
+      return {
+        untranslated: imported.untranslated,
+        cycles: data.config.cycles,
+        rows: data.rows.map(row => (row.type === 'text' ? `text:${row.data.text}` : `${row.type}:${row.name}`)),
+        signals: data.rows.filter(row => row.type === 'signal').map(row => row.data),
+        arrows: data.arrows,
+        tears: data.tears
+      };
+    }, HANDSHAKE_WAVEJSON);
+    
+    expect(result.cycles).toBe(10);
+    // Group labels, the spacer and the header become text rows
+    expect(result.rows).toEqual([
+      'text:Handshake',
+      'signal:clk',
+      'text:Master',
+      'signal:req',
+      'signal:addr',
+      'text:',
+      'text:Slave',
+      'signal:ack'
+    ]);
+    expect(result.untranslated).toContain('Lane group brackets (group labels are shown as text rows)');
+    expect(result.signals).toEqual([
+      { name: 'clk', type: 'clock', values: {} },
+      { name: 'req', type: 'bit', values: { 0: 0, 2: 1, 5: 0, 7: 1, 9: 0 }, base_clock: 'clk' },
+      { name: 'addr', type: 'bus', values: { 0: 'X', 2: 'A0', 4: 'X', 7: 'A1', 9: 'X' }, base_clock: 'clk' },
+      { name: 'ack', type: 'bit', values: { 0: 'X', 1: 0, 4: 1, 7: 0, 9: 1 }, base_clock: 'clk' }
+    ]);
+    // The gap column becomes a tear
+    expect(result.tears).toEqual([6]);
+    // The edge between nodes a and b becomes an arrow
+    expect(result.arrows).toHaveLength(1);
+    expect(result.arrows[0]).toMatchObject({
+      signal1Name: 'req',
+      cycle1: 2,
+      signal2Name: 'ack',
+      cycle2: 4,
+      text: 'tACK'
+    });
+  });
+
+  test('should read back its own WaveJSON export', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const app = window.timingGenApp;
+      const api = app.api;
+      api.setCycles(10);
+      api.addSignal({ name: 'clk', type: 'clock' });
+      api.addSignal({ name: 'req', values: { 0: 0, 2: 1, 5: 0 } });
+      api.addSignal({ name: 'addr', type: 'bus', values: { 0: 'X', 2: 'A0', 4: 'X' } });
+      api.addArrow({ signal1Name: 'req', cycle1: 2, signal2Name: 'addr', cycle2: 4, text: 'tAD' });
+      TimingGenTear.addTearAtCycle(app, 7);
+      // Arrows get new names and default point types on import; compare what WaveJSON holds
+      const snapshot = () => {
+        const data = TimingGenData.buildSaveData(app);
+        return {
+          rows: data.rows,
+          tears: data.tears,
+          arrows: data.arrows.map(({ signal1Name, cycle1, signal2Name, cycle2, text }) => ({ signal1Name, cycle1, signal2Name, cycle2, text }))
+        };
+      };
+      const before = snapshot();
+      
+      const exported = TimingGenWaveDrom.buildWaveJSON(app);
+      const text = TimingGenWaveDrom.stringifyWaveJSON(exported.waveJSON);
+      const imported = TimingGenWaveDrom.convertWaveJSON(TimingGenWaveDrom.parseWaveJSON(text));
+      TimingGenWaveDrom.applyImport(app, imported);
+      const after = snapshot();
+      
+      return {
+        warnings: exported.warnings,
+        untranslated: imported.untranslated,
+        lanes: exported.waveJSON.signal.map(lane => lane.wave),
+        edges: exported.waveJSON.edge,
+        before: before,
+        after: after
+      };
+    });
+    
+    expect(result.warnings).toEqual([]);
+    expect(result.untranslated).toEqual([]);
+    expect(result.lanes).toEqual(['p......|..', '0.1..0.|..', 'x.=.x..|..']);
+    expect(result.edges).toEqual(['a~>b tAD']);
+    expect(result.after).toEqual(result.before);
+  });
+
+  test('should list the features WaveJSON cannot hold', async ({ page }) => {
+    const warnings = await page.evaluate(() => {
+      const api = window.timingGenApp.api;
+      api.addSignal({ name: 'clk', type: 'clock', duty: 25 });
+      api.addSignal({ name: 'dq', type: 'bus', values: { 0: 'X', 2: 'D0', 2.5: 'D1' }, transitionStep: 0.5 });
+      api.addSignal({ name: 'vdd', type: 'analog', values: { 0: 0, 2: 3.3 } });
+      return TimingGenWaveDrom.buildWaveJSON(window.timingGenApp).warnings;
+    });
+    
+    expect(warnings).toEqual([
+      'Clock duty cycles other than 50%',
+      'Changes between clock edges (moved to the next cycle)',
+      'Analog signals (exported as spacer lanes)'
+    ]);
+  });
+
+  test('should import into a new tab when the document has rows', async ({ page }) => {
+    const result = await page.evaluate((source) => {
+      const app = window.timingGenApp;
+      app.api.addSignal({ name: 'clk', type: 'clock' });
+      app.api.addSignal({ name: 'en', values: { 0: 0, 2: 1 } });
+      TimingGenWaveDrom.applyImport(app, TimingGenWaveDrom.convertWaveJSON(TimingGenWaveDrom.parseWaveJSON(source)));
+      const imported = { tab: app.activeTab, rows: app.rows.length };
+      
+      TimingGenWaveDrom.applyImport(app, TimingGenWaveDrom.convertWaveJSON(TimingGenWaveDrom.parseWaveJSON(source)));
+      const reimported = { tab: app.activeTab, rows: app.rows.length };
+      TimingGenTabs.activateTab(app, 0);
+      return {
+        tabs: app.tabs.length,
+        imported: imported,
+        reimported: reimported,
+        original: app.getSignals().map(signal => signal.name),
+        dirty: app.undoRedoManager.isDirty()
+      };
+    }, HANDSHAKE_WAVEJSON);
+    
+    // The edited document stays open, with its changes, in the first tab
+    expect(result.imported).toEqual({ tab: 1, rows: 8 });
+    expect(result.reimported).toEqual({ tab: 2, rows: 8 });
+    expect(result.tabs).toBe(3);
+    expect(result.original).toEqual(['clk', 'en']);
+    expect(result.dirty).toBe(true);
+  });
+
+  test('should import changes between clock edges with their transition step', async ({ page }) => {
+    const result = await page.evaluate((source) => {
+      const app = window.timingGenApp;
+      const imported = TimingGenWaveDrom.convertWaveJSON(TimingGenWaveDrom.parseWaveJSON(source));
+      TimingGenWaveDrom.applyImport(app, imported);
+      const data = TimingGenData.buildSaveData(app);
+      return {
+        untranslated: imported.untranslated,
+        cycles: data.config.cycles,
+        signals: data.rows.map(row => row.data),
+        errors: TimingGenSchema.validate(data).errors
+      };
+    }, DDR_WAVEJSON);
+    
+    expect(result.untranslated).toEqual([]);
+    expect(result.cycles).toBe(4);
+    expect(result.signals).toEqual([
+      { name: 'clk', type: 'clock', values: {} },
+      { name: 'dq', type: 'bit', values: { 0: 0, 0.5: 1, 1: 0, 1.5: 1, 2: 0, 2.5: 1, 3: 0, 3.5: 1 }, transitionStep: 0.5, base_clock: 'clk' },
+      { name: 'bus', type: 'bus', values: { 0: 'A', 1: 'B', 1.5: 'C' }, transitionStep: 0.5, base_clock: 'clk' },
+      { name: 'qdr', type: 'bit', values: { 0: 0, 0.25: 1, 0.5: 0, 0.75: 1 }, transitionStep: 0.25, base_clock: 'clk' }
+    ]);
+    expect(result.errors).toEqual([]);
+  });
+
+  test('should reject lanes whose changes fall on the same cycle', async ({ page }) => {
+    const message = await page.evaluate(() => {
+      try {
+        // Eight columns per cycle are finer than the quarter-cycle grid
+        TimingGenWaveDrom.convertWaveJSON(TimingGenWaveDrom.parseWaveJSON(
+          "{ signal: [{ name: 'clk', wave: 'p.', period: 2 }, { name: 'd', wave: '0101', period: 0.25 }] }"));
+        return null;
+      } catch (err) {
+        return err.message;
+      }
+    });
+    
+    expect(message).toBe('Lane "d": wave characters 2 and 3 both fall on cycle 0.25');
+  });
+
+  test('should reject a document without a signal array', async ({ page }) => {
+    const message = await page.evaluate(() => {
+      try {
+        TimingGenWaveDrom.convertWaveJSON(TimingGenWaveDrom.parseWaveJSON('{ reg: [{ bits: 8 }] }'));
+        return null;
+      } catch (err) {
+        return err.message;
+      }
+    });
+    
+    expect(message).toBe('Not a WaveJSON document (missing "signal" array)');
+  });
+});